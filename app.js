@@ -28,11 +28,23 @@ app.use(cors(corsOptions))
 /* Importing models */
 const models = require('./models')
 
+/* Importing the service that runs the periodic jobs such as flagging overdue orders */
+const scheduler = require('./services/scheduler')
+
+/* Importing the service that pushes events to the users */
+const events = require('./services/events')
+
 /* Function that checks the connection to the database */
 function authenticateDB () {
   models.sequelize.authenticate()
     .then(() => {
       console.log('Connection to the database has been established successfully')
+      /* Start the periodic jobs once the database is up, unless they are disabled on this instance */
+      if (process.env.SCHEDULER_ENABLED !== 'false') {
+        scheduler.start()
+      }
+      /* Listen for the events published by every instance, to push them to the users connected to this one */
+      events.listen()
     })
     .catch(err => {
       console.error('Unable to connect to the database:', err.original)
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/* A stand-in for the M-Pesa Daraja API, with which the whole payment flow can be gone through offline.
+* It issues access tokens, accepts STK pushes, then sends the outcome of every push to its CallBackURL just as Daraja
+* does. The outcome depends on the last digit of the phone number the push is sent to, as set in OUTCOMES, so that
+* failures can be tried out as well. To use it, run `npm run mock-daraja` and set MPESA_BASE_URL to its address e.g.
+* http://localhost:3070 */
+
+/* Importing express, which the mock server is built on */
+const EXPRESS = require('express')
+
+/* Importing the crypto module, which will be used to generate the tokens and IDs */
+const CRYPTO = require('crypto')
+
+/* The port the mock server listens on */
+const PORT = Number(process.env.MOCK_DARAJA_PORT || 3070)
+
+/* The number of seconds to wait before sending the outcome of a push to its callback, as the client would take to
+* enter his or her PIN */
+const CALLBACK_DELAY_SECONDS = Number(process.env.MOCK_DARAJA_CALLBACK_DELAY_SECONDS || 2)
+
+/* Whether to leave out the callbacks, as if they got lost on the way, so that the outcomes can only be learnt
+* through status queries */
+const SKIP_CALLBACKS = process.env.MOCK_DARAJA_SKIP_CALLBACKS === 'true'
+
+/* The number of seconds an access token is valid for, as on Daraja */
+const TOKEN_TTL_SECONDS = 3599
+
+/* The outcome of a push by the last digit of the phone number. Any other digit leads to a successful payment */
+const OUTCOMES = {
+  1: { ResultCode: 1032, ResultDesc: 'Request cancelled by user' },
+  2: { ResultCode: 1, ResultDesc: 'The balance is insufficient for the transaction' },
+  3: { ResultCode: 1037, ResultDesc: 'DS timeout user cannot be reached' },
+  4: { ResultCode: 2001, ResultDesc: 'The initiator information is invalid.' }
+}
+const SUCCESS = { ResultCode: 0, ResultDesc: 'The service request is processed successfully.' }
+
+/* Function that returns a random ID of the given length, made up of hexadecimal digits in capitals */
+function randomId (length) {
+  return CRYPTO.randomBytes(length).toString('hex').toUpperCase().slice(0, length)
+}
+
+/* Function that returns the current time in the YYYYMMDDHHmmss format of Daraja, in the East African Time */
+function darajaTimestamp () {
+  return new Date(new Date().getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/[^0-9]/g, '').slice(0, 14)
+}
+
+/* Function that creates the mock server. The transactions it has received are kept in memory, by CheckoutRequestID */
+function createMockDaraja () {
+  const APP = EXPRESS()
+  const TOKENS = new Map()
+  const TRANSACTIONS = new Map()
+  APP.use(EXPRESS.json())
+
+  /* Function that sends an error the way Daraja does */
+  function sendError (res, status, errorCode, errorMessage) {
+    res.status(status).json({ requestId: randomId(20), errorCode: errorCode, errorMessage: errorMessage })
+  }
+
+  /* Middleware that checks the bearer token of a request */
+  function authorize (req, res, next) {
+    const TOKEN = (req.headers.authorization || '').replace(/^Bearer /, '')
+    if (!TOKENS.has(TOKEN) || TOKENS.get(TOKEN) < new Date().getTime()) {
+      return sendError(res, 401, '404.001.03', 'Invalid Access Token')
+    }
+    next()
+  }
+
+  /* Function that sends the outcome of a push to its callback, after the delay */
+  function sendCallback (transaction) {
+    setTimeout(async () => {
+      const OUTCOME = OUTCOMES[transaction.phoneNumber.slice(-1)] || SUCCESS
+      transaction.result = OUTCOME
+      if (SKIP_CALLBACKS) return
+      const CALLBACK = {
+        MerchantRequestID: transaction.merchantRequestId,
+        CheckoutRequestID: transaction.checkoutRequestId,
+        ...OUTCOME
+      }
+      if (OUTCOME.ResultCode === 0) {
+        transaction.receiptNumber = randomId(10)
+        CALLBACK.CallbackMetadata = {
+          Item: [
+            { Name: 'Amount', Value: transaction.amount },
+            { Name: 'MpesaReceiptNumber', Value: transaction.receiptNumber },
+            { Name: 'Balance' },
+            { Name: 'TransactionDate', Value: Number(darajaTimestamp()) },
+            { Name: 'PhoneNumber', Value: Number(transaction.phoneNumber) }
+          ]
+        }
+      }
+      await fetch(transaction.callbackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ Body: { stkCallback: CALLBACK } })
+      })
+        .catch(error => console.log(`Failed to send the callback of ${transaction.checkoutRequestId}: `, error))
+    }, CALLBACK_DELAY_SECONDS * 1000)
+  }
+
+  /* Endpoint that issues access tokens to the holders of a consumer key and secret */
+  APP.get('/oauth/v1/generate', function (req, res) {
+    const [SCHEME, CREDENTIALS] = (req.headers.authorization || '').split(' ')
+    const [KEY, SECRET] = Buffer.from(CREDENTIALS || '', 'base64').toString().split(':')
+    if (SCHEME !== 'Basic' || !KEY || !SECRET || req.query.grant_type !== 'client_credentials') {
+      return sendError(res, 400, '400.008.01', 'Invalid Authentication passed')
+    }
+    const TOKEN = randomId(28)
+    TOKENS.set(TOKEN, new Date().getTime() + TOKEN_TTL_SECONDS * 1000)
+    res.status(200).json({ access_token: TOKEN, expires_in: String(TOKEN_TTL_SECONDS) })
+  })
+
+  /* Function that checks the fields of a request, and its password against the pass key in case the mock is given
+  * the same MPESA_PASSKEY as the dbms, otherwise only the makeup of the password. It returns the error message of
+  * an invalid request */
+  function validate (body, required) {
+    const MISSING = required.filter(field => body[field] === undefined || body[field] === '')
+    if (MISSING.length > 0) {
+      return `Bad Request - Invalid ${MISSING[0]}`
+    }
+    const PASSWORD = Buffer.from(String(body.Password), 'base64').toString()
+    const PASSWORD_IS_VALID = process.env.MPESA_PASSKEY
+      ? PASSWORD === String(body.BusinessShortCode).concat(process.env.MPESA_PASSKEY, body.Timestamp)
+      : PASSWORD.startsWith(String(body.BusinessShortCode)) && PASSWORD.endsWith(String(body.Timestamp))
+    return PASSWORD_IS_VALID ? null : 'Bad Request - Invalid Password'
+  }
+
+  /* Endpoint that accepts STK pushes */
+  APP.post('/mpesa/stkpush/v1/processrequest', authorize, function (req, res) {
+    const BODY = req.body || {}
+    const ERROR = validate(BODY, ['BusinessShortCode', 'Password', 'Timestamp', 'TransactionType', 'Amount',
+      'PartyA', 'PartyB', 'PhoneNumber', 'CallBackURL', 'AccountReference', 'TransactionDesc'])
+    if (ERROR) {
+      return sendError(res, 400, '400.002.02', ERROR)
+    }
+    if (!/^2547[0-9]{8}$|^2541[0-9]{8}$/.test(String(BODY.PhoneNumber))) {
+      return sendError(res, 400, '400.002.02', 'Bad Request - Invalid PhoneNumber')
+    }
+    if (!Number.isInteger(Number(BODY.Amount)) || Number(BODY.Amount) < 1) {
+      return sendError(res, 400, '400.002.02', 'Bad Request - Invalid Amount')
+    }
+    const TRANSACTION = {
+      merchantRequestId: `${CRYPTO.randomInt(10000, 99999)}-${CRYPTO.randomInt(1000000, 9999999)}-1`,
+      checkoutRequestId: `ws_CO_${darajaTimestamp()}${CRYPTO.randomInt(100000, 999999)}`,
+      phoneNumber: String(BODY.PhoneNumber),
+      amount: Number(BODY.Amount),
+      callbackUrl: BODY.CallBackURL,
+      result: null,
+      receiptNumber: null
+    }
+    TRANSACTIONS.set(TRANSACTION.checkoutRequestId, TRANSACTION)
+    sendCallback(TRANSACTION)
+    res.status(200).json({
+      MerchantRequestID: TRANSACTION.merchantRequestId,
+      CheckoutRequestID: TRANSACTION.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    })
+  })
+
+  /* Endpoint that returns the outcome of an STK push, or fails while the client is yet to respond */
+  APP.post('/mpesa/stkpushquery/v1/query', authorize, function (req, res) {
+    const BODY = req.body || {}
+    const ERROR = validate(BODY, ['BusinessShortCode', 'Password', 'Timestamp', 'CheckoutRequestID'])
+    if (ERROR) {
+      return sendError(res, 400, '400.002.02', ERROR)
+    }
+    const TRANSACTION = TRANSACTIONS.get(BODY.CheckoutRequestID)
+    if (!TRANSACTION) {
+      return sendError(res, 400, '400.002.02', 'Bad Request - Invalid CheckoutRequestID')
+    }
+    if (!TRANSACTION.result) {
+      return sendError(res, 500, '500.001.1001', 'The transaction is being processed')
+    }
+    res.status(200).json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      MerchantRequestID: TRANSACTION.merchantRequestId,
+      CheckoutRequestID: TRANSACTION.checkoutRequestId,
+      ResultCode: String(TRANSACTION.result.ResultCode),
+      ResultDesc: TRANSACTION.result.ResultDesc
+    })
+  })
+
+  return { app: APP, transactions: TRANSACTIONS }
+}
+
+/* Start the server when run directly, rather than required */
+if (require.main === module) {
+  createMockDaraja().app.listen(PORT, () => {
+    console.log(`Mock Daraja listening on port ${PORT}`)
+  })
+}
+
+module.exports = createMockDaraja
@@ -8,11 +8,8 @@ const sequelize = new Sequelize(process.env.DEV_DB_NAME, process.env.DEV_DB_USER
   port: process.env.DEV_DB_PORT,
   dialect: process.env.DEV_DB_DIALECT,
   databaseVersion: '9.6.6',
-  dialectOptions: {
-    useUTC: false, // for reading from database
-    timezone: '+03:00'
-  },
-  timezone: '+03:00'
+  /* Timestamps are written and read in UTC. The timezones of the clients are applied by the dbms */
+  timezone: '+00:00'
 })
 
 /* Testing the connection */
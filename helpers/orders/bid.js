@@ -0,0 +1,390 @@
+'use strict'
+
+/* Module that handles the bidding on public orders i.e. writers placing, editing and withdrawing bids, and clients
+* viewing and accepting them */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  EntityType,
+  Order,
+  OrderBid,
+  OrderStatus,
+  User,
+  Writer,
+  WriterAverageRating,
+  WriterOrder
+} = require('../../models')
+
+/* Importing the 'Op' operator in sequelize, which is used to conduct greater-than, less-than e.t.c operations */
+const { Op } = require('sequelize')
+
+/* Importing the order helpers */
+const ORDERS_HELPER = require('./order')
+const LIFECYCLE_HELPER = require('./lifecycle')
+
+/* Importing the service that pushes events to the users */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* The statuses in which an order takes bids */
+const BIDDING_ORDER_STATUSES = ['Available', 'Bidding ongoing']
+
+/* The ways in which a client can sort the bids on an order */
+const BID_SORT_KEYS = {
+  rating: bid => bid.rating,
+  completedOrders: bid => bid.completedOrders,
+  createdAt: bid => new Date(bid.createdAt).getTime()
+}
+
+/* The class that handles the bidding logic */
+class BidsHelper {
+  /* Function that gets a public order that is open for bids. It returns null otherwise */
+  static async getBiddableOrder (orderId, transaction) {
+    const ORDER = await Order.findOne({
+      where: {
+        id: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'deadline'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: ['status']
+        },
+        {
+          model: EntityType,
+          as: 'EntityType',
+          attributes: ['type'],
+          where: {
+            type: 'Public'
+          }
+        }
+      ],
+      transaction: transaction
+    })
+    if (!ORDER || !BIDDING_ORDER_STATUSES.includes(ORDER.OrderStatus.status)) {
+      return null
+    }
+    return ORDER
+  }
+
+  /* Function that checks the proposed completion time of a bid. It has to be in the future, and not later than the
+  * order's deadline. It returns a message in case the time is not valid */
+  static checkProposedCompletion (order, proposedCompletion) {
+    const PROPOSED_COMPLETION = new Date(proposedCompletion)
+    if (isNaN(PROPOSED_COMPLETION.getTime()) || PROPOSED_COMPLETION.getTime() <= new Date().getTime()) {
+      return 'Proposed completion time should be in the future'
+    }
+    const DEADLINE = new Date(order.deadline)
+    if (PROPOSED_COMPLETION.getTime() > DEADLINE.getTime()) {
+      return 'Proposed completion time is past the order deadline'
+    }
+    return null
+  }
+
+  /* Function that lets a writer place a bid on an order */
+  static async placeBid (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const [USER, WRITER_ID] = await Promise.all([
+          User.findOne({
+            where: {
+              email: req.email.toLowerCase()
+            },
+            attributes: ['id']
+          }),
+          ORDERS_HELPER.getWriterId(req.email)
+        ])
+        if (!WRITER_ID) {
+          return { success: false, message: 'Writer does not exist' }
+        }
+        const ORDER = await BidsHelper.getBiddableOrder(req.orderId, t)
+        if (!ORDER) {
+          return { success: false, message: 'Order is not open for bids' }
+        }
+        const INVALID_COMPLETION = BidsHelper.checkProposedCompletion(ORDER, req.proposedCompletion)
+        if (INVALID_COMPLETION) {
+          return { success: false, message: INVALID_COMPLETION }
+        }
+        /* A writer has only one bid per order. A withdrawn bid is placed again instead of creating another one */
+        const EXISTING_BID = await OrderBid.findOne({
+          where: {
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            isDeleted: false
+          },
+          attributes: ['id', 'withdrawn'],
+          transaction: t
+        })
+        if (EXISTING_BID && !EXISTING_BID.withdrawn) {
+          return { success: false, message: 'Bid already exists' }
+        }
+        let bidId
+        if (EXISTING_BID) {
+          bidId = EXISTING_BID.id
+          await OrderBid.update({
+            coverMessage: req.coverMessage,
+            proposedCompletion: req.proposedCompletion,
+            withdrawn: false
+          }, {
+            where: {
+              id: EXISTING_BID.id
+            },
+            transaction: t
+          })
+        } else {
+          const BID = await OrderBid.create({
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            coverMessage: req.coverMessage,
+            proposedCompletion: req.proposedCompletion,
+            successful: false,
+            isDeleted: false
+          }, { transaction: t })
+          bidId = BID.id
+        }
+        /* The first bid on an order starts the bidding */
+        await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Bidding ongoing', {
+          actor: USER.id,
+          reason: 'Bid placed',
+          transaction: t
+        })
+        await EVENTS_SERVICE.publishToOrder(req.orderId, 'bid.placed', { bidId: bidId }, {
+          parties: ['client'],
+          transaction: t
+        })
+        return { success: true }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets a writer edit the cover message and the proposed completion time of his or her bid */
+  static async editBid (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const WRITER_ID = await ORDERS_HELPER.getWriterId(req.email)
+        const ORDER = await BidsHelper.getBiddableOrder(req.orderId, t)
+        if (!ORDER) {
+          return { success: false, message: 'Order is not open for bids' }
+        }
+        const INVALID_COMPLETION = BidsHelper.checkProposedCompletion(ORDER, req.proposedCompletion)
+        if (INVALID_COMPLETION) {
+          return { success: false, message: INVALID_COMPLETION }
+        }
+        return await OrderBid.update({
+          coverMessage: req.coverMessage,
+          proposedCompletion: req.proposedCompletion
+        }, {
+          where: {
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            withdrawn: false,
+            closed: false,
+            isDeleted: false
+          },
+          transaction: t
+        })
+          .then(([bidUpdated]) => {
+            if (bidUpdated) {
+              return { success: true }
+            } else {
+              return { success: false, message: 'Bid does not exist' }
+            }
+          })
+          .catch(error => {
+            throw new Error(error)
+          })
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets a writer withdraw his or her bid. The order is made available again once the last bid on it
+  * is withdrawn */
+  static async withdrawBid (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const [USER, WRITER_ID] = await Promise.all([
+          User.findOne({
+            where: {
+              email: req.email.toLowerCase()
+            },
+            attributes: ['id']
+          }),
+          ORDERS_HELPER.getWriterId(req.email)
+        ])
+        const ORDER = await BidsHelper.getBiddableOrder(req.orderId, t)
+        if (!ORDER) {
+          return { success: false, message: 'Order is not open for bids' }
+        }
+        const [BID_WITHDRAWN] = await OrderBid.update({
+          withdrawn: true
+        }, {
+          where: {
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            withdrawn: false,
+            closed: false,
+            isDeleted: false
+          },
+          transaction: t
+        })
+        if (!BID_WITHDRAWN) {
+          return { success: false, message: 'Bid does not exist' }
+        }
+        const OPEN_BIDS = await OrderBid.count({
+          where: {
+            orderId: req.orderId,
+            withdrawn: false,
+            closed: false,
+            isDeleted: false
+          },
+          transaction: t
+        })
+        if (OPEN_BIDS === 0) {
+          await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Available', {
+            actor: USER.id,
+            reason: 'Last bid withdrawn',
+            transaction: t
+          })
+        }
+        return { success: true }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the open bids on an order, together with the writers' ratings and the number of orders they
+  * have completed. The bids can be sorted by 'rating', 'completedOrders' or 'createdAt' */
+  static async getOrderBids (req) {
+    try {
+      const BIDS = await OrderBid.findAll({
+        attributes: ['id', 'orderId', 'coverMessage', 'proposedCompletion', 'successful', 'createdAt'],
+        where: {
+          orderId: req.orderId,
+          withdrawn: false,
+          isDeleted: false
+        },
+        include: [
+          {
+            model: Writer,
+            as: 'Writer',
+            attributes: ['id', 'surname', 'otherNames'],
+            include: [
+              {
+                model: User,
+                as: 'User',
+                attributes: ['id']
+              },
+              {
+                model: WriterAverageRating,
+                as: 'WriterAverageRating',
+                attributes: ['rating']
+              }
+            ]
+          }
+        ]
+      })
+      /* Count the orders completed by each of the writers */
+      const COMPLETED_ORDERS = await WriterOrder.count({
+        where: {
+          writerId: {
+            [Op.in]: BIDS.map(bid => bid.Writer.id)
+          },
+          isDeleted: false
+        },
+        include: [
+          {
+            model: Order,
+            as: 'Order',
+            attributes: [],
+            include: [
+              {
+                model: OrderStatus,
+                as: 'OrderStatus',
+                attributes: [],
+                where: {
+                  status: 'Completed'
+                }
+              }
+            ]
+          }
+        ],
+        group: ['writerId']
+      })
+      const RESPONSE = BIDS.map(bid => {
+        const COMPLETED = COMPLETED_ORDERS.find(completed => completed.writerId === bid.Writer.id)
+        const RATING = bid.Writer.WriterAverageRating[0]
+        return {
+          ...bid.toJSON(),
+          rating: RATING ? RATING.rating : 0,
+          completedOrders: COMPLETED ? Number(COMPLETED.count) : 0
+        }
+      })
+      /* Then sort the bids, in descending order by default */
+      const SORT_KEY = BID_SORT_KEYS[req.sortBy] || BID_SORT_KEYS.createdAt
+      const DIRECTION = req.sortOrder === 'ASC' ? 1 : -1
+      RESPONSE.sort((a, b) => (SORT_KEY(a) - SORT_KEY(b)) * DIRECTION)
+      return { bids: RESPONSE }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets a client accept a bid on his or her order. The writer is then assigned the order, and the
+  * other bids are closed in the same transaction (see the updateOrderStatus function) */
+  static async acceptBid (req) {
+    try {
+      const CLIENT_ID = await ORDERS_HELPER.getClientId(req.email)
+      const BID = await OrderBid.findOne({
+        where: {
+          id: req.bidId,
+          orderId: req.orderId,
+          withdrawn: false,
+          closed: false,
+          isDeleted: false
+        },
+        attributes: ['id'],
+        include: [
+          {
+            model: Order,
+            as: 'Order',
+            attributes: ['id'],
+            where: {
+              clientId: CLIENT_ID
+            }
+          },
+          {
+            model: Writer,
+            as: 'Writer',
+            attributes: ['userId']
+          }
+        ]
+      })
+      if (!BID) {
+        return { statusUpdated: false, message: 'Bid does not exist', writerAlreadyChosen: false }
+      }
+      if (!await BidsHelper.getBiddableOrder(req.orderId)) {
+        return { statusUpdated: false, message: 'Order is not open for bids', writerAlreadyChosen: false }
+      }
+      return await ORDERS_HELPER.updateOrderStatus({
+        email: req.email,
+        orderId: req.orderId,
+        writerId: BID.Writer.userId,
+        type: 'public'
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = BidsHelper
@@ -0,0 +1,200 @@
+'use strict'
+
+/* Module that handles the cancellation of orders by clients, and the refunds that come with it.
+* Whether an order can be cancelled, and how much of the payment is refunded, depends on the status of the order and
+* on whether a writer has been assigned the order:
+* - An order can only be cancelled before it is submitted.
+* - An order that has not been paid for is cancelled without a refund.
+* - A paid order without a writer, or whose writer has not yet acknowledged it, is refunded in full.
+* - A paid order that a writer is working on is refunded in proportion to the time left to the deadline, unless
+*   the writer has missed the deadline, in which case it is refunded in full */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Order,
+  OrderBid,
+  OrderOffer,
+  OrderStatus,
+  User,
+  WriterOrder
+} = require('../../models')
+
+/* Importing the helpers used to get the client, change the status of orders, refund payments and withdraw charges */
+const ORDERS_HELPER = require('./order')
+const LIFECYCLE_HELPER = require('./lifecycle')
+const PAYMENTS_HELPER = require('../payments/payment')
+const CHARGES_HELPER = require('../payments/charge')
+
+/* The statuses in which a client can cancel an order i.e. those before the order is submitted. A disputed order can
+* only be cancelled by an admin resolving the dispute, since the writer may have earned on it */
+const CANCELLABLE_ORDER_STATUSES = [
+  'Pending payment',
+  'Pending writer acknowledgement',
+  'Available',
+  'Bidding ongoing',
+  'Ongoing'
+]
+
+/* The statuses in which a writer has been assigned the order, but has not yet acknowledged it */
+const UNACKNOWLEDGED_ORDER_STATUSES = ['Pending writer acknowledgement']
+
+/* The class that handles the order cancellation logic */
+class OrderCancellationHelper {
+  /* Function that gets a client's order, together with its status and assigned writer */
+  static async getClientOrder (clientId, orderId, transaction) {
+    return await Order.findOne({
+      where: {
+        id: orderId,
+        clientId: clientId,
+        isDeleted: false
+      },
+      attributes: ['id', 'deadline', 'overdueAt'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: ['status']
+        },
+        {
+          model: WriterOrder,
+          as: 'WriterOrder',
+          attributes: ['writerId', 'createdAt'],
+          required: false,
+          where: {
+            isDeleted: false
+          }
+        }
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that computes the terms of cancelling an order in a given status i.e. whether the order can be
+  * cancelled, the refund policy ('Full', 'Pro-rated' or 'None') and the amount to be refunded */
+  static async cancellationTerms (order, status, transaction) {
+    if (!CANCELLABLE_ORDER_STATUSES.includes(status) || !LIFECYCLE_HELPER.canTransition(status, 'Cancelled')) {
+      return { cancellable: false, message: `Order cannot be cancelled while '${status}'` }
+    }
+    /* The refund is out of what the client has paid on the order and its charges e.g. a shorter deadline */
+    const PAID_AMOUNT = await PAYMENTS_HELPER.getNetAmountPaid(order.id, transaction)
+    if (PAID_AMOUNT === 0) {
+      return { cancellable: true, policy: 'None', refundAmount: 0 }
+    }
+    const WRITER_ORDER = order.WriterOrder[0]
+    if (!WRITER_ORDER || UNACKNOWLEDGED_ORDER_STATUSES.includes(status) || order.overdueAt) {
+      return { cancellable: true, policy: 'Full', refundAmount: PAID_AMOUNT }
+    }
+    /* Refund the share of the time between the assignment of the writer and the deadline that is yet to elapse */
+    const DEADLINE = new Date(order.deadline).getTime()
+    const ASSIGNED_AT = new Date(WRITER_ORDER.createdAt).getTime()
+    const REMAINING_RATIO = Math.min(Math.max((DEADLINE - new Date().getTime()) / (DEADLINE - ASSIGNED_AT), 0), 1)
+    return {
+      cancellable: true,
+      policy: 'Pro-rated',
+      refundAmount: PAYMENTS_HELPER.roundPrice(PAID_AMOUNT * REMAINING_RATIO)
+    }
+  }
+
+  /* Function that lets a client see the terms of cancelling his or her order, before cancelling it */
+  static async getCancellationTerms (req) {
+    try {
+      const CLIENT_ID = await ORDERS_HELPER.getClientId(req.email)
+      const ORDER = await OrderCancellationHelper.getClientOrder(CLIENT_ID, req.orderId)
+      if (!ORDER) {
+        return { cancellable: false, message: 'Order does not exist' }
+      }
+      return await OrderCancellationHelper.cancellationTerms(ORDER, ORDER.OrderStatus.status)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets a client cancel his or her order. The payment is refunded to the client's balance as per
+  * the cancellation terms, and the open bids on the order are closed */
+  static async cancelOrder (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const [USER, CLIENT_ID] = await Promise.all([
+          User.findOne({
+            where: {
+              email: req.email.toLowerCase()
+            },
+            attributes: ['id']
+          }),
+          ORDERS_HELPER.getClientId(req.email)
+        ])
+        /* Lock the order first, so that its status cannot change between the check of the terms and the
+        * cancellation e.g. to 'Disputed', from which a client cannot cancel an order */
+        const LOCKED_ORDER = await Order.findOne({
+          where: {
+            id: req.orderId,
+            clientId: CLIENT_ID,
+            isDeleted: false
+          },
+          attributes: ['id'],
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        })
+        const ORDER = LOCKED_ORDER && await OrderCancellationHelper.getClientOrder(CLIENT_ID, req.orderId, t)
+        if (!ORDER) {
+          return { cancelled: false, message: 'Order does not exist' }
+        }
+        if (ORDER.OrderStatus.status === 'Cancelled') {
+          return { cancelled: false, message: 'Order is already cancelled' }
+        }
+        const TERMS = await OrderCancellationHelper.cancellationTerms(ORDER, ORDER.OrderStatus.status, t)
+        if (!TERMS.cancellable) {
+          return { cancelled: false, message: TERMS.message }
+        }
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Cancelled', {
+          actor: USER.id,
+          reason: req.reason || 'Cancelled by client',
+          transaction: t
+        })
+        if (!STATUS_UPDATED.transitioned) {
+          return { cancelled: false, message: STATUS_UPDATED.message }
+        }
+        if (TERMS.refundAmount > 0) {
+          await PAYMENTS_HELPER.refundClientPayment(req.orderId, TERMS.refundAmount, {
+            policy: TERMS.policy,
+            reason: 'Order cancelled',
+            actor: USER.id,
+            transaction: t
+          })
+        }
+        await OrderBid.update({
+          closed: true
+        }, {
+          where: {
+            orderId: req.orderId,
+            closed: false,
+            isDeleted: false
+          },
+          transaction: t
+        })
+        /* And withdraw the offer of the order to a personal writer, if any */
+        await OrderOffer.update({
+          status: 'Withdrawn'
+        }, {
+          where: {
+            orderId: req.orderId,
+            status: 'Pending',
+            isDeleted: false
+          },
+          transaction: t
+        })
+        /* As well as the charges on the order that are yet to be paid for */
+        await CHARGES_HELPER.withdrawCharges(req.orderId, {}, t)
+        return { cancelled: true, policy: TERMS.policy, refundAmount: TERMS.refundAmount }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = OrderCancellationHelper
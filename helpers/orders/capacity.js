@@ -0,0 +1,183 @@
+'use strict'
+
+/* Module that handles the workload capacity of writers. The capacity of a writer depends on his or her skill level,
+* as saved in the writer_capacity table, and sets:
+* - The maximum number of orders the writer can have in progress at a time.
+* - The maximum number of pages the writer can have due within the next 24 hours.
+* A writer at capacity cannot be assigned another order, be it by accepting his or her bid or by choosing him or her
+* as a personal writer */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Order,
+  OrderRevision,
+  OrderStatus,
+  SkillLevel,
+  WriterCapacity,
+  WriterOrder,
+  WriterSkillLevel
+} = require('../../models')
+
+/* The statuses in which an order assigned to a writer is yet to be delivered */
+const OPEN_ORDER_STATUSES = ['Pending writer acknowledgement', 'Ongoing', 'Pending revision', 'Undergoing revision']
+
+/* The statuses in which a writer is working towards the deadline of a revision rather than that of the order */
+const REVISION_STATUSES = ['Pending revision', 'Undergoing revision']
+
+/* The skill level of writers who have not been given one yet */
+const DEFAULT_SKILL_LEVEL = 'Probation'
+
+/* The window, in hours, in which the pages due to a writer are limited */
+const DUE_SOON_HOURS = 24
+
+/* The class that handles the writer capacity logic */
+class WriterCapacityHelper {
+  /* Function that gets the orders writers are yet to deliver, together with their page counts and the deadline the
+  * writers are working towards. It returns an object of the workloads by writer ID */
+  static async getWorkloads (writerIds, transaction) {
+    const WRITER_ORDERS = await WriterOrder.findAll({
+      where: {
+        writerId: writerIds,
+        isDeleted: false
+      },
+      attributes: ['writerId'],
+      include: [
+        {
+          model: Order,
+          as: 'Order',
+          attributes: ['id', 'pageCount', 'deadline'],
+          where: {
+            isDeleted: false
+          },
+          include: [
+            {
+              model: OrderStatus,
+              as: 'OrderStatus',
+              attributes: ['status'],
+              where: {
+                status: OPEN_ORDER_STATUSES
+              }
+            },
+            {
+              model: OrderRevision,
+              as: 'OrderRevision',
+              attributes: ['deadline'],
+              required: false,
+              where: {
+                submitted: false,
+                isDeleted: false
+              }
+            }
+          ]
+        }
+      ],
+      transaction: transaction
+    })
+    const DUE_SOON = new Date().getTime() + DUE_SOON_HOURS * 60 * 60 * 1000
+    return WRITER_ORDERS.reduce((workloads, writerOrder) => {
+      const ORDER = writerOrder.Order
+      /* An order under revision is due by the latest of its open revisions */
+      const REVISION_DEADLINES = REVISION_STATUSES.includes(ORDER.OrderStatus.status)
+        ? ORDER.OrderRevision.map(revision => new Date(revision.deadline).getTime())
+        : []
+      const DEADLINE = REVISION_DEADLINES.length ? Math.max(...REVISION_DEADLINES) : new Date(ORDER.deadline).getTime()
+      const WORKLOAD = workloads[writerOrder.writerId] || { openOrders: 0, pagesDueIn24Hours: 0 }
+      WORKLOAD.openOrders += 1
+      if (DEADLINE <= DUE_SOON) {
+        WORKLOAD.pagesDueIn24Hours += ORDER.pageCount
+      }
+      workloads[writerOrder.writerId] = WORKLOAD
+      return workloads
+    }, {})
+  }
+
+  /* Function that gets the capacities of writers, together with their current workloads. It returns an object by
+  * writer ID. The limits are null in case no capacity has been set for the skill level of a writer */
+  static async getCapacities (writerIds, transaction) {
+    const [CAPACITIES, SKILL_LEVELS, WORKLOADS] = await Promise.all([
+      WriterCapacity.findAll({
+        where: {
+          isDeleted: false
+        },
+        attributes: ['maxConcurrentOrders', 'maxPagesDueIn24Hours'],
+        include: [
+          {
+            model: SkillLevel,
+            as: 'SkillLevel',
+            attributes: ['level']
+          }
+        ],
+        transaction: transaction
+      }),
+      WriterSkillLevel.findAll({
+        where: {
+          writerId: writerIds,
+          isDeleted: false
+        },
+        attributes: ['writerId'],
+        include: [
+          {
+            model: SkillLevel,
+            as: 'SkillLevel',
+            attributes: ['level']
+          }
+        ],
+        order: [
+          ['createdAt', 'ASC']
+        ],
+        transaction: transaction
+      }),
+      WriterCapacityHelper.getWorkloads(writerIds, transaction)
+    ])
+    const CAPACITY_BY_LEVEL = Object.fromEntries(CAPACITIES.map(capacity => [capacity.SkillLevel.level, capacity]))
+    /* The latest skill level of a writer is the one in force */
+    const LEVEL_BY_WRITER = Object.fromEntries(SKILL_LEVELS
+      .map(writerSkillLevel => [writerSkillLevel.writerId, writerSkillLevel.SkillLevel.level]))
+    return Object.fromEntries(writerIds.map(writerId => {
+      const SKILL_LEVEL = LEVEL_BY_WRITER[writerId] || DEFAULT_SKILL_LEVEL
+      const CAPACITY = CAPACITY_BY_LEVEL[SKILL_LEVEL]
+      return [writerId, {
+        skillLevel: SKILL_LEVEL,
+        maxConcurrentOrders: CAPACITY ? CAPACITY.maxConcurrentOrders : null,
+        maxPagesDueIn24Hours: CAPACITY ? CAPACITY.maxPagesDueIn24Hours : null,
+        openOrders: 0,
+        pagesDueIn24Hours: 0,
+        ...WORKLOADS[writerId]
+      }]
+    }))
+  }
+
+  /* Function that checks whether a writer with the given capacity can take on an order. Leaving out the order only
+  * checks the orders in progress. It returns a message in case the writer is at capacity */
+  static assessCapacity (capacity, order) {
+    if (capacity.maxConcurrentOrders !== null && capacity.openOrders >= capacity.maxConcurrentOrders) {
+      return {
+        available: false,
+        message: `The writer already has ${capacity.openOrders} orders in progress, the most allowed at the ` +
+          `${capacity.skillLevel} level`
+      }
+    }
+    if (capacity.maxPagesDueIn24Hours === null) {
+      return { available: true }
+    }
+    const DUE_SOON = new Date().getTime() + DUE_SOON_HOURS * 60 * 60 * 1000
+    const ORDER_PAGES = order && new Date(order.deadline).getTime() <= DUE_SOON ? order.pageCount : 0
+    if (ORDER_PAGES && capacity.pagesDueIn24Hours + ORDER_PAGES > capacity.maxPagesDueIn24Hours) {
+      return {
+        available: false,
+        message: `The writer cannot have more than ${capacity.maxPagesDueIn24Hours} pages due within ` +
+          `${DUE_SOON_HOURS} hours at the ${capacity.skillLevel} level, and already has ` +
+          `${capacity.pagesDueIn24Hours} pages due`
+      }
+    }
+    return { available: true }
+  }
+
+  /* Function that checks whether a writer can take on an order */
+  static async checkCapacity (writerId, order, transaction) {
+    const CAPACITIES = await WriterCapacityHelper.getCapacities([writerId], transaction)
+    return WriterCapacityHelper.assessCapacity(CAPACITIES[writerId], order)
+  }
+}
+
+module.exports = WriterCapacityHelper
@@ -0,0 +1,485 @@
+'use strict'
+
+/* Module that handles the messaging on orders. Every order has a single chat, whose participants are the client of
+* the order, its assigned writer and support i.e. the admins. A message can carry attachments, which are saved as
+* order files of type 'Chat Attachment' and are downloaded through the download tokens, like any other order file.
+* Every participant has a pointer to the latest message he or she has read, from which the unread counts and the
+* read receipts are worked out. A deleted message is hidden from the client and the writer, but is kept for
+* moderation by support */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Admin,
+  Chat,
+  ChatContent,
+  ChatRead,
+  Client,
+  Order,
+  OrderFile,
+  OrderFileType,
+  User,
+  Writer,
+  WriterOrder
+} = require('../../models')
+
+/* Importing the 'Op' operator in sequelize, which is used to conduct greater-than, less-than e.t.c operations */
+const { Op } = require('sequelize')
+
+/* Importing the helper used to get the parties of an order and to save files */
+const ORDERS_HELPER = require('./order')
+
+/* Importing the service that pushes the new messages to the other participants */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* The default and maximum number of messages in a page of the history of a chat */
+const MESSAGES_PAGE_SIZE = 30
+const MAX_MESSAGES_PAGE_SIZE = 100
+
+/* The maximum length of a message, and the maximum number of attachments of a message */
+const MAX_MESSAGE_LENGTH = 5000
+const MAX_ATTACHMENTS = 5
+
+/* The class that handles the order messaging logic */
+class OrderChatsHelper {
+  /* Function that gets a user by email, together with the party of an order that the user is i.e. 'client',
+  * 'writer', 'support' for an admin, or null if the user cannot take part in the chat of the order */
+  static async getParticipant (email, orderId, transaction) {
+    const USER = await User.findOne({
+      where: {
+        email: email.toLowerCase()
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    if (!USER) {
+      return { user: null, order: null, party: null }
+    }
+    const { order: ORDER, party: PARTY } = await ORDERS_HELPER.getOrderParties(orderId, USER.id, transaction)
+    if (!ORDER || PARTY) {
+      return { user: USER, order: ORDER, party: PARTY }
+    }
+    const ADMIN = await Admin.findOne({
+      where: {
+        userId: USER.id
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    return { user: USER, order: ORDER, party: ADMIN ? 'support' : null }
+  }
+
+  /* Function that gets the chat of an order, creating it in case it does not exist yet */
+  static async getOrderChat (orderId, transaction) {
+    const [CHAT] = await Chat.findOrCreate({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      defaults: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      transaction: transaction
+    })
+    return CHAT
+  }
+
+  /* Function that moves the read pointer of a participant forward to a message. The pointer never moves back */
+  static async markRead (chatId, userId, chatContentId, transaction) {
+    const READ = await ChatRead.findOne({
+      where: {
+        chatId: chatId,
+        userId: userId
+      },
+      transaction: transaction,
+      lock: transaction ? transaction.LOCK.UPDATE : undefined
+    })
+    if (!READ) {
+      return await ChatRead.create({
+        chatId: chatId,
+        userId: userId,
+        lastReadContentId: chatContentId,
+        readAt: new Date()
+      }, { transaction: transaction })
+    }
+    if (READ.lastReadContentId >= chatContentId) {
+      return READ
+    }
+    return await READ.update({
+      lastReadContentId: chatContentId,
+      readAt: new Date()
+    }, { transaction: transaction })
+  }
+
+  /* Function that counts the messages of a chat that a participant is yet to read */
+  static async countUnread (chatId, userId, transaction) {
+    const READ = await ChatRead.findOne({
+      where: {
+        chatId: chatId,
+        userId: userId
+      },
+      attributes: ['lastReadContentId'],
+      transaction: transaction
+    })
+    return await ChatContent.count({
+      where: {
+        chatId: chatId,
+        senderId: {
+          [Op.ne]: userId
+        },
+        isDeleted: false,
+        id: {
+          [Op.gt]: READ ? READ.lastReadContentId : 0
+        }
+      },
+      transaction: transaction
+    })
+  }
+
+  /* Function that lets a participant of an order send a message, with or without attachments */
+  static async sendMessage (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const MESSAGE = typeof req.message === 'string' ? req.message.trim() : ''
+        const ATTACHMENTS = Array.isArray(req.attachments) ? req.attachments : []
+        if (!MESSAGE && ATTACHMENTS.length === 0) {
+          return { success: false, message: 'Message is empty' }
+        }
+        if (MESSAGE.length > MAX_MESSAGE_LENGTH) {
+          return { success: false, message: `Message should not be longer than ${MAX_MESSAGE_LENGTH} characters` }
+        }
+        if (ATTACHMENTS.length > MAX_ATTACHMENTS) {
+          return { success: false, message: `A message can have at most ${MAX_ATTACHMENTS} attachments` }
+        }
+        const { user: USER, party: PARTY } = await OrderChatsHelper.getParticipant(req.email, req.orderId, t)
+        if (!PARTY) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        const CHAT = await OrderChatsHelper.getOrderChat(req.orderId, t)
+        const CONTENT = await ChatContent.create({
+          chatId: CHAT.id,
+          senderId: USER.id,
+          message: MESSAGE,
+          isDeleted: false
+        }, { transaction: t })
+        const SAVED_ATTACHMENTS = []
+        if (ATTACHMENTS.length > 0) {
+          const ORDER_FILE_TYPE = await OrderFileType.findOne({
+            where: {
+              type: 'Chat Attachment'
+            },
+            attributes: ['id'],
+            transaction: t
+          })
+          for (const ATTACHMENT of ATTACHMENTS) {
+            const SAVED = await ORDERS_HELPER.saveOrderFile(req.orderId, ORDER_FILE_TYPE.id, ATTACHMENT, {
+              uploadedBy: USER.id,
+              chatContentId: CONTENT.id,
+              transaction: t
+            })
+            SAVED_ATTACHMENTS.push({ orderFileId: SAVED.orderFile.id, originalName: SAVED.orderFile.originalName })
+          }
+        }
+        /* The sender has read his or her own message, and everything before it */
+        await OrderChatsHelper.markRead(CHAT.id, USER.id, CONTENT.id, t)
+        await EVENTS_SERVICE.publishToOrder(req.orderId, 'message.new', { messageId: CONTENT.id }, {
+          exclude: USER.id,
+          transaction: t
+        })
+        return {
+          success: true,
+          messageId: CONTENT.id,
+          sentAt: CONTENT.createdAt,
+          attachments: SAVED_ATTACHMENTS
+        }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the history of the chat of an order, a page at a time, from the latest message. The pages
+  * are fetched using a cursor, which is returned with every page as 'nextCursor' and sent back to get the older
+  * messages. The messages of a page are in the order they were sent, and each carries its read receipts */
+  static async getMessages (req) {
+    try {
+      const { user: USER, order: ORDER, party: PARTY } = await OrderChatsHelper.getParticipant(req.email,
+        req.orderId)
+      if (!PARTY) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const CHAT = await Chat.findOne({
+        where: {
+          orderId: req.orderId,
+          isDeleted: false
+        },
+        attributes: ['id']
+      })
+      if (!CHAT) {
+        return { success: true, messages: [], nextCursor: null, unreadCount: 0 }
+      }
+      const LIMIT = Math.min(Number(req.limit) || MESSAGES_PAGE_SIZE, MAX_MESSAGES_PAGE_SIZE)
+      const SUPPORT = PARTY === 'support'
+      /* One more message than the page is fetched, to tell whether there is an older page */
+      const [CONTENTS, READS, UNREAD_COUNT] = await Promise.all([
+        ChatContent.findAll({
+          where: {
+            chatId: CHAT.id,
+            ...(req.cursor ? { id: { [Op.lt]: Number(req.cursor) } } : {})
+          },
+          attributes: ['id', 'senderId', 'message', 'isDeleted', 'deletedBy', 'deletedAt', 'createdAt'],
+          order: [
+            ['id', 'DESC']
+          ],
+          limit: LIMIT + 1
+        }),
+        ChatRead.findAll({
+          where: {
+            chatId: CHAT.id
+          },
+          attributes: ['userId', 'lastReadContentId', 'readAt']
+        }),
+        OrderChatsHelper.countUnread(CHAT.id, USER.id)
+      ])
+      const PAGE = CONTENTS.slice(0, LIMIT)
+      const [ATTACHMENTS, ADMINS] = await Promise.all([
+        OrderFile.findAll({
+          where: {
+            chatContentId: PAGE.map(content => content.id),
+            isDeleted: false
+          },
+          attributes: ['id', 'chatContentId', 'originalName']
+        }),
+        Admin.findAll({
+          where: {
+            userId: [...new Set([...PAGE.map(content => content.senderId), ...READS.map(read => read.userId)])]
+          },
+          attributes: ['userId']
+        })
+      ])
+      /* The party of a user in the chat. A user who is neither the client, the writer nor an admin is a writer
+      * that the order has since been taken away from */
+      const WRITER_ORDER = ORDER.WriterOrder[0]
+      const ADMIN_USER_IDS = ADMINS.map(admin => admin.userId)
+      const PARTY_OF = userId => {
+        if (userId === ORDER.Client.userId) return 'client'
+        if (WRITER_ORDER && userId === WRITER_ORDER.Writer.userId) return 'writer'
+        return ADMIN_USER_IDS.includes(userId) ? 'support' : 'writer'
+      }
+      const MESSAGES = PAGE.reverse().map(content => {
+        const HIDDEN = content.isDeleted && !SUPPORT
+        return {
+          id: content.id,
+          sender: PARTY_OF(content.senderId),
+          mine: content.senderId === USER.id,
+          message: HIDDEN ? null : content.message,
+          attachments: HIDDEN
+            ? []
+            : ATTACHMENTS
+              .filter(attachment => attachment.chatContentId === content.id)
+              .map(attachment => ({ orderFileId: attachment.id, originalName: attachment.originalName })),
+          deleted: content.isDeleted,
+          ...(SUPPORT && content.isDeleted ? { deletedBy: content.deletedBy, deletedAt: content.deletedAt } : {}),
+          sentAt: content.createdAt,
+          /* A participant has read a message once his or her read pointer is at or past it */
+          readBy: READS
+            .filter(read => read.userId !== content.senderId && read.lastReadContentId >= content.id)
+            .map(read => ({ party: PARTY_OF(read.userId), readAt: read.readAt }))
+        }
+      })
+      return {
+        success: true,
+        messages: MESSAGES,
+        nextCursor: CONTENTS.length > LIMIT ? PAGE[0].id : null,
+        unreadCount: UNREAD_COUNT
+      }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that marks the messages of the chat of an order as read by a participant, up to a given message or
+  * else up to the latest message */
+  static async markMessagesRead (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const { user: USER, party: PARTY } = await OrderChatsHelper.getParticipant(req.email, req.orderId, t)
+        if (!PARTY) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        const CHAT = await Chat.findOne({
+          where: {
+            orderId: req.orderId,
+            isDeleted: false
+          },
+          attributes: ['id'],
+          transaction: t
+        })
+        const LATEST_CONTENT_ID = CHAT && await ChatContent.max('id', {
+          where: {
+            chatId: CHAT.id,
+            ...(req.messageId ? { id: { [Op.lte]: Number(req.messageId) } } : {})
+          },
+          transaction: t
+        })
+        if (!LATEST_CONTENT_ID) {
+          return { success: true, unreadCount: 0 }
+        }
+        await OrderChatsHelper.markRead(CHAT.id, USER.id, LATEST_CONTENT_ID, t)
+        return { success: true, unreadCount: await OrderChatsHelper.countUnread(CHAT.id, USER.id, t) }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the number of unread messages on each of the orders of a client or a writer */
+  static async getUnreadCounts (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      if (!USER) {
+        return { success: false, message: 'User does not exist' }
+      }
+      const [CLIENT_ORDERS, WRITER_ORDERS] = await Promise.all([
+        Order.findAll({
+          where: {
+            isDeleted: false
+          },
+          attributes: ['id'],
+          include: [
+            {
+              model: Client,
+              as: 'Client',
+              attributes: [],
+              where: {
+                userId: USER.id
+              }
+            }
+          ]
+        }),
+        WriterOrder.findAll({
+          where: {
+            isDeleted: false
+          },
+          attributes: ['orderId'],
+          include: [
+            {
+              model: Writer,
+              as: 'Writer',
+              attributes: [],
+              where: {
+                userId: USER.id
+              }
+            }
+          ]
+        })
+      ])
+      const CHATS = await Chat.findAll({
+        where: {
+          orderId: [...CLIENT_ORDERS.map(order => order.id), ...WRITER_ORDERS.map(writerOrder => writerOrder.orderId)],
+          isDeleted: false
+        },
+        attributes: ['id', 'orderId'],
+        include: [
+          {
+            model: ChatRead,
+            as: 'ChatRead',
+            attributes: ['lastReadContentId'],
+            required: false,
+            where: {
+              userId: USER.id
+            }
+          }
+        ]
+      })
+      if (CHATS.length === 0) {
+        return { success: true, unread: [], totalUnread: 0 }
+      }
+      /* Count the messages past the read pointer of every chat in one go */
+      const COUNTS = await ChatContent.count({
+        where: {
+          [Op.or]: CHATS.map(chat => ({
+            chatId: chat.id,
+            id: {
+              [Op.gt]: chat.ChatRead.length > 0 ? chat.ChatRead[0].lastReadContentId : 0
+            }
+          })),
+          senderId: {
+            [Op.ne]: USER.id
+          },
+          isDeleted: false
+        },
+        group: ['chatId']
+      })
+      const UNREAD = CHATS
+        .map(chat => {
+          const COUNT = COUNTS.find(count => count.chatId === chat.id)
+          return { orderId: chat.orderId, unreadCount: COUNT ? Number(COUNT.count) : 0 }
+        })
+        .filter(unread => unread.unreadCount > 0)
+      return {
+        success: true,
+        unread: UNREAD,
+        totalUnread: UNREAD.reduce((total, unread) => total + unread.unreadCount, 0)
+      }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that deletes a message. The sender of a message can delete it, as can support. The message is only
+  * flagged as deleted, and is kept for moderation */
+  static async deleteMessage (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const CONTENT = await ChatContent.findOne({
+          where: {
+            id: req.messageId,
+            isDeleted: false
+          },
+          include: [
+            {
+              model: Chat,
+              as: 'Chat',
+              attributes: ['orderId'],
+              where: {
+                orderId: {
+                  [Op.ne]: null
+                }
+              }
+            }
+          ],
+          transaction: t,
+          lock: { level: t.LOCK.UPDATE, of: ChatContent }
+        })
+        if (!CONTENT) {
+          return { success: false, message: 'Message does not exist' }
+        }
+        const { user: USER, party: PARTY } = await OrderChatsHelper.getParticipant(req.email,
+          CONTENT.Chat.orderId, t)
+        if (!PARTY || (PARTY !== 'support' && CONTENT.senderId !== USER.id)) {
+          return { success: false, message: 'Only the sender of a message or support can delete it' }
+        }
+        await CONTENT.update({
+          isDeleted: true,
+          deletedBy: USER.id,
+          deletedAt: new Date()
+        }, { transaction: t })
+        return { success: true }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = OrderChatsHelper
@@ -0,0 +1,329 @@
+'use strict'
+
+/* Module that handles the disputes on orders i.e. a client or a writer opening a dispute, both of them giving
+* their statements and evidence, and an admin resolving the dispute */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Admin,
+  DisputeStatement,
+  Order,
+  OrderDispute,
+  OrderFile,
+  OrderFileType,
+  OrderRevision,
+  User
+} = require('../../models')
+
+/* Importing the helpers used to save files, change the status of orders and update balances */
+const ORDERS_HELPER = require('./order')
+const LIFECYCLE_HELPER = require('./lifecycle')
+const PAYMENTS_HELPER = require('../payments/payment')
+
+/* Importing the service that parses deadlines in the timezones of the clients */
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+/* The categories of the reasons for which a dispute can be opened */
+const DISPUTE_REASON_CATEGORIES = [
+  'Poor quality',
+  'Plagiarism',
+  'Instructions not followed',
+  'Missed deadline',
+  'Unresponsive party',
+  'Other'
+]
+
+/* The outcomes with which an admin can resolve a dispute, together with the status the order moves to */
+const DISPUTE_OUTCOMES = {
+  'Release to writer': 'Completed',
+  'Partial refund': 'Completed',
+  'Full refund': 'Cancelled',
+  'Forced revision': 'Undergoing revision'
+}
+
+/* The class that handles the dispute logic */
+class DisputesHelper {
+  /* Function that gets a user by email, together with whether the user is an admin */
+  static async getUser (email) {
+    const USER = await User.findOne({
+      where: {
+        email: email.toLowerCase()
+      },
+      attributes: ['id']
+    })
+    if (!USER) return { user: null, admin: false }
+    const ADMIN = await Admin.findOne({
+      where: {
+        userId: USER.id
+      },
+      attributes: ['id']
+    })
+    return { user: USER, admin: !!ADMIN }
+  }
+
+  /* Function that saves the evidence files of a dispute as order files of type 'Dispute Evidence' */
+  static async saveEvidence (orderId, disputeId, evidenceFiles = [], uploadedBy, transaction) {
+    if (evidenceFiles.length === 0) return []
+    const ORDER_FILE_TYPE = await OrderFileType.findOne({
+      where: {
+        type: 'Dispute Evidence'
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    const SAVED_FILES = []
+    for (const EVIDENCE_FILE of evidenceFiles) {
+      SAVED_FILES.push(await ORDERS_HELPER.saveOrderFile(orderId, ORDER_FILE_TYPE.id, EVIDENCE_FILE, {
+        uploadedBy: uploadedBy,
+        disputeId: disputeId,
+        transaction: transaction
+      }))
+    }
+    return SAVED_FILES
+  }
+
+  /* Function that lets the client or the writer of an order open a dispute on it */
+  static async openDispute (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        if (!DISPUTE_REASON_CATEGORIES.includes(req.reasonCategory)) {
+          return { success: false, message: 'Invalid reason category' }
+        }
+        const { user: USER } = await DisputesHelper.getUser(req.email)
+        const { order: ORDER, party: PARTY } = USER
+          ? await ORDERS_HELPER.getOrderParties(req.orderId, USER.id, t)
+          : {}
+        if (!ORDER || !PARTY) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        /* Move the order to 'Disputed' first, which also makes sure that the order is at a position where it can
+        * be disputed */
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Disputed', {
+          actor: USER.id,
+          reason: 'Dispute opened',
+          transaction: t
+        })
+        if (STATUS_UPDATED.unchanged) {
+          return { success: false, message: 'Order is already disputed' }
+        }
+        if (!STATUS_UPDATED.transitioned) {
+          return { success: false, message: STATUS_UPDATED.message }
+        }
+        const DISPUTE = await OrderDispute.create({
+          orderId: req.orderId,
+          openedBy: USER.id,
+          reasonCategory: req.reasonCategory,
+          description: req.description,
+          resolved: false,
+          isDeleted: false
+        }, { transaction: t })
+        await DisputesHelper.saveEvidence(req.orderId, DISPUTE.id, req.evidenceFiles, USER.id, t)
+        return { success: true, disputeId: DISPUTE.id }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets the client or the writer of a disputed order give a statement, plus more evidence */
+  static async addDisputeStatement (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const { user: USER } = await DisputesHelper.getUser(req.email)
+        const DISPUTE = await OrderDispute.findOne({
+          where: {
+            id: req.disputeId,
+            resolved: false,
+            isDeleted: false
+          },
+          attributes: ['id', 'orderId'],
+          transaction: t
+        })
+        if (!USER || !DISPUTE) {
+          return { success: false, message: 'Dispute does not exist' }
+        }
+        const { party: PARTY } = await ORDERS_HELPER.getOrderParties(DISPUTE.orderId, USER.id, t)
+        if (!PARTY) {
+          return { success: false, message: 'Dispute does not exist' }
+        }
+        await DisputeStatement.create({
+          disputeId: DISPUTE.id,
+          userId: USER.id,
+          party: PARTY,
+          statement: req.statement,
+          isDeleted: false
+        }, { transaction: t })
+        await DisputesHelper.saveEvidence(DISPUTE.orderId, DISPUTE.id, req.evidenceFiles, USER.id, t)
+        return { success: true }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the disputes on an order, together with their statements and evidence. Only the client, the
+  * writer of the order and admins can view them */
+  static async getOrderDisputes (req) {
+    try {
+      const { user: USER, admin: ADMIN } = await DisputesHelper.getUser(req.email)
+      const { order: ORDER, party: PARTY } = USER
+        ? await ORDERS_HELPER.getOrderParties(req.orderId, USER.id)
+        : {}
+      if (!ORDER || (!PARTY && !ADMIN)) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const DISPUTES = await OrderDispute.findAll({
+        where: {
+          orderId: req.orderId,
+          isDeleted: false
+        },
+        attributes: ['id', 'openedBy', 'reasonCategory', 'description', 'resolved', 'outcome', 'refundAmount',
+          'resolutionNote', 'resolvedAt', 'createdAt'],
+        include: [
+          {
+            model: DisputeStatement,
+            as: 'DisputeStatement',
+            attributes: ['userId', 'party', 'statement', 'createdAt'],
+            required: false,
+            where: {
+              isDeleted: false
+            }
+          },
+          {
+            model: OrderFile,
+            as: 'OrderFile',
+            attributes: ['id', 'originalName', 'createdAt'],
+            required: false,
+            where: {
+              isDeleted: false
+            }
+          }
+        ],
+        order: [
+          ['createdAt', 'ASC'],
+          [{ model: DisputeStatement, as: 'DisputeStatement' }, 'createdAt', 'ASC']
+        ]
+      })
+      return { success: true, disputes: DISPUTES }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets an admin resolve a dispute. Depending on the outcome, the order is completed, cancelled or
+  * sent back for revision, and the client and writer balances are credited with their shares of the order price:
+  * - 'Release to writer': the writer is credited his or her share of the whole price.
+  * - 'Partial refund': the client is credited the refund amount, and the writer his or her share of the rest.
+  * - 'Full refund': the client is credited the whole price, and whatever the writer earned on the order is taken
+  *   back, in case the order had been completed before the dispute.
+  * - 'Forced revision': the writer has to revise the paper by the given deadline, as per the given instructions */
+  static async resolveDispute (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const TO_STATUS = DISPUTE_OUTCOMES[req.outcome]
+        if (!TO_STATUS) {
+          return { success: false, message: 'Invalid outcome' }
+        }
+        const { user: USER, admin: ADMIN } = await DisputesHelper.getUser(req.email)
+        if (!ADMIN) {
+          return { success: false, message: 'Only admins can resolve disputes' }
+        }
+        /* Lock the dispute, so that it cannot be resolved twice */
+        const DISPUTE = await OrderDispute.findOne({
+          where: {
+            id: req.disputeId,
+            resolved: false,
+            isDeleted: false
+          },
+          attributes: ['id', 'orderId'],
+          include: [{ model: Order, as: 'Order', attributes: ['clientId'] }],
+          transaction: t,
+          lock: { level: t.LOCK.UPDATE, of: OrderDispute }
+        })
+        if (!DISPUTE) {
+          return { success: false, message: 'Dispute does not exist' }
+        }
+        /* The refunds are out of what the client has paid on the order and its charges, less earlier refunds */
+        const AMOUNT_PAID = await PAYMENTS_HELPER.getNetAmountPaid(DISPUTE.orderId, t)
+        let refundAmount = null
+        let revisionDeadline = null
+        if (req.outcome === 'Partial refund') {
+          refundAmount = PAYMENTS_HELPER.roundPrice(Number(req.refundAmount))
+          if (!(refundAmount > 0 && refundAmount < AMOUNT_PAID)) {
+            return { success: false, message: 'Refund amount should be more than 0 and less than the amount paid' }
+          }
+        } else if (req.outcome === 'Full refund') {
+          refundAmount = AMOUNT_PAID
+        } else if (req.outcome === 'Forced revision') {
+          /* A deadline without a UTC offset is in the timezone of the client */
+          revisionDeadline = DEADLINE_SERVICE.parseDeadline(req.revisionDeadline,
+            await PAYMENTS_HELPER.getClientTimezone({ clientId: DISPUTE.Order.clientId }))
+          if (!revisionDeadline || revisionDeadline.getTime() <= new Date().getTime()) {
+            return { success: false, message: 'Revision deadline should be in the future' }
+          }
+        }
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(DISPUTE.orderId, TO_STATUS, {
+          actor: USER.id,
+          reason: 'Dispute resolved: '.concat(req.outcome),
+          transaction: t
+        })
+        if (!STATUS_UPDATED.transitioned) {
+          return { success: false, message: STATUS_UPDATED.message }
+        }
+        /* Then credit the balances */
+        if (refundAmount) {
+          await PAYMENTS_HELPER.refundClientPayment(DISPUTE.orderId, refundAmount, {
+            policy: req.outcome === 'Full refund' ? 'Full' : 'Partial',
+            reason: 'Dispute resolved: '.concat(req.outcome),
+            actor: USER.id,
+            transaction: t
+          })
+        }
+        if (['Release to writer', 'Partial refund', 'Full refund'].includes(req.outcome)) {
+          await PAYMENTS_HELPER.creditWriterEarning(DISPUTE.orderId, {
+            actor: USER.id,
+            reason: 'Dispute resolved: '.concat(req.outcome),
+            transaction: t
+          })
+        }
+        if (req.outcome === 'Forced revision') {
+          await OrderRevision.create({
+            orderId: DISPUTE.orderId,
+            revisionInstructions: req.revisionInstructions || {},
+            deadline: revisionDeadline,
+            submitted: false,
+            creator: USER.id,
+            isDeleted: false
+          }, { transaction: t })
+        }
+        await OrderDispute.update({
+          resolved: true,
+          outcome: req.outcome,
+          refundAmount: refundAmount,
+          resolutionNote: req.resolutionNote,
+          resolvedBy: USER.id,
+          resolvedAt: new Date()
+        }, {
+          where: {
+            id: DISPUTE.id
+          },
+          transaction: t
+        })
+        return { success: true, orderStatus: TO_STATUS }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that returns the categories of the reasons for which a dispute can be opened */
+  static getReasonCategories () {
+    return { success: true, reasonCategories: DISPUTE_REASON_CATEGORIES }
+  }
+}
+
+module.exports = DisputesHelper
@@ -0,0 +1,323 @@
+'use strict'
+
+/* Module that handles the deadline extension requests on orders. Either the writer or the client of an order
+* proposes a new deadline together with a reason, and the other party accepts or declines it. A proposal can also
+* shorten the deadline, in which case the order is priced again as per the price increments of the new deadline. On
+* an order that has been paid for, the difference in price is charged on its own, and the shorter deadline only
+* takes effect once the charge is paid for */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  DeadlineExtension,
+  Order,
+  OrderPaymentDetail,
+  OrderStatus,
+  User
+} = require('../../models')
+
+/* Importing the helpers used to get the parties of an order, to price orders, to tell whether an order has been
+* paid for and to charge the shorter deadlines */
+const ORDERS_HELPER = require('./order')
+const PAYMENTS_HELPER = require('../payments/payment')
+const LIFECYCLE_HELPER = require('./lifecycle')
+const CHARGES_HELPER = require('../payments/charge')
+
+/* Importing the service that parses deadlines in the timezones of the clients */
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+/* The class that handles the deadline extension logic */
+class DeadlineExtensionsHelper {
+  /* Function that gets an order whose deadline can be changed. It returns null otherwise */
+  static async getExtensibleOrder (orderId, transaction) {
+    const ORDER = await Order.findOne({
+      where: {
+        id: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'clientId', 'assignmentType', 'serviceTypeId', 'studyLevelId', 'pageCount', 'deadline'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: ['status']
+        }
+      ],
+      transaction: transaction,
+      lock: transaction ? { level: transaction.LOCK.UPDATE, of: Order } : undefined
+    })
+    if (!ORDER || !LIFECYCLE_HELPER.isExtensibleStatus(ORDER.OrderStatus.status)) {
+      return null
+    }
+    return ORDER
+  }
+
+  /* Function that prices the change of an order to a shorter deadline. The current and the new deadline are both
+  * priced from now, such that the difference is only what the shorter deadline adds to the urgency of the order,
+  * however long ago the order was posted. It returns the new price of the order, which is the current price plus
+  * that difference. The difference is never negative, since only shorter deadlines are priced again */
+  static async priceNewDeadline (order, deadline, transaction) {
+    const PAYMENT_DETAIL = await OrderPaymentDetail.findOne({
+      where: {
+        orderId: order.id,
+        isDeleted: false
+      },
+      attributes: ['id', 'cpp', 'totalPrice'],
+      transaction: transaction
+    })
+    if (!PAYMENT_DETAIL) {
+      return { priced: false, message: 'Order has not been priced' }
+    }
+    /* The extras keep the prices they were bought at, hence they are left out of both quotes */
+    const ORDER_DETAILS = {
+      assignmentType: order.assignmentType,
+      serviceTypeId: order.serviceTypeId,
+      studyLevelId: order.studyLevelId,
+      pageCount: order.pageCount,
+      extras: []
+    }
+    const [CURRENT_QUOTE, NEW_QUOTE] = await Promise.all([
+      PAYMENTS_HELPER.calculateQuote({ ...ORDER_DETAILS, deadline: order.deadline }),
+      PAYMENTS_HELPER.calculateQuote({ ...ORDER_DETAILS, deadline: deadline })
+    ])
+    if (!CURRENT_QUOTE.quoted || !NEW_QUOTE.quoted) {
+      return { priced: false, message: CURRENT_QUOTE.message || NEW_QUOTE.message }
+    }
+    const PRICE_DIFFERENCE = Math.max(NEW_QUOTE.totalPrice - CURRENT_QUOTE.totalPrice, 0)
+    return {
+      priced: true,
+      paymentDetailId: PAYMENT_DETAIL.id,
+      cpp: PAYMENTS_HELPER.roundPrice(PAYMENT_DETAIL.cpp + Math.max(NEW_QUOTE.cpp - CURRENT_QUOTE.cpp, 0)),
+      totalPrice: Math.round(PAYMENT_DETAIL.totalPrice + PRICE_DIFFERENCE),
+      priceDifference: PRICE_DIFFERENCE
+    }
+  }
+
+  /* Function that checks a proposed deadline. It has to be in the future, and different from the current one. It
+  * returns the deadline, plus whether it shortens the current one, or a message in case it is not valid */
+  static checkProposedDeadline (order, deadline) {
+    const DEADLINE = new Date(deadline)
+    const CURRENT_DEADLINE = new Date(order.deadline)
+    if (!deadline || isNaN(DEADLINE.getTime()) || DEADLINE.getTime() <= new Date().getTime()) {
+      return { valid: false, message: 'Deadline should be in the future' }
+    }
+    if (DEADLINE.getTime() === CURRENT_DEADLINE.getTime()) {
+      return { valid: false, message: 'Deadline is the same as the current one' }
+    }
+    return { valid: true, deadline: DEADLINE, shortened: DEADLINE.getTime() < CURRENT_DEADLINE.getTime() }
+  }
+
+  /* Function that lets the writer or the client of an order propose a new deadline */
+  static async requestExtension (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const USER = await User.findOne({
+          where: {
+            email: req.email.toLowerCase()
+          },
+          attributes: ['id']
+        })
+        const { party: PARTY } = USER ? await ORDERS_HELPER.getOrderParties(req.orderId, USER.id, t) : {}
+        if (!PARTY) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        const ORDER = await DeadlineExtensionsHelper.getExtensibleOrder(req.orderId, t)
+        if (!ORDER) {
+          return { success: false, message: 'Order deadline cannot be changed at this point' }
+        }
+        const PENDING_EXTENSION = await DeadlineExtension.findOne({
+          where: {
+            orderId: req.orderId,
+            status: 'Pending',
+            isDeleted: false
+          },
+          attributes: ['id'],
+          transaction: t
+        })
+        if (PENDING_EXTENSION) {
+          return { success: false, message: 'Order already has a pending deadline change' }
+        }
+        /* A deadline without a UTC offset is in the timezone of the client */
+        const TIMEZONE = await PAYMENTS_HELPER.getClientTimezone({ clientId: ORDER.clientId })
+        const PROPOSED = DeadlineExtensionsHelper.checkProposedDeadline(ORDER,
+          DEADLINE_SERVICE.parseDeadline(req.deadline, TIMEZONE))
+        if (!PROPOSED.valid) {
+          return { success: false, message: PROPOSED.message }
+        }
+        /* Let the other party know how much more a shorter deadline costs */
+        let priceDifference = 0
+        if (PROPOSED.shortened) {
+          const PRICE = await DeadlineExtensionsHelper.priceNewDeadline(ORDER, PROPOSED.deadline, t)
+          if (!PRICE.priced) {
+            return { success: false, message: PRICE.message }
+          }
+          priceDifference = PRICE.priceDifference
+        }
+        /* A new proposal replaces a shorter deadline that is yet to be paid for */
+        await CHARGES_HELPER.withdrawCharges(req.orderId, {
+          type: CHARGES_HELPER.CHARGE_TYPES.SHORTER_DEADLINE
+        }, t)
+        const EXTENSION = await DeadlineExtension.create({
+          orderId: req.orderId,
+          requestedBy: USER.id,
+          party: PARTY,
+          previousDeadline: ORDER.deadline,
+          deadline: PROPOSED.deadline,
+          reason: req.reason,
+          status: 'Pending',
+          priceDifference: priceDifference,
+          isDeleted: false
+        }, { transaction: t })
+        return {
+          success: true,
+          extensionId: EXTENSION.id,
+          ...DEADLINE_SERVICE.describe(PROPOSED.deadline),
+          priceDifference: priceDifference
+        }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets the other party of an order accept or decline a proposed deadline. An accepted deadline
+  * replaces the order's deadline, and a shorter one also replaces the price of an order that is yet to be paid for.
+  * The difference in price is returned as the amount due from the client. On an order that has been paid for, it is
+  * charged on its own instead, and the deadline waits as 'Unpaid' until the charge is paid for */
+  static async respondToExtension (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const USER = await User.findOne({
+          where: {
+            email: req.email.toLowerCase()
+          },
+          attributes: ['id']
+        })
+        const EXTENSION = await DeadlineExtension.findOne({
+          where: {
+            id: req.extensionId,
+            status: 'Pending',
+            isDeleted: false
+          },
+          transaction: t,
+          lock: t.LOCK.UPDATE
+        })
+        if (!USER || !EXTENSION) {
+          return { success: false, message: 'Deadline change does not exist' }
+        }
+        const { party: PARTY } = await ORDERS_HELPER.getOrderParties(EXTENSION.orderId, USER.id, t)
+        if (!PARTY || PARTY === EXTENSION.party) {
+          return { success: false, message: 'Only the other party of the order can respond' }
+        }
+        const RESPONSE = {
+          respondedBy: USER.id,
+          respondedAt: new Date()
+        }
+        if (!req.accept) {
+          await EXTENSION.update({ ...RESPONSE, status: 'Declined' }, { transaction: t })
+          return { success: true, status: 'Declined' }
+        }
+        const ORDER = await DeadlineExtensionsHelper.getExtensibleOrder(EXTENSION.orderId, t)
+        if (!ORDER) {
+          return { success: false, message: 'Order deadline cannot be changed at this point' }
+        }
+        /* The proposed deadline is checked again, since time has passed since it was proposed */
+        const PROPOSED = DeadlineExtensionsHelper.checkProposedDeadline(ORDER, EXTENSION.deadline)
+        if (!PROPOSED.valid) {
+          return { success: false, message: PROPOSED.message }
+        }
+        let priceDifference = 0
+        if (PROPOSED.shortened) {
+          const PRICE = await DeadlineExtensionsHelper.priceNewDeadline(ORDER, PROPOSED.deadline, t)
+          if (!PRICE.priced) {
+            return { success: false, message: PRICE.message }
+          }
+          priceDifference = PRICE.priceDifference
+          if (priceDifference > 0 && await LIFECYCLE_HELPER.orderIsPaidFor(EXTENSION.orderId, t)) {
+            await EXTENSION.update({ ...RESPONSE, status: 'Unpaid', priceDifference: priceDifference },
+              { transaction: t })
+            const CHARGE = await CHARGES_HELPER.createCharge({
+              orderId: EXTENSION.orderId,
+              type: CHARGES_HELPER.CHARGE_TYPES.SHORTER_DEADLINE,
+              amount: priceDifference,
+              deadlineExtensionId: EXTENSION.id
+            }, t)
+            return {
+              success: true,
+              status: 'Unpaid',
+              ...DEADLINE_SERVICE.describe(EXTENSION.deadline),
+              amountDue: CHARGE.amount,
+              chargeId: CHARGE.id
+            }
+          }
+          if (priceDifference > 0) {
+            await OrderPaymentDetail.update({
+              cpp: PRICE.cpp,
+              totalPrice: PRICE.totalPrice
+            }, {
+              where: {
+                id: PRICE.paymentDetailId
+              },
+              transaction: t
+            })
+          }
+        }
+        /* A deadline in the future means the order is no longer overdue */
+        await Order.update({
+          deadline: EXTENSION.deadline,
+          overdueAt: null
+        }, {
+          where: {
+            id: EXTENSION.orderId
+          },
+          transaction: t
+        })
+        await EXTENSION.update({ ...RESPONSE, status: 'Accepted', priceDifference: priceDifference },
+          { transaction: t })
+        return {
+          success: true,
+          status: 'Accepted',
+          ...DEADLINE_SERVICE.describe(EXTENSION.deadline),
+          amountDue: priceDifference
+        }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the deadline changes proposed on an order, to its client and writer */
+  static async getOrderExtensions (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const { party: PARTY } = USER ? await ORDERS_HELPER.getOrderParties(req.orderId, USER.id) : {}
+      if (!PARTY) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const EXTENSIONS = await DeadlineExtension.findAll({
+        where: {
+          orderId: req.orderId,
+          isDeleted: false
+        },
+        attributes: ['id', 'party', 'previousDeadline', 'deadline', 'reason', 'status', 'priceDifference',
+          'respondedAt', 'createdAt'],
+        order: [
+          ['createdAt', 'ASC']
+        ]
+      })
+      return { success: true, extensions: EXTENSIONS }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = DeadlineExtensionsHelper
@@ -0,0 +1,162 @@
+'use strict'
+
+/* Module that handles the access to order files. The file URLs are never handed to the frontends. Instead, the
+* client, the assigned writer or an admin asks for a short-lived download token for a file, which is exchanged for
+* the file when downloading it. The file is fetched from its storage by the dbms and streamed on, such that its URL
+* never leaves the dbms. Every download, and every failed attempt, is logged in the access log */
+
+/* Importing the stream module, which is used to stream the files fetched from their storage */
+const { Readable } = require('stream')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  AccessLog,
+  AccountType,
+  Admin,
+  OrderFile,
+  OrderFileVersion,
+  User
+} = require('../../models')
+
+/* Importing the helper used to get the parties of an order */
+const ORDERS_HELPER = require('./order')
+
+/* Importing the service that signs and verifies the download tokens */
+const FILE_ACCESS_SERVICE = require('../../services/file_access')
+
+/* The number of seconds to wait for the storage of a file to start sending it */
+const FILE_FETCH_TIMEOUT_SECONDS = Number(process.env.FILE_FETCH_TIMEOUT_SECONDS || 30)
+
+/* The account types of the parties of an order, as seeded in the account_type table */
+const PARTY_ACCOUNT_TYPES = {
+  client: 'Client',
+  writer: 'Writer',
+  admin: 'Admin'
+}
+
+/* The class that handles the order file access logic */
+class FileAccessHelper {
+  /* Function that gets a version of an order file, by the version ID or else the latest version of the order file */
+  static async getFileVersion (versionId, orderFileId) {
+    return await OrderFileVersion.findOne({
+      where: {
+        ...(versionId ? { id: versionId } : { orderFileId: orderFileId }),
+        isDeleted: false
+      },
+      attributes: ['id', 'orderFileId', 'fileUrl', 'originalName', 'mimeType'],
+      include: [
+        {
+          model: OrderFile,
+          as: 'OrderFile',
+          attributes: ['orderId'],
+          where: {
+            isDeleted: false
+          }
+        }
+      ],
+      order: [
+        ['version', 'DESC']
+      ]
+    })
+  }
+
+  /* Function that issues a download token for an order file to the client of the order, its assigned writer or an
+  * admin */
+  static async issueDownloadToken (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const VERSION = USER && (req.versionId || req.orderFileId) &&
+        await FileAccessHelper.getFileVersion(req.versionId, req.orderFileId)
+      if (!VERSION) {
+        return { success: false, message: 'File does not exist' }
+      }
+      let { party } = await ORDERS_HELPER.getOrderParties(VERSION.OrderFile.orderId, USER.id)
+      if (!party) {
+        const ADMIN = await Admin.findOne({
+          where: {
+            userId: USER.id
+          },
+          attributes: ['id']
+        })
+        party = ADMIN ? 'admin' : null
+      }
+      if (!party) {
+        return { success: false, message: 'File does not exist' }
+      }
+      const { token: TOKEN, expiresAt: EXPIRES_AT } = FILE_ACCESS_SERVICE.issueToken(VERSION.id, USER.id,
+        PARTY_ACCOUNT_TYPES[party])
+      return { success: true, token: TOKEN, expiresAt: EXPIRES_AT }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that exchanges a download token for the file. The request carries the details of the download
+  * request (IP address, origin, URL and referer) as taken from the HTTP request, which are saved in the access log.
+  * The file is returned as a stream, together with its name and MIME type */
+  static async downloadFile (req) {
+    try {
+      const CLAIMS = FILE_ACCESS_SERVICE.verifyToken(req.token)
+      const VERSION = CLAIMS && await FileAccessHelper.getFileVersion(CLAIMS.versionId)
+      const USER = CLAIMS && await User.findOne({
+        where: {
+          id: CLAIMS.userId
+        },
+        attributes: ['email']
+      })
+      /* A download with an invalid or expired token is logged as suspect */
+      const SUSPECT = !VERSION || !USER
+      const PARTY_TYPE = await AccountType.findOne({
+        where: {
+          type: SUSPECT ? 'Other' : CLAIMS.partyType
+        },
+        attributes: ['id']
+      })
+      await AccessLog.create({
+        ipAddress: req.ip || 'unknown',
+        origin: req.origin,
+        originalUrl: req.originalUrl,
+        referer: req.referer,
+        partyTypeId: PARTY_TYPE.id,
+        partyEmail: USER ? USER.email : null,
+        formData: SUSPECT
+          ? { action: 'download_file' }
+          : {
+              action: 'download_file',
+              orderId: VERSION.OrderFile.orderId,
+              orderFileId: VERSION.orderFileId,
+              versionId: VERSION.id
+            },
+        suspect: SUSPECT
+      })
+      if (SUSPECT) {
+        return { success: false, message: 'Invalid or expired token' }
+      }
+      const FILE = await fetch(VERSION.fileUrl, {
+        signal: AbortSignal.timeout(FILE_FETCH_TIMEOUT_SECONDS * 1000)
+      })
+        .catch(error => {
+          console.log(`Failed to fetch the file version ${VERSION.id}: `, error)
+          return null
+        })
+      if (!FILE || !FILE.ok || !FILE.body) {
+        return { success: false, message: 'File is not available at the moment' }
+      }
+      return {
+        success: true,
+        file: Readable.fromWeb(FILE.body),
+        originalName: VERSION.originalName,
+        mimeType: VERSION.mimeType || FILE.headers.get('content-type')
+      }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = FileAccessHelper
@@ -0,0 +1,220 @@
+'use strict'
+
+/* Module that handles the lifecycle of an order i.e. the changes in the status of an order.
+* Every status change should go through this module, which checks that the change is allowed from the current
+* status, and records it in the order status history table */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  ClientPayment,
+  Order,
+  OrderStatus,
+  OrderStatusHistory,
+  PaymentStatus
+} = require('../../models')
+
+/* Importing the service that pushes the status changes to the parties of the order */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* The statuses in which an order has not yet been paid for */
+const UNPAID_ORDER_STATUSES = ['Pending payment', 'Pending writer acknowledgement', 'Available', 'Bidding ongoing']
+
+/* The statuses in which an order is closed, and which an order can therefore move to without being paid for */
+const CLOSED_ORDER_STATUSES = ['Cancelled']
+
+/* The statuses in which the deadline of an order can be changed i.e. after a writer is assigned the order and
+* before he or she submits it */
+const EXTENSIBLE_ORDER_STATUSES = ['Pending writer acknowledgement', 'Ongoing']
+
+/* The statuses that an order can move to, from each of the seeded order statuses */
+const ORDER_TRANSITIONS = {
+  'Pending payment': ['Available', 'Pending writer acknowledgement', 'Ongoing', 'Cancelled'],
+  'Pending writer acknowledgement': ['Pending payment', 'Available', 'Ongoing', 'Cancelled'],
+  Available: ['Bidding ongoing', 'Pending payment', 'Pending writer acknowledgement', 'Ongoing', 'Cancelled'],
+  'Bidding ongoing': ['Available', 'Pending payment', 'Pending writer acknowledgement', 'Ongoing', 'Cancelled'],
+  Ongoing: ['Submitted', 'Disputed', 'Cancelled'],
+  Submitted: ['Pending revision', 'Undergoing revision', 'Completed', 'Disputed'],
+  'Pending revision': ['Undergoing revision', 'Completed', 'Disputed'],
+  'Undergoing revision': ['Submitted', 'Disputed'],
+  Completed: ['Pending revision', 'Undergoing revision', 'Disputed'],
+  Disputed: ['Ongoing', 'Undergoing revision', 'Completed', 'Cancelled'],
+  Cancelled: []
+}
+
+/* The class that handles the order lifecycle logic */
+class OrderLifecycleHelper {
+  /* Function that checks whether an order can move from one status to another */
+  static canTransition (fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus)
+  }
+
+  /* Function that checks whether a status is one in which an order has not yet been paid for */
+  static isUnpaidStatus (status) {
+    return UNPAID_ORDER_STATUSES.includes(status)
+  }
+
+  /* Function that checks whether a status is one in which the deadline of an order can be changed */
+  static isExtensibleStatus (status) {
+    return EXTENSIBLE_ORDER_STATUSES.includes(status)
+  }
+
+  /* Function that changes the status of an order.
+  * The options are the actor (the ID of the user making the change, or null if the system is making it), the
+  * reason of the change and the transaction in which the change is made. It returns whether the order has
+  * transitioned or not, plus a message in case it has not */
+  static async transitionOrder (orderId, toStatus, options = {}) {
+    const { actor = null, reason = null, transaction } = options
+    /* Get the order together with its current status. Lock the row in case we are in a transaction, so that
+    * two concurrent changes cannot both succeed */
+    const ORDER = await Order.findOne({
+      where: {
+        id: orderId
+      },
+      attributes: ['id', 'statusId'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: ['status']
+        }
+      ],
+      transaction: transaction,
+      lock: transaction ? { level: transaction.LOCK.UPDATE, of: Order } : undefined
+    })
+    if (!ORDER) {
+      return { transitioned: false, message: 'Order does not exist' }
+    }
+    const FROM_STATUS = ORDER.OrderStatus.status
+    /* Moving an order to the status it already has is not a change */
+    if (FROM_STATUS === toStatus) {
+      return { transitioned: true, unchanged: true }
+    }
+    if (!OrderLifecycleHelper.canTransition(FROM_STATUS, toStatus)) {
+      return { transitioned: false, message: `Order cannot move from '${FROM_STATUS}' to '${toStatus}'` }
+    }
+    /* An order can only leave the unpaid statuses once it has been paid for, unless it is being closed */
+    if (OrderLifecycleHelper.isUnpaidStatus(FROM_STATUS) && !OrderLifecycleHelper.isUnpaidStatus(toStatus) &&
+      !CLOSED_ORDER_STATUSES.includes(toStatus)) {
+      const PAID = await OrderLifecycleHelper.orderIsPaidFor(orderId, transaction)
+      if (!PAID) {
+        return { transitioned: false, message: 'Order has not been paid for' }
+      }
+    }
+    const TO_STATUS = await OrderStatus.findOne({
+      where: {
+        status: toStatus
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    await Order.update({
+      statusId: TO_STATUS.id
+    }, {
+      where: {
+        id: orderId
+      },
+      transaction: transaction
+    })
+    /* Then record the change in the order's status history */
+    await OrderStatusHistory.create({
+      orderId: orderId,
+      fromStatusId: ORDER.statusId,
+      toStatusId: TO_STATUS.id,
+      actor: actor,
+      reason: reason
+    }, { transaction: transaction })
+    await EVENTS_SERVICE.publishToOrder(orderId, 'order.status_changed', {
+      fromStatus: FROM_STATUS,
+      toStatus: toStatus
+    }, { transaction: transaction })
+    return { transitioned: true, fromStatus: FROM_STATUS, toStatus: toStatus }
+  }
+
+  /* Function that records the first status of a newly created order in the order's status history */
+  static async recordInitialStatus (order, options = {}) {
+    const { actor = null, reason = 'Order created', transaction } = options
+    return await OrderStatusHistory.create({
+      orderId: order.id,
+      fromStatusId: null,
+      toStatusId: order.statusId,
+      actor: actor,
+      reason: reason
+    }, { transaction: transaction })
+  }
+
+  /* Function that returns the time at which an order last moved to a given status, or null if it never did */
+  static async statusEnteredAt (orderId, status, transaction) {
+    const ENTRY = await OrderStatusHistory.findOne({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['createdAt'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'ToStatus',
+          attributes: [],
+          where: {
+            status: status
+          }
+        }
+      ],
+      order: [
+        ['createdAt', 'DESC']
+      ],
+      transaction: transaction
+    })
+    return ENTRY ? ENTRY.createdAt : null
+  }
+
+  /* Function that checks whether an order has a successful client payment */
+  static async orderIsPaidFor (orderId, transaction) {
+    const PAYMENT = await ClientPayment.findOne({
+      where: {
+        orderId: orderId
+      },
+      attributes: ['id'],
+      include: [
+        {
+          model: PaymentStatus,
+          as: 'PaymentStatus',
+          attributes: ['status'],
+          where: {
+            status: ['Success', 'Success with balance']
+          }
+        }
+      ],
+      transaction: transaction
+    })
+    return !!PAYMENT
+  }
+
+  /* Function that returns the status history of an order, in chronological order */
+  static async getOrderStatusHistory (orderId) {
+    return await OrderStatusHistory.findAll({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'actor', 'reason', 'createdAt'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'FromStatus',
+          attributes: ['status']
+        },
+        {
+          model: OrderStatus,
+          as: 'ToStatus',
+          attributes: ['status']
+        }
+      ],
+      order: [
+        ['createdAt', 'ASC']
+      ]
+    })
+  }
+}
+
+module.exports = OrderLifecycleHelper
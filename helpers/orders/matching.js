@@ -0,0 +1,216 @@
+'use strict'
+
+/* Module that matches writers to orders. Every active writer is scored against an order, out of 100, on:
+* - The discipline of the order, which scores more as the writer's primary discipline than as a secondary one.
+* - The citation style of the order.
+* - The writer's highest level of education, compared with the level of study of the order.
+* - The writer's average rating.
+* - The writer's current workload i.e. the orders he or she is yet to deliver.
+* The writers are then ranked by their scores, and the best-fit writers are the ones invited and notified. Writers at
+* capacity (see the capacity module) are left out, since they cannot take on the order */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  AccountStatus,
+  EducationLevel,
+  Order,
+  User,
+  Writer,
+  WriterAverageRating,
+  WriterCitationStyle,
+  WriterDiscipline,
+  WriterEducation,
+  WriterOrder
+} = require('../../models')
+
+/* The default and maximum number of writers in a shortlist */
+const SHORTLIST_SIZE = 10
+const MAX_SHORTLIST_SIZE = 50
+
+/* The maximum score of each of the criteria. They add up to 100 */
+const MATCH_WEIGHTS = {
+  discipline: 30,
+  citationStyle: 10,
+  education: 20,
+  rating: 25,
+  workload: 15
+}
+
+/* The share of the discipline score earned by a secondary discipline */
+const SECONDARY_DISCIPLINE_SHARE = 0.5
+
+/* The levels of education, from the lowest to the highest, as seeded in the education_level table */
+const EDUCATION_LEVELS = ['Primary', 'High School', 'College', 'University', 'Bachelor\'s', 'Master\'s', 'Doctorate']
+
+/* The highest rating of a writer, and the rating assumed for a writer who has not been rated yet */
+const MAX_RATING = 5
+const UNRATED_RATING = 3
+
+/* The number of undelivered orders at which a writer earns no workload score */
+const FULL_WORKLOAD = 5
+
+/* Importing the helper used to get the workloads and capacities of writers */
+const CAPACITY_HELPER = require('./capacity')
+
+/* The class that handles the writer matching logic */
+class WriterMatchingHelper {
+  /* Function that gets the active writers, together with their disciplines, citation styles, education and average
+  * ratings */
+  static async getActiveWriters () {
+    return await Writer.findAll({
+      attributes: ['id', 'surname', 'otherNames'],
+      include: [
+        {
+          model: User,
+          as: 'User',
+          attributes: ['email'],
+          required: true,
+          include: [
+            {
+              model: AccountStatus,
+              as: 'AccountStatus',
+              attributes: [],
+              where: {
+                status: 'Active'
+              }
+            }
+          ]
+        },
+        {
+          model: WriterDiscipline,
+          as: 'WriterDiscipline',
+          attributes: ['primaryDiscipline', 'disciplineIds'],
+          required: false,
+          where: {
+            isDeleted: false
+          }
+        },
+        {
+          model: WriterCitationStyle,
+          as: 'WriterCitationStyle',
+          attributes: ['citationStyleIds'],
+          required: false,
+          where: {
+            isDeleted: false
+          }
+        },
+        {
+          model: WriterEducation,
+          as: 'WriterEducation',
+          attributes: ['highestLevelId'],
+          required: false,
+          where: {
+            isDeleted: false
+          }
+        },
+        {
+          model: WriterAverageRating,
+          as: 'WriterAverageRating',
+          attributes: ['rating'],
+          required: false,
+          where: {
+            isDeleted: false
+          }
+        }
+      ]
+    })
+  }
+
+  /* Function that scores a writer against an order. It returns the score, plus the score of each criterion */
+  static scoreWriter (writer, order, levels, workload) {
+    const DISCIPLINE = writer.WriterDiscipline[0]
+    const CITATION_STYLE = writer.WriterCitationStyle[0]
+    const AVERAGE_RATING = writer.WriterAverageRating[0]
+    /* The highest of the levels of education of the writer */
+    const EDUCATION_RANK = Math.max(-1, ...writer.WriterEducation
+      .map(education => EDUCATION_LEVELS.indexOf(levels[education.highestLevelId])))
+    const ORDER_RANK = EDUCATION_LEVELS.indexOf(levels[order.studyLevelId])
+    let discipline = 0
+    if (DISCIPLINE && DISCIPLINE.primaryDiscipline === order.subjectId) {
+      discipline = MATCH_WEIGHTS.discipline
+    } else if (DISCIPLINE && (DISCIPLINE.disciplineIds || []).includes(order.subjectId)) {
+      discipline = MATCH_WEIGHTS.discipline * SECONDARY_DISCIPLINE_SHARE
+    }
+    /* A writer gets the full education score at or above the level of study of the order, and loses a share of it
+    * for every level below */
+    const LEVELS_BELOW = EDUCATION_RANK < 0 || ORDER_RANK < 0 ? EDUCATION_LEVELS.length : ORDER_RANK - EDUCATION_RANK
+    const BREAKDOWN = {
+      discipline: discipline,
+      citationStyle: CITATION_STYLE && (CITATION_STYLE.citationStyleIds || []).includes(order.citationStyleId)
+        ? MATCH_WEIGHTS.citationStyle
+        : 0,
+      education: MATCH_WEIGHTS.education * Math.max(1 - Math.max(LEVELS_BELOW, 0) / 2, 0),
+      rating: MATCH_WEIGHTS.rating * (AVERAGE_RATING ? AVERAGE_RATING.rating : UNRATED_RATING) / MAX_RATING,
+      workload: MATCH_WEIGHTS.workload * Math.max(1 - workload / FULL_WORKLOAD, 0)
+    }
+    const SCORE = Object.values(BREAKDOWN).reduce((total, score) => total + score, 0)
+    return { score: Math.round(SCORE * 100) / 100, breakdown: BREAKDOWN }
+  }
+
+  /* Function that ranks the active writers for an order, from the best-fit writer. Writers with the same score are
+  * ranked by their workload, then by who joined first. It returns null in case the order does not exist */
+  static async rankWriters (orderId, limit) {
+    const [ORDER, WRITERS, LEVELS] = await Promise.all([
+      Order.findOne({
+        where: {
+          id: orderId,
+          isDeleted: false
+        },
+        attributes: ['id', 'subjectId', 'citationStyleId', 'studyLevelId', 'pageCount', 'deadline'],
+        include: [
+          {
+            model: WriterOrder,
+            as: 'WriterOrder',
+            attributes: ['writerId'],
+            required: false,
+            where: {
+              isDeleted: false
+            }
+          }
+        ]
+      }),
+      WriterMatchingHelper.getActiveWriters(),
+      EducationLevel.findAll({
+        attributes: ['id', 'level'],
+        raw: true
+      })
+    ])
+    if (!ORDER) {
+      return null
+    }
+    const LEVEL_NAMES = Object.fromEntries(LEVELS.map(level => [level.id, level.level]))
+    /* The writer already assigned the order is left out, as are the writers at capacity */
+    const ASSIGNED_WRITER_IDS = ORDER.WriterOrder.map(writerOrder => writerOrder.writerId)
+    const UNASSIGNED_WRITERS = WRITERS.filter(writer => !ASSIGNED_WRITER_IDS.includes(writer.id))
+    const CAPACITIES = await CAPACITY_HELPER.getCapacities(UNASSIGNED_WRITERS.map(writer => writer.id))
+    return UNASSIGNED_WRITERS
+      .filter(writer => CAPACITY_HELPER.assessCapacity(CAPACITIES[writer.id], ORDER).available)
+      .map(writer => {
+        const WORKLOAD = CAPACITIES[writer.id].openOrders
+        return {
+          writerId: writer.id,
+          email: writer.User.email,
+          name: [writer.otherNames, writer.surname].filter(name => name).join(' '),
+          openOrders: WORKLOAD,
+          ...WriterMatchingHelper.scoreWriter(writer, ORDER, LEVEL_NAMES, WORKLOAD)
+        }
+      })
+      .sort((a, b) => b.score - a.score || a.openOrders - b.openOrders || a.writerId - b.writerId)
+      .slice(0, Math.min(Number(limit) || SHORTLIST_SIZE, MAX_SHORTLIST_SIZE))
+  }
+
+  /* Function that returns the ranked shortlist of writers for an order */
+  static async getWriterShortlist (req) {
+    try {
+      const SHORTLIST = await WriterMatchingHelper.rankWriters(req.orderId, req.limit)
+      if (!SHORTLIST) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      return { success: true, shortlist: SHORTLIST }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = WriterMatchingHelper
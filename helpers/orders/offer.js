@@ -0,0 +1,402 @@
+'use strict'
+
+/* Module that handles the offers of private orders to personal writers. A client offers an order to one of his or
+* her personal writers, and the order waits in the 'Pending writer acknowledgement' status until the writer accepts
+* or declines the offer within the acknowledgement window. An accepted offer assigns the order to the writer. A
+* declined or expired offer makes the order available again, for the client to offer it to another personal writer
+* or to release it to the public market */
+
+/* Importing the index model that will be used to access the sequelize instance, which will in turn help create
+* sequelize transactions */
+const MODEL = require('../../models/index')
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Client,
+  ClientWriter,
+  EntityType,
+  Order,
+  OrderOffer,
+  OrderStatus,
+  User,
+  Writer,
+  WriterOrder
+} = require('../../models')
+
+/* Importing the helpers used to change the status of orders and to check the capacity of writers */
+const LIFECYCLE_HELPER = require('./lifecycle')
+const CAPACITY_HELPER = require('./capacity')
+
+/* Importing the services that return deadlines in ISO-8601 and push events to the users */
+const DEADLINE_SERVICE = require('../../services/deadline')
+const EVENTS_SERVICE = require('../../services/events')
+
+/* The number of hours a writer has to accept or decline an offer */
+const WRITER_ACKNOWLEDGEMENT_HOURS = Number(process.env.WRITER_ACKNOWLEDGEMENT_HOURS || 24)
+
+/* The reasons recorded in the status history of an order when an offer is closed without being accepted */
+const CLOSING_REASONS = {
+  Declined: 'Offer declined by writer',
+  Expired: 'Offer expired'
+}
+
+/* The class that handles the order offer logic */
+class OrderOffersHelper {
+  /* Function that gets the ID of the client with a given email */
+  static async getClient (email, transaction) {
+    return await Client.findOne({
+      attributes: ['id'],
+      include: [
+        {
+          model: User,
+          as: 'User',
+          attributes: [],
+          where: {
+            email: email.toLowerCase()
+          }
+        }
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that gets the ID of the writer with a given email */
+  static async getWriter (email, transaction) {
+    return await Writer.findOne({
+      attributes: ['id', 'userId'],
+      include: [
+        {
+          model: User,
+          as: 'User',
+          attributes: [],
+          where: {
+            email: email.toLowerCase()
+          }
+        }
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that offers an order to a personal writer of its client. It is called when a client chooses a personal
+  * writer for an order (see the updateOrderStatus function), in the transaction of the choice */
+  static async sendOffer (orderId, writerId, actor, transaction) {
+    const ORDER = await Order.findOne({
+      where: {
+        id: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'clientId'],
+      transaction: transaction
+    })
+    if (!ORDER) {
+      return { statusUpdated: false, message: 'Order does not exist', writerAlreadyChosen: false }
+    }
+    /* Only a personal writer who has confirmed his or her connection with the client can be offered the order */
+    const PERSONAL_WRITER = await ClientWriter.findOne({
+      where: {
+        clientId: ORDER.clientId,
+        writerId: writerId,
+        connectionConfirmed: true
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    if (!PERSONAL_WRITER) {
+      return { statusUpdated: false, message: 'Writer is not one of your personal writers', writerAlreadyChosen: false }
+    }
+    const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(orderId, 'Pending writer acknowledgement', {
+      actor: actor,
+      reason: 'Offered to personal writer',
+      transaction: transaction
+    })
+    if (!STATUS_UPDATED.transitioned) {
+      return { statusUpdated: false, message: STATUS_UPDATED.message, writerAlreadyChosen: false }
+    }
+    /* The order is locked by the status change, hence the check for a pending offer cannot race another offer */
+    const PENDING_OFFER = await OrderOffer.findOne({
+      where: {
+        orderId: orderId,
+        status: 'Pending',
+        isDeleted: false
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    if (PENDING_OFFER) {
+      return { statusUpdated: false, message: 'Order already has a pending offer', writerAlreadyChosen: false }
+    }
+    const OFFER = await OrderOffer.create({
+      orderId: orderId,
+      writerId: writerId,
+      offeredBy: actor,
+      status: 'Pending',
+      expiresAt: new Date(new Date().getTime() + WRITER_ACKNOWLEDGEMENT_HOURS * 60 * 60 * 1000),
+      isDeleted: false
+    }, { transaction: transaction })
+    /* The writer is not a party of the order yet, hence the offer is pushed to him or her directly */
+    const WRITER = await Writer.findOne({
+      where: {
+        id: writerId
+      },
+      attributes: ['userId'],
+      transaction: transaction
+    })
+    await EVENTS_SERVICE.publish([WRITER.userId], 'order.offered', {
+      orderId: orderId,
+      offerId: OFFER.id,
+      expiresAt: OFFER.expiresAt
+    }, transaction)
+    return {
+      statusUpdated: true,
+      writerAlreadyChosen: false,
+      offerId: OFFER.id,
+      offerExpiresAt: OFFER.expiresAt.toISOString()
+    }
+  }
+
+  /* Function that closes an offer that has been declined or has expired, and makes the order available again */
+  static async closeOffer (offer, status, options = {}) {
+    const { actor = null, reason = null, transaction } = options
+    await offer.update({
+      status: status,
+      declineReason: reason,
+      respondedAt: status === 'Declined' ? new Date() : null
+    }, { transaction: transaction })
+    return await LIFECYCLE_HELPER.transitionOrder(offer.orderId, 'Available', {
+      actor: actor,
+      reason: CLOSING_REASONS[status],
+      transaction: transaction
+    })
+  }
+
+  /* Function that lets a writer accept or decline an order offered to him or her. An accepted offer assigns the
+  * order to the writer, who gets to work on it once the client has paid for the order fully */
+  static async respondToOffer (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const WRITER = await OrderOffersHelper.getWriter(req.email, t)
+        const OFFER = WRITER
+          ? await OrderOffer.findOne({
+            where: {
+              id: req.offerId,
+              writerId: WRITER.id,
+              status: 'Pending',
+              isDeleted: false
+            },
+            transaction: t,
+            lock: t.LOCK.UPDATE
+          })
+          : null
+        if (!OFFER) {
+          return { success: false, message: 'Offer does not exist' }
+        }
+        if (new Date(OFFER.expiresAt).getTime() <= new Date().getTime()) {
+          await OrderOffersHelper.closeOffer(OFFER, 'Expired', { transaction: t })
+          return { success: false, message: 'Offer has expired' }
+        }
+        if (!req.accept) {
+          await OrderOffersHelper.closeOffer(OFFER, 'Declined', {
+            actor: WRITER.userId,
+            reason: req.reason || null,
+            transaction: t
+          })
+          return { success: true, status: 'Declined' }
+        }
+        /* The writer is locked until the order is assigned, as in the updateOrderStatus function */
+        await Writer.findOne({
+          where: {
+            id: WRITER.id
+          },
+          attributes: ['id'],
+          lock: t.LOCK.UPDATE,
+          transaction: t
+        })
+        const ORDER = await Order.findOne({
+          where: {
+            id: OFFER.orderId
+          },
+          attributes: ['id', 'pageCount', 'deadline'],
+          transaction: t
+        })
+        const CAPACITY = await CAPACITY_HELPER.checkCapacity(WRITER.id, ORDER, t)
+        if (!CAPACITY.available) {
+          return { success: false, writerAtCapacity: true, message: CAPACITY.message }
+        }
+        const ORDER_ALREADY_PAID_FOR = await LIFECYCLE_HELPER.orderIsPaidFor(OFFER.orderId, t)
+        const ORDER_STATUS = ORDER_ALREADY_PAID_FOR ? 'Ongoing' : 'Pending payment'
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(OFFER.orderId, ORDER_STATUS, {
+          actor: WRITER.userId,
+          reason: 'Offer accepted by writer',
+          transaction: t
+        })
+        if (!STATUS_UPDATED.transitioned) {
+          return { success: false, message: STATUS_UPDATED.message }
+        }
+        await WriterOrder.create({
+          orderId: OFFER.orderId,
+          writerId: WRITER.id
+        }, { transaction: t })
+        await OFFER.update({
+          status: 'Accepted',
+          respondedAt: new Date()
+        }, { transaction: t })
+        return { success: true, status: 'Accepted', orderStatus: ORDER_STATUS }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the pending offers of a writer, together with the time left to respond to each */
+  static async getWriterOffers (req) {
+    try {
+      const WRITER = await OrderOffersHelper.getWriter(req.email)
+      if (!WRITER) {
+        return { success: false, message: 'Writer does not exist' }
+      }
+      const OFFERS = await OrderOffer.findAll({
+        where: {
+          writerId: WRITER.id,
+          status: 'Pending',
+          isDeleted: false
+        },
+        attributes: ['id', 'orderId', 'expiresAt', 'createdAt'],
+        include: [
+          {
+            model: Order,
+            as: 'Order',
+            attributes: ['topic', 'pageCount', 'deadline', 'instructions']
+          }
+        ],
+        order: [
+          ['expiresAt', 'ASC']
+        ]
+      })
+      return {
+        success: true,
+        offers: OFFERS
+          .filter(offer => new Date(offer.expiresAt).getTime() > new Date().getTime())
+          .map(offer => {
+            const EXPIRY = DEADLINE_SERVICE.describe(offer.expiresAt)
+            return {
+              offerId: offer.id,
+              orderId: offer.orderId,
+              topic: offer.Order.topic,
+              pageCount: offer.Order.pageCount,
+              instructions: offer.Order.instructions,
+              ...DEADLINE_SERVICE.describe(offer.Order.deadline),
+              expiresAt: EXPIRY.deadline,
+              secondsToRespond: EXPIRY.secondsRemaining,
+              offeredAt: offer.createdAt
+            }
+          })
+      }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets the offers made on an order, to its client */
+  static async getOrderOffers (req) {
+    try {
+      const CLIENT = await OrderOffersHelper.getClient(req.email)
+      const ORDER = CLIENT
+        ? await Order.findOne({
+          where: {
+            id: req.orderId,
+            clientId: CLIENT.id,
+            isDeleted: false
+          },
+          attributes: ['id']
+        })
+        : null
+      if (!ORDER) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const OFFERS = await OrderOffer.findAll({
+        where: {
+          orderId: req.orderId,
+          isDeleted: false
+        },
+        attributes: ['id', 'status', 'expiresAt', 'declineReason', 'respondedAt', 'createdAt'],
+        include: [
+          {
+            model: Writer,
+            as: 'Writer',
+            attributes: ['id', 'surname', 'otherNames']
+          }
+        ],
+        order: [
+          ['createdAt', 'ASC']
+        ]
+      })
+      return { success: true, offers: OFFERS }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that releases a private order to the public market, where writers can bid on it. This is only possible
+  * while the order is not offered to a personal writer */
+  static async releaseToPublicMarket (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const CLIENT = await OrderOffersHelper.getClient(req.email, t)
+        const ORDER = CLIENT
+          ? await Order.findOne({
+            where: {
+              id: req.orderId,
+              clientId: CLIENT.id,
+              isDeleted: false
+            },
+            attributes: ['id'],
+            include: [
+              {
+                model: OrderStatus,
+                as: 'OrderStatus',
+                attributes: ['status']
+              },
+              {
+                model: EntityType,
+                as: 'EntityType',
+                attributes: ['type']
+              }
+            ],
+            transaction: t,
+            lock: { level: t.LOCK.UPDATE, of: Order }
+          })
+          : null
+        if (!ORDER) {
+          return { released: false, message: 'Order does not exist' }
+        }
+        if (ORDER.EntityType.type === 'Public') {
+          return { released: false, message: 'Order is already on the public market' }
+        }
+        if (ORDER.OrderStatus.status !== 'Available') {
+          return { released: false, message: 'Order can only be released while it is not assigned or offered' }
+        }
+        const PUBLIC_TYPE = await EntityType.findOne({
+          where: {
+            type: 'Public'
+          },
+          attributes: ['id'],
+          transaction: t
+        })
+        await Order.update({
+          type: PUBLIC_TYPE.id
+        }, {
+          where: {
+            id: req.orderId
+          },
+          transaction: t
+        })
+        return { released: true }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = OrderOffersHelper
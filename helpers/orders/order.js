@@ -10,31 +10,39 @@ const MODEL = require('../../models/index')
 const {
   AcademicCertification,
   AccountStatus,
+  Admin,
   AssignmentType,
   AssignmentTypeCategory,
   Client,
   ClientOrderPostingStep,
   ClientPayment,
+  ClientRefund,
   ClientWriter,
   CitationStyle,
   Country,
   Currency,
+  DeadlineExtension,
   Discipline,
   EducationLevel,
   EntityType,
+  ExtraOrderService,
   Gender,
   GrammarAnswer,
   GrammarQuestion,
+  MPESA,
   Order,
   OrderBid,
+  OrderDispute,
   OrderFile,
   OrderFileType,
+  OrderFileVersion,
   OrderFormat,
   OrderPaymentDetail,
   OrderRevision,
   OrderServiceType,
   OrderStatus,
   PaperDiscount,
+  PaperSubmission,
   SubmissionChecklist,
   TimeAmPm,
   Writer,
@@ -51,6 +59,66 @@ const {
 * directly, as opposed to creating a class instance then calling them on the instance */
 const { Op } = require('sequelize')
 
+/* The default and maximum number of orders returned in a page when searching orders */
+const ORDERS_PAGE_SIZE = 20
+const MAX_ORDERS_PAGE_SIZE = 100
+
+/* The columns by which orders can be sorted. The order id is the last column in each of them, so that orders with
+* the same values still have a fixed order, which the cursor of a page relies on. For each column, the 'column' is
+* its name in a where clause, the 'order' is its path in an order clause and the 'value' gets its value from an
+* order */
+const ORDER_SORT_COLUMNS = {
+  createdAt: [
+    { column: 'createdAt', order: ['createdAt'], value: order => order.createdAt },
+    { column: 'id', order: ['id'], value: order => order.id }
+  ],
+  deadline: [
+    { column: 'deadline', order: ['deadline'], value: order => order.deadline },
+    { column: 'id', order: ['id'], value: order => order.id }
+  ],
+  price: [
+    {
+      column: '$OrderPaymentDetail.totalPrice$',
+      order: [{ model: OrderPaymentDetail, as: 'OrderPaymentDetail' }, 'totalPrice'],
+      value: order => order.OrderPaymentDetail[0].totalPrice
+    },
+    { column: 'id', order: ['id'], value: order => order.id }
+  ]
+}
+
+/* The format of a SHA-256 checksum of a file, in hexadecimal */
+const SHA256_CHECKSUM = /^[a-f0-9]{64}$/i
+
+/* The order file types uploaded by a writer. The rest of the file types are uploaded by a client */
+const WRITER_FILE_TYPES = ['Writer Supporting', 'Paper']
+
+/* Importing the payments helper, which computes the price quote of an order */
+const PAYMENTS_HELPER = require('../payments/payment')
+
+/* Importing the order lifecycle helper, through which every change in the status of an order goes */
+const LIFECYCLE_HELPER = require('./lifecycle')
+
+/* Importing the service that handles the timezones of deadlines */
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+/* Importing the service that pushes events to the users */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* Importing the helper that enforces the revision policy */
+const REVISIONS_HELPER = require('./revision')
+
+/* Importing the helper that charges the paid revisions and shorter deadlines on orders */
+const CHARGES_HELPER = require('../payments/charge')
+
+/* Importing the helper that matches writers to orders */
+const MATCHING_HELPER = require('./matching')
+
+/* Importing the helper that checks the capacity of a writer before he or she is assigned an order */
+const CAPACITY_HELPER = require('./capacity')
+
+/* Importing the helper that offers private orders to personal writers */
+const OFFERS_HELPER = require('./offer')
+
 /* The class that handles the order logic */
 class OrdersHelper {
   /* Function that gets all countries */
@@ -272,9 +340,14 @@ class OrdersHelper {
     }
   }
 
-  /* Function to get email addresses of active writers */
-  static async getActiveWritersEmails () {
+  /* Function to get email addresses of active writers. Given an order, only the best-fit writers for the order are
+  * returned, as ranked by the writer matching helper */
+  static async getActiveWritersEmails (orderId) {
     try {
+      if (orderId) {
+        const SHORTLIST = await MATCHING_HELPER.rankWriters(orderId)
+        return (SHORTLIST || []).map(writer => ({ id: writer.writerId, User: { email: writer.email } }))
+      }
       return await MODEL.sequelize.transaction(async t => {
         /* Getting the email addresses of all active writers */
         /* First the active status id */
@@ -312,6 +385,20 @@ class OrdersHelper {
       * A transaction helps to automatically rollback the transaction if any error is thrown,
       * or commit the transaction otherwise.  */
       return await MODEL.sequelize.transaction(async t => {
+        /* Compute the price of the order before anything is saved, and reject it in case the totals submitted
+        * by the client do not match */
+        const QUOTE = await PAYMENTS_HELPER.getOrderQuote({
+          serviceType: req.serviceType,
+          assignmentType: req.assignmentType,
+          studyLevel: req.studyLevel,
+          pageCount: req.pageCount,
+          deadline: req.deadline,
+          email: req.email,
+          extras: req.paymentSummary.extrasList.map(list => list.id)
+        })
+        if (!PAYMENTS_HELPER.quoteMatchesSummary(QUOTE, req.paymentSummary)) {
+          return { response: 'failed', message: 'Order totals do not match the price quote', quote: QUOTE }
+        }
         /* Get a user using his or her email */
         const USER = await User.findOne({
           attributes: ['id'],
@@ -366,19 +453,26 @@ class OrdersHelper {
         })
         /* If a record exists already, then update it */
         if (req.orderId > 0) {
+          /* An edited order is made available again, which is only possible while it has not been paid for */
+          const REOPENED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Available', {
+            actor: USER.id,
+            reason: 'Order details edited',
+            transaction: t
+          })
+          if (!REOPENED.transitioned) {
+            return { response: 'failed', message: REOPENED.message }
+          }
           /* Update Order record where its id matches a given order Id */
           return await Order.update({
             clientId: CLIENT_ID.id,
             serviceTypeId: SERVICE_TYPE_ID.id,
             type: ORDER_TYPE.id,
-            statusId: ORDER_STATUS_ID.id,
             subjectId: req.paperSubject,
             assignmentType: req.assignmentType,
             citationStyleId: req.citationStyleId,
             orderFormatId: ORDER_FORMAT_ID.id,
             studyLevelId: req.studyLevel,
-            deadlineDate: req.deadlineDate,
-            deadlineTime: req.deadlineTime,
+            deadline: QUOTE.deadline,
             pageCount: req.pageCount,
             sources: req.sources,
             topic: req.topic,
@@ -386,8 +480,9 @@ class OrdersHelper {
           }, {
             where: {
               id: req.orderId
-            }
-          }, { transaction: t })
+            },
+            transaction: t
+          })
             .then(async () => {
               /* Also update the client's order posting step */
               await ClientOrderPostingStep.update({
@@ -395,51 +490,29 @@ class OrdersHelper {
               }, {
                 where: {
                   orderId: req.orderId
-                }
-              }, { transaction: t })
+                },
+                transaction: t
+              })
               /* First get an order file type (Client Supporting) then use it in updating supporting files */
               const ORDER_FILE_TYPE = await OrderFileType.findOne({
                 where: {
                   type: 'Client Supporting'
                 },
-                attributes: ['id']
+                attributes: ['id'],
+                transaction: t
               })
-              /* Loop through the posted supporting files then add if it does not exist already in the database */
+              /* Loop through the posted supporting files then add if it does not exist already in the database.
+              * A file that is already on the order is skipped, while a file uploaded again becomes a new version */
               for (let i = 0; i < req.supportingFiles.length; i++) {
-                /* First check whether the file already exists in the database */
-                await OrderFile.findOne({
-                  attributes: ['id'],
-                  where: {
-                    orderId: req.orderId,
-                    fileUrl: req.supportingFiles[i].fileUrl,
-                    type: ORDER_FILE_TYPE.id
-                  }
-                }, { transaction: t })
-                  .then(async fileExists => {
-                    /* If it does not exist, then create a record */
-                    if (!fileExists) {
-                      /* Final original name in this case is formatted not to exceed 50 characters
-                      * It shortens a name that exceeds 50 characters and does nothing to those which are less
-                      * than that. The length includes the file extension */
-                      const FINAL_ORIGINAL_NAME = OrdersHelper.originalNameFormatter(req.supportingFiles[i].originalName)
-                      /* Create an OrderFile record */
-                      await OrderFile.create({
-                        orderId: req.orderId,
-                        fileUrl: req.supportingFiles[i].fileUrl,
-                        originalName: FINAL_ORIGINAL_NAME,
-                        type: ORDER_FILE_TYPE.id
-                      }, { transaction: t })
-                        /* Do nothing after creation, just continue with the loop to the end */
-                        .then(() => {})
-                        .catch(error => {
-                          throw new Error(error)
-                        })
-                    }
-                  })
+                await OrdersHelper.saveOrderFile(req.orderId, ORDER_FILE_TYPE.id, req.supportingFiles[i], {
+                  uploadedBy: USER.id,
+                  transaction: t
+                })
               }
               /* The updateOrderPayment function updates the payment details or status of an order.
-              * The details are found in the function itself */
-              return OrdersHelper.updateOrderPayment(req, 'place-order', null)
+              * The details are found in the function itself. It runs in the transaction that has locked the order,
+              * since the order is only committed once the whole edit is */
+              return OrdersHelper.updateOrderPayment(req, 'place-order', null, t)
             })
             .catch(error => {
               throw new Error(error)
@@ -456,14 +529,15 @@ class OrdersHelper {
             citationStyleId: req.citationStyleId,
             orderFormatId: ORDER_FORMAT_ID.id,
             studyLevelId: req.studyLevel,
-            deadlineDate: req.deadlineDate,
-            deadlineTime: req.deadlineTime,
+            deadline: QUOTE.deadline,
             pageCount: req.pageCount,
             sources: req.sources,
             topic: req.topic,
             instructions: req.instructions
           }, { transaction: t })
             .then(async res => {
+              /* Record the first status of the order in its status history */
+              await LIFECYCLE_HELPER.recordInitialStatus(res.dataValues, { actor: USER.id, transaction: t })
               /* Then do the same thing as in the update order above */
               await ClientOrderPostingStep.create({
                 clientId: CLIENT_ID.id,
@@ -479,23 +553,12 @@ class OrdersHelper {
                   },
                   attributes: ['id']
                 })
-                /* Loop through the supporting files */
+                /* Loop through the supporting files, saving each of them as the first version of an order file */
                 for (let i = 0; i < req.supportingFiles.length; i++) {
-                  /* Format the original name before saving */
-                  const FINAL_ORIGINAL_NAME = OrdersHelper.originalNameFormatter(req.supportingFiles[i].originalName)
-                  /* Create an order file record */
-                  await OrderFile.create({
-                    orderId: res.dataValues.id,
-                    fileUrl: req.supportingFiles[i].fileUrl,
-                    originalName: FINAL_ORIGINAL_NAME,
-                    type: ORDER_FILE_TYPE.id
-                  }, { transaction: t })
-                    /* Do nothing on success */
-                    .then(() => {})
-                    /* But throw on error */
-                    .catch(error => {
-                      throw new Error(error)
-                    })
+                  await OrdersHelper.saveOrderFile(res.dataValues.id, ORDER_FILE_TYPE.id, req.supportingFiles[i], {
+                    uploadedBy: USER.id,
+                    transaction: t
+                  })
                 }
               }
               /* Record the order's payment details by first getting the currency code ID */
@@ -506,16 +569,15 @@ class OrdersHelper {
                 },
                 raw: true
               }, { transaction: t })
-              /* Then get payment extras IDs */
-              const EXTRAS_IDS = req.paymentSummary.extrasList.map(list => list.id)
-              /* Create the order payment detail record */
+              /* Then save the extras, together with their prices */
+              await OrdersHelper.saveOrderExtras(res.dataValues.id, QUOTE.extras, t)
+              /* Create the order payment detail record, using the prices computed in the quote */
               return await OrderPaymentDetail.create({
                 orderId: res.dataValues.id,
                 currencyId: CURRENCY_ID.id,
-                extras: String(EXTRAS_IDS),
-                extrasTotalPrice: req.paymentSummary.extrasTotalPrice,
-                totalPrice: req.paymentSummary.totalPrice,
-                cpp: req.paymentSummary.cpp
+                extrasTotalPrice: QUOTE.extrasTotalPrice,
+                totalPrice: QUOTE.totalPrice,
+                cpp: QUOTE.cpp
               }, { transaction: t })
                 .then(() => {
                   /* Return success, plus the orderID on success */
@@ -541,45 +603,6 @@ class OrdersHelper {
     }
   }
 
-  /* Function that gets the order bids by orderID */
-  static async getOrderBids (req) {
-    try {
-      return await MODEL.sequelize.transaction(async t => {
-        return await OrderBid.findAll({
-          attributes: ['orderId'],
-          where: {
-            orderId: req.orderId
-          },
-          include: [
-            {
-              model: Writer,
-              as: 'Writer',
-              attributes: ['surname', 'otherNames'],
-              include: [
-                {
-                  model: User,
-                  as: 'User',
-                  attributes: ['id']
-                },
-                {
-                  model: WriterAverageRating,
-                  as: 'WriterAverageRating',
-                  attributes: ['rating']
-                }
-              ]
-            }
-          ]
-        })
-          .then(bids => {
-            return { bids: bids }
-          })
-          .catch(error => Promise.reject(error))
-      })
-    } catch (e) {
-      return Promise.reject(e)
-    }
-  }
-
   /* Function that gets personal writers */
   static async getPersonalWriters (req) {
     try {
@@ -595,7 +618,7 @@ class OrdersHelper {
             {
               model: Writer,
               as: 'Writer',
-              attributes: ['surname', 'otherNames'],
+              attributes: ['id', 'surname', 'otherNames'],
               include: [
                 {
                   model: User,
@@ -633,7 +656,16 @@ class OrdersHelper {
             }
           ]
         })
-          .then(writers => writers)
+          .then(async writers => {
+            /* Let the client know which of the writers are at capacity, and cannot be offered an order at the moment */
+            const CAPACITIES = await CAPACITY_HELPER.getCapacities(writers.map(writer => writer.Writer.id), t)
+            writers.forEach(writer => {
+              const CAPACITY = CAPACITY_HELPER.assessCapacity(CAPACITIES[writer.Writer.id])
+              writer.setDataValue('available', CAPACITY.available)
+              writer.setDataValue('unavailableReason', CAPACITY.message || null)
+            })
+            return writers
+          })
           .catch(error => Promise.reject(error))
       })
     } catch (e) {
@@ -683,14 +715,16 @@ class OrdersHelper {
           },
           attributes: ['id']
         })
+        /* The file is identified by its ID, or by its URL in the case of older requests */
+        const FILE_WHERE = {
+          orderId: req.orderId,
+          ...(req.orderFileId ? { id: req.orderFileId } : { fileUrl: req.filename }),
+          type: ORDER_FILE_TYPE.id
+        }
         /* Then find if a record of such a file exists */
         return await OrderFile.findOne({
           attributes: ['id'],
-          where: {
-            orderId: req.orderId,
-            fileUrl: req.filename,
-            type: ORDER_FILE_TYPE.id
-          }
+          where: FILE_WHERE
         }, { transaction: t })
           .then(async file => {
             if (file) {
@@ -699,11 +733,7 @@ class OrdersHelper {
                 isDeleted: true
               },
               {
-                where: {
-                  orderId: req.orderId,
-                  fileUrl: req.filename,
-                  type: ORDER_FILE_TYPE.id
-                }
+                where: FILE_WHERE
               }, { transaction: t })
                 .then(updatedRecord => {
                   if (updatedRecord) {
@@ -726,10 +756,10 @@ class OrdersHelper {
     }
   }
 
-  /* Function that updates payment */
-  static async updateOrderPayment (req, phase, requestOrderId) {
+  /* Function that updates payment. It runs in the given transaction if any, otherwise in a transaction of its own */
+  static async updateOrderPayment (req, phase, requestOrderId, transaction) {
     try {
-      return await MODEL.sequelize.transaction(async t => {
+      const UPDATE_PAYMENT = async t => {
         let orderId
         /* First get a user */
         const USER = await User.findOne({
@@ -767,20 +797,28 @@ class OrdersHelper {
             .then(async orderPaymentId => {
               /* Get the extras IDs */
               const EXTRAS_IDS = req.paymentSummary.extrasList.map(list => list.id)
+              /* Then compute the price of the saved order, and reject the totals submitted by the client
+              * in case they do not match */
+              const QUOTE = await PAYMENTS_HELPER.getSavedOrderQuote(orderId, EXTRAS_IDS, t)
+              if (!PAYMENTS_HELPER.quoteMatchesSummary(QUOTE, req.paymentSummary)) {
+                return { response: 'failed', message: 'Order totals do not match the price quote', quote: QUOTE }
+              }
+              /* Then save the extras, together with their prices */
+              await OrdersHelper.saveOrderExtras(orderId, QUOTE.extras, t)
               /* Then if the payment details exist, update */
               if (orderPaymentId) {
                 /* Update the payment details where the orderID is the given orderId */
                 return await OrderPaymentDetail.update({
                   currencyId: CURRENCY_ID.id,
-                  extras: String(EXTRAS_IDS),
-                  extrasTotalPrice: req.paymentSummary.extrasTotalPrice,
-                  totalPrice: req.paymentSummary.totalPrice,
-                  cpp: req.paymentSummary.cpp
+                  extrasTotalPrice: QUOTE.extrasTotalPrice,
+                  totalPrice: QUOTE.totalPrice,
+                  cpp: QUOTE.cpp
                 }, {
                   where: {
                     orderId: orderId
-                  }
-                }, { transaction: t })
+                  },
+                  transaction: t
+                })
                   .then(async () => {
                     /* Create a client order posting step if the phase is 'check order' */
                     if (phase === 'check-order') {
@@ -804,10 +842,9 @@ class OrdersHelper {
                 return await OrderPaymentDetail.create({
                   orderId: requestOrderId,
                   currencyId: CURRENCY_ID.id,
-                  extras: String(EXTRAS_IDS),
-                  extrasTotalPrice: req.paymentSummary.extrasTotalPrice,
-                  totalPrice: req.paymentSummary.totalPrice,
-                  cpp: req.paymentSummary.cpp
+                  extrasTotalPrice: QUOTE.extrasTotalPrice,
+                  totalPrice: QUOTE.totalPrice,
+                  cpp: QUOTE.cpp
                 }, { transaction: t })
                   .then(async () => {
                     /* Get an order details */
@@ -845,7 +882,10 @@ class OrdersHelper {
           /* Else return that no order ID */
           return { response: 'no order ID' }
         }
-      })
+      }
+      return transaction
+        ? await UPDATE_PAYMENT(transaction)
+        : await MODEL.sequelize.transaction(UPDATE_PAYMENT)
     } catch (e) {
       return Promise.reject(e)
     }
@@ -857,109 +897,299 @@ class OrdersHelper {
     return OrdersHelper.updateOrderPayment(req, 'check-order', null)
   }
 
-  /* Function that updates the order status */
+  /* Function that updates the order status once a client chooses a writer, either by accepting his or her bid or by
+  * choosing him or her as a personal writer. A personal writer is offered the order first (see the offer module) */
   static async updateOrderStatus (req) {
-    /* FIXME: add promises */
     try {
       return await MODEL.sequelize.transaction(async t => {
-        /* First check if order has already been paid for */
-        const SUCCESS_PAYMENT_STATUS = await PaymentStatus.findOne({
+        /* An order that has been paid for is ongoing once a writer is chosen. Otherwise, it is pending payment
+        * and the writer will get to work on it once the client has paid for the order fully */
+        const ORDER_ALREADY_PAID_FOR = await LIFECYCLE_HELPER.orderIsPaidFor(req.orderId, t)
+        const ORDER_STATUS = ORDER_ALREADY_PAID_FOR ? 'Ongoing' : 'Pending payment'
+        /* Get the user making the change, if known, so that it is recorded in the status history */
+        const USER = req.email
+          ? await User.findOne({
+            where: {
+              email: req.email.toLowerCase()
+            },
+            attributes: ['id']
+          })
+          : null
+        /* Get the writer details. The writer is locked until the order is assigned, so that two orders assigned to
+        * the writer at the same time cannot both get past his or her capacity */
+        const WRITER = await Writer.findOne({
           where: {
-            status: 'Success'
+            userId: req.writerId
           },
-          attributes: ['id']
+          attributes: ['id'],
+          lock: t.LOCK.UPDATE,
+          transaction: t
         })
-        const ORDER_ALREADY_PAID_FOR = await ClientPayment.findOne({
+        if (!WRITER) {
+          return { statusUpdated: false, message: 'Writer does not exist', writerAlreadyChosen: false }
+        }
+        /* Then check if he or she had already been assigned the order */
+        const WRITER_ALREADY_CHOSEN = await WriterOrder.findOne({
           where: {
             orderId: req.orderId,
-            statusId: SUCCESS_PAYMENT_STATUS.id
+            writerId: WRITER.id,
+            isDeleted: false
+          },
+          attributes: ['id'],
+          transaction: t
+        })
+        /* A writer who is yet to be assigned the order should have the capacity to take it on */
+        if (!WRITER_ALREADY_CHOSEN) {
+          const ORDER = await Order.findOne({
+            where: {
+              id: req.orderId,
+              isDeleted: false
+            },
+            attributes: ['id', 'pageCount', 'deadline'],
+            transaction: t
+          })
+          const CAPACITY = ORDER ? await CAPACITY_HELPER.checkCapacity(WRITER.id, ORDER, t) : { available: true }
+          if (!CAPACITY.available) {
+            return {
+              statusUpdated: false,
+              writerAtCapacity: true,
+              /* A client choosing a personal writer is told that his or her preferred writer is unavailable */
+              message: req.type === 'public'
+                ? CAPACITY.message
+                : `Your preferred writer is unavailable at the moment. ${CAPACITY.message}`,
+              writerAlreadyChosen: false
+            }
           }
+          /* A personal writer is only assigned the order once he or she accepts it, hence it is offered to him or
+          * her instead */
+          if (req.type !== 'public') {
+            return await OFFERS_HELPER.sendOffer(req.orderId, WRITER.id, USER ? USER.id : null, t)
+          }
+        }
+        /* Then update the order status through the order lifecycle */
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, ORDER_STATUS, {
+          actor: USER ? USER.id : null,
+          reason: 'Writer chosen',
+          transaction: t
         })
-        let orderStatus
-        if (ORDER_ALREADY_PAID_FOR) {
-          orderStatus = 'Ongoing'
-        } else {
-          orderStatus = 'Pending payment'
+        /* Return false and the reason in case it fails to update the status */
+        if (!STATUS_UPDATED.transitioned) {
+          return {
+            statusUpdated: false,
+            message: STATUS_UPDATED.message,
+            writerAlreadyChosen: false
+          }
+        }
+        /* Then assign the order to a writer, or else bind the order to a writer, but the order will be visible to
+        * the writer once the client has paid for the order fully */
+        if (req.type === 'public') {
+          /* Then update the order bid status to be successfull, where the orderId and writerId match, as long
+          * as the bid is still open */
+          const [BID_ACCEPTED] = await OrderBid.update({
+            successful: true
+          }, {
+            where: {
+              orderId: req.orderId,
+              writerId: WRITER.id,
+              withdrawn: false,
+              closed: false
+            },
+            transaction: t
+          })
+          /* Throwing rolls back the status update above */
+          if (!BID_ACCEPTED) {
+            throw new Error('The writer does not have an open bid on the order')
+          }
+          /* And close the other bids on the order */
+          await OrderBid.update({
+            closed: true
+          }, {
+            where: {
+              orderId: req.orderId,
+              writerId: {
+                [Op.ne]: WRITER.id
+              }
+            },
+            transaction: t
+          })
+        }
+        /* If the writer had already been assigned the order, then well and good */
+        if (WRITER_ALREADY_CHOSEN) {
+          return { statusUpdated: true, writerAlreadyChosen: true }
+        }
+        /* Otherwise, assign him or her the order - but this is pending the payment of the order by a client */
+        return await WriterOrder.create({
+          orderId: req.orderId,
+          writerId: WRITER.id
+        }, { transaction: t })
+          .then(writerAssigned => {
+            /* Return the assignment status */
+            return { statusUpdated: !!writerAssigned, writerAlreadyChosen: false }
+          })
+          .catch(writerAssignedError => {
+            throw new Error(writerAssignedError)
+          })
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that gets an order together with its client and assigned writer, plus the party of the order that a
+  * user is i.e. 'client', 'writer' or null if the user is neither */
+  static async getOrderParties (orderId, userId, transaction) {
+    const ORDER = await Order.findOne({
+      where: {
+        id: orderId,
+        isDeleted: false
+      },
+      attributes: ['id'],
+      include: [
+        {
+          model: Client,
+          as: 'Client',
+          attributes: ['id', 'userId']
+        },
+        {
+          model: WriterOrder,
+          as: 'WriterOrder',
+          attributes: ['writerId'],
+          required: false,
+          where: {
+            isDeleted: false
+          },
+          include: [
+            {
+              model: Writer,
+              as: 'Writer',
+              attributes: ['userId']
+            }
+          ]
         }
-        if (req.type === 'private') {
-          orderStatus = 'Ongoing'
+      ],
+      transaction: transaction
+    })
+    if (!ORDER) {
+      return { order: null, party: null }
+    }
+    const WRITER_ORDER = ORDER.WriterOrder[0]
+    let party = null
+    if (ORDER.Client.userId === userId) {
+      party = 'client'
+    } else if (WRITER_ORDER && WRITER_ORDER.Writer.userId === userId) {
+      party = 'writer'
+    }
+    return {
+      order: ORDER,
+      clientId: ORDER.Client.id,
+      writerId: WRITER_ORDER ? WRITER_ORDER.writerId : null,
+      party: party
+    }
+  }
+
+  /* Function that gets the extras of one or more orders, together with the prices they were bought at */
+  static async getOrderExtras (orderIds, transaction) {
+    return await ExtraOrderService.findAll({
+      where: {
+        orderId: orderIds,
+        isDeleted: false
+      },
+      attributes: ['orderId', 'serviceTypeId', 'price'],
+      include: [
+        {
+          model: OrderServiceType,
+          as: 'OrderServiceType',
+          attributes: ['type']
         }
-        /* First get the 'Pending payment' order status */
-        const PENDING_PAYMENT_STATUS = await OrderStatus.findOne({
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that saves the extras of an order as per a price quote. The extras that are no longer in the quote
+  * are removed, while the rest are saved with their prices in the quote */
+  static async saveOrderExtras (orderId, quoteExtras, transaction) {
+    const EXTRAS_IDS = quoteExtras.map(extra => extra.id)
+    await ExtraOrderService.update({
+      isDeleted: true
+    }, {
+      where: {
+        orderId: orderId,
+        /* An empty 'NOT IN' matches no rows, hence all the extras are removed when the quote has none */
+        ...(EXTRAS_IDS.length > 0 ? { serviceTypeId: { [Op.notIn]: EXTRAS_IDS } } : {}),
+        isDeleted: false
+      },
+      transaction: transaction
+    })
+    const SAVED_EXTRAS = await ExtraOrderService.findAll({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'serviceTypeId'],
+      transaction: transaction
+    })
+    for (const EXTRA of quoteExtras) {
+      const SAVED_EXTRA = SAVED_EXTRAS.find(savedExtra => savedExtra.serviceTypeId === EXTRA.id)
+      if (SAVED_EXTRA) {
+        await SAVED_EXTRA.update({ price: EXTRA.price }, { transaction: transaction })
+      } else {
+        await ExtraOrderService.create({
+          orderId: orderId,
+          serviceTypeId: EXTRA.id,
+          price: EXTRA.price,
+          isDeleted: false
+        }, { transaction: transaction })
+      }
+    }
+  }
+
+  /* Function that lets a client add or remove extras on an order that has not yet been paid for. The order is
+  * priced again with the new extras */
+  static async updateOrderExtras (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const CLIENT_ID = await OrdersHelper.getClientId(req.email)
+        const ORDER = await Order.findOne({
           where: {
-            status: orderStatus
+            id: req.orderId,
+            clientId: CLIENT_ID,
+            isDeleted: false
           },
           attributes: ['id'],
-          raw: true
+          include: [
+            {
+              model: OrderStatus,
+              as: 'OrderStatus',
+              attributes: ['status']
+            }
+          ],
+          transaction: t,
+          lock: { level: t.LOCK.UPDATE, of: Order }
         })
-        /* Then update the order status to the above status where the orderId is the one in the request */
-        return await Order.update({
-          statusId: PENDING_PAYMENT_STATUS.id
+        if (!ORDER) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        if (!LIFECYCLE_HELPER.isUnpaidStatus(ORDER.OrderStatus.status) ||
+          await LIFECYCLE_HELPER.orderIsPaidFor(ORDER.id, t)) {
+          return { success: false, message: 'Extras cannot be changed once an order is paid for' }
+        }
+        const QUOTE = await PAYMENTS_HELPER.getSavedOrderQuote(ORDER.id, req.extras || [], t)
+        if (!QUOTE.quoted) {
+          return { success: false, message: QUOTE.message }
+        }
+        await OrdersHelper.saveOrderExtras(ORDER.id, QUOTE.extras, t)
+        await OrderPaymentDetail.update({
+          extrasTotalPrice: QUOTE.extrasTotalPrice,
+          totalPrice: QUOTE.totalPrice,
+          cpp: QUOTE.cpp
         }, {
           where: {
-            id: req.orderId
-          }
-        }, { transaction: t })
-          .then(async orderStatusUpdated => {
-            /* If updated, then assign the order to a writer, or else bind the order to a writer,
-            * but the order will be visible to the writer once the client has paid for the order fully */
-            if (orderStatusUpdated) {
-              /* Get the writer details */
-              const WRITER = await Writer.findOne({
-                where: {
-                  userId: req.writerId
-                },
-                attributes: ['id']
-              })
-              /* Then check if he or she had already been assigned the order */
-              const WRITER_ALREADY_CHOSEN = await WriterOrder.findOne({
-                where: {
-                  orderId: req.orderId,
-                  writerId: WRITER.id
-                },
-                attributes: ['id']
-              })
-              if (req.type === 'public') {
-                /* Then update the order bid status to be successfull, where the orderId and writerId match */
-                await OrderBid.update({
-                  successful: true
-                }, {
-                  where: {
-                    orderId: req.orderId,
-                    writerId: WRITER.id
-                  }
-                }, { transaction: t })
-              }
-              /* If the writer had already been assigned the order, then well and good */
-              if (WRITER_ALREADY_CHOSEN) {
-                return { statusUpdated: true, writerAlreadyChosen: true }
-              } else {
-                /* Otherwise, assign him or her the order - but this is pending the payment of the order by a client */
-                return await WriterOrder.create({
-                  orderId: req.orderId,
-                  writerId: WRITER.id
-                }, { transaction: t })
-                  .then(writerAssigned => {
-                    /* Return the assignment status */
-                    if (writerAssigned) {
-                      return { statusUpdated: true, writerAlreadyChosen: false }
-                    } else {
-                      return { statusUpdated: false, writerAlreadyChosen: false }
-                    }
-                  })
-              }
-            } else {
-              /* Return false and failed to update order status in case it fails to update the status */
-              return {
-                statusUpdated: false,
-                message: 'Failed to update order status',
-                writerAlreadyChosen: false
-              }
-            }
-          })
-          .catch(orderUpdatedError => {
-            throw new Error(orderUpdatedError)
-          })
+            orderId: ORDER.id
+          },
+          transaction: t
+        })
+        return { success: true, quote: QUOTE }
       })
     } catch (e) {
       return Promise.reject(e)
@@ -987,6 +1217,27 @@ class OrdersHelper {
       .catch(error => Promise.reject(error))
   }
 
+  /* Function that gets the writer ID by email */
+  static async getWriterId (email) {
+    /* Just like the getClientId function above, but for writers */
+    const USER = await User.findOne({
+      where: {
+        email: email.toLowerCase()
+      },
+      attributes: ['id']
+    })
+    if (!USER) return null
+    return await Writer.findOne({
+      where: {
+        userId: USER.id
+      },
+      attributes: ['id'],
+      raw: true
+    })
+      .then(writer => writer ? writer.id : null)
+      .catch(error => Promise.reject(error))
+  }
+
   /* Function that gets the client by email */
   static async rateWriter (req) {
     /* Helps to return the client ID by email, reducing the need to duplicate such code - owing to the fact that
@@ -1002,7 +1253,8 @@ class OrdersHelper {
     }
     const WRITER = await WriterOrder.findOne({
       where: {
-        orderId: req.orderId
+        orderId: req.orderId,
+        isDeleted: false
       },
       attributes: ['writerId']
     })
@@ -1067,6 +1319,19 @@ class OrdersHelper {
     }
   }
 
+  /* Function that adds the number of seconds left to the deadline of an order to the order, which can be a model
+  * instance or a plain object. The deadline itself is returned in ISO-8601, in UTC */
+  static withTimeRemaining (order) {
+    if (!order) return order
+    const { secondsRemaining: SECONDS_REMAINING } = DEADLINE_SERVICE.describe(order.deadline)
+    if (order.setDataValue) {
+      order.setDataValue('secondsRemaining', SECONDS_REMAINING)
+    } else {
+      order.secondsRemaining = SECONDS_REMAINING
+    }
+    return order
+  }
+
   /* Function that gets a clients' orders */
   static async getOrders (req) {
     try {
@@ -1076,73 +1341,23 @@ class OrdersHelper {
       * wants to get the details of a selected order */
       /* In case a request wants to get a client's order(s) - req.multiple will be true in this instance */
       if (req.multiple) {
-        /* Find a client's orders by client ID */
-        return await Order.findAll({
+        /* Find a client's orders by client ID, a page at a time */
+        return await OrdersHelper.searchOrders(CLIENT_ID, req)
+      } else {
+        /* Else if a requests does not want multiple orders, then get the details of one selected order */
+        return await Order.findOne({
           where: {
             clientId: CLIENT_ID,
-            isDeleted: false
+            id: req.orderId
           },
-          attributes: ['id', 'deadlineDate', 'deadlineTime', 'pageCount', 'topic'],
-          /* Include a myriad of linked tables such as education level, order status etc */
+          attributes: ['id', 'deadline', 'pageCount', 'topic', 'instructions', 'overdueAt'],
+          /* Get linked tables */
           include: [
-            {
-              model: OrderStatus,
-              as: 'OrderStatus',
-              attributes: ['status'],
-              where: {
-                id: req.orderStatusID ? req.orderStatusID : { [Op.gt]: 0 }
-              }
-            },
-            {
-              model: Discipline,
-              as: 'Discipline',
-              attributes: ['discipline']
-            },
-            {
-              model: EducationLevel,
-              as: 'EducationLevel',
-              attributes: ['level', 'academicInclined', 'orderInclined']
-            },
-            {
-              model: TimeAmPm,
-              as: 'TimeAmPm',
-              attributes: ['time']
-            },
-            {
-              model: OrderPaymentDetail,
-              as: 'OrderPaymentDetail',
-              attributes: ['totalPrice', 'cpp'],
-              /* Layer 2 inclusion, include Currency as child of OrderPaymentDetail */
-              include: [
-                {
-                  model: Currency,
-                  as: 'Currency',
-                  attributes: ['currencyCode']
-                }
-              ]
-            }
-          ]
-        })
-          .then(orders => {
-            /* Return orders */
-            return { orders: orders }
-          })
-          .catch(error => /* Else return a rejected promise */ Promise.reject(error))
-      } else {
-        /* Else if a requests does not want multiple orders, then get the details of one selected order */
-        return await Order.findOne({
-          where: {
-            clientId: CLIENT_ID,
-            id: req.orderId
-          },
-          attributes: ['id', 'deadlineDate', 'deadlineTime', 'pageCount', 'topic', 'instructions'],
-          /* Get linked tables */
-          include: [
-            {
-              model: OrderServiceType,
-              as: 'OrderServiceType',
-              attributes: ['type']
-            },
+            {
+              model: OrderServiceType,
+              as: 'OrderServiceType',
+              attributes: ['type']
+            },
             {
               model: OrderStatus,
               as: 'OrderStatus',
@@ -1171,11 +1386,6 @@ class OrdersHelper {
               as: 'EducationLevel',
               attributes: ['level', 'academicInclined', 'orderInclined']
             },
-            {
-              model: TimeAmPm,
-              as: 'TimeAmPm',
-              attributes: ['time']
-            },
             {
               model: OrderFile,
               as: 'OrderFile',
@@ -1183,7 +1393,8 @@ class OrdersHelper {
                 isDeleted: false
               },
               required: false,
-              attributes: ['fileUrl', 'originalName', 'submittedPaper', 'createdAt'],
+              /* The file URLs are not returned. The files are downloaded with download tokens instead */
+              attributes: ['id', 'originalName', 'submittedPaper', 'createdAt'],
               order: [
                 ['createdAt', 'DESC']
               ],
@@ -1206,11 +1417,27 @@ class OrdersHelper {
                   attributes: ['currencyCode']
                 }
               ]
+            },
+            {
+              model: ExtraOrderService,
+              as: 'ExtraOrderService',
+              where: {
+                isDeleted: false
+              },
+              required: false,
+              attributes: ['serviceTypeId', 'price'],
+              include: [
+                {
+                  model: OrderServiceType,
+                  as: 'OrderServiceType',
+                  attributes: ['type']
+                }
+              ]
             }
           ]
         })
           .then(async order => {
-            let revisionInstructions, submissionChecklist
+            let revisionInstructions, submissionChecklist, revisionAllowance
             /* Get order revision instructions if an order is revisable - revisable here means that an order
             * is currently under revision, or is at a position where a client can request revision */
             const REVISABLE_ORDER_STATUSES = ['Completed', 'Submitted', 'Undergoing revision']
@@ -1222,13 +1449,15 @@ class OrdersHelper {
                   orderId: req.orderId,
                   submitted: false
                 },
-                attributes: ['revisionInstructions', 'deadline']
+                attributes: ['revisionInstructions', 'deadline', 'paid', 'price']
               })
               /* Also the submission checklist, which is a guide that provides direction to a client on how to
               * go about requesting a revision */
               submissionChecklist = await SubmissionChecklist.findAll({
                 attributes: ['aspect', 'aspectDescription']
               })
+              /* And the revisions the client has left as per the revision policy */
+              revisionAllowance = await REVISIONS_HELPER.getAllowance(order)
             }
             const RATED = await WriterRating.findOne({
               where: {
@@ -1236,11 +1465,12 @@ class OrdersHelper {
               },
               attributes: ['rating']
             })
-            /* Return order, revision instructions and submission checklist */
+            /* Return order, revision instructions, submission checklist and revision allowance */
             return {
-              details: order,
+              details: OrdersHelper.withTimeRemaining(order),
               revisionInstructions: revisionInstructions,
               submissionChecklist: submissionChecklist,
+              revisionAllowance: revisionAllowance,
               rated: !!RATED
             }
           })
@@ -1251,6 +1481,131 @@ class OrdersHelper {
     }
   }
 
+  /* Function that searches a client's orders, a page at a time.
+  * The orders can be filtered by status, discipline, education level, assignment type, deadline range and free
+  * text in the topic and instructions, then sorted by deadline, creation date or price. The pages are fetched
+  * using a cursor, which is returned with every page as 'nextCursor' and sent back to get the next page */
+  static async searchOrders (clientId, req) {
+    const LIMIT = Math.min(Number(req.limit) || ORDERS_PAGE_SIZE, MAX_ORDERS_PAGE_SIZE)
+    const SORT = ORDER_SORT_COLUMNS[req.sortBy] || ORDER_SORT_COLUMNS.createdAt
+    const DIRECTION = req.sortOrder === 'ASC' ? 'ASC' : 'DESC'
+    /* Build the filters */
+    const WHERE = {
+      clientId: clientId,
+      isDeleted: false
+    }
+    if (req.orderStatusID) WHERE.statusId = req.orderStatusID
+    if (req.disciplineId) WHERE.subjectId = req.disciplineId
+    if (req.studyLevelId) WHERE.studyLevelId = req.studyLevelId
+    if (req.assignmentTypeId) WHERE.assignmentType = req.assignmentTypeId
+    if (req.deadlineFrom || req.deadlineTo) {
+      WHERE.deadline = {
+        ...(req.deadlineFrom ? { [Op.gte]: req.deadlineFrom } : {}),
+        ...(req.deadlineTo ? { [Op.lte]: req.deadlineTo } : {})
+      }
+    }
+    if (req.search) {
+      /* Escape the wildcards in the search text, so that they are matched literally */
+      const SEARCH = '%'.concat(String(req.search).replace(/[\\%_]/g, '\\$&'), '%')
+      WHERE[Op.or] = [
+        { topic: { [Op.iLike]: SEARCH } },
+        { instructions: { [Op.iLike]: SEARCH } }
+      ]
+    }
+    const INCLUDE = [
+      {
+        model: OrderStatus,
+        as: 'OrderStatus',
+        attributes: ['status']
+      },
+      {
+        model: Discipline,
+        as: 'Discipline',
+        attributes: ['discipline']
+      },
+      {
+        model: EducationLevel,
+        as: 'EducationLevel',
+        attributes: ['level', 'academicInclined', 'orderInclined']
+      },
+      {
+        model: OrderPaymentDetail,
+        as: 'OrderPaymentDetail',
+        attributes: ['totalPrice', 'cpp'],
+        /* Orders without a price cannot be sorted by price */
+        required: req.sortBy === 'price',
+        /* Layer 2 inclusion, include Currency as child of OrderPaymentDetail */
+        include: [
+          {
+            model: Currency,
+            as: 'Currency',
+            attributes: ['currencyCode']
+          }
+        ]
+      }
+    ]
+    /* A cursor that was not issued by a previous page is rejected, rather than failing the query */
+    const CURSOR = req.cursor ? OrdersHelper.parseCursor(req.cursor, SORT.length) : null
+    if (req.cursor && !CURSOR) {
+      return { success: false, message: 'Invalid cursor' }
+    }
+    /* The total count is that of all the orders matching the filters, regardless of the page. It joins the same
+    * tables as the pages, so that it only counts the orders the pages can return */
+    const TOTAL_COUNT = await Order.count({
+      where: WHERE,
+      include: INCLUDE,
+      distinct: true,
+      col: 'id'
+    })
+    /* Then pick up after the last order of the previous page, if any */
+    const PAGE_WHERE = { ...WHERE }
+    if (CURSOR) {
+      const OPERATOR = DIRECTION === 'ASC' ? Op.gt : Op.lt
+      PAGE_WHERE[Op.and] = [{
+        [Op.or]: SORT.map((column, i) => ({
+          ...Object.fromEntries(SORT.slice(0, i).map((previous, j) => [previous.column, CURSOR[j]])),
+          [column.column]: { [OPERATOR]: CURSOR[i] }
+        }))
+      }]
+    }
+    /* One more order than the page size is fetched, to know whether there is a next page */
+    const ORDERS = await Order.findAll({
+      where: PAGE_WHERE,
+      attributes: ['id', 'deadline', 'pageCount', 'topic', 'overdueAt', 'createdAt'],
+      include: INCLUDE,
+      order: SORT.map(column => [...column.order, DIRECTION]),
+      limit: LIMIT + 1,
+      subQuery: false
+    })
+    const PAGE = ORDERS.slice(0, LIMIT)
+    const LAST_ORDER = PAGE[PAGE.length - 1]
+    /* The extras are fetched separately, since including them would break the limit of the page */
+    const EXTRAS = await OrdersHelper.getOrderExtras(PAGE.map(order => order.id))
+    return {
+      orders: PAGE.map(order => ({
+        ...OrdersHelper.withTimeRemaining(order.toJSON()),
+        ExtraOrderService: EXTRAS.filter(extra => extra.orderId === order.id)
+      })),
+      totalCount: TOTAL_COUNT,
+      nextCursor: ORDERS.length > LIMIT
+        ? Buffer.from(JSON.stringify(SORT.map(column => column.value(LAST_ORDER)))).toString('base64')
+        : null
+    }
+  }
+
+  /* Function that decodes the cursor of a page, which is the base64 of the values of the sort columns of the last
+  * order of the previous page. It returns null in case the cursor is malformed */
+  static parseCursor (cursor, length) {
+    try {
+      const VALUES = JSON.parse(Buffer.from(String(cursor), 'base64').toString())
+      const VALID = Array.isArray(VALUES) && VALUES.length === length &&
+        VALUES.every(value => ['string', 'number'].includes(typeof value))
+      return VALID ? VALUES : null
+    } catch (e) {
+      return null
+    }
+  }
+
   /* Function that fetches order status types */
   static async getOrderStatusTypes () {
     return await OrderStatus.findAll({
@@ -1288,7 +1643,7 @@ class OrdersHelper {
         order: [
           ['createdAt', 'DESC']
         ],
-        attributes: ['id', 'deadlineDate', 'pageCount', 'topic', 'instructions', 'sources'],
+        attributes: ['id', 'deadline', 'pageCount', 'topic', 'instructions', 'sources'],
         /* Include linked classes or models */
         include: [
           {
@@ -1316,11 +1671,6 @@ class OrdersHelper {
             as: 'OrderFormat',
             attributes: ['id', 'wordsPerPage', 'spacing']
           },
-          {
-            model: TimeAmPm,
-            as: 'TimeAmPm',
-            attributes: ['id']
-          },
           {
             model: EducationLevel,
             as: 'EducationLevel',
@@ -1381,7 +1731,7 @@ class OrdersHelper {
             where: {
               orderId: LATEST_ORDER.id
             },
-            attributes: ['id', 'extras', 'extrasTotalPrice', 'totalPrice', 'cpp'],
+            attributes: ['id', 'extrasTotalPrice', 'totalPrice', 'cpp'],
             include: [
               {
                 model: Currency,
@@ -1406,7 +1756,8 @@ class OrdersHelper {
           })
           const ORDER_ASSIGNMENT = await WriterOrder.findOne({
             where: {
-              orderId: LATEST_ORDER.id
+              orderId: LATEST_ORDER.id,
+              isDeleted: false
             },
             attributes: ['id'],
             include: [
@@ -1431,13 +1782,14 @@ class OrdersHelper {
             attributes: ['id']
           })
           const ORDER_FILES = await OrderFile.findAll({
-            attributes: ['fileUrl', 'originalName'],
+            attributes: ['id', 'originalName'],
             where: {
               orderId: LATEST_ORDER.id,
               isDeleted: false,
               type: ORDER_FILE_TYPE.id
             }
           })
+          const ORDER_EXTRAS = await OrdersHelper.getOrderExtras(LATEST_ORDER.id)
           return await ClientOrderPostingStep.findOne({
             where: {
               clientId: client.id
@@ -1450,11 +1802,12 @@ class OrdersHelper {
             .then(orderStep => {
               return {
                 type: 'Client',
-                orderDetails: LATEST_ORDER,
+                orderDetails: OrdersHelper.withTimeRemaining(LATEST_ORDER),
                 paperDiscount: finalDiscount,
                 loginVia: client.loginVia ? client.loginVia : null,
                 orderPostingStep: orderStep,
                 orderPaymentDetails: ORDER_PAYMENT_DETAILS,
+                orderExtras: ORDER_EXTRAS,
                 orderAlreadyPaidFor: !!ORDER_ALREADY_PAID_FOR,
                 orderAssignment: ORDER_ASSIGNMENT,
                 orderFiles: ORDER_FILES,
@@ -1532,7 +1885,8 @@ class OrdersHelper {
   }
 
   /* Function to create a revision request by changing the order status to 'Undergoing revision' and also
-  * creates a revision request in the OrderRevision table */
+  * creates a revision request in the OrderRevision table. A paid revision is charged on the order instead, which
+  * waits in 'Pending revision' until the client pays the charge */
   static async revisionRequest (req) {
     try {
       return await MODEL.sequelize.transaction(async t => {
@@ -1551,13 +1905,55 @@ class OrdersHelper {
           where: {
             id: req.orderId,
             clientId: CLIENT_ID
-          }
+          },
+          include: [
+            {
+              model: OrderStatus,
+              as: 'OrderStatus',
+              attributes: ['status']
+            }
+          ]
         }, {
           transaction: t
         })
           .then(async orderExists => {
             /* If order exists, then make the revision requests */
             if (orderExists) {
+              if (orderExists.OrderStatus.status === 'Pending revision') {
+                return { success: false, message: 'A paid revision on this order is awaiting payment' }
+              }
+              /* The revision policy only applies to an order at a position where a client can request a revision */
+              if (!LIFECYCLE_HELPER.canTransition(orderExists.OrderStatus.status, 'Undergoing revision')) {
+                return {
+                  success: false,
+                  message: `Order cannot move from '${orderExists.OrderStatus.status}' to 'Undergoing revision'`
+                }
+              }
+              /* A deadline without a UTC offset is in the timezone of the client */
+              const DEADLINE = DEADLINE_SERVICE.parseDeadline(req.deadline,
+                await PAYMENTS_HELPER.getClientTimezone({ clientId: CLIENT_ID }))
+              if (!DEADLINE || DEADLINE.getTime() <= new Date().getTime()) {
+                return { success: false, message: 'Revision deadline should be in the future' }
+              }
+              /* Check the request against the revision policy i.e. the free revisions left, the free revision window
+              * and the minimum deadline of a revision */
+              const POLICY_CHECK = await REVISIONS_HELPER.checkRevisionRequest(orderExists, DEADLINE,
+                req.acceptPaidRevision, t)
+              if (!POLICY_CHECK.allowed) {
+                return { success: false, message: POLICY_CHECK.message, revisionAllowance: POLICY_CHECK.allowance }
+              }
+              /* Update the status to 'Undergoing revision' through the order lifecycle, which also makes sure
+              * that the order is at a position where a client can request a revision. A paid revision only starts
+              * once it is paid for */
+              const STATUS = POLICY_CHECK.paid ? 'Pending revision' : 'Undergoing revision'
+              const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, STATUS, {
+                actor: USER.id,
+                reason: 'Revision requested',
+                transaction: t
+              })
+              if (!STATUS_UPDATED.transitioned) {
+                return { success: false, message: STATUS_UPDATED.message }
+              }
               /* Get the parameters */
               const REQ_CHECKLIST = req.checklist
               const SUPPORTING_FILES = req.supportingFiles
@@ -1577,70 +1973,44 @@ class OrdersHelper {
                   },
                   attributes: ['id']
                 })
-                /* Then loop through the revision supporting files */
+                /* Then loop through the revision supporting files, saving each of them as a version of an order
+                * file */
                 for (let i = 0; i < SUPPORTING_FILES.length; i++) {
-                  /* Format the original file name to ensure it does not exceed the 50-character limit */
-                  const FINAL_ORIGINAL_NAME = OrdersHelper.originalNameFormatter(SUPPORTING_FILES[i].originalName)
-                  /* Then create an orderFile.
-                  * POINT TO NOTE: No need to first check whether the record exists because at this point we
-                  * don't edit revision requests. We just add */
-                  await OrderFile.create({
-                    orderId: req.orderId,
-                    fileUrl: SUPPORTING_FILES[i].fileUrl,
-                    originalName: FINAL_ORIGINAL_NAME,
-                    type: ORDER_FILE_TYPE.id,
-                    isDeleted: false,
-                    submittedPaper: false
-                  }, { transaction: t })
+                  await OrdersHelper.saveOrderFile(req.orderId, ORDER_FILE_TYPE.id, SUPPORTING_FILES[i], {
+                    uploadedBy: USER.id,
+                    transaction: t
+                  })
                 }
               }
-              /* Get the status of an order */
-              const ORDER_STATUS = await Order.findOne({
-                where: {
-                  id: req.orderId
-                },
-                include: [
-                  {
-                    model: OrderStatus,
-                    as: 'OrderStatus',
-                    attributes: ['status']
-                  }
-                ]
-              })
-              /* Update the status to 'Undergoing revision' if it already is not */
-              if (ORDER_STATUS.OrderStatus.status !== 'Undergoing revision') {
-                const REVISION_ORDER_STATUS = await OrderStatus.findOne({
-                  where: {
-                    status: 'Undergoing revision'
-                  },
-                  attributes: ['id']
-                })
-                await Order.update({
-                  statusId: REVISION_ORDER_STATUS.id
-                }, {
-                  where: {
-                    id: req.orderId
-                  }
-                }, { transaction: t })
-              }
-              /* Format the deadline time */
-              const DEADLINE = new Date(req.deadline.date)
-              const DEADLINE_TIME_ARRAY = req.deadline.time.split(':')
-              DEADLINE.setHours(DEADLINE_TIME_ARRAY[0])
-              DEADLINE.setMinutes(DEADLINE_TIME_ARRAY[1])
               /* Create an OrderRevision record */
               return await OrderRevision.create({
                 orderId: req.orderId,
                 revisionInstructions: CHECKLIST,
                 deadline: DEADLINE,
+                paid: POLICY_CHECK.paid,
+                price: POLICY_CHECK.price,
                 creator: USER.id,
                 submitted: false,
                 isDeleted: false
               }, { transaction: t })
-                .then(revisionRequested => {
-                  /* Return success if revision has been requested successfully */
-                  if (revisionRequested) {
-                    return { success: true }
+                .then(async revisionRequested => {
+                  /* Return success if revision has been requested successfully, and let the writer know. The price
+                  * of a paid revision is charged on the order, and the writer only learns of the revision once the
+                  * charge is paid for */
+                  if (revisionRequested && POLICY_CHECK.paid) {
+                    const CHARGE = await CHARGES_HELPER.createCharge({
+                      orderId: req.orderId,
+                      type: CHARGES_HELPER.CHARGE_TYPES.PAID_REVISION,
+                      amount: POLICY_CHECK.price,
+                      orderRevisionId: revisionRequested.id
+                    }, t)
+                    return { success: true, paid: true, amountDue: CHARGE.amount, chargeId: CHARGE.id }
+                  } else if (revisionRequested) {
+                    await EVENTS_SERVICE.publishToOrder(req.orderId, 'revision.requested', {
+                      revisionId: revisionRequested.id,
+                      deadline: revisionRequested.deadline
+                    }, { parties: ['writer'], transaction: t })
+                    return { success: true, paid: false, amountDue: 0 }
                   } else {
                     return { success: false, message: 'Failed to add entry' }
                   }
@@ -1673,38 +2043,30 @@ class OrdersHelper {
           .then(async belongs => {
             /* If it belongs, then update its status to completed */
             if (belongs) {
-              /* Get the user, client and completed order status first */
+              /* Get the user first */
               const USER = await User.findOne({
                 attributes: ['id'],
                 where: {
                   email: req.email.toLowerCase()
                 }
               }, { transaction: t })
-              const CLIENT_ID = await Client.findOne({
-                attributes: ['id'],
-                raw: true,
-                where: {
-                  userId: USER.id
-                }
-              })
-              const COMPLETED_ORDER_STATUS = await OrderStatus.findOne({
-                where: {
-                  status: 'Completed'
-                },
-                attributes: ['id']
+              /* Then update the order status to be 'Completed' through the order lifecycle */
+              const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Completed', {
+                actor: USER.id,
+                reason: 'Client confirmed completion',
+                transaction: t
               })
-              /* Then update the order status to be 'Completed' */
-              return await Order.update({
-                statusId: COMPLETED_ORDER_STATUS.id
-              }, {
-                where: {
-                  id: req.orderId,
-                  clientId: CLIENT_ID.id
-                }
-              })
-                .then(statusUpdated => {
-                  return { updated: statusUpdated.length > 0 }
+              /* The writer earns his or her share of the order once it is completed. A paid revision that the
+              * client has not paid for is dropped, since the client is happy with the order as it is */
+              if (STATUS_UPDATED.transitioned) {
+                await CHARGES_HELPER.withdrawCharges(req.orderId, {}, t)
+                await PAYMENTS_HELPER.creditWriterEarning(req.orderId, {
+                  actor: USER.id,
+                  reason: 'Client confirmed completion',
+                  transaction: t
                 })
+              }
+              return { updated: STATUS_UPDATED.transitioned, message: STATUS_UPDATED.message }
             } else {
               return { updated: false }
             }
@@ -1718,6 +2080,617 @@ class OrdersHelper {
     }
   }
 
+  /* Function that lets the writer assigned to an order deliver the paper, or the revised paper in case the order is
+  * undergoing revision. The papers are saved as order files, the pending revisions are marked as submitted and the
+  * order moves to 'Submitted'. A delivery made after the deadline is recorded as late */
+  static async submitPaper (req, revision) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const [USER, WRITER_ID] = await Promise.all([
+          User.findOne({
+            where: {
+              email: req.email.toLowerCase()
+            },
+            attributes: ['id']
+          }),
+          OrdersHelper.getWriterId(req.email)
+        ])
+        /* Check that the writer is the one assigned to the order */
+        const WRITER_ORDER = WRITER_ID && await WriterOrder.findOne({
+          where: {
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            isDeleted: false
+          },
+          attributes: ['id'],
+          include: [
+            {
+              model: Order,
+              as: 'Order',
+              attributes: ['deadline'],
+              include: [
+                {
+                  model: OrderStatus,
+                  as: 'OrderStatus',
+                  attributes: ['status']
+                }
+              ]
+            }
+          ]
+        })
+        if (!WRITER_ORDER) {
+          return { success: false, message: 'Order does not exist' }
+        }
+        if (!req.papers || req.papers.length === 0) {
+          return { success: false, message: 'No paper has been uploaded' }
+        }
+        /* A paper is delivered on an ongoing order, while a revised paper is delivered on an order undergoing
+        * revision */
+        const EXPECTED_STATUS = revision ? 'Undergoing revision' : 'Ongoing'
+        if (WRITER_ORDER.Order.OrderStatus.status !== EXPECTED_STATUS) {
+          return { success: false, message: `Order is not ${EXPECTED_STATUS.toLowerCase()}` }
+        }
+        /* Get the deadline of the delivery. For a revision, it is the earliest deadline of the pending revision
+        * requests */
+        let deadline
+        const PENDING_REVISIONS = await OrderRevision.findAll({
+          where: {
+            orderId: req.orderId,
+            submitted: false,
+            isDeleted: false
+          },
+          attributes: ['id', 'deadline'],
+          order: [
+            ['deadline', 'ASC']
+          ]
+        })
+        if (revision) {
+          if (PENDING_REVISIONS.length === 0) {
+            return { success: false, message: 'There is no pending revision request' }
+          }
+          deadline = new Date(PENDING_REVISIONS[0].deadline)
+        } else {
+          deadline = new Date(WRITER_ORDER.Order.deadline)
+        }
+        const LATE = new Date().getTime() > deadline.getTime()
+        /* A paper whose content has already been submitted on the order is not a new draft */
+        for (const PAPER of req.papers) {
+          if (PAPER.checksum && !SHA256_CHECKSUM.test(PAPER.checksum)) {
+            return { success: false, message: 'Invalid paper checksum' }
+          }
+          if (await OrdersHelper.findDuplicateFile(req.orderId, PAPER, t)) {
+            return { success: false, message: `Paper '${PAPER.originalName}' has already been submitted` }
+          }
+        }
+        const ORDER_FILE_TYPE = await OrderFileType.findOne({
+          where: {
+            type: 'Paper'
+          },
+          attributes: ['id']
+        })
+        /* Save the papers, plus a submission record for each of them. A paper submitted again (by its order file
+        * ID, or else its original name) becomes the next version of the previous one */
+        for (let i = 0; i < req.papers.length; i++) {
+          const { orderFile: PAPER, version: VERSION } = await OrdersHelper.saveOrderFile(req.orderId,
+            ORDER_FILE_TYPE.id, req.papers[i], {
+              uploadedBy: USER.id,
+              submittedPaper: true,
+              orderFileId: req.papers[i].orderFileId,
+              transaction: t
+            })
+          await PaperSubmission.create({
+            orderId: req.orderId,
+            writerId: WRITER_ID,
+            orderFileId: PAPER.id,
+            orderFileVersionId: VERSION.id,
+            revision: revision,
+            deadline: deadline,
+            late: LATE
+          }, { transaction: t })
+        }
+        /* The revised paper answers all the pending revision requests */
+        if (revision) {
+          await OrderRevision.update({
+            submitted: true,
+            editor: USER.id
+          }, {
+            where: {
+              id: PENDING_REVISIONS.map(pendingRevision => pendingRevision.id)
+            },
+            transaction: t
+          })
+        }
+        /* The order is no longer overdue once delivered. Late deliveries are kept in the paper submissions */
+        await Order.update({
+          overdueAt: null
+        }, {
+          where: {
+            id: req.orderId
+          },
+          transaction: t
+        })
+        /* Lastly, move the order to 'Submitted' */
+        const STATUS_UPDATED = await LIFECYCLE_HELPER.transitionOrder(req.orderId, 'Submitted', {
+          actor: USER.id,
+          reason: revision ? 'Revised paper submitted' : 'Paper submitted',
+          transaction: t
+        })
+        if (!STATUS_UPDATED.transitioned) {
+          /* Throwing rolls back the papers saved above */
+          throw new Error(STATUS_UPDATED.message)
+        }
+        /* A shorter deadline that is yet to be paid for no longer applies once the paper is delivered */
+        await CHARGES_HELPER.withdrawCharges(req.orderId, {
+          type: CHARGES_HELPER.CHARGE_TYPES.SHORTER_DEADLINE
+        }, t)
+        return { success: true, late: LATE }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that returns the activity timeline of an order i.e. its status changes, payments, files, revision
+  * requests, bids and rating, merged in chronological order. Only the client who owns the order and the support
+  * staff (admins) can view it */
+  static async getOrderTimeline (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const ORDER = await Order.findOne({
+        where: {
+          id: req.orderId
+        },
+        attributes: ['id', 'createdAt'],
+        include: [
+          {
+            model: Client,
+            as: 'Client',
+            attributes: ['userId']
+          },
+          {
+            model: WriterOrder,
+            as: 'WriterOrder',
+            attributes: ['id'],
+            required: false,
+            where: {
+              isDeleted: false
+            },
+            include: [
+              {
+                model: Writer,
+                as: 'Writer',
+                attributes: ['userId']
+              }
+            ]
+          }
+        ]
+      })
+      if (!USER || !ORDER) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const CLIENT_USER_ID = ORDER.Client.userId
+      /* Check whether the user is the owner of the order, or an admin */
+      if (USER.id !== CLIENT_USER_ID) {
+        const ADMIN = await Admin.findOne({
+          where: {
+            userId: USER.id
+          },
+          attributes: ['id']
+        })
+        if (!ADMIN) {
+          return { success: false, message: 'Order does not exist' }
+        }
+      }
+      const WRITER_USER_IDS = ORDER.WriterOrder.map(writerOrder => writerOrder.Writer.userId)
+      /* Function that describes the party behind an entry by the user's ID */
+      const ACTOR = userId => {
+        let role
+        if (!userId) {
+          role = 'system'
+        } else if (userId === CLIENT_USER_ID) {
+          role = 'client'
+        } else if (WRITER_USER_IDS.includes(userId)) {
+          role = 'writer'
+        } else {
+          role = 'admin'
+        }
+        return { role: role, userId: userId || null }
+      }
+      /* Get the different kinds of activities on the order */
+      const [
+        STATUS_CHANGES, PAYMENTS, FILES, REVISIONS, BIDS, RATINGS, DISPUTES, REFUNDS, EXTENSIONS
+      ] = await Promise.all([
+        LIFECYCLE_HELPER.getOrderStatusHistory(req.orderId),
+        ClientPayment.findAll({
+          where: {
+            orderId: req.orderId
+          },
+          attributes: ['transactionId', 'checkoutRequestId', 'amount', 'createdAt', 'updatedAt'],
+          include: [
+            {
+              model: PaymentStatus,
+              as: 'PaymentStatus',
+              attributes: ['status']
+            },
+            {
+              model: Currency,
+              as: 'Currency',
+              attributes: ['currencyCode']
+            }
+          ]
+        }),
+        OrderFileVersion.findAll({
+          attributes: ['version', 'originalName', 'uploadedBy', 'createdAt'],
+          include: [
+            {
+              model: OrderFile,
+              as: 'OrderFile',
+              attributes: ['submittedPaper', 'isDeleted'],
+              where: {
+                orderId: req.orderId
+              },
+              include: [
+                {
+                  model: OrderFileType,
+                  as: 'OrderFileType',
+                  attributes: ['type']
+                }
+              ]
+            },
+            {
+              model: PaperSubmission,
+              as: 'PaperSubmission',
+              attributes: ['revision', 'late']
+            }
+          ]
+        }),
+        OrderRevision.findAll({
+          where: {
+            orderId: req.orderId,
+            isDeleted: false
+          },
+          attributes: ['creator', 'deadline', 'submitted', 'createdAt']
+        }),
+        OrderBid.findAll({
+          where: {
+            orderId: req.orderId
+          },
+          attributes: ['successful', 'withdrawn', 'createdAt'],
+          include: [
+            {
+              model: Writer,
+              as: 'Writer',
+              attributes: ['userId', 'surname', 'otherNames']
+            }
+          ]
+        }),
+        WriterRating.findAll({
+          where: {
+            orderId: req.orderId
+          },
+          attributes: ['rating', 'createdAt']
+        }),
+        OrderDispute.findAll({
+          where: {
+            orderId: req.orderId,
+            isDeleted: false
+          },
+          attributes: ['openedBy', 'reasonCategory', 'resolved', 'outcome', 'refundAmount', 'resolvedBy',
+            'resolvedAt', 'createdAt']
+        }),
+        ClientRefund.findAll({
+          where: {
+            orderId: req.orderId,
+            isDeleted: false
+          },
+          attributes: ['amount', 'policy', 'reason', 'actor', 'createdAt']
+        }),
+        DeadlineExtension.findAll({
+          where: {
+            orderId: req.orderId,
+            isDeleted: false
+          },
+          attributes: ['requestedBy', 'previousDeadline', 'deadline', 'reason', 'status', 'priceDifference',
+            'respondedBy', 'respondedAt', 'createdAt']
+        })
+      ])
+      /* The MPESA records are linked to the client payments by the checkout request ID */
+      const MPESA_RECORDS = await MPESA.findAll({
+        where: {
+          checkoutRequestId: PAYMENTS.map(payment => payment.checkoutRequestId).filter(id => id)
+        },
+        attributes: ['receiptNumber', 'amount', 'createdAt']
+      })
+      const TIMELINE = [
+        ...STATUS_CHANGES.map(change => ({
+          type: 'status_change',
+          timestamp: change.createdAt,
+          actor: ACTOR(change.actor),
+          details: {
+            from: change.FromStatus ? change.FromStatus.status : null,
+            to: change.ToStatus.status,
+            reason: change.reason
+          }
+        })),
+        ...PAYMENTS.map(payment => ({
+          type: 'payment',
+          timestamp: payment.createdAt,
+          actor: ACTOR(CLIENT_USER_ID),
+          details: {
+            trId: payment.transactionId,
+            amount: payment.amount,
+            currencyCode: payment.Currency.currencyCode,
+            status: payment.PaymentStatus.status,
+            updatedAt: payment.updatedAt
+          }
+        })),
+        ...MPESA_RECORDS.map(record => ({
+          type: 'mpesa_receipt',
+          timestamp: record.createdAt,
+          actor: ACTOR(null),
+          details: {
+            receiptNumber: record.receiptNumber,
+            amount: record.amount
+          }
+        })),
+        ...FILES.map(file => ({
+          type: 'file_upload',
+          timestamp: file.createdAt,
+          /* The files uploaded before the uploaders were recorded are attributed by their type */
+          actor: file.uploadedBy
+            ? ACTOR(file.uploadedBy)
+            : WRITER_FILE_TYPES.includes(file.OrderFile.OrderFileType.type)
+              ? { role: 'writer', userId: WRITER_USER_IDS[0] || null }
+              : ACTOR(CLIENT_USER_ID),
+          details: {
+            originalName: file.originalName,
+            version: file.version,
+            fileType: file.OrderFile.OrderFileType.type,
+            submittedPaper: file.OrderFile.submittedPaper,
+            revision: file.PaperSubmission ? file.PaperSubmission.revision : false,
+            late: file.PaperSubmission ? file.PaperSubmission.late : false,
+            removed: file.OrderFile.isDeleted
+          }
+        })),
+        ...REVISIONS.map(revision => ({
+          type: 'revision_request',
+          timestamp: revision.createdAt,
+          actor: ACTOR(revision.creator),
+          details: {
+            deadline: revision.deadline,
+            submitted: revision.submitted
+          }
+        })),
+        ...BIDS.map(bid => ({
+          type: 'bid',
+          timestamp: bid.createdAt,
+          actor: { role: 'writer', userId: bid.Writer.userId },
+          details: {
+            writer: [bid.Writer.surname, bid.Writer.otherNames].join(' '),
+            successful: bid.successful,
+            withdrawn: bid.withdrawn
+          }
+        })),
+        ...RATINGS.map(rating => ({
+          type: 'writer_rating',
+          timestamp: rating.createdAt,
+          actor: ACTOR(CLIENT_USER_ID),
+          details: {
+            rating: rating.rating
+          }
+        })),
+        ...DISPUTES.map(dispute => ({
+          type: 'dispute_opened',
+          timestamp: dispute.createdAt,
+          actor: ACTOR(dispute.openedBy),
+          details: {
+            reasonCategory: dispute.reasonCategory
+          }
+        })),
+        ...DISPUTES.filter(dispute => dispute.resolved).map(dispute => ({
+          type: 'dispute_resolved',
+          timestamp: dispute.resolvedAt,
+          actor: ACTOR(dispute.resolvedBy),
+          details: {
+            outcome: dispute.outcome,
+            refundAmount: dispute.refundAmount
+          }
+        })),
+        ...REFUNDS.map(refund => ({
+          type: 'refund',
+          timestamp: refund.createdAt,
+          actor: ACTOR(refund.actor),
+          details: {
+            amount: refund.amount,
+            policy: refund.policy,
+            reason: refund.reason
+          }
+        })),
+        ...EXTENSIONS.map(extension => ({
+          type: 'deadline_extension_request',
+          timestamp: extension.createdAt,
+          actor: ACTOR(extension.requestedBy),
+          details: {
+            previousDeadline: extension.previousDeadline,
+            deadline: extension.deadline,
+            reason: extension.reason,
+            priceDifference: extension.priceDifference
+          }
+        })),
+        ...EXTENSIONS.filter(extension => extension.respondedAt).map(extension => ({
+          type: 'deadline_extension_response',
+          timestamp: extension.respondedAt,
+          actor: ACTOR(extension.respondedBy),
+          details: {
+            status: extension.status,
+            deadline: extension.deadline,
+            priceDifference: extension.priceDifference
+          }
+        }))
+      ]
+      /* Lastly, sort the entries in chronological order */
+      TIMELINE.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+      return { success: true, timeline: TIMELINE }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that finds a file version on an order with the same content (checksum) or location (file URL) as a
+  * given file. It returns null in case the file is not a duplicate */
+  static async findDuplicateFile (orderId, file, transaction) {
+    return await OrderFileVersion.findOne({
+      where: {
+        [Op.or]: [
+          { fileUrl: file.fileUrl },
+          ...(file.checksum ? [{ checksum: file.checksum.toLowerCase() }] : [])
+        ],
+        isDeleted: false
+      },
+      attributes: ['id', 'orderFileId', 'version'],
+      include: [
+        {
+          model: OrderFile,
+          as: 'OrderFile',
+          attributes: ['id', 'type'],
+          where: {
+            orderId: orderId,
+            isDeleted: false
+          }
+        }
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that saves an uploaded file of an order as a new version.
+  * The file has the file URL and original name, plus the size, MIME type and SHA-256 checksum of its content. The
+  * options are the ID of the user uploading the file, whether the file is a submitted paper, the dispute the file is
+  * evidence of, the chat message the file is attached to and the transaction. A file that is uploaded again (the same
+  * order file ID, or else the same type and original name) becomes the next version of the existing order file, while
+  * a file whose content is already on the order is not saved again. A file attached to a chat message is always saved
+  * against that message. It returns the order file and the version, plus whether the file is a duplicate */
+  static async saveOrderFile (orderId, type, file, options = {}) {
+    const {
+      uploadedBy = null, submittedPaper = false, disputeId = null, chatContentId = null, orderFileId, transaction
+    } = options
+    if (file.checksum && !SHA256_CHECKSUM.test(file.checksum)) {
+      throw new Error('Invalid file checksum')
+    }
+    const DUPLICATE = !chatContentId && await OrdersHelper.findDuplicateFile(orderId, file, transaction)
+    if (DUPLICATE) {
+      return { orderFile: DUPLICATE.OrderFile, version: DUPLICATE, duplicate: true }
+    }
+    const ORIGINAL_NAME = OrdersHelper.originalNameFormatter(file.originalName)
+    let orderFile = await OrderFile.findOne({
+      where: {
+        orderId: orderId,
+        type: type,
+        isDeleted: false,
+        ...(chatContentId ? { chatContentId: chatContentId } : {}),
+        ...(orderFileId ? { id: orderFileId } : { originalName: ORIGINAL_NAME })
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    if (orderFile) {
+      await orderFile.update({
+        fileUrl: file.fileUrl,
+        originalName: ORIGINAL_NAME,
+        submittedPaper: submittedPaper
+      }, { transaction: transaction })
+    } else {
+      orderFile = await OrderFile.create({
+        orderId: orderId,
+        disputeId: disputeId,
+        chatContentId: chatContentId,
+        fileUrl: file.fileUrl,
+        originalName: ORIGINAL_NAME,
+        type: type,
+        submittedPaper: submittedPaper,
+        isDeleted: false
+      }, { transaction: transaction })
+    }
+    const LATEST_VERSION = await OrderFileVersion.max('version', {
+      where: {
+        orderFileId: orderFile.id
+      },
+      transaction: transaction
+    })
+    const VERSION = await OrderFileVersion.create({
+      orderFileId: orderFile.id,
+      version: (LATEST_VERSION || 0) + 1,
+      fileUrl: file.fileUrl,
+      originalName: file.originalName,
+      size: file.size || null,
+      mimeType: file.mimeType || null,
+      checksum: file.checksum ? file.checksum.toLowerCase() : null,
+      uploadedBy: uploadedBy,
+      isDeleted: false
+    }, { transaction: transaction })
+    return { orderFile: orderFile, version: VERSION, duplicate: false }
+  }
+
+  /* Function that lists every version of the papers submitted on an order, so that the drafts can be compared.
+  * Only the client, the writer of the order and admins can view them */
+  static async getPaperVersions (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const { order: ORDER, party: PARTY } = USER ? await OrdersHelper.getOrderParties(req.orderId, USER.id) : {}
+      const ADMIN = USER && !PARTY && await Admin.findOne({
+        where: {
+          userId: USER.id
+        },
+        attributes: ['id']
+      })
+      if (!ORDER || (!PARTY && !ADMIN)) {
+        return { success: false, message: 'Order does not exist' }
+      }
+      const PAPERS = await OrderFile.findAll({
+        where: {
+          orderId: req.orderId,
+          submittedPaper: true,
+          isDeleted: false
+        },
+        attributes: ['id', 'originalName', 'createdAt'],
+        include: [
+          {
+            model: OrderFileVersion,
+            as: 'OrderFileVersion',
+            where: {
+              isDeleted: false
+            },
+            attributes: ['id', 'version', 'originalName', 'size', 'mimeType', 'checksum', 'uploadedBy', 'createdAt'],
+            include: [
+              {
+                model: PaperSubmission,
+                as: 'PaperSubmission',
+                attributes: ['revision', 'deadline', 'late']
+              }
+            ]
+          }
+        ],
+        order: [
+          ['createdAt', 'ASC'],
+          [{ model: OrderFileVersion, as: 'OrderFileVersion' }, 'version', 'ASC']
+        ]
+      })
+      return { success: true, papers: PAPERS }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
   /* Function that formats the original of a file by ensuring its length does not exceed 50 characters */
   static originalNameFormatter (originalName) {
     /* Takes in the original name and returns the formatted one */
@@ -0,0 +1,113 @@
+'use strict'
+
+/* Module that handles the revision policy of orders. The policy in use is saved in the revision_policy table, and
+* sets:
+* - The window after the delivery of an order in which a client can request free revisions.
+* - The maximum number of free revisions on an order.
+* - The minimum deadline of a revision, which grows with the page count of the order.
+* - The price of a paid revision, which a client can request once the free revisions are used up or the window has
+*   elapsed */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  OrderPaymentDetail,
+  OrderRevision,
+  RevisionPolicy
+} = require('../../models')
+
+/* Importing the helper used to get the time an order was delivered */
+const LIFECYCLE_HELPER = require('./lifecycle')
+
+/* The class that handles the revision policy logic */
+class RevisionPolicyHelper {
+  /* Function that gets the revision policy in use */
+  static async getPolicy (transaction) {
+    return await RevisionPolicy.findOne({
+      where: {
+        currentlyInUse: true,
+        isDeleted: false
+      },
+      order: [
+        ['createdAt', 'DESC']
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that computes the revision allowance of an order i.e. the free revisions left, the end of the free
+  * revision window, whether the next revision is free, the minimum deadline of a revision and the price of a paid
+  * revision. It returns null in case no revision policy is in use */
+  static async getAllowance (order, transaction) {
+    const [POLICY, FREE_REVISIONS, DELIVERED_AT, PAYMENT_DETAIL] = await Promise.all([
+      RevisionPolicyHelper.getPolicy(transaction),
+      OrderRevision.count({
+        where: {
+          orderId: order.id,
+          paid: false,
+          isDeleted: false
+        },
+        transaction: transaction
+      }),
+      LIFECYCLE_HELPER.statusEnteredAt(order.id, 'Submitted', transaction),
+      OrderPaymentDetail.findOne({
+        where: {
+          orderId: order.id,
+          isDeleted: false
+        },
+        attributes: ['extrasTotalPrice', 'totalPrice'],
+        transaction: transaction
+      })
+    ])
+    if (!POLICY) {
+      return null
+    }
+    const NOW = new Date().getTime()
+    /* The window starts from the latest delivery of the order */
+    const WINDOW_ENDS_AT = DELIVERED_AT
+      ? new Date(new Date(DELIVERED_AT).getTime() + POLICY.freeRevisionWindowHours * 60 * 60 * 1000)
+      : null
+    const FREE_REVISIONS_REMAINING = Math.max(POLICY.maxFreeRevisions - FREE_REVISIONS, 0)
+    const MIN_DEADLINE_HOURS = POLICY.minDeadlineBaseHours + POLICY.minDeadlineHoursPerPage * order.pageCount
+    /* A paid revision is priced on the pages of the order, leaving out the extras. MPESA only accepts whole amounts,
+    * hence the price is rounded to the nearest unit */
+    const PAGES_PRICE = PAYMENT_DETAIL ? PAYMENT_DETAIL.totalPrice - PAYMENT_DETAIL.extrasTotalPrice : 0
+    return {
+      freeRevisionsRemaining: FREE_REVISIONS_REMAINING,
+      freeRevisionWindowEndsAt: WINDOW_ENDS_AT,
+      nextRevisionFree: FREE_REVISIONS_REMAINING > 0 && !!WINDOW_ENDS_AT && NOW < WINDOW_ENDS_AT.getTime(),
+      minimumDeadlineHours: MIN_DEADLINE_HOURS,
+      minimumDeadline: new Date(NOW + MIN_DEADLINE_HOURS * 60 * 60 * 1000),
+      paidRevisionPrice: Math.round(PAGES_PRICE * POLICY.paidRevisionPercentage / 100)
+    }
+  }
+
+  /* Function that checks a revision request against the revision policy. It returns whether the revision is paid
+  * and its price, or a message in case the request breaks the policy. A paid revision has to be accepted by the
+  * client, through the 'acceptPaidRevision' parameter */
+  static async checkRevisionRequest (order, deadline, acceptPaidRevision, transaction) {
+    const ALLOWANCE = await RevisionPolicyHelper.getAllowance(order, transaction)
+    if (!ALLOWANCE) {
+      return { allowed: false, message: 'Revisions are not available at the moment' }
+    }
+    if (new Date(deadline).getTime() < ALLOWANCE.minimumDeadline.getTime()) {
+      return {
+        allowed: false,
+        message: `Revision deadline should be at least ${ALLOWANCE.minimumDeadlineHours} hours away`,
+        allowance: ALLOWANCE
+      }
+    }
+    if (ALLOWANCE.nextRevisionFree) {
+      return { allowed: true, paid: false, price: 0 }
+    }
+    if (!acceptPaidRevision) {
+      return {
+        allowed: false,
+        message: 'The free revisions on this order are used up. Further revisions are paid for',
+        allowance: ALLOWANCE
+      }
+    }
+    return { allowed: true, paid: true, price: ALLOWANCE.paidRevisionPrice }
+  }
+}
+
+module.exports = RevisionPolicyHelper
@@ -0,0 +1,152 @@
+'use strict'
+
+/* Module that handles the time-based rules on orders i.e. the deadlines and the service level agreements.
+* The functions are run periodically by the scheduler service, and are passed the transaction of the run */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  Order,
+  OrderOffer,
+  OrderRevision,
+  OrderStatus
+} = require('../../models')
+
+/* Importing the 'Op' operator in sequelize, which is used to conduct greater-than, less-than e.t.c operations */
+const { Op } = require('sequelize')
+
+/* Importing the helpers used to change the status of orders, to close the offers of orders, to credit the earnings
+* of writers and to drop the charges that were never paid for */
+const LIFECYCLE_HELPER = require('./lifecycle')
+const OFFERS_HELPER = require('./offer')
+const PAYMENTS_HELPER = require('../payments/payment')
+const CHARGES_HELPER = require('../payments/charge')
+
+/* The number of hours a client has to review a submitted order before it is completed automatically */
+const REVIEW_WINDOW_HOURS = Number(process.env.ORDER_REVIEW_WINDOW_HOURS || 72)
+
+/* The class that handles the deadline and service level logic */
+class OrderSlaHelper {
+  /* Function that gets the orders in a given status */
+  static async getOrdersByStatus (status, where, transaction) {
+    return await Order.findAll({
+      where: {
+        isDeleted: false,
+        ...where
+      },
+      attributes: ['id', 'deadline', 'updatedAt'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: [],
+          where: {
+            status: status
+          }
+        }
+      ],
+      transaction: transaction
+    })
+  }
+
+  /* Function that flags the ongoing orders that are past their deadline, and the revisions that are past their own
+  * deadline. Every deadline is flagged once, hence a revision that runs late is flagged even when its order was
+  * late before. An order with an overdue revision is flagged as overdue as well, until the revision is delivered */
+  static async flagOverdueOrders (transaction) {
+    const NOW = new Date()
+    const [ONGOING_ORDERS, REVISION_ORDERS] = await Promise.all([
+      OrderSlaHelper.getOrdersByStatus('Ongoing', { overdueAt: null, deadline: { [Op.lt]: NOW } }, transaction),
+      OrderSlaHelper.getOrdersByStatus('Undergoing revision', {}, transaction)
+    ])
+    const OVERDUE_ORDER_IDS = ONGOING_ORDERS.map(order => order.id)
+    if (REVISION_ORDERS.length > 0) {
+      const OVERDUE_REVISIONS = await OrderRevision.findAll({
+        where: {
+          orderId: REVISION_ORDERS.map(order => order.id),
+          submitted: false,
+          overdueAt: null,
+          isDeleted: false,
+          deadline: {
+            [Op.lt]: NOW
+          }
+        },
+        attributes: ['id', 'orderId'],
+        transaction: transaction
+      })
+      if (OVERDUE_REVISIONS.length > 0) {
+        await OrderRevision.update({
+          overdueAt: NOW
+        }, {
+          where: {
+            id: OVERDUE_REVISIONS.map(overdueRevision => overdueRevision.id)
+          },
+          transaction: transaction
+        })
+      }
+      OVERDUE_ORDER_IDS.push(...new Set(OVERDUE_REVISIONS.map(overdueRevision => overdueRevision.orderId)))
+    }
+    if (OVERDUE_ORDER_IDS.length > 0) {
+      await Order.update({
+        overdueAt: NOW
+      }, {
+        where: {
+          id: OVERDUE_ORDER_IDS,
+          overdueAt: null
+        },
+        transaction: transaction
+      })
+    }
+    return OVERDUE_ORDER_IDS
+  }
+
+  /* Function that completes the submitted orders that the client has not reviewed within the review window, and the
+  * orders whose paid revision the client has not paid for within the same window. The unpaid revision is dropped */
+  static async autoCompleteSubmittedOrders (transaction) {
+    const WINDOW_START = new Date(new Date().getTime() - REVIEW_WINDOW_HOURS * 60 * 60 * 1000)
+    const COMPLETED_ORDER_IDS = []
+    for (const STATUS of ['Submitted', 'Pending revision']) {
+      const ORDERS = await OrderSlaHelper.getOrdersByStatus(STATUS, {}, transaction)
+      for (const ORDER of ORDERS) {
+        const ENTERED_AT = await LIFECYCLE_HELPER.statusEnteredAt(ORDER.id, STATUS, transaction) || ORDER.updatedAt
+        if (new Date(ENTERED_AT) < WINDOW_START) {
+          const COMPLETED = await LIFECYCLE_HELPER.transitionOrder(ORDER.id, 'Completed', {
+            reason: 'Review window elapsed',
+            transaction: transaction
+          })
+          if (COMPLETED.transitioned) {
+            await CHARGES_HELPER.withdrawCharges(ORDER.id, {}, transaction)
+            await PAYMENTS_HELPER.creditWriterEarning(ORDER.id, {
+              reason: 'Review window elapsed',
+              transaction: transaction
+            })
+            COMPLETED_ORDER_IDS.push(ORDER.id)
+          }
+        }
+      }
+    }
+    return COMPLETED_ORDER_IDS
+  }
+
+  /* Function that expires the offers that the writers have not accepted or declined in time. The order is made
+  * available again, for the client to offer it to another personal writer or to release it to the public market */
+  static async expireWriterAcknowledgements (transaction) {
+    const EXPIRED_OFFERS = await OrderOffer.findAll({
+      where: {
+        status: 'Pending',
+        isDeleted: false,
+        expiresAt: {
+          [Op.lte]: new Date()
+        }
+      },
+      transaction: transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+    const EXPIRED_ORDER_IDS = []
+    for (const OFFER of EXPIRED_OFFERS) {
+      const EXPIRED = await OFFERS_HELPER.closeOffer(OFFER, 'Expired', { transaction: transaction })
+      if (EXPIRED.transitioned) EXPIRED_ORDER_IDS.push(OFFER.orderId)
+    }
+    return EXPIRED_ORDER_IDS
+  }
+}
+
+module.exports = OrderSlaHelper
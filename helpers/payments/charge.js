@@ -0,0 +1,221 @@
+'use strict'
+
+/* Helper that handles the charges on orders i.e. the amounts due on an order after it has been paid for, such as a
+* paid revision or a shorter deadline. A charge is paid for through a push of its own, and what it was charged for
+* only takes effect once it has been paid for. The price of the order stays what was paid for the order itself */
+
+/* Importing the sequelize models that will be used in the module */
+const {
+  DeadlineExtension,
+  Order,
+  OrderCharge,
+  OrderPaymentDetail,
+  OrderRevision,
+  OrderStatus
+} = require('../../models')
+
+/* Importing the order lifecycle helper, through which every change in the status of an order goes */
+const LIFECYCLE_HELPER = require('../orders/lifecycle')
+
+/* Importing the service that pushes events to the parties of an order */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* The types of the charges */
+const CHARGE_TYPES = {
+  PAID_REVISION: 'Paid revision',
+  SHORTER_DEADLINE: 'Shorter deadline'
+}
+
+class OrderChargeHelper {
+  static CHARGE_TYPES = CHARGE_TYPES
+
+  /* Function that adds an unpaid charge to an order, in the currency of the order. The details are the order ID, the
+  * type and amount of the charge, plus the ID of the revision or the deadline change it is for */
+  static async createCharge (charge, transaction) {
+    const { orderId, type, amount, orderRevisionId = null, deadlineExtensionId = null } = charge
+    const PAYMENT_DETAIL = await OrderPaymentDetail.findOne({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['currencyId'],
+      transaction: transaction
+    })
+    return await OrderCharge.create({
+      orderId: orderId,
+      currencyId: PAYMENT_DETAIL.currencyId,
+      type: type,
+      /* MPESA only accepts whole amounts */
+      amount: Math.round(amount),
+      orderRevisionId: orderRevisionId,
+      deadlineExtensionId: deadlineExtensionId,
+      status: 'Unpaid',
+      isDeleted: false
+    }, { transaction: transaction })
+  }
+
+  /* Function that gets a charge on an order, or null in case it does not exist */
+  static async getCharge (orderId, chargeId, transaction) {
+    return await OrderCharge.findOne({
+      where: {
+        id: chargeId,
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'orderId', 'type', 'amount', 'status', 'orderRevisionId', 'deadlineExtensionId'],
+      transaction: transaction
+    })
+  }
+
+  /* Function that marks a charge as paid for and applies what it was charged for. It returns whether the charge has
+  * been applied, plus a message in case it has not e.g. because the order has moved on since. A charge that cannot
+  * be applied is withdrawn, and its payment is for the caller to refund */
+  static async applyCharge (charge, transaction) {
+    if (charge.status !== 'Unpaid') {
+      return { applied: false, message: 'Charge is no longer due' }
+    }
+    let APPLIED = { applied: false, message: 'Unknown charge type' }
+    if (charge.type === CHARGE_TYPES.PAID_REVISION) {
+      APPLIED = await OrderChargeHelper.startPaidRevision(charge, transaction)
+    } else if (charge.type === CHARGE_TYPES.SHORTER_DEADLINE) {
+      APPLIED = await OrderChargeHelper.shortenDeadline(charge, transaction)
+    }
+    if (!APPLIED.applied) {
+      await OrderChargeHelper.withdrawCharges(charge.orderId, { id: charge.id }, transaction)
+      return APPLIED
+    }
+    await charge.update({
+      status: 'Paid',
+      paidAt: new Date()
+    }, { transaction: transaction })
+    return APPLIED
+  }
+
+  /* Function that starts a paid revision, once its charge has been paid for. The order has to still be waiting for
+  * the revision, and the deadline of the revision has to still be in the future */
+  static async startPaidRevision (charge, transaction) {
+    const REVISION = await OrderRevision.findOne({
+      where: {
+        id: charge.orderRevisionId,
+        isDeleted: false
+      },
+      attributes: ['id', 'deadline'],
+      transaction: transaction
+    })
+    if (!REVISION || new Date(REVISION.deadline).getTime() <= new Date().getTime()) {
+      return { applied: false, message: 'Revision deadline has passed' }
+    }
+    const STARTED = await LIFECYCLE_HELPER.transitionOrder(charge.orderId, 'Undergoing revision', {
+      reason: 'Paid revision paid for',
+      transaction: transaction
+    })
+    if (!STARTED.transitioned || STARTED.unchanged) {
+      return { applied: false, message: STARTED.message || 'Order is not waiting for the revision' }
+    }
+    await EVENTS_SERVICE.publishToOrder(charge.orderId, 'revision.requested', {
+      revisionId: REVISION.id,
+      deadline: REVISION.deadline
+    }, { parties: ['writer'], transaction: transaction })
+    return { applied: true }
+  }
+
+  /* Function that changes the deadline of an order to the shorter one accepted by the parties, once the difference
+  * in price has been paid for. The order has to still be at a position where its deadline can be changed, and the
+  * new deadline has to still be in the future */
+  static async shortenDeadline (charge, transaction) {
+    const EXTENSION = await DeadlineExtension.findOne({
+      where: {
+        id: charge.deadlineExtensionId,
+        status: 'Unpaid',
+        isDeleted: false
+      },
+      transaction: transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+    if (!EXTENSION || new Date(EXTENSION.deadline).getTime() <= new Date().getTime()) {
+      return { applied: false, message: 'Deadline has passed' }
+    }
+    const ORDER = await Order.findOne({
+      where: {
+        id: charge.orderId,
+        isDeleted: false
+      },
+      attributes: ['id'],
+      include: [
+        {
+          model: OrderStatus,
+          as: 'OrderStatus',
+          attributes: ['status']
+        }
+      ],
+      transaction: transaction,
+      lock: { level: transaction.LOCK.UPDATE, of: Order }
+    })
+    if (!ORDER || !LIFECYCLE_HELPER.isExtensibleStatus(ORDER.OrderStatus.status)) {
+      return { applied: false, message: 'Order deadline cannot be changed at this point' }
+    }
+    /* A deadline in the future means the order is no longer overdue */
+    await Order.update({
+      deadline: EXTENSION.deadline,
+      overdueAt: null
+    }, {
+      where: {
+        id: charge.orderId
+      },
+      transaction: transaction
+    })
+    await EXTENSION.update({ status: 'Accepted' }, { transaction: transaction })
+    return { applied: true }
+  }
+
+  /* Function that withdraws the unpaid charges of an order, optionally narrowed down by the given conditions e.g.
+  * when the client confirms the completion of an order instead of paying for a revision. The revisions of the
+  * charges are removed, since they were never started, and their deadline changes are withdrawn */
+  static async withdrawCharges (orderId, where, transaction) {
+    const CHARGES = await OrderCharge.findAll({
+      where: {
+        orderId: orderId,
+        status: 'Unpaid',
+        isDeleted: false,
+        ...where
+      },
+      attributes: ['id', 'orderRevisionId', 'deadlineExtensionId'],
+      transaction: transaction
+    })
+    if (CHARGES.length === 0) return []
+    await OrderCharge.update({
+      status: 'Withdrawn'
+    }, {
+      where: {
+        id: CHARGES.map(charge => charge.id)
+      },
+      transaction: transaction
+    })
+    const REVISION_IDS = CHARGES.map(charge => charge.orderRevisionId).filter(revisionId => revisionId)
+    if (REVISION_IDS.length > 0) {
+      await OrderRevision.update({
+        isDeleted: true
+      }, {
+        where: {
+          id: REVISION_IDS
+        },
+        transaction: transaction
+      })
+    }
+    const EXTENSION_IDS = CHARGES.map(charge => charge.deadlineExtensionId).filter(extensionId => extensionId)
+    if (EXTENSION_IDS.length > 0) {
+      await DeadlineExtension.update({
+        status: 'Withdrawn'
+      }, {
+        where: {
+          id: EXTENSION_IDS,
+          status: 'Unpaid'
+        },
+        transaction: transaction
+      })
+    }
+    return CHARGES.map(charge => charge.id)
+  }
+}
+
+module.exports = OrderChargeHelper
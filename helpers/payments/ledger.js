@@ -0,0 +1,278 @@
+'use strict'
+
+/* Helper that keeps the double-entry ledger of the money of the clients and writers.
+* Every movement of money is a journal entry, with postings on two or more accounts that add up to zero. A positive
+* amount is a debit and a negative one a credit. The accounts are:
+* - 'M-Pesa clearing': the money held by the platform on M-Pesa. It is debited with what the clients pay, and
+*   credited with what is paid out to the writers.
+* - 'Client': what the platform owes a client. It is credited with the payments and refunds of the client, and
+*   debited once a payment is applied to the order it was made for.
+* - 'Writer': what the platform owes a writer. It is credited with the earnings of the writer, and debited with the
+*   payouts to the writer.
+* - 'Platform revenue': what the platform has earned. It is credited with the orders paid for, and debited with the
+*   refunds to the clients and the earnings of the writers.
+* The ledger is append-only, hence the balances are never stored but summed up from the postings */
+
+/* Importing the sequelize models that will be used in the module */
+const { JournalEntry, LedgerAccount, LedgerPosting } = require('../../models')
+
+/* Importing the query types of sequelize */
+const { QueryTypes } = require('sequelize')
+
+/* Importing the index model that will be used to access the sequelize instance */
+const MODEL = require('../../models/index')
+
+/* The types of the accounts */
+const ACCOUNT_TYPES = {
+  CLIENT: 'Client',
+  WRITER: 'Writer',
+  PLATFORM_REVENUE: 'Platform revenue',
+  MPESA_CLEARING: 'M-Pesa clearing'
+}
+
+/* The accounts whose balance is on the credit side, i.e. what the platform owes or has earned. Their balances are
+* shown with the sign flipped, so that money owed to a client or writer reads as a positive balance */
+const CREDIT_ACCOUNT_TYPES = [ACCOUNT_TYPES.CLIENT, ACCOUNT_TYPES.WRITER, ACCOUNT_TYPES.PLATFORM_REVENUE]
+
+/* Function that converts an amount to cents, in which the ledger does its sums to avoid floating point errors */
+function toCents (amount) {
+  return Math.round(Number(amount) * 100)
+}
+
+class LedgerHelper {
+  static ACCOUNT_TYPES = ACCOUNT_TYPES
+
+  /* Function that returns the account of the given type, owner and currency, creating it in case it does not exist
+  * yet. The platform accounts have neither a client nor a writer */
+  static async getAccount (type, { clientId = null, writerId = null, currencyId }, transaction) {
+    const [ACCOUNT] = await LedgerAccount.findOrCreate({
+      where: {
+        type: type,
+        clientId: clientId,
+        writerId: writerId,
+        currencyId: currencyId,
+        isDeleted: false
+      },
+      transaction: transaction
+    })
+    return ACCOUNT
+  }
+
+  /* Function that makes a journal entry, given its details and its postings, each being an account and an amount.
+  * The postings have to add up to zero. An entry whose reference has already been entered is not entered again,
+  * which keeps a movement of money from being entered twice */
+  static async postJournal (entry, postings, transaction) {
+    const POSTINGS = postings.filter(posting => toCents(posting.amount) !== 0)
+    if (POSTINGS.length < 2) {
+      throw new Error(`Journal entry ${entry.reference} needs at least two postings`)
+    }
+    if (POSTINGS.reduce((total, posting) => total + toCents(posting.amount), 0) !== 0) {
+      throw new Error(`Journal entry ${entry.reference} does not balance`)
+    }
+    const EXISTING = await JournalEntry.findOne({
+      where: {
+        reference: entry.reference
+      },
+      transaction: transaction
+    })
+    if (EXISTING) {
+      return { posted: false, duplicate: true, journalEntry: EXISTING }
+    }
+    const JOURNAL_ENTRY = await JournalEntry.create(entry, { transaction: transaction })
+    await LedgerPosting.bulkCreate(POSTINGS.map(posting => ({
+      journalEntryId: JOURNAL_ENTRY.id,
+      accountId: posting.account.id,
+      amount: toCents(posting.amount) / 100
+    })), { transaction: transaction })
+    return { posted: true, journalEntry: JOURNAL_ENTRY }
+  }
+
+  /* Function that enters a successful client payment. The money lands on M-Pesa on behalf of the client, and is then
+  * applied to the order, which makes it revenue */
+  static async recordPayment (payment, transaction) {
+    const OWNER = { clientId: payment.clientId, currencyId: payment.currencyId }
+    const [CLEARING, CLIENT, REVENUE] = await Promise.all([
+      LedgerHelper.getAccount(ACCOUNT_TYPES.MPESA_CLEARING, { currencyId: payment.currencyId }, transaction),
+      LedgerHelper.getAccount(ACCOUNT_TYPES.CLIENT, OWNER, transaction),
+      LedgerHelper.getAccount(ACCOUNT_TYPES.PLATFORM_REVENUE, { currencyId: payment.currencyId }, transaction)
+    ])
+    return await LedgerHelper.postJournal({
+      type: 'Payment',
+      reference: `payment:${payment.id}`,
+      description: `Payment of order ${payment.orderId}`,
+      orderId: payment.orderId,
+      clientPaymentId: payment.id
+    }, [
+      { account: CLEARING, amount: payment.amount },
+      { account: CLIENT, amount: -payment.amount },
+      { account: CLIENT, amount: payment.amount },
+      { account: REVENUE, amount: -payment.amount }
+    ], transaction)
+  }
+
+  /* Function that enters a refund to the balance of a client, given the refund and the payment it was made against */
+  static async recordRefund (refund, payment, transaction) {
+    const [REVENUE, CLIENT] = await Promise.all([
+      LedgerHelper.getAccount(ACCOUNT_TYPES.PLATFORM_REVENUE, { currencyId: payment.currencyId }, transaction),
+      LedgerHelper.getAccount(ACCOUNT_TYPES.CLIENT, {
+        clientId: payment.clientId,
+        currencyId: payment.currencyId
+      }, transaction)
+    ])
+    return await LedgerHelper.postJournal({
+      type: 'Refund',
+      reference: `refund:${refund.id}`,
+      description: refund.reason,
+      orderId: refund.orderId,
+      clientPaymentId: payment.id,
+      clientRefundId: refund.id,
+      actor: refund.actor
+    }, [
+      { account: REVENUE, amount: refund.amount },
+      { account: CLIENT, amount: -refund.amount }
+    ], transaction)
+  }
+
+  /* Function that returns the amount a writer has earned on an order so far, in cents */
+  static async getOrderEarnings (orderId, writerId, transaction) {
+    const [{ earned }] = await MODEL.sequelize.query(`
+      SELECT COALESCE(-SUM(p.amount), 0) AS earned
+      FROM payments.journal_entry j
+      JOIN payments.ledger_posting p ON p."journalEntryId" = j.id
+      JOIN payments.ledger_account a ON a.id = p."accountId"
+      WHERE j."orderId" = :orderId AND j.type = 'Writer earning' AND a.type = :type AND a."writerId" = :writerId
+    `, {
+      replacements: { orderId: orderId, writerId: writerId, type: ACCOUNT_TYPES.WRITER },
+      type: QueryTypes.SELECT,
+      transaction: transaction
+    })
+    return toCents(earned)
+  }
+
+  /* Function that brings what a writer has earned on an order to the given amount. The earnings of an order can
+  * change after it is completed e.g. when a dispute on it ends in a refund, hence only the difference from what has
+  * been earned so far is entered. The number of earlier entries makes the reference, so that every change is one
+  * entry */
+  static async recordWriterEarning (earning, transaction) {
+    const { orderId, writerId, currencyId, amount, actor = null, reason = null } = earning
+    const DIFFERENCE = toCents(amount) - await LedgerHelper.getOrderEarnings(orderId, writerId, transaction)
+    if (DIFFERENCE === 0) {
+      return { posted: false, duplicate: false, journalEntry: null }
+    }
+    const [REVENUE, WRITER, ENTRIES] = await Promise.all([
+      LedgerHelper.getAccount(ACCOUNT_TYPES.PLATFORM_REVENUE, { currencyId: currencyId }, transaction),
+      LedgerHelper.getAccount(ACCOUNT_TYPES.WRITER, { writerId: writerId, currencyId: currencyId }, transaction),
+      JournalEntry.count({
+        where: {
+          orderId: orderId,
+          type: 'Writer earning'
+        },
+        transaction: transaction
+      })
+    ])
+    return await LedgerHelper.postJournal({
+      type: 'Writer earning',
+      reference: `earning:${orderId}:${ENTRIES + 1}`,
+      description: reason,
+      orderId: orderId,
+      actor: actor
+    }, [
+      { account: REVENUE, amount: DIFFERENCE / 100 },
+      { account: WRITER, amount: -DIFFERENCE / 100 }
+    ], transaction)
+  }
+
+  /* Function that enters a payout to a writer, which leaves the platform through M-Pesa */
+  static async recordPayout (writerPayment, actor, transaction) {
+    const [WRITER, CLEARING] = await Promise.all([
+      LedgerHelper.getAccount(ACCOUNT_TYPES.WRITER, {
+        writerId: writerPayment.writerId,
+        currencyId: writerPayment.currencyId
+      }, transaction),
+      LedgerHelper.getAccount(ACCOUNT_TYPES.MPESA_CLEARING, { currencyId: writerPayment.currencyId }, transaction)
+    ])
+    return await LedgerHelper.postJournal({
+      type: 'Payout',
+      reference: `payout:${writerPayment.id}`,
+      description: `Payout for order ${writerPayment.orderId}`,
+      orderId: writerPayment.orderId,
+      writerPaymentId: writerPayment.id,
+      actor: actor
+    }, [
+      { account: WRITER, amount: writerPayment.amount },
+      { account: CLEARING, amount: -writerPayment.amount }
+    ], transaction)
+  }
+
+  /* Function that returns the balances of the accounts of the given type and owner, one per currency. The balances
+  * of the accounts owed by the platform are shown as positive amounts */
+  static async getBalances (type, { clientId = null, writerId = null }, transaction) {
+    const BALANCES = await MODEL.sequelize.query(`
+      SELECT a.id AS "accountId", c."currencyCode", COALESCE(SUM(p.amount), 0) AS balance
+      FROM payments.ledger_account a
+      JOIN payments.currency c ON c.id = a."currencyId"
+      LEFT JOIN payments.ledger_posting p ON p."accountId" = a.id
+      WHERE a.type = :type AND a."isDeleted" = false AND
+        COALESCE(a."clientId", 0) = :clientId AND COALESCE(a."writerId", 0) = :writerId
+      GROUP BY a.id, c."currencyCode"
+      ORDER BY c."currencyCode"
+    `, {
+      replacements: { type: type, clientId: clientId || 0, writerId: writerId || 0 },
+      type: QueryTypes.SELECT,
+      transaction: transaction
+    })
+    const SIGN = CREDIT_ACCOUNT_TYPES.includes(type) ? -1 : 1
+    return BALANCES.map(balance => ({
+      accountId: balance.accountId,
+      currencyCode: balance.currencyCode,
+      balance: SIGN * toCents(balance.balance) / 100
+    }))
+  }
+
+  /* Function that returns the balance of a single account, shown as in getBalances. The account can be locked, so
+  * that two payouts cannot both be made out of the same balance */
+  static async getAccountBalance (account, { lock = false } = {}, transaction) {
+    if (lock) {
+      await LedgerAccount.findOne({
+        where: {
+          id: account.id
+        },
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction: transaction
+      })
+    }
+    const TOTAL = await LedgerPosting.sum('amount', {
+      where: {
+        accountId: account.id
+      },
+      transaction: transaction
+    })
+    const SIGN = CREDIT_ACCOUNT_TYPES.includes(account.type) ? -1 : 1
+    return SIGN * toCents(TOTAL || 0) / 100
+  }
+
+  /* Function that checks that every journal entry balances to zero and has at least two postings. The database
+  * refuses unbalanced entries, hence any entry reported here points to the ledger having been tampered with */
+  static async checkConsistency (transaction) {
+    try {
+      const UNBALANCED = await MODEL.sequelize.query(`
+        SELECT j.id AS "journalEntryId", j.type, j.reference, COALESCE(SUM(p.amount), 0) AS total,
+          COUNT(p.id)::integer AS postings
+        FROM payments.journal_entry j
+        LEFT JOIN payments.ledger_posting p ON p."journalEntryId" = j.id
+        GROUP BY j.id
+        HAVING COALESCE(SUM(p.amount), 0) <> 0 OR COUNT(p.id) < 2
+        ORDER BY j.id
+      `, {
+        type: QueryTypes.SELECT,
+        transaction: transaction
+      })
+      return { consistent: UNBALANCED.length === 0, unbalanced: UNBALANCED }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = LedgerHelper
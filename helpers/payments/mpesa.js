@@ -0,0 +1,168 @@
+'use strict'
+
+/* Helper that talks to the M-Pesa Daraja API, through which the STK pushes for order payments are sent.
+* The base URL is configurable, so that the dbms can be pointed at the sandbox, at production, or at the mock Daraja
+* server in bin/mock_daraja.js, which makes it possible to go through the whole payment flow offline */
+
+/* The base URL of the Daraja API, without the trailing slash */
+const BASE_URL = (process.env.MPESA_BASE_URL || 'https://sandbox.safaricom.co.ke').replace(/\/+$/, '')
+
+/* The number of seconds before the expiry of an access token at which a new one is fetched, so that a token never
+* expires on its way to Daraja */
+const TOKEN_EXPIRY_MARGIN_SECONDS = 60
+
+/* The number of seconds to wait for a response from Daraja before giving up on a request */
+const REQUEST_TIMEOUT_SECONDS = 30
+
+/* Daraja expects the timestamps of STK pushes in the East African Time, which is 3 hours ahead of UTC all year */
+const EAT_OFFSET_HOURS = 3
+
+/* The most characters Daraja accepts in the account reference and the description of a transaction */
+const ACCOUNT_REFERENCE_LENGTH = 12
+const TRANSACTION_DESC_LENGTH = 13
+
+class MpesaHelper {
+  /* The error code of a status query on a transaction that is still being processed */
+  static TRANSACTION_PROCESSING_ERROR_CODE = '500.001.1001'
+
+  /* The cached access token, and the time at which it expires */
+  static accessToken = null
+  static accessTokenExpiresAt = 0
+
+  /* Function that returns the configuration of the M-Pesa account, failing in case any part of it is missing */
+  static config () {
+    const CONFIG = {
+      consumerKey: process.env.MPESA_CONSUMER_KEY,
+      consumerSecret: process.env.MPESA_CONSUMER_SECRET,
+      shortCode: process.env.MPESA_SHORTCODE,
+      passKey: process.env.MPESA_PASSKEY,
+      callbackUrl: process.env.MPESA_CALLBACK_URL
+    }
+    const MISSING = Object.keys(CONFIG).filter(key => !CONFIG[key])
+    if (MISSING.length > 0) {
+      throw new Error(`The M-Pesa configuration is missing: ${MISSING.join(', ')}`)
+    }
+    return {
+      ...CONFIG,
+      transactionType: process.env.MPESA_TRANSACTION_TYPE || 'CustomerPayBillOnline'
+    }
+  }
+
+  /* Function that sends a request to Daraja and returns the parsed response. Daraja describes its errors in the body
+  * of the response, hence the body is part of the error thrown on failure */
+  static async request (path, options) {
+    const RESPONSE = await fetch(BASE_URL.concat(path), {
+      ...options,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_SECONDS * 1000)
+    })
+    const BODY = await RESPONSE.json().catch(() => ({}))
+    if (!RESPONSE.ok) {
+      /* A rejected token is dropped, so that the next request fetches a new one */
+      if (RESPONSE.status === 401) {
+        MpesaHelper.accessToken = null
+      }
+      const ERROR = new Error(BODY.errorMessage || `Daraja responded with status ${RESPONSE.status}`)
+      ERROR.status = RESPONSE.status
+      ERROR.response = BODY
+      throw ERROR
+    }
+    return BODY
+  }
+
+  /* Function that returns an access token, fetching a new one only once the cached token is about to expire */
+  static async getAccessToken () {
+    if (MpesaHelper.accessToken && MpesaHelper.accessTokenExpiresAt > new Date().getTime()) {
+      return MpesaHelper.accessToken
+    }
+    const CONFIG = MpesaHelper.config()
+    const CREDENTIALS = Buffer.from(CONFIG.consumerKey.concat(':', CONFIG.consumerSecret)).toString('base64')
+    const RESPONSE = await MpesaHelper.request('/oauth/v1/generate?grant_type=client_credentials', {
+      method: 'GET',
+      headers: {
+        Authorization: `Basic ${CREDENTIALS}`
+      }
+    })
+    MpesaHelper.accessToken = RESPONSE.access_token
+    MpesaHelper.accessTokenExpiresAt = new Date().getTime() +
+      (Number(RESPONSE.expires_in) - TOKEN_EXPIRY_MARGIN_SECONDS) * 1000
+    return MpesaHelper.accessToken
+  }
+
+  /* Function that returns the timestamp of a request in the YYYYMMDDHHmmss format expected by Daraja */
+  static timestamp (date = new Date()) {
+    return new Date(date.getTime() + EAT_OFFSET_HOURS * 60 * 60 * 1000)
+      .toISOString()
+      .replace(/[^0-9]/g, '')
+      .slice(0, 14)
+  }
+
+  /* Function that builds the password of an STK push, which is the base64 of the short code, the pass key and the
+  * timestamp of the request */
+  static password (shortCode, passKey, timestamp) {
+    return Buffer.from(String(shortCode).concat(passKey, timestamp)).toString('base64')
+  }
+
+  /* Function that converts a Kenyan mobile number to the 2547XXXXXXXX format accepted by Daraja. It returns null in
+  * case the number is not a valid Kenyan mobile number */
+  static formatMobile (mobile) {
+    const DIGITS = String(mobile || '').replace(/[^0-9]/g, '')
+    const MATCH = DIGITS.match(/^(?:254|0)?([17][0-9]{8})$/)
+    return MATCH ? '254'.concat(MATCH[1]) : null
+  }
+
+  /* Function that sends an STK push to the phone of a client. The callback token is added to the callback URL, so
+  * that the callback can be told apart from a forged one. The response holds the MerchantRequestID and the
+  * CheckoutRequestID by which Daraja will refer to the transaction in the callback, and a ResponseCode of '0' in
+  * case the push was accepted */
+  static async initiateStkPush ({ mobile, amount, accountReference, transactionDesc, callbackToken }) {
+    const CONFIG = MpesaHelper.config()
+    const TIMESTAMP = MpesaHelper.timestamp()
+    const CALLBACK_URL = new URL(CONFIG.callbackUrl)
+    if (callbackToken) {
+      CALLBACK_URL.searchParams.set('token', callbackToken)
+    }
+    return await MpesaHelper.request('/mpesa/stkpush/v1/processrequest', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await MpesaHelper.getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        BusinessShortCode: CONFIG.shortCode,
+        Password: MpesaHelper.password(CONFIG.shortCode, CONFIG.passKey, TIMESTAMP),
+        Timestamp: TIMESTAMP,
+        TransactionType: CONFIG.transactionType,
+        Amount: amount,
+        PartyA: mobile,
+        PartyB: CONFIG.shortCode,
+        PhoneNumber: mobile,
+        CallBackURL: CALLBACK_URL.toString(),
+        AccountReference: String(accountReference).slice(0, ACCOUNT_REFERENCE_LENGTH),
+        TransactionDesc: String(transactionDesc).slice(0, TRANSACTION_DESC_LENGTH)
+      })
+    })
+  }
+
+  /* Function that asks Daraja for the outcome of an STK push, for when its callback never came. The response holds
+  * the ResultCode and ResultDesc of the transaction, just like its callback would, but none of its metadata e.g. the
+  * receipt number. Daraja fails with the TRANSACTION_PROCESSING_ERROR_CODE while the client is yet to respond */
+  static async queryStkPush (checkoutRequestId) {
+    const CONFIG = MpesaHelper.config()
+    const TIMESTAMP = MpesaHelper.timestamp()
+    return await MpesaHelper.request('/mpesa/stkpushquery/v1/query', {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await MpesaHelper.getAccessToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        BusinessShortCode: CONFIG.shortCode,
+        Password: MpesaHelper.password(CONFIG.shortCode, CONFIG.passKey, TIMESTAMP),
+        Timestamp: TIMESTAMP,
+        CheckoutRequestID: checkoutRequestId
+      })
+    })
+  }
+}
+
+module.exports = MpesaHelper
@@ -4,21 +4,32 @@
 
 /* Import sequelize classes or models to be used in selecting, updating and inserting payments details */
 const {
+  Admin,
   AssignmentType,
   BasePrice,
   Client,
   ClientPayment,
+  ClientRefund,
   Currency,
+  EducationLevel,
+  ExtraOrderService,
   MPESA,
+  MPESACallback,
   MPESAResultCode,
+  MPESAResultPolicy,
   Order,
+  OrderCharge,
+  OrderOffer,
   OrderPaymentDetail,
   OrderServiceType,
   OrderStatus,
   PaperDiscount,
+  PaymentRatio,
   PaymentStatus,
   PriceIncrement,
+  Writer,
   WriterOrder,
+  WriterPayment,
   User
 } = require('../../models')
 
@@ -32,9 +43,181 @@ const MODEL = require('../../models/index')
 /* Importing the crypto module, which will be used to generate random numbers */
 const CRYPTO = require('crypto')
 
+/* Importing the order lifecycle helper, through which every change in the status of an order goes */
+const LIFECYCLE_HELPER = require('../orders/lifecycle')
+
+/* Importing the service that parses deadlines in the timezones of the clients */
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+/* Importing the service that pushes the outcome of a payment to the client */
+const EVENTS_SERVICE = require('../../services/events')
+
+/* Importing the helper that sends the STK pushes through the M-Pesa Daraja API */
+const MPESA_HELPER = require('./mpesa')
+
+/* Importing the helper that keeps the ledger of the money of the clients and writers */
+const LEDGER_HELPER = require('./ledger')
+
+/* Importing the helper that handles the charges due on orders after they have been paid for */
+const CHARGES_HELPER = require('./charge')
+
+/* The price increments (in percentages) applied on top of the base price for every level of study above
+* high school. The increments are cumulative, so a doctorate paper carries the college, bachelors, masters and
+* doctorate increments. The keys are the levels as seeded in the education_level table, while the values are the
+* matching columns in the price_increment table */
+const LEVEL_INCREMENTS = {
+  College: ['college'],
+  'Bachelor\'s': ['college', 'bachelors'],
+  'Master\'s': ['college', 'bachelors', 'masters'],
+  Doctorate: ['college', 'bachelors', 'masters', 'doctorate']
+}
+
+/* The price increments (in percentages) applied for urgent deadlines. Each entry is the maximum number of hours
+* left to the deadline, plus the matching column in the price_increment table. Just like the level increments,
+* they are cumulative, such that a 12-hour deadline carries all the increments below */
+const DEADLINE_INCREMENTS = [
+  { hours: 5 * 24, column: 'day5' },
+  { hours: 3 * 24, column: 'day3' },
+  { hours: 2 * 24, column: 'day2' },
+  { hours: 24, column: 'day1' },
+  { hours: 12, column: 'hr12' }
+]
+
+/* The maximum difference allowed between the totals submitted by a client and the ones computed here. It caters
+* for rounding differences between the frontends and the dbms */
+const QUOTE_TOLERANCE = 1
+
+/* The status of the payments whose amount does not add up, which are refunded rather than applied to their orders */
+const MISMATCH_PAYMENT_STATUS = 'Amount mismatch'
+
+/* The message shown to a client whose payment failed with a result code that has no policy */
+const DEFAULT_FAILURE_MESSAGE = 'Your payment could not be completed. Please try again'
+
 /* The payments helper, which makes use of static functions to enable calling them on the class themselves
 * directly, as opposed to creating a class instance then calling them on the instance */
 class PaymentHelper {
+  /* The number of minutes after which a payment that is still processing is stale, since the client would have
+  * responded to its push by then */
+  static STALE_PAYMENT_MINUTES = 2
+
+  /* Function that sends an STK push for the payment of an order to the phone of a client. The amount pushed is the
+  * stored price of the order rather than an amount sent by the frontends, and the payment is saved against the
+  * CheckoutRequestID returned by Daraja. The transaction ID of the payment is returned to track its status.
+  * A charge on the order e.g. a paid revision is paid for in the same way, given its ID as 'chargeId' */
+  static async initiateClientOrderPayment (req) {
+    try {
+      const MOBILE = MPESA_HELPER.formatMobile(req.mobile)
+      if (!MOBILE) {
+        return { paymentInitiated: false, message: 'Invalid mobile number' }
+      }
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const CLIENT = USER && await Client.findOne({
+        where: {
+          userId: USER.id
+        },
+        attributes: ['id'],
+        raw: true
+      })
+      if (!CLIENT) {
+        return { paymentInitiated: false, message: 'Client does not exist' }
+      }
+      const ORDER = await Order.findOne({
+        where: {
+          id: req.orderId,
+          clientId: CLIENT.id,
+          isDeleted: false
+        },
+        attributes: ['id'],
+        include: [
+          {
+            model: OrderPaymentDetail,
+            as: 'OrderPaymentDetail',
+            attributes: ['totalPrice'],
+            where: {
+              isDeleted: false
+            },
+            include: [
+              {
+                model: Currency,
+                as: 'Currency',
+                attributes: ['currencyCode']
+              }
+            ]
+          }
+        ]
+      })
+      if (!ORDER) {
+        return { paymentInitiated: false, message: 'Order does not exist' }
+      }
+      const PAYMENT_DETAIL = ORDER.OrderPaymentDetail[0]
+      const CHARGE = req.chargeId ? await CHARGES_HELPER.getCharge(ORDER.id, req.chargeId) : null
+      if (req.chargeId && !CHARGE) {
+        return { paymentInitiated: false, message: 'Charge does not exist' }
+      }
+      if (CHARGE && CHARGE.status !== 'Unpaid') {
+        return { paymentInitiated: false, message: 'Charge is no longer due' }
+      }
+      /* MPESA only accepts whole amounts */
+      const AMOUNT = Math.round(CHARGE ? CHARGE.amount : PAYMENT_DETAIL.totalPrice)
+      const [ALREADY_PAID, ONGOING] = await Promise.all([
+        CHARGE ? { orderAlreadyPaidFor: false } : PaymentHelper.checkIfOrderIsAlreadyPaid({ orderId: ORDER.id }),
+        PaymentHelper.checkOngoingTransaction({
+          email: req.email,
+          orderId: ORDER.id,
+          orderChargeId: CHARGE ? CHARGE.id : null,
+          mobile: MOBILE,
+          totalAmount: AMOUNT
+        })
+      ])
+      if (ALREADY_PAID.orderAlreadyPaidFor) {
+        return { paymentInitiated: false, message: 'Order has already been paid for' }
+      }
+      if (ONGOING.ongoing) {
+        return { paymentInitiated: false, message: 'Similar transaction is already underway' }
+      }
+      /* The token carried in the callback URL of the push, by which its callback is verified */
+      const CALLBACK_TOKEN = CRYPTO.randomBytes(24).toString('hex')
+      /* The push is sent outside of any database transaction, since it waits on Daraja */
+      const STK_PUSH = await MPESA_HELPER.initiateStkPush({
+        mobile: MOBILE,
+        amount: AMOUNT,
+        accountReference: `Order ${ORDER.id}`,
+        transactionDesc: `Order ${ORDER.id}`,
+        callbackToken: CALLBACK_TOKEN
+      })
+        .catch(error => {
+          console.log('STK push failed: ', error)
+          return { ResponseCode: null, ResponseDescription: 'Failed to send the payment request' }
+        })
+      if (STK_PUSH.ResponseCode !== '0') {
+        return { paymentInitiated: false, message: STK_PUSH.ResponseDescription }
+      }
+      const PAYMENT = await PaymentHelper.saveClientOrderPayment({
+        reqObject: {
+          email: req.email,
+          orderId: ORDER.id,
+          orderChargeId: CHARGE ? CHARGE.id : null,
+          mobile: MOBILE,
+          totalAmount: AMOUNT,
+          currencyCode: PAYMENT_DETAIL.Currency.currencyCode
+        },
+        checkoutRequestId: STK_PUSH.CheckoutRequestID,
+        callbackToken: CALLBACK_TOKEN
+      })
+      if (!PAYMENT.paymentAdded) {
+        return { paymentInitiated: false, message: PAYMENT.message }
+      }
+      return { paymentInitiated: true, trId: PAYMENT.trId, customerMessage: STK_PUSH.CustomerMessage }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
   /* Method to save a client's order payment details after sending the stk push */
   static async saveClientOrderPayment (req) {
     try {
@@ -64,7 +247,10 @@ class PaymentHelper {
       * the transaction will be suspicious if an STK Push is sent now, and the response
       * from MPESA is sent after, say 30 minutes, or 1 hour. In such a scenario, there
       * would be need to contact MPESA for their records to confirm the authenticity
-      * of such claims. */
+      * of such claims.
+      * The pushes sent by the dbms itself go further, since each carries a token of its own
+      * in its callback URL. Only the hash of the token is saved on the client payment, and
+      * a callback without the matching token is not processed. */
       const RAND_NUM = await CRYPTO.randomBytes(29).toString('hex')
       return await MODEL.sequelize.transaction(async (t) => {
         /* Get the user, client, currency and payment status first */
@@ -74,7 +260,7 @@ class PaymentHelper {
           },
           attributes: ['id']
         }, { transaction: t })
-        const [CLIENT, CURRENCY, STATUS] = await Promise.all([
+        const [CLIENT, CURRENCY, STATUS, PAYMENT_DETAIL, CHARGE] = await Promise.all([
           Client.findOne({
             where: {
               userId: USER.id
@@ -95,14 +281,41 @@ class PaymentHelper {
             },
             attributes: ['id'],
             raw: true
+          }),
+          OrderPaymentDetail.findOne({
+            where: {
+              orderId: req.reqObject.orderId,
+              isDeleted: false
+            },
+            attributes: ['totalPrice'],
+            raw: true
+          }),
+          req.reqObject.orderChargeId && OrderCharge.findOne({
+            where: {
+              id: req.reqObject.orderChargeId,
+              orderId: req.reqObject.orderId,
+              status: 'Unpaid',
+              isDeleted: false
+            },
+            attributes: ['amount'],
+            raw: true
           })
         ])
+        /* The amount pushed to the phone of the client has to be the stored price of the order, or of the charge
+        * being paid for */
+        const PRICE = req.reqObject.orderChargeId
+          ? CHARGE && CHARGE.amount
+          : PAYMENT_DETAIL && PAYMENT_DETAIL.totalPrice
+        if (!PRICE || Number(req.reqObject.totalAmount) !== Math.round(PRICE)) {
+          return { paymentAdded: false, message: 'Amount does not match the price of the order' }
+        }
         /* Check whether there is a similar payment in the database with the same clientID, orderID, mobile
         * number plus amount to pay */
         return await ClientPayment.findOne({
           where: {
             clientId: CLIENT.id,
             orderId: req.reqObject.orderId,
+            orderChargeId: req.reqObject.orderChargeId || null,
             mobile: req.reqObject.mobile,
             amount: req.reqObject.totalAmount
           },
@@ -129,9 +342,11 @@ class PaymentHelper {
                 clientId: CLIENT.id,
                 currencyId: CURRENCY.id,
                 orderId: req.reqObject.orderId,
+                orderChargeId: req.reqObject.orderChargeId || null,
                 statusId: STATUS.id,
                 transactionId: TRANSACTION_ID,
                 checkoutRequestId: req.checkoutRequestId,
+                callbackTokenHash: req.callbackToken ? PaymentHelper.hashCallbackToken(req.callbackToken) : null,
                 mobile: req.reqObject.mobile,
                 amount: req.reqObject.totalAmount,
                 isDeleted: false
@@ -183,10 +398,11 @@ class PaymentHelper {
           where: {
             clientId: CLIENT.id,
             orderId: req.orderId,
+            orderChargeId: req.orderChargeId || null,
             mobile: req.mobile,
             amount: req.totalAmount
           },
-          attributes: ['id', 'updatedAt'],
+          attributes: ['id', 'checkoutRequestId', 'updatedAt'],
           include: [
             {
               model: PaymentStatus,
@@ -201,62 +417,28 @@ class PaymentHelper {
               const PROCESSING_PAYMENT_TRANS_EXISTS = exists.filter(trans => trans.PaymentStatus.status === 'Processing payment')
               /* If the transaction is currently processing payments */
               if (PROCESSING_PAYMENT_TRANS_EXISTS.length > 0) {
-                /* Check the time that has lapsed between the time the transaction was started, and now.
-                * If the transaction has lasted more than two minutes, then we assume that there was no
-                * activity here, and that we can start another transaction. However, there is still for
-                * improvement here. */
-                /* TODO: There seems to be a bug in this functionality. The first request always shows
-                *  that there is no transaction that is pending, regardless of whether the last transaction
-                * has lasted more than 2 minutes or not. The second request tends to work well, mysteriously
-                * so */
-                /* Get the time updated */
-                const TIME_UPDATED = new Date(PROCESSING_PAYMENT_TRANS_EXISTS[0].updatedAt).getTime()
-                /* And the current time */
-                const CURRENT_TIME = new Date().getTime()
-                /* Then calculate the time difference in milliseconds */
-                const TIME_DIFFERENCE = CURRENT_TIME - TIME_UPDATED
-                /* Get the time difference in minutes */
-                const TIME_DIFFERENCE_IN_MINUTES = Math.floor(TIME_DIFFERENCE / 1000 / 60)
-                /* If it is more than 2 minutes, then update the order payment status to having failed
-                * before returning a response that the transaction is not ongoing */
-                if (TIME_DIFFERENCE_IN_MINUTES >= 2) {
-                  const PROCESS_PAYMENT_OR_DERPAYMENT_STATUS = await PaymentStatus.findOne({
-                    where: {
-                      status: 'Processing payment'
-                    },
-                    attributes: ['id'],
-                    raw: true
-                  })
-                  const ORDER_PAYMENT_STATUS = await PaymentStatus.findOne({
-                    where: {
-                      status: 'Failed'
-                    },
-                    attributes: ['id'],
-                    raw: true
-                  })
-                  /* Update the client payment status to failed */
-                  return await ClientPayment.update({
-                    statusId: ORDER_PAYMENT_STATUS.id
-                  }, {
-                    where: {
-                      orderId: req.orderId,
-                      clientId: CLIENT.id,
-                      mobile: req.mobile,
-                      amount: req.totalAmount,
-                      statusId: PROCESS_PAYMENT_OR_DERPAYMENT_STATUS.id
-                    }
-                  }, { transaction: t })
-                    .then(async updatedPaymentRes => {
-                      /* Then return the ongoing status as false */
-                      /* TODO: To confirm whether this update fixes the bug described above */
-                      return { ongoing: !updatedPaymentRes }
+                /* A transaction that has lasted more than two minutes is stale, since the client would have
+                * responded to the push by then. Rather than assuming that it failed, its outcome is asked of
+                * MPESA and applied. Only in case MPESA cannot tell is it assumed to have failed */
+                const STALE_BEFORE = new Date().getTime() - PaymentHelper.STALE_PAYMENT_MINUTES * 60 * 1000
+                const ONGOING = await Promise.all(PROCESSING_PAYMENT_TRANS_EXISTS.map(async payment => {
+                  if (new Date(payment.updatedAt).getTime() > STALE_BEFORE) return true
+                  const RECONCILED = await PaymentHelper.reconcilePayment(payment)
+                  if (RECONCILED.outcome === 'Unavailable') {
+                    const FAILED_STATUS = await PaymentStatus.findOne({
+                      where: {
+                        status: 'Failed'
+                      },
+                      attributes: ['id'],
+                      raw: true
                     })
-                    .catch(updatedPaymentStatusError => {
-                      throw new Error(updatedPaymentStatusError)
+                    await payment.update({
+                      statusId: FAILED_STATUS.id
                     })
-                } else {
-                  return { ongoing: true }
-                }
+                  }
+                  return RECONCILED.outcome === 'Pending'
+                }))
+                return { ongoing: ONGOING.includes(true) }
               } else {
                 /* Else the transaction is not ongoing */
                 return { ongoing: false }
@@ -275,202 +457,467 @@ class PaymentHelper {
     }
   }
 
-  /* Function that updates the client order payment upon getting a response from MPESA */
-  static async updateClientOrderPayment (req) {
+  /* Function that handles a callback sent by Daraja to the callback URL of a push sent by the dbms. The callback is
+  * only processed in case it carries the token of its push */
+  static async receiveMpesaCallback (payload, callbackToken) {
+    const CALLBACK = payload && payload.Body && payload.Body.stkCallback
+    return await PaymentHelper.updateClientOrderPayment(CALLBACK || {}, {
+      payload: payload,
+      callbackToken: callbackToken,
+      verifyToken: true
+    })
+  }
+
+  /* Function that updates the client order payment upon getting a callback from MPESA.
+  * Every callback is saved as it was received before anything else, for forensics, together with what was made of
+  * it. A callback is only processed once per CheckoutRequestID, and an MpesaReceiptNumber is only ever recorded
+  * once, hence a replayed callback changes nothing. The options are the callback as it was received in case it has
+  * been unwrapped, the token from its callback URL in case it has to be verified, and whether it is the result of a
+  * status query rather than a callback. Callbacks relayed through the authenticated endpoint are trusted as they are */
+  static async updateClientOrderPayment (req, options = {}) {
+    const { payload = req, callbackToken = null, verifyToken = false, statusQuery = false } = options
     try {
+      const CALLBACK = PaymentHelper.parseMpesaCallback(req, { metadataRequired: !statusQuery })
+      const CALLBACK_RECORD = await MPESACallback.create({
+        checkoutRequestId: CALLBACK.valid ? CALLBACK.checkoutRequestId : null,
+        receiptNumber: CALLBACK.valid ? CALLBACK.receiptNumber : null,
+        resultCode: CALLBACK.valid ? CALLBACK.resultCode : null,
+        payload: payload || {}
+      })
       return await MODEL.sequelize.transaction(async (t) => {
-        /* As usual, first the client payment details, and transaction ID of that payment detail record */
-        const ORDER_DETAILS = await ClientPayment.findOne({
+        const RESULT = CALLBACK.valid
+          ? await PaymentHelper.processMpesaCallback(CALLBACK, { callbackToken, verifyToken }, t)
+          : { outcome: 'Invalid', paymentUpdated: false, message: CALLBACK.message }
+        /* Saving the outcome in the same transaction is what keeps a replay from being processed while the first
+        * callback is */
+        await CALLBACK_RECORD.update({
+          outcome: RESULT.outcome,
+          message: RESULT.message ? RESULT.message.slice(0, 255) : null
+        }, { transaction: t })
+        const { outcome, ...RESPONSE } = RESULT
+        return RESPONSE
+      })
+        .catch(async error => {
+          await CALLBACK_RECORD.update({ outcome: 'Failed', message: String(error.message || error).slice(0, 255) })
+          throw error
+        })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that checks that a callback has the makeup of an STK callback from Daraja. It returns the parts of the
+  * callback that are used, or the reason it is invalid. The result of a status query has no metadata, hence the
+  * metadata of a successful transaction is only required of callbacks */
+  static parseMpesaCallback (callback, { metadataRequired = true } = {}) {
+    if (!callback || typeof callback !== 'object') {
+      return { valid: false, message: 'Callback is missing' }
+    }
+    const { CheckoutRequestID, MerchantRequestID, ResultCode, ResultDesc, CallbackMetadata } = callback
+    if (typeof CheckoutRequestID !== 'string' || !/^[\w-]{1,50}$/.test(CheckoutRequestID)) {
+      return { valid: false, message: 'Invalid CheckoutRequestID' }
+    }
+    if (typeof MerchantRequestID !== 'string' || !/^[\w-]{1,30}$/.test(MerchantRequestID)) {
+      return { valid: false, message: 'Invalid MerchantRequestID' }
+    }
+    if (ResultCode === null || ResultCode === '' || !Number.isInteger(Number(ResultCode))) {
+      return { valid: false, message: 'Invalid ResultCode' }
+    }
+    if (typeof ResultDesc !== 'string') {
+      return { valid: false, message: 'Invalid ResultDesc' }
+    }
+    const PARSED = {
+      valid: true,
+      checkoutRequestId: CheckoutRequestID,
+      merchantRequestId: MerchantRequestID,
+      resultCode: Number(ResultCode),
+      resultDesc: ResultDesc,
+      receiptNumber: null
+    }
+    /* Only the callbacks of successful transactions carry metadata */
+    if (PARSED.resultCode !== 0 || (!metadataRequired && !CallbackMetadata)) {
+      return PARSED
+    }
+    const ITEMS = CallbackMetadata && CallbackMetadata.Item
+    if (!Array.isArray(ITEMS)) {
+      return { valid: false, message: 'Invalid CallbackMetadata' }
+    }
+    const VALUES = {}
+    for (const ITEM of ITEMS) {
+      if (!ITEM || typeof ITEM.Name !== 'string' || VALUES[ITEM.Name] !== undefined ||
+        !['undefined', 'string', 'number'].includes(typeof ITEM.Value)) {
+        return { valid: false, message: 'Invalid CallbackMetadata item' }
+      }
+      VALUES[ITEM.Name] = ITEM.Value === undefined ? null : ITEM.Value
+    }
+    const AMOUNT = Number(VALUES.Amount)
+    if (VALUES.Amount === undefined || VALUES.Amount === null || !(AMOUNT > 0)) {
+      return { valid: false, message: 'Invalid Amount' }
+    }
+    if (!/^[A-Z0-9]{1,15}$/.test(String(VALUES.MpesaReceiptNumber))) {
+      return { valid: false, message: 'Invalid MpesaReceiptNumber' }
+    }
+    if (!/^[0-9]{14}$/.test(String(VALUES.TransactionDate))) {
+      return { valid: false, message: 'Invalid TransactionDate' }
+    }
+    /* Daraja may mask some of the digits of the phone number */
+    if (!/^[0-9*]{9,13}$/.test(String(VALUES.PhoneNumber))) {
+      return { valid: false, message: 'Invalid PhoneNumber' }
+    }
+    return {
+      ...PARSED,
+      amount: AMOUNT,
+      receiptNumber: String(VALUES.MpesaReceiptNumber),
+      transactionDate: String(VALUES.TransactionDate),
+      mobile: String(VALUES.PhoneNumber)
+    }
+  }
+
+  /* Function that returns the hash of a callback token, which is what is saved on the client payment */
+  static hashCallbackToken (token) {
+    return CRYPTO.createHash('sha256').update(String(token)).digest('hex')
+  }
+
+  /* Function that checks the token of a callback against the hash saved on its client payment */
+  static callbackTokenMatches (token, tokenHash) {
+    if (!token || !tokenHash) return false
+    const GIVEN_HASH = Buffer.from(PaymentHelper.hashCallbackToken(token))
+    const EXPECTED_HASH = Buffer.from(tokenHash)
+    return GIVEN_HASH.length === EXPECTED_HASH.length && CRYPTO.timingSafeEqual(GIVEN_HASH, EXPECTED_HASH)
+  }
+
+  /* Function that applies a valid callback to its client payment and order. It returns the outcome to save on the
+  * callback record, alongside the response */
+  static async processMpesaCallback (callback, { callbackToken, verifyToken }, t) {
+    /* The client payment is locked, so that callbacks of the same transaction are processed one after the other */
+    const PAYMENT = await ClientPayment.findOne({
+      where: {
+        checkoutRequestId: callback.checkoutRequestId,
+        isDeleted: false
+      },
+      attributes: ['id', 'orderId', 'orderChargeId', 'clientId', 'currencyId', 'statusId', 'transactionId', 'amount',
+        'callbackTokenHash'],
+      lock: t.LOCK.UPDATE,
+      transaction: t
+    })
+    if (!PAYMENT) {
+      return { outcome: 'Unknown', paymentUpdated: false, message: 'Unknown checkout request' }
+    }
+    if (verifyToken && !PaymentHelper.callbackTokenMatches(callbackToken, PAYMENT.callbackTokenHash)) {
+      return { outcome: 'Unverified', paymentUpdated: false, message: 'Callback could not be verified' }
+    }
+    const TR_ID = PAYMENT.transactionId
+    const [PROCESSED, MPESA_RECORD, STATUSES] = await Promise.all([
+      MPESACallback.findOne({
+        where: {
+          checkoutRequestId: callback.checkoutRequestId,
+          outcome: 'Processed',
+          isDeleted: false
+        },
+        attributes: ['id'],
+        transaction: t
+      }),
+      MPESA.findOne({
+        where: {
+          [Op.or]: [
+            { checkoutRequestId: callback.checkoutRequestId },
+            ...(callback.receiptNumber ? [{ receiptNumber: callback.receiptNumber }] : [])
+          ],
+          isDeleted: false
+        },
+        attributes: ['id'],
+        transaction: t
+      }),
+      PaymentStatus.findAll({
+        attributes: ['id', 'status'],
+        raw: true,
+        transaction: t
+      })
+    ])
+    const STATUS_IDS = Object.fromEntries(STATUSES.map(status => [status.status, status.id]))
+    /* A payment found successful through a status query has no receipt, which is recorded once its callback comes */
+    if (PAYMENT.statusId === STATUS_IDS.Success && !MPESA_RECORD && callback.resultCode === 0 &&
+      callback.receiptNumber) {
+      await PaymentHelper.recordMpesaReceipt(callback, t)
+      return { outcome: 'Processed', paymentUpdated: false, trId: TR_ID, message: 'Receipt recorded' }
+    }
+    /* A transaction is only processed once, and a successful payment is never undone by a later callback */
+    if (PROCESSED || MPESA_RECORD || PAYMENT.statusId === STATUS_IDS.Success) {
+      return {
+        outcome: 'Duplicate',
+        paymentUpdated: false,
+        duplicate: true,
+        trId: TR_ID,
+        message: 'Callback has already been processed'
+      }
+    }
+    /* What the result code means for the payment */
+    const POLICY = await PaymentHelper.getResultPolicy(callback.resultCode, t)
+    /* Two options here:
+    * Either the resultcode is 0 or not. 0 here means success. Others mean different kinds of errors */
+    if (callback.resultCode === 0) {
+      /* The money has been received, hence the receipt is recorded even when the payment does not add up */
+      if (callback.receiptNumber) {
+        await PaymentHelper.recordMpesaReceipt(callback, t)
+      }
+      const [ACTUAL_ORDER_TOTAL_COST, CHARGE] = await Promise.all([
+        OrderPaymentDetail.findOne({
           where: {
-            checkoutRequestId: req.CheckoutRequestID
+            orderId: PAYMENT.orderId
           },
-          attributes: ['orderId', 'amount'],
-          raw: true
-        })
-        const TRANSACTION_ID = await ClientPayment.findOne({
+          attributes: ['totalPrice'],
+          raw: true,
+          transaction: t
+        }),
+        PAYMENT.orderChargeId && OrderCharge.findOne({
           where: {
-            checkoutRequestId: req.CheckoutRequestID
+            id: PAYMENT.orderChargeId
           },
-          attributes: ['transactionId']
+          lock: t.LOCK.UPDATE,
+          transaction: t
         })
-        /* Two options here:
-        * Either the req resultcode is 0 or not. 0 here means success. Others mean different kinds of errors */
-        /* In case it is 0, then save the success of the transaction */
-        if (req.ResultCode === 0) {
-          /* Extract callback items from the MPESA message, before getting the result code from the list
-          * saved in the MPESAResultCode tables */
-          const CALLBACK_ITEMS = req.CallbackMetadata?.Item
-          const MPESA_RESULT_CODE = await MPESAResultCode.findOne({
-            where: {
-              resultCode: req.ResultCode
-            },
-            attributes: ['id'],
-            raw: true
-          })
-          /* Then create the MPESA record */
-          return await MPESA.create({
-            checkoutRequestId: req.CheckoutRequestID,
-            merchantRequestId: req.MerchantRequestID,
-            amount: CALLBACK_ITEMS.filter(item => item.Name === 'Amount')[0].Value,
-            receiptNumber: CALLBACK_ITEMS.filter(item => item.Name === 'MpesaReceiptNumber')[0].Value,
-            transactionDate: CALLBACK_ITEMS.filter(item => item.Name === 'TransactionDate')[0].Value,
-            mobile: CALLBACK_ITEMS.filter(item => item.Name === 'PhoneNumber')[0].Value,
-            resultCodeId: MPESA_RESULT_CODE.id
-          })
-            .then(async mpesaRecordAdded => {
-              /* If the creation of the record succeeds, then update the payment status, plus the order status */
-              if (mpesaRecordAdded) {
-                /* If the order details exist, plus the orderID exists, then update the status */
-                if (ORDER_DETAILS && ORDER_DETAILS.orderId) {
-                  /* First get the ACTUAL_ORDER_TOTAL_COST */
-                  const ACTUAL_ORDER_TOTAL_COST = await OrderPaymentDetail.findOne({
-                    where: {
-                      orderId: ORDER_DETAILS.orderId
-                    },
-                    attributes: ['totalPrice'],
-                    raw: true
-                  })
-                  /* Check if the ACTUAL_ORDER_TOTAL_COST matches the cost in the order details */
-                  if (ACTUAL_ORDER_TOTAL_COST.totalPrice === ORDER_DETAILS.amount) {
-                    /* If it does, then continue with the process because it shows that the transaction is
-                    * legitimate */
-                    /* Get the success order payment status */
-                    const ORDER_PAYMENT_STATUS = await PaymentStatus.findOne({
-                      where: {
-                        status: 'Success'
-                      },
-                      attributes: ['id'],
-                      raw: true
-                    })
-                    /* Then use it to update the client payment status */
-                    return await ClientPayment.update({
-                      statusId: ORDER_PAYMENT_STATUS.id
-                    }, {
-                      where: {
-                        orderId: ORDER_DETAILS.orderId,
-                        checkoutRequestId: req.CheckoutRequestID,
-                        amount: CALLBACK_ITEMS.filter(item => item.Name === 'Amount')[0].Value,
-                        mobile: CALLBACK_ITEMS.filter(item => item.Name === 'PhoneNumber')[0].Value
-                      }
-                    }, { transaction: t })
-                      .then(async updatedPayment => {
-                        /* In case it updates successfully, then get the ongoing order status */
-                        if (updatedPayment) {
-                          /* check if a writer has already been assigned */
-                          const WRITER_ALREADY_ASSIGNED = await WriterOrder.findOne({
-                            where: {
-                              orderId: ORDER_DETAILS.orderId
-                            },
-                            attributes: ['id'],
-                            raw: true
-                          })
-                          let paymentStatus
-                          if (WRITER_ALREADY_ASSIGNED) {
-                            paymentStatus = 'Ongoing'
-                          } else {
-                            paymentStatus = 'Available'
-                          }
-                          const ONGOING_STATUS = await OrderStatus.findOne({
-                            where: {
-                              status: paymentStatus
-                            },
-                            attributes: ['id'],
-                            raw: true
-                          })
-                          /* Then use it to update the order status to ongoing */
-                          return await Order.update({
-                            statusId: ONGOING_STATUS.id
-                          }, {
-                            where: {
-                              id: ORDER_DETAILS.orderId
-                            }
-                          })
-                            .then(orderUpdated => {
-                              /* Once updated, return that the payment has been updated successfully, together with
-                              * the transaction id */
-                              if (orderUpdated) {
-                                return { paymentUpdated: true, trId: TRANSACTION_ID.transactionId }
-                              } else {
-                                /* Else return a false payment updated status, message and transaction ID */
-                                return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Failed to update order status' }
-                              }
-                            })
-                            .catch(orderUpdatedError => {
-                              throw new Error(orderUpdatedError)
-                            })
-                        } else {
-                          /* Else return a false paymentUpdated status, plus transaction ID and message */
-                          return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Failed to update payment' }
-                        }
-                      })
-                      .catch(updatedPaymentError => {
-                        throw new Error(updatedPaymentError)
-                      })
-                  } else {
-                    return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Amount paid is different from the actual amount' }
-                  }
-                } else {
-                  return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Record does not exist' }
-                }
-              } else {
-                return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Failed to add MPESA record' }
-              }
-            })
-            .catch(failedToAddRecord => {
-              throw new Error(failedToAddRecord)
-            })
-        } else {
-          /* Else save the failure of the transaction */
-          if (ORDER_DETAILS.orderId) {
-            /* For now, we are only saving two statuses, cancelled by the user and failed */
-            /* TODO: To include saving all the other failed statuses such as insufficient balance etc */
-            let orderStatus
-            /* For now, the order status can either be 'Request cancelled by user' or 'Failed' */
-            if (req.ResultDesc === 'Request cancelled by user') {
-              orderStatus = 'User cancelled'
-            } else {
-              orderStatus = 'Failed'
-            }
-            /* Get the specified order payment status */
-            const ORDER_PAYMENT_STATUS = await PaymentStatus.findOne({
-              where: {
-                status: orderStatus
-              },
-              attributes: ['id'],
-              raw: true
-            })
-            /* Then use it to update the client payment status */
-            return await ClientPayment.update({
-              statusId: ORDER_PAYMENT_STATUS.id
-            }, {
-              where: {
-                orderId: ORDER_DETAILS.orderId,
-                checkoutRequestId: req.CheckoutRequestID
-              }
-            }, { transaction: t })
-              .then(async updatedPaymentStatus => {
-                /* Then as above, return a true payment status and transaction ID */
-                if (updatedPaymentStatus) {
-                  return { paymentUpdated: true, trId: TRANSACTION_ID.transactionId }
-                } else {
-                  /* Or a false payment status ID */
-                  return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Failed to update payment' }
-                }
-              })
-              .catch(updatedPaymentError => {
-                throw new Error(updatedPaymentError)
-              })
-          } else {
-            return { paymentUpdated: false, trId: TRANSACTION_ID.transactionId, message: 'Failed to update payment' }
-          }
+      ])
+      /* The amount paid has to be both the amount pushed and the price of the order, or of the charge paid for, for
+      * the transaction to be legitimate */
+      const ACTUAL_AMOUNT = PAYMENT.orderChargeId
+        ? CHARGE && CHARGE.amount
+        : ACTUAL_ORDER_TOTAL_COST && ACTUAL_ORDER_TOTAL_COST.totalPrice
+      if (!ACTUAL_AMOUNT || (callback.amount !== undefined && callback.amount !== PAYMENT.amount) ||
+        ACTUAL_AMOUNT !== PAYMENT.amount) {
+        return await PaymentHelper.refundMismatchedPayment(PAYMENT, callback, {
+          statusId: STATUS_IDS[MISMATCH_PAYMENT_STATUS] || STATUS_IDS.Failed,
+          resultCodeId: POLICY.resultCodeId
+        }, t)
+      }
+      await PAYMENT.update({
+        statusId: STATUS_IDS.Success,
+        resultCodeId: POLICY.resultCodeId
+      }, { transaction: t })
+      await LEDGER_HELPER.recordPayment(PAYMENT, t)
+      /* A charge takes effect once it is paid for, and the order itself stays as it is */
+      if (CHARGE) {
+        const APPLIED = await CHARGES_HELPER.applyCharge(CHARGE, t)
+        if (!APPLIED.applied) {
+          return await PaymentHelper.refundUnappliedPayment(PAYMENT, APPLIED.message, t)
         }
+        await EVENTS_SERVICE.publishToOrder(PAYMENT.orderId, 'payment.succeeded', {
+          transactionId: TR_ID,
+          chargeId: CHARGE.id
+        }, { parties: ['client'], transaction: t })
+        return { outcome: 'Processed', paymentUpdated: true, trId: TR_ID }
+      }
+      /* An order is only paid for once. A second payment e.g. from two pushes answered at the same time cannot be
+      * applied to the order */
+      const PAID_BEFORE = await ClientPayment.findOne({
+        where: {
+          id: {
+            [Op.ne]: PAYMENT.id
+          },
+          orderId: PAYMENT.orderId,
+          orderChargeId: null,
+          statusId: [STATUS_IDS.Success, STATUS_IDS['Success with balance']].filter(statusId => statusId),
+          isDeleted: false
+        },
+        attributes: ['id'],
+        transaction: t
+      })
+      if (PAID_BEFORE) {
+        return await PaymentHelper.refundUnappliedPayment(PAYMENT, 'Order has already been paid for', t)
+      }
+      /* check if a writer has already been assigned */
+      const WRITER_ALREADY_ASSIGNED = await WriterOrder.findOne({
+        where: {
+          orderId: PAYMENT.orderId,
+          isDeleted: false
+        },
+        attributes: ['id'],
+        raw: true,
+        transaction: t
+      })
+      /* An order offered to a personal writer keeps waiting for the writer to respond */
+      const OFFER_PENDING = await OrderOffer.findOne({
+        where: {
+          orderId: PAYMENT.orderId,
+          status: 'Pending',
+          isDeleted: false
+        },
+        attributes: ['id'],
+        transaction: t
+      })
+      let paymentStatus
+      if (WRITER_ALREADY_ASSIGNED) {
+        paymentStatus = 'Ongoing'
+      } else if (OFFER_PENDING) {
+        paymentStatus = 'Pending writer acknowledgement'
+      } else {
+        paymentStatus = 'Available'
+      }
+      /* Then use it to update the order status through the order lifecycle */
+      const ORDER_UPDATED = await LIFECYCLE_HELPER.transitionOrder(PAYMENT.orderId, paymentStatus, {
+        reason: 'Payment received',
+        transaction: t
       })
+      if (!ORDER_UPDATED.transitioned) {
+        return await PaymentHelper.refundUnappliedPayment(PAYMENT, ORDER_UPDATED.message, t)
+      }
+      /* Once updated, let the client know */
+      await EVENTS_SERVICE.publishToOrder(PAYMENT.orderId, 'payment.succeeded', {
+        transactionId: TR_ID,
+        orderStatus: paymentStatus
+      }, { parties: ['client'], transaction: t })
+      return { outcome: 'Processed', paymentUpdated: true, trId: TR_ID }
+    }
+    /* Else save the failure of the transaction, in the status the result code maps to */
+    const PAYMENT_STATUS = STATUS_IDS[POLICY.status] ? POLICY.status : 'Failed'
+    await PAYMENT.update({
+      statusId: STATUS_IDS[PAYMENT_STATUS],
+      resultCodeId: POLICY.resultCodeId
+    }, { transaction: t })
+    /* Then as above, let the client know why */
+    await EVENTS_SERVICE.publishToOrder(PAYMENT.orderId, 'payment.failed', {
+      transactionId: TR_ID,
+      paymentStatus: PAYMENT_STATUS,
+      resultCode: callback.resultCode,
+      retryable: POLICY.retryable,
+      reason: POLICY.message
+    }, { parties: ['client'], transaction: t })
+    return { outcome: 'Processed', paymentUpdated: true, trId: TR_ID }
+  }
+
+  /* Function that handles a payment whose amount does not add up i.e. the amount received is not the amount pushed,
+  * or the amount pushed is no longer the price of the order or of the charge. The money has been received all the
+  * same, hence the amount received is entered in the ledger and refunded to the balance of the client. The payment
+  * is marked as mismatched, so that it is neither applied to the order nor processed again */
+  static async refundMismatchedPayment (payment, callback, status, transaction) {
+    await payment.update(status, { transaction: transaction })
+    const RECEIVED_PAYMENT = {
+      ...payment.get({ plain: true }),
+      /* The result of a status query carries no amount, in which case the amount pushed is what was received */
+      amount: callback.amount !== undefined ? callback.amount : payment.amount
+    }
+    await LEDGER_HELPER.recordPayment(RECEIVED_PAYMENT, transaction)
+    return await PaymentHelper.refundUnappliedPayment(RECEIVED_PAYMENT, 'Amount paid is different from the actual amount',
+      transaction)
+  }
+
+  /* Function that refunds a successful payment that could not be applied in full to the balance of the client e.g.
+  * one for an order cancelled while the push was pending. The refund stays against the payment, which flags it for
+  * the reconciliation */
+  static async refundUnappliedPayment (payment, reason, transaction) {
+    await PaymentHelper.refundPayment(payment, payment.amount, {
+      policy: 'Full',
+      reason: 'Payment could not be applied: '.concat(reason).slice(0, 255),
+      transaction: transaction
+    })
+    await EVENTS_SERVICE.publishToOrder(payment.orderId, 'payment.refunded', {
+      transactionId: payment.transactionId,
+      amount: payment.amount,
+      reason: reason
+    }, { parties: ['client'], transaction: transaction })
+    return {
+      outcome: 'Processed',
+      paymentUpdated: true,
+      refunded: true,
+      trId: payment.transactionId,
+      message: 'Payment could not be applied, hence it was refunded to the client balance'
+    }
+  }
+
+  /* Function that returns what a result code means for a payment i.e. the status of the payment, whether the client
+  * can try again and the message to show the client. A code without a policy is taken as a failure that can be
+  * retried, since most failures of STK pushes can */
+  static async getResultPolicy (resultCode, transaction) {
+    const RESULT_CODE = await MPESAResultCode.findOne({
+      where: {
+        resultCode: resultCode,
+        isDeleted: false
+      },
+      attributes: ['id'],
+      include: [
+        {
+          model: MPESAResultPolicy,
+          as: 'MPESAResultPolicy',
+          attributes: ['retryable', 'userMessage'],
+          required: false,
+          where: {
+            isDeleted: false
+          },
+          include: [
+            {
+              model: PaymentStatus,
+              as: 'PaymentStatus',
+              attributes: ['status']
+            }
+          ]
+        }
+      ],
+      transaction: transaction
+    })
+    const POLICY = RESULT_CODE && RESULT_CODE.MPESAResultPolicy
+    if (!POLICY) {
+      return {
+        resultCodeId: RESULT_CODE ? RESULT_CODE.id : null,
+        status: resultCode === 0 ? 'Success' : 'Failed',
+        retryable: resultCode !== 0,
+        message: resultCode === 0 ? 'Your payment has been received' : DEFAULT_FAILURE_MESSAGE
+      }
+    }
+    return {
+      resultCodeId: RESULT_CODE.id,
+      status: POLICY.PaymentStatus.status,
+      retryable: POLICY.retryable,
+      message: POLICY.userMessage
+    }
+  }
+
+  /* Function that records the receipt of a successful transaction */
+  static async recordMpesaReceipt (callback, t) {
+    const MPESA_RESULT_CODE = await MPESAResultCode.findOne({
+      where: {
+        resultCode: callback.resultCode
+      },
+      attributes: ['id'],
+      raw: true,
+      transaction: t
+    })
+    return await MPESA.create({
+      checkoutRequestId: callback.checkoutRequestId,
+      merchantRequestId: callback.merchantRequestId,
+      amount: callback.amount,
+      receiptNumber: callback.receiptNumber,
+      transactionDate: callback.transactionDate,
+      mobile: callback.mobile,
+      resultCodeId: MPESA_RESULT_CODE.id
+    }, { transaction: t })
+  }
+
+  /* Function that asks MPESA for the outcome of a payment that is still processing, and applies it just as its
+  * callback would have been. The outcome is 'Pending' while the client is yet to respond to the push, 'Unavailable'
+  * in case MPESA could not tell, otherwise 'Processed' together with the result of applying it */
+  static async reconcilePayment (payment) {
+    let response
+    try {
+      response = await MPESA_HELPER.queryStkPush(payment.checkoutRequestId)
     } catch (e) {
-      return Promise.reject(e)
+      if (e.response && e.response.errorCode === MPESA_HELPER.TRANSACTION_PROCESSING_ERROR_CODE) {
+        return { outcome: 'Pending', message: e.message }
+      }
+      return { outcome: 'Unavailable', message: e.message }
     }
+    const RESULT = await PaymentHelper.updateClientOrderPayment({
+      CheckoutRequestID: payment.checkoutRequestId,
+      MerchantRequestID: response.MerchantRequestID,
+      ResultCode: response.ResultCode,
+      ResultDesc: response.ResultDesc
+    }, {
+      payload: { source: 'Status query', response: response },
+      statusQuery: true
+    })
+    return { outcome: 'Processed', ...RESULT }
   }
 
-  /* Function to check the payment status of an order */
+  /* Function to check the payment status of an order. A payment that has ended comes with the result code it
+  * ended with, whether the client can try again and the message to show the client */
   static async checkOrderPaymentStatus (req) {
     try {
       return await MODEL.sequelize.transaction(async (t) => {
@@ -484,13 +931,28 @@ class PaymentHelper {
               model: PaymentStatus,
               as: 'PaymentStatus',
               attributes: ['status']
+            },
+            {
+              model: MPESAResultCode,
+              as: 'MPESAResultCode',
+              attributes: ['resultCode'],
+              required: false
             }
           ]
         }, { transaction: t })
-          .then(response => {
-            /* Then return the status */
+          .then(async response => {
+            if (!response.MPESAResultCode) {
+              return {
+                paymentStatus: response.PaymentStatus.status
+              }
+            }
+            /* Then return the status, together with what the result code means for the client */
+            const POLICY = await PaymentHelper.getResultPolicy(response.MPESAResultCode.resultCode)
             return {
-              paymentStatus: response.PaymentStatus.status
+              paymentStatus: response.PaymentStatus.status,
+              resultCode: response.MPESAResultCode.resultCode,
+              retryable: POLICY.retryable,
+              message: POLICY.message
             }
           })
           .catch(error => {
@@ -554,6 +1016,491 @@ class PaymentHelper {
     }
   }
 
+  /* Function that returns the price quote of an order as requested by the frontends */
+  static async getOrderQuote (req) {
+    try {
+      /* The frontends send the service type by name, as in the saveOrderDetails function */
+      const SERVICE_TYPE = await OrderServiceType.findOne({
+        where: {
+          type: req.serviceType
+        },
+        attributes: ['id'],
+        raw: true
+      })
+      if (!SERVICE_TYPE) {
+        return { quoted: false, message: 'Service type does not exist' }
+      }
+      /* A deadline without a UTC offset is in the timezone of the client */
+      const TIMEZONE = await PaymentHelper.getClientTimezone({ email: req.email })
+      return await PaymentHelper.calculateQuote({
+        assignmentType: req.assignmentType,
+        serviceTypeId: SERVICE_TYPE.id,
+        studyLevelId: req.studyLevel,
+        pageCount: req.pageCount,
+        deadline: DEADLINE_SERVICE.parseDeadline(req.deadline, TIMEZONE),
+        extras: req.extras || []
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that returns the price quote of an order that is already saved in the database. The extras can be
+  * passed in case they are being changed, otherwise the saved extras of the order are used. The transaction is the
+  * one in which the order is being edited, if any, so that the quote is of the edited order */
+  static async getSavedOrderQuote (orderId, extras, transaction) {
+    const [ORDER, SAVED_EXTRAS] = await Promise.all([
+      Order.findOne({
+        where: {
+          id: orderId
+        },
+        attributes: ['assignmentType', 'serviceTypeId', 'studyLevelId', 'pageCount', 'deadline'],
+        raw: true,
+        transaction: transaction
+      }),
+      extras
+        ? null
+        : ExtraOrderService.findAll({
+          where: {
+            orderId: orderId,
+            isDeleted: false
+          },
+          attributes: ['serviceTypeId'],
+          raw: true,
+          transaction: transaction
+        })
+    ])
+    if (!ORDER) {
+      return { quoted: false, message: 'Order does not exist' }
+    }
+    return await PaymentHelper.calculateQuote({
+      ...ORDER,
+      extras: extras || SAVED_EXTRAS.map(extra => extra.serviceTypeId)
+    })
+  }
+
+  /* Function that computes the authoritative price of an order.
+  * The cost per page is the base price of the assignment type's tier, increased by the level of study and by the
+  * urgency of the deadline. The paper discount is then applied to the cost of all pages, before adding the prices
+  * of the extra services */
+  static async calculateQuote (order) {
+    /* The page count may come from a request body, hence as a string */
+    const PAGE_COUNT = Number(order.pageCount)
+    const DEADLINE = new Date(order.deadline)
+    if (!order.deadline || isNaN(DEADLINE.getTime()) || DEADLINE.getTime() <= new Date().getTime()) {
+      return { quoted: false, message: 'Invalid deadline' }
+    }
+    if (!Number.isInteger(PAGE_COUNT) || PAGE_COUNT < 1) {
+      return { quoted: false, message: 'Invalid page count' }
+    }
+    const [ASSIGNMENT_TYPE, LEVEL, DISCOUNT, EXTRAS] = await Promise.all([
+      AssignmentType.findOne({
+        where: {
+          id: order.assignmentType
+        },
+        attributes: ['tier'],
+        raw: true
+      }),
+      EducationLevel.findOne({
+        where: {
+          id: order.studyLevelId
+        },
+        attributes: ['level'],
+        raw: true
+      }),
+      PaperDiscount.findOne({
+        where: {
+          lowerLimit: {
+            [Op.lte]: PAGE_COUNT
+          },
+          upperLimit: {
+            [Op.gte]: PAGE_COUNT
+          }
+        },
+        attributes: ['discount'],
+        raw: true
+      }),
+      OrderServiceType.findAll({
+        where: {
+          id: order.extras,
+          extra: true
+        },
+        attributes: ['id', 'type', 'price'],
+        raw: true
+      })
+    ])
+    if (!ASSIGNMENT_TYPE) {
+      return { quoted: false, message: 'Assignment type does not exist' }
+    }
+    if (!LEVEL) {
+      return { quoted: false, message: 'Study level does not exist' }
+    }
+    if (EXTRAS.length !== order.extras.length) {
+      return { quoted: false, message: 'Extra service does not exist' }
+    }
+    /* Then the base price and price increments of the tier and service type */
+    const [BASE_PRICE, PRICE_INCREMENT] = await Promise.all([
+      BasePrice.findOne({
+        where: {
+          tier: ASSIGNMENT_TYPE.tier,
+          serviceType: order.serviceTypeId
+        },
+        attributes: ['price'],
+        include: [
+          {
+            model: Currency,
+            as: 'Currency',
+            attributes: ['currencyCode']
+          }
+        ]
+      }),
+      PriceIncrement.findOne({
+        where: {
+          tier: ASSIGNMENT_TYPE.tier,
+          serviceType: order.serviceTypeId
+        },
+        raw: true
+      })
+    ])
+    if (!BASE_PRICE || !PRICE_INCREMENT) {
+      return { quoted: false, message: 'No price has been set for the service and assignment types' }
+    }
+    /* Get the percentage increments that apply to the order */
+    const INCREMENTS = [
+      ...(LEVEL_INCREMENTS[LEVEL.level] || []),
+      ...PaymentHelper.deadlineIncrementColumns(DEADLINE)
+    ].map(column => PRICE_INCREMENT[column])
+    const CPP = PaymentHelper.roundPrice(INCREMENTS.reduce((price, increment) => price * (1 + increment / 100),
+      BASE_PRICE.price))
+    /* An order can only have a discount if it is more than one page */
+    const DISCOUNT_PERCENTAGE = PAGE_COUNT === 1 || !DISCOUNT ? 0 : DISCOUNT.discount
+    const PAGES_PRICE = CPP * PAGE_COUNT
+    const DISCOUNT_AMOUNT = PaymentHelper.roundPrice(PAGES_PRICE * DISCOUNT_PERCENTAGE / 100)
+    const EXTRAS_TOTAL_PRICE = EXTRAS.reduce((total, extra) => total + Number(extra.price), 0)
+    return {
+      quoted: true,
+      currencyCode: BASE_PRICE.Currency.currencyCode,
+      cpp: CPP,
+      pageCount: PAGE_COUNT,
+      deadline: DEADLINE,
+      discount: DISCOUNT_PERCENTAGE,
+      discountAmount: DISCOUNT_AMOUNT,
+      extras: EXTRAS.map(extra => ({ id: extra.id, type: extra.type, price: Number(extra.price) })),
+      extrasTotalPrice: EXTRAS_TOTAL_PRICE,
+      /* MPESA only accepts whole amounts, hence the total price is rounded to the nearest unit */
+      totalPrice: Math.round(PAGES_PRICE - DISCOUNT_AMOUNT + EXTRAS_TOTAL_PRICE)
+    }
+  }
+
+  /* Function that checks whether the payment summary submitted by a client matches a computed quote */
+  static quoteMatchesSummary (quote, paymentSummary) {
+    return quote.quoted &&
+      quote.currencyCode === paymentSummary.currencyCode &&
+      Math.abs(quote.cpp - paymentSummary.cpp) <= QUOTE_TOLERANCE &&
+      Math.abs(quote.extrasTotalPrice - paymentSummary.extrasTotalPrice) <= QUOTE_TOLERANCE &&
+      Math.abs(quote.totalPrice - paymentSummary.totalPrice) <= QUOTE_TOLERANCE
+  }
+
+  /* Function that returns the price increment columns that apply to a deadline, depending on the hours left */
+  static deadlineIncrementColumns (deadline) {
+    const HOURS_LEFT = (deadline.getTime() - new Date().getTime()) / 1000 / 60 / 60
+    return DEADLINE_INCREMENTS
+      .filter(increment => HOURS_LEFT <= increment.hours)
+      .map(increment => increment.column)
+  }
+
+  /* Function that gets the timezone of a client, by the client ID or else the email. The default timezone is
+  * returned in case the client does not exist */
+  static async getClientTimezone ({ clientId, email }) {
+    const CLIENT = (clientId || email) && await Client.findOne({
+      where: clientId ? { id: clientId } : {},
+      attributes: ['timezone'],
+      include: email && !clientId
+        ? [{ model: User, as: 'User', attributes: [], where: { email: email.toLowerCase() } }]
+        : []
+    })
+    return CLIENT ? CLIENT.timezone : DEADLINE_SERVICE.DEFAULT_TIMEZONE
+  }
+
+  /* Function that rounds a price to two decimal places */
+  static roundPrice (price) {
+    return Math.round(price * 100) / 100
+  }
+
+  /* Function that refunds an amount paid for an order to the client's balance, in the currency of the payment. The
+  * refund is recorded against the latest successful client payment of the order, and entered in the ledger. The
+  * options are the refund policy (e.g. 'Full'), the reason of the refund, the actor (the ID of the user making the
+  * refund, or null if the system is making it) and the transaction. It returns null in case the order has not been
+  * paid for */
+  static async refundClientPayment (orderId, amount, options = {}) {
+    const { transaction } = options
+    const PAYMENT = await ClientPayment.findOne({
+      where: {
+        orderId: orderId,
+        isDeleted: false
+      },
+      attributes: ['id', 'orderId', 'clientId', 'currencyId', 'amount'],
+      include: [
+        {
+          model: PaymentStatus,
+          as: 'PaymentStatus',
+          attributes: [],
+          where: {
+            status: ['Success', 'Success with balance']
+          }
+        }
+      ],
+      order: [
+        ['createdAt', 'DESC']
+      ],
+      transaction: transaction
+    })
+    if (!PAYMENT) return null
+    return await PaymentHelper.refundPayment(PAYMENT, amount, options)
+  }
+
+  /* Function that refunds an amount of the given client payment to the balance of the client */
+  static async refundPayment (payment, amount, options = {}) {
+    const { policy, reason = null, actor = null, transaction } = options
+    const REFUND = await ClientRefund.create({
+      clientPaymentId: payment.id,
+      orderId: payment.orderId,
+      amount: PaymentHelper.roundPrice(amount),
+      policy: policy,
+      reason: reason,
+      actor: actor,
+      isDeleted: false
+    }, { transaction: transaction })
+    await LEDGER_HELPER.recordRefund(REFUND, payment, transaction)
+    return REFUND
+  }
+
+  /* Function that returns the writer's share of an amount paid for an order, as per the payment ratio */
+  static async writerShare (amount, transaction) {
+    const RATIO = await PaymentRatio.findOne({
+      where: {
+        isDeleted: false
+      },
+      attributes: ['writer'],
+      transaction: transaction
+    })
+    return PaymentHelper.roundPrice(amount * RATIO.writer / 100)
+  }
+
+  /* Function that returns what a client has paid on an order, for the order itself and for the charges on it, less
+  * the refunds made against those payments. The refunds of the payments that were never applied e.g. mismatched
+  * ones are left out, since their amounts are not part of what was paid */
+  static async getNetAmountPaid (orderId, transaction) {
+    const SUCCESS_STATUSES = await PaymentStatus.findAll({
+      where: {
+        status: ['Success', 'Success with balance']
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    const PAYMENTS = await ClientPayment.findAll({
+      where: {
+        orderId: orderId,
+        statusId: SUCCESS_STATUSES.map(status => status.id),
+        isDeleted: false
+      },
+      attributes: ['id', 'amount'],
+      transaction: transaction
+    })
+    if (PAYMENTS.length === 0) return 0
+    const REFUNDED = await ClientRefund.sum('amount', {
+      where: {
+        clientPaymentId: PAYMENTS.map(payment => payment.id),
+        isDeleted: false
+      },
+      transaction: transaction
+    })
+    const PAID = PAYMENTS.reduce((total, payment) => total + Number(payment.amount), 0)
+    return Math.max(PaymentHelper.roundPrice(PAID - (REFUNDED || 0)), 0)
+  }
+
+  /* Function that sets what the writer of an order earns on it to the writer's share of what the client paid, less
+  * the refunds made on the order. It is called whenever the order is completed or its refunds change, and only the
+  * difference from what the writer has earned so far is entered in the ledger. The options are the actor (the ID of
+  * the user, or null for the system), the reason and the transaction. It returns null in case the order has no
+  * writer */
+  static async creditWriterEarning (orderId, options = {}) {
+    const { actor = null, reason = null, transaction } = options
+    const [WRITER_ORDER, PAYMENT_DETAIL, PAID] = await Promise.all([
+      WriterOrder.findOne({
+        where: {
+          orderId: orderId,
+          isDeleted: false
+        },
+        attributes: ['writerId'],
+        transaction: transaction
+      }),
+      OrderPaymentDetail.findOne({
+        where: {
+          orderId: orderId,
+          isDeleted: false
+        },
+        attributes: ['currencyId'],
+        transaction: transaction
+      }),
+      PaymentHelper.getNetAmountPaid(orderId, transaction)
+    ])
+    if (!WRITER_ORDER || !PAYMENT_DETAIL) return null
+    return await LEDGER_HELPER.recordWriterEarning({
+      orderId: orderId,
+      writerId: WRITER_ORDER.writerId,
+      currencyId: PAYMENT_DETAIL.currencyId,
+      amount: await PaymentHelper.writerShare(PAID, transaction),
+      actor: actor,
+      reason: reason
+    }, transaction)
+  }
+
+  /* Function that gets the admin with a given email, or null in case the user is not an admin */
+  static async getAdmin (email, transaction) {
+    const USER = email && await User.findOne({
+      where: {
+        email: email.toLowerCase()
+      },
+      attributes: ['id'],
+      transaction: transaction
+    })
+    return USER
+      ? await Admin.findOne({
+        where: {
+          userId: USER.id
+        },
+        attributes: ['id', 'userId'],
+        transaction: transaction
+      })
+      : null
+  }
+
+  /* Function that lets an admin record a payout made to the writer of an order e.g. through M-Pesa. The payout is
+  * taken out of the writer's balance in the currency of the order, hence it cannot be more than the balance */
+  static async recordWriterPayout (req) {
+    try {
+      return await MODEL.sequelize.transaction(async t => {
+        const ADMIN = await PaymentHelper.getAdmin(req.email, t)
+        if (!ADMIN) {
+          return { paid: false, message: 'Only admins can record payouts' }
+        }
+        const AMOUNT = PaymentHelper.roundPrice(Number(req.amount))
+        if (!(AMOUNT > 0)) {
+          return { paid: false, message: 'Payout amount should be more than 0' }
+        }
+        const [WRITER_ORDER, PAYMENT_DETAIL, SUCCESS_STATUS] = await Promise.all([
+          WriterOrder.findOne({
+            where: {
+              orderId: req.orderId,
+              isDeleted: false
+            },
+            attributes: ['writerId'],
+            transaction: t
+          }),
+          OrderPaymentDetail.findOne({
+            where: {
+              orderId: req.orderId,
+              isDeleted: false
+            },
+            attributes: ['currencyId'],
+            transaction: t
+          }),
+          PaymentStatus.findOne({
+            where: {
+              status: 'Success'
+            },
+            attributes: ['id'],
+            transaction: t
+          })
+        ])
+        if (!WRITER_ORDER || !PAYMENT_DETAIL) {
+          return { paid: false, message: 'Order does not have a writer' }
+        }
+        const ACCOUNT = await LEDGER_HELPER.getAccount(LEDGER_HELPER.ACCOUNT_TYPES.WRITER, {
+          writerId: WRITER_ORDER.writerId,
+          currencyId: PAYMENT_DETAIL.currencyId
+        }, t)
+        const BALANCE = await LEDGER_HELPER.getAccountBalance(ACCOUNT, { lock: true }, t)
+        if (AMOUNT > BALANCE) {
+          return { paid: false, message: 'Payout amount is more than the writer\'s balance', balance: BALANCE }
+        }
+        const WRITER_PAYMENT = await WriterPayment.create({
+          writerId: WRITER_ORDER.writerId,
+          currencyId: PAYMENT_DETAIL.currencyId,
+          orderId: req.orderId,
+          statusId: SUCCESS_STATUS.id,
+          amount: AMOUNT,
+          isDeleted: false
+        }, { transaction: t })
+        await LEDGER_HELPER.recordPayout(WRITER_PAYMENT, ADMIN.userId, t)
+        return {
+          paid: true,
+          writerPaymentId: WRITER_PAYMENT.id,
+          balance: PaymentHelper.roundPrice(BALANCE - AMOUNT)
+        }
+      })
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that lets an admin check that every journal entry in the ledger balances to zero */
+  static async checkLedgerConsistency (req) {
+    try {
+      const ADMIN = await PaymentHelper.getAdmin(req.email)
+      if (!ADMIN) {
+        return { checked: false, message: 'Only admins can check the ledger' }
+      }
+      return { checked: true, ...await LEDGER_HELPER.checkConsistency() }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that returns the balances of a client or a writer, one per currency, as summed up from the ledger */
+  static async getBalances (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const [CLIENT, WRITER] = USER
+        ? await Promise.all([
+          Client.findOne({
+            where: {
+              userId: USER.id
+            },
+            attributes: ['id']
+          }),
+          Writer.findOne({
+            where: {
+              userId: USER.id
+            },
+            attributes: ['id']
+          })
+        ])
+        : []
+      if (CLIENT) {
+        return {
+          success: true,
+          balances: await LEDGER_HELPER.getBalances(LEDGER_HELPER.ACCOUNT_TYPES.CLIENT, { clientId: CLIENT.id })
+        }
+      }
+      if (WRITER) {
+        return {
+          success: true,
+          balances: await LEDGER_HELPER.getBalances(LEDGER_HELPER.ACCOUNT_TYPES.WRITER, { writerId: WRITER.id })
+        }
+      }
+      return { success: false, message: 'User does not exist' }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
   /* Function to get price ratios that help calculate the total price of an order, and its discount  */
   static async getPriceRatios (req) {
     try {
@@ -0,0 +1,202 @@
+'use strict'
+
+/* Helper that reconciles the payments of the dbms with M-Pesa. It has two parts:
+* - A scheduler job that asks M-Pesa for the outcome of every payment that is stuck in processing, e.g. because its
+*   callback never came, and applies it.
+* - A report of the mismatches between the client payments, the M-Pesa receipts and the prices of the orders */
+
+/* Importing the sequelize models that will be used in the module */
+const { ClientPayment, PaymentStatus } = require('../../models')
+
+/* Importing the 'Op' operator in sequelize, which is used to conduct greater-than, less-than e.t.c operations, and
+* the query types */
+const { Op, QueryTypes } = require('sequelize')
+
+/* Importing the index model that will be used to access the sequelize instance */
+const MODEL = require('../../models/index')
+
+/* Importing the payments helper, which applies the outcomes of the payments */
+const PAYMENTS_HELPER = require('./payment')
+
+/* The number of hours for which the outcome of a stuck payment is asked of M-Pesa. Older payments are left to the
+* report, since M-Pesa is unlikely to still know of them */
+const RECONCILIATION_WINDOW_HOURS = 24
+
+/* The most payments reconciled on a run of the job, to keep a run short */
+const MAX_PAYMENTS_PER_RUN = 50
+
+/* The number of days covered by the report when no dates are given */
+const DEFAULT_REPORT_DAYS = 30
+
+/* The statuses of the payments that have gone through */
+const SUCCESS_STATUSES = ['Success', 'Success with balance']
+
+/* The kinds of mismatches in the report, each with the query that finds them. Every query returns the same columns,
+* and is limited to the payments, receipts and callbacks created between :from and :to. A payment made for a charge
+* on an order is checked against the amount of the charge, rather than the price of the order */
+const MISMATCHES = {
+  'Paid without receipt': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      NULL::float AS "amountReceived", NULL AS "receiptNumber", NULL::float AS "orderPrice", p."createdAt"
+    FROM payment p
+    WHERE p.status IN (:successStatuses) AND NOT EXISTS (
+      SELECT 1 FROM payments.mpesa m WHERE m."checkoutRequestId" = p."checkoutRequestId" AND m."isDeleted" = false
+    )`,
+  'Receipt without payment': `
+    SELECT NULL::integer AS "orderId", r."checkoutRequestId", NULL AS "paymentStatus", NULL::float AS "amountPushed",
+      r.amount::float AS "amountReceived", r."receiptNumber", NULL::float AS "orderPrice", r."createdAt"
+    FROM receipt r
+    WHERE NOT EXISTS (
+      SELECT 1 FROM payments.client_payment cp
+      WHERE cp."checkoutRequestId" = r."checkoutRequestId" AND cp."isDeleted" = false
+    )`,
+  'Receipt on unsuccessful payment': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      r.amount::float AS "amountReceived", r."receiptNumber", NULL::float AS "orderPrice", r."createdAt"
+    FROM receipt r JOIN payment p ON p."checkoutRequestId" = r."checkoutRequestId"
+    WHERE p.status NOT IN (:successStatuses)`,
+  'Amount received differs from amount pushed': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      r.amount::float AS "amountReceived", r."receiptNumber", NULL::float AS "orderPrice", r."createdAt"
+    FROM receipt r JOIN payment p ON p."checkoutRequestId" = r."checkoutRequestId"
+    WHERE r.amount <> p.amount`,
+  'Amount pushed differs from order price': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      NULL::float AS "amountReceived", NULL AS "receiptNumber", o."totalPrice" AS "orderPrice", p."createdAt"
+    FROM payment p
+    JOIN price o ON o."orderId" = p."orderId" AND o."orderChargeId" IS NOT DISTINCT FROM p."orderChargeId"
+    WHERE p.status IN (:successStatuses) AND p.amount <> ROUND(o."totalPrice"::numeric)`,
+  'Paid more than once': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      NULL::float AS "amountReceived", NULL AS "receiptNumber", NULL::float AS "orderPrice", p."createdAt"
+    FROM payment p
+    WHERE p.status IN (:successStatuses) AND (p."orderId", COALESCE(p."orderChargeId", 0)) IN (
+      SELECT cp."orderId", COALESCE(cp."orderChargeId", 0) FROM payments.client_payment cp
+      JOIN payments.payment_status ps ON ps.id = cp."statusId"
+      WHERE cp."isDeleted" = false AND ps.status IN (:successStatuses)
+      GROUP BY cp."orderId", COALESCE(cp."orderChargeId", 0) HAVING COUNT(*) > 1
+    )`,
+  'Stuck in processing': `
+    SELECT p."orderId", p."checkoutRequestId", p.status AS "paymentStatus", p.amount AS "amountPushed",
+      NULL::float AS "amountReceived", NULL AS "receiptNumber", NULL::float AS "orderPrice", p."createdAt"
+    FROM payment p
+    WHERE p.status = 'Processing payment' AND p."updatedAt" < :staleBefore`,
+  'Callback for unknown checkout request': `
+    SELECT NULL::integer AS "orderId", c."checkoutRequestId", NULL AS "paymentStatus", NULL::float AS "amountPushed",
+      NULL::float AS "amountReceived", c."receiptNumber", NULL::float AS "orderPrice", c."createdAt"
+    FROM payments.mpesa_callback c
+    WHERE c.outcome = 'Unknown' AND c."isDeleted" = false AND c."createdAt" BETWEEN :from AND :to`
+}
+
+/* The tables the queries of the mismatches are run against */
+const REPORT_TABLES = `
+  WITH payment AS (
+    SELECT cp."orderId", cp."orderChargeId", cp."checkoutRequestId", cp.amount, cp."createdAt", cp."updatedAt",
+      ps.status
+    FROM payments.client_payment cp
+    JOIN payments.payment_status ps ON ps.id = cp."statusId"
+    WHERE cp."isDeleted" = false AND cp."createdAt" BETWEEN :from AND :to
+  ), receipt AS (
+    SELECT m."checkoutRequestId", m."receiptNumber", m.amount, m."createdAt"
+    FROM payments.mpesa m
+    WHERE m."isDeleted" = false AND m."createdAt" BETWEEN :from AND :to
+  ), price AS (
+    (SELECT DISTINCT ON (opd."orderId") opd."orderId", NULL::integer AS "orderChargeId", opd."totalPrice"
+    FROM payments.order_payment_detail opd
+    WHERE opd."isDeleted" = false
+    ORDER BY opd."orderId", opd.id DESC)
+    UNION ALL
+    SELECT oc."orderId", oc.id, oc.amount
+    FROM payments.order_charge oc
+    WHERE oc."isDeleted" = false
+  )`
+
+class ReconciliationHelper {
+  /* Function that asks M-Pesa for the outcome of the payments that have been processing for too long, and applies
+  * it. It is run by the scheduler, whose lock keeps two instances from reconciling at the same time. The outcomes
+  * are applied in transactions of their own, since each waits on M-Pesa */
+  static async reconcileStalePayments (transaction) {
+    const PROCESSING_STATUS = await PaymentStatus.findOne({
+      where: {
+        status: 'Processing payment'
+      },
+      attributes: ['id'],
+      raw: true,
+      transaction: transaction
+    })
+    const NOW = new Date().getTime()
+    const PAYMENTS = await ClientPayment.findAll({
+      where: {
+        statusId: PROCESSING_STATUS.id,
+        isDeleted: false,
+        updatedAt: {
+          [Op.between]: [
+            new Date(NOW - RECONCILIATION_WINDOW_HOURS * 60 * 60 * 1000),
+            new Date(NOW - PAYMENTS_HELPER.STALE_PAYMENT_MINUTES * 60 * 1000)
+          ]
+        },
+        /* A payment with a receipt has had its callback processed already, hence M-Pesa is not asked about it
+        * again. It is left to the report */
+        checkoutRequestId: {
+          [Op.notIn]: MODEL.sequelize.literal('(SELECT "checkoutRequestId" FROM payments.mpesa WHERE "isDeleted" = false)')
+        }
+      },
+      attributes: ['id', 'checkoutRequestId'],
+      order: [
+        ['updatedAt', 'ASC']
+      ],
+      limit: MAX_PAYMENTS_PER_RUN,
+      transaction: transaction
+    })
+    const OUTCOMES = { Processed: 0, Pending: 0, Unavailable: 0 }
+    for (const PAYMENT of PAYMENTS) {
+      const RESULT = await PAYMENTS_HELPER.reconcilePayment(PAYMENT)
+      OUTCOMES[RESULT.outcome] += 1
+      if (RESULT.outcome === 'Unavailable') {
+        console.log(`Failed to reconcile the payment ${PAYMENT.checkoutRequestId}: `, RESULT.message)
+      }
+    }
+    return OUTCOMES
+  }
+
+  /* Function that returns the mismatches between the client payments, the M-Pesa receipts and the prices of the
+  * orders, for the payments made between two dates. It defaults to the last DEFAULT_REPORT_DAYS days. Only admins
+  * can get the report */
+  static async getReconciliationReport (req) {
+    try {
+      const ADMIN = await PAYMENTS_HELPER.getAdmin(req.email)
+      if (!ADMIN) {
+        return { reported: false, message: 'Only admins can get the reconciliation report' }
+      }
+      const TO = req.to ? new Date(req.to) : new Date()
+      const FROM = req.from ? new Date(req.from) : new Date(TO.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000)
+      if (isNaN(FROM.getTime()) || isNaN(TO.getTime()) || FROM > TO) {
+        return { reported: false, message: 'Invalid report period' }
+      }
+      const QUERY = REPORT_TABLES.concat(Object.entries(MISMATCHES)
+        .map(([issue, query]) => `SELECT '${issue}' AS issue, mismatch.* FROM (${query}) AS mismatch`)
+        .join(' UNION ALL '), ' ORDER BY "createdAt" DESC')
+      const MISMATCHED = await MODEL.sequelize.query(QUERY, {
+        replacements: {
+          from: FROM,
+          to: TO,
+          successStatuses: SUCCESS_STATUSES,
+          staleBefore: new Date(new Date().getTime() - RECONCILIATION_WINDOW_HOURS * 60 * 60 * 1000)
+        },
+        type: QueryTypes.SELECT
+      })
+      return {
+        reported: true,
+        from: FROM,
+        to: TO,
+        summary: Object.fromEntries(Object.keys(MISMATCHES)
+          .map(issue => [issue, MISMATCHED.filter(mismatch => mismatch.issue === issue).length])),
+        mismatches: MISMATCHED
+      }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+}
+
+module.exports = ReconciliationHelper
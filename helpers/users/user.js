@@ -49,6 +49,15 @@ const {
 /* Importing helper utility functions from the order helper */
 const { orderDetails, originalNameFormatter } = require('../orders/order')
 
+/* Importing the service that checks the timezones of clients */
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+/* Importing the helper that checks whether a personal writer has the capacity to take on more orders */
+const CAPACITY_HELPER = require('../orders/capacity')
+
+/* Importing the service that issues the tokens of the event streams */
+const EVENTS_SERVICE = require('../../services/events')
+
 /* The user helper, which makes use of static functions to enable calling them on the class themselves
 * directly, as opposed to creating a class instance then calling them on the instance */
 class UserHelper {
@@ -143,10 +152,11 @@ class UserHelper {
                   where: {
                     userId: userDetails.id
                   },
-                  attributes: ['id']
+                  attributes: ['id', 'timezone']
                 })
                 const CLIENT_OBJ = {
                   id: CLIENT.id,
+                  timezone: CLIENT.timezone,
                   password: userDetails.password,
                   loginVia: userDetails.LoginVia.via
                 }
@@ -379,6 +389,8 @@ class UserHelper {
                       name: req.name ? req.name : null,
                       picture: req.picture ? req.picture : null,
                       facebookId: req.facebookId ? req.facebookId : null,
+                      /* The default timezone is used in case the frontend did not capture a valid one */
+                      timezone: DEADLINE_SERVICE.isValidTimezone(req.timezone) ? req.timezone : undefined,
                       isDeleted: false
                     }, { transaction: t })
                       .then(client => {
@@ -1412,7 +1424,15 @@ class UserHelper {
             }
           ]
         })
-          .then(writers => {
+          .then(async writers => {
+            /* Let the client know which of his or her personal writers are at capacity, and cannot be chosen for
+            * an order at the moment */
+            const CAPACITIES = await CAPACITY_HELPER.getCapacities(writers.map(writer => writer.Writer.id), t)
+            writers.forEach(writer => {
+              const CAPACITY = CAPACITY_HELPER.assessCapacity(CAPACITIES[writer.Writer.id])
+              writer.setDataValue('available', CAPACITY.available)
+              writer.setDataValue('unavailableReason', CAPACITY.message || null)
+            })
             return { writers: writers }
           })
           .catch(error => Promise.reject(error))
@@ -1427,7 +1447,7 @@ class UserHelper {
     try {
       return await MODEL.sequelize.transaction(async t => {
         return await Writer.findOne({
-          attributes: ['surname', 'otherNames', 'mobileNo', 'createdAt'],
+          attributes: ['id', 'surname', 'otherNames', 'mobileNo', 'createdAt'],
           where: {
             id: req.writerId
           },
@@ -1471,7 +1491,13 @@ class UserHelper {
             }
           ]
         })
-          .then(writer => {
+          .then(async writer => {
+            /* Let the client know in case the writer is at capacity, and cannot be chosen for an order at the moment */
+            if (writer) {
+              const CAPACITY = await CAPACITY_HELPER.checkCapacity(writer.id, null, t)
+              writer.setDataValue('available', CAPACITY.available)
+              writer.setDataValue('unavailableReason', CAPACITY.message || null)
+            }
             return { writer: writer }
           })
           .catch(error => Promise.reject(error))
@@ -1860,6 +1886,56 @@ class UserHelper {
       return Promise.reject(e)
     }
   }
+
+  /* Function that sets the timezone of a client e.g. 'America/New_York', in which his or her deadlines are
+  * entered and shown */
+  static async setClientTimezone (req) {
+    try {
+      if (!DEADLINE_SERVICE.isValidTimezone(req.timezone)) {
+        return { success: false, message: 'Invalid timezone' }
+      }
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      const [UPDATED] = USER
+        ? await Client.update({
+          timezone: req.timezone
+        }, {
+          where: {
+            userId: USER.id
+          }
+        })
+        : [0]
+      if (UPDATED === 0) {
+        return { success: false, message: 'Client does not exist' }
+      }
+      return { success: true, timezone: req.timezone }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
+
+  /* Function that issues a user the token with which he or she opens the event stream */
+  static async issueEventStreamToken (req) {
+    try {
+      const USER = await User.findOne({
+        where: {
+          email: req.email.toLowerCase()
+        },
+        attributes: ['id']
+      })
+      if (!USER) {
+        return { success: false, message: 'User does not exist' }
+      }
+      const { token: TOKEN, expiresAt: EXPIRES_AT } = EVENTS_SERVICE.issueToken(USER.id)
+      return { success: true, token: TOKEN, expiresAt: EXPIRES_AT }
+    } catch (e) {
+      return Promise.reject(e)
+    }
+  }
 }
 
 module.exports = UserHelper
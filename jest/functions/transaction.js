@@ -0,0 +1,13 @@
+'use strict'
+
+/* Function that makes the managed transactions of the sequelize instance run their callbacks straight away, with a
+* stand-in transaction, such that the helpers can be tested without a database. It returns the stand-in, which the
+* tests can look for in the options of the queries */
+
+const MODEL = require('../../models/index')
+
+module.exports = () => {
+  const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+  jest.spyOn(MODEL.sequelize, 'transaction').mockImplementation(async callback => await callback(TRANSACTION))
+  return TRANSACTION
+}
@@ -0,0 +1,201 @@
+'use strict'
+
+/* Tests of the bidding on public orders i.e. writers placing and withdrawing bids, and clients accepting them. The
+* models are mocked, and the transaction is a stand-in which the queries are expected to run in */
+
+const { Order, OrderBid, User, Writer, WriterOrder } = require('../../models')
+const { Op } = require('sequelize')
+const BIDS_HELPER = require('../../helpers/orders/bid')
+const CAPACITY_HELPER = require('../../helpers/orders/capacity')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const EVENTS_SERVICE = require('../../services/events')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that makes the order be a public order in a given status, due in two days */
+function mockOrder (status) {
+  Order.findOne.mockResolvedValue({
+    id: 4,
+    deadline: hoursFromNow(48),
+    pageCount: 3,
+    OrderStatus: { status: status },
+    EntityType: { type: 'Public' }
+  })
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+  jest.spyOn(ORDERS_HELPER, 'getWriterId').mockResolvedValue(7)
+  jest.spyOn(ORDERS_HELPER, 'getClientId').mockResolvedValue(5)
+  jest.spyOn(Order, 'findOne')
+  mockOrder('Available')
+  jest.spyOn(OrderBid, 'findOne').mockResolvedValue(null)
+  jest.spyOn(OrderBid, 'create').mockResolvedValue({ id: 12 })
+  jest.spyOn(OrderBid, 'update').mockResolvedValue([1])
+  jest.spyOn(OrderBid, 'count').mockResolvedValue(0)
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+  jest.spyOn(EVENTS_SERVICE, 'publishToOrder').mockResolvedValue()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('placeBid', () => {
+  /* Function that makes the writer bid on the order */
+  async function placeBid (proposedCompletion = hoursFromNow(24)) {
+    return await BIDS_HELPER.placeBid({
+      email: 'writer@example.com',
+      orderId: 4,
+      coverMessage: 'I can do it',
+      proposedCompletion: proposedCompletion
+    })
+  }
+
+  test('places a bid and starts the bidding on the order', async () => {
+    const PLACED = await placeBid()
+    expect(PLACED).toEqual({ success: true })
+    expect(OrderBid.create).toHaveBeenCalledWith(expect.objectContaining({ orderId: 4, writerId: 7 }),
+      { transaction: transaction })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Bidding ongoing',
+      expect.objectContaining({ actor: 3, transaction: transaction }))
+  })
+
+  test('places a withdrawn bid again rather than placing another one', async () => {
+    OrderBid.findOne.mockResolvedValue({ id: 12, withdrawn: true })
+    const PLACED = await placeBid()
+    expect(PLACED).toEqual({ success: true })
+    expect(OrderBid.create).not.toHaveBeenCalled()
+    expect(OrderBid.update).toHaveBeenCalledWith(expect.objectContaining({ withdrawn: false }),
+      { where: { id: 12 }, transaction: transaction })
+  })
+
+  test('does not place a second bid of a writer on an order', async () => {
+    OrderBid.findOne.mockResolvedValue({ id: 12, withdrawn: false })
+    const PLACED = await placeBid()
+    expect(PLACED).toEqual({ success: false, message: 'Bid already exists' })
+    expect(OrderBid.create).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['in the past', -1, 'Proposed completion time should be in the future'],
+    ['past the deadline of the order', 72, 'Proposed completion time is past the order deadline']
+  ])('does not place a bid whose completion time is %s', async (description, hours, message) => {
+    const PLACED = await placeBid(hoursFromNow(hours))
+    expect(PLACED).toEqual({ success: false, message: message })
+  })
+
+  test('does not place a bid on an order that is no longer open for bids', async () => {
+    mockOrder('Ongoing')
+    const PLACED = await placeBid()
+    expect(PLACED).toEqual({ success: false, message: 'Order is not open for bids' })
+  })
+})
+
+describe('withdrawBid', () => {
+  test('makes the order available again once its last bid is withdrawn', async () => {
+    mockOrder('Bidding ongoing')
+    const WITHDRAWN = await BIDS_HELPER.withdrawBid({ email: 'writer@example.com', orderId: 4 })
+    expect(WITHDRAWN).toEqual({ success: true })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Available',
+      expect.objectContaining({ reason: 'Last bid withdrawn', transaction: transaction }))
+  })
+
+  test('keeps the bidding going while other bids are open', async () => {
+    mockOrder('Bidding ongoing')
+    OrderBid.count.mockResolvedValue(2)
+    const WITHDRAWN = await BIDS_HELPER.withdrawBid({ email: 'writer@example.com', orderId: 4 })
+    expect(WITHDRAWN).toEqual({ success: true })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('does not withdraw a bid that is not open', async () => {
+    mockOrder('Bidding ongoing')
+    OrderBid.update.mockResolvedValue([0])
+    const WITHDRAWN = await BIDS_HELPER.withdrawBid({ email: 'writer@example.com', orderId: 4 })
+    expect(WITHDRAWN).toEqual({ success: false, message: 'Bid does not exist' })
+  })
+})
+
+describe('acceptBid', () => {
+  beforeEach(() => {
+    mockOrder('Bidding ongoing')
+    OrderBid.findOne.mockResolvedValue({ id: 12, Order: { id: 4 }, Writer: { userId: 30 } })
+    jest.spyOn(Writer, 'findOne').mockResolvedValue({ id: 7 })
+    jest.spyOn(WriterOrder, 'findOne').mockResolvedValue(null)
+    jest.spyOn(WriterOrder, 'create').mockResolvedValue({ id: 2 })
+    jest.spyOn(LIFECYCLE_HELPER, 'orderIsPaidFor').mockResolvedValue(true)
+    jest.spyOn(CAPACITY_HELPER, 'checkCapacity').mockResolvedValue({ available: true })
+  })
+
+  test('assigns the writer the order and closes the competing bids', async () => {
+    const ACCEPTED = await BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 })
+    expect(ACCEPTED).toEqual({ statusUpdated: true, writerAlreadyChosen: false })
+    expect(OrderBid.findOne.mock.calls[0][0].where).toMatchObject({
+      id: 12,
+      orderId: 4,
+      withdrawn: false,
+      closed: false
+    })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Ongoing',
+      expect.objectContaining({ transaction: transaction }))
+    expect(OrderBid.update).toHaveBeenCalledWith({ successful: true }, {
+      where: { orderId: 4, writerId: 7, withdrawn: false, closed: false },
+      transaction: transaction
+    })
+    expect(OrderBid.update).toHaveBeenCalledWith({ closed: true }, {
+      where: { orderId: 4, writerId: { [Op.ne]: 7 } },
+      transaction: transaction
+    })
+    expect(WriterOrder.create).toHaveBeenCalledWith({ orderId: 4, writerId: 7 }, { transaction: transaction })
+  })
+
+  test('leaves an order that has not been paid for pending payment', async () => {
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(false)
+    await BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Pending payment', expect.anything())
+  })
+
+  test('does not accept a bid that is not open, or on an order of another client', async () => {
+    OrderBid.findOne.mockResolvedValue(null)
+    const ACCEPTED = await BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 })
+    expect(ACCEPTED).toEqual({ statusUpdated: false, message: 'Bid does not exist', writerAlreadyChosen: false })
+    expect(OrderBid.findOne.mock.calls[0][0].include[0].where).toEqual({ clientId: 5 })
+    expect(OrderBid.update).not.toHaveBeenCalled()
+  })
+
+  test('does not accept a bid on an order that is no longer open for bids', async () => {
+    mockOrder('Ongoing')
+    const ACCEPTED = await BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 })
+    expect(ACCEPTED).toEqual({
+      statusUpdated: false,
+      message: 'Order is not open for bids',
+      writerAlreadyChosen: false
+    })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('does not close the bids on an order that cannot move on', async () => {
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: false, message: 'Order is already ongoing' })
+    const ACCEPTED = await BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 })
+    expect(ACCEPTED).toEqual({ statusUpdated: false, message: 'Order is already ongoing', writerAlreadyChosen: false })
+    expect(OrderBid.update).not.toHaveBeenCalled()
+  })
+
+  test('rolls back the assignment in case the writer no longer has an open bid', async () => {
+    OrderBid.update.mockResolvedValue([0])
+    await expect(BIDS_HELPER.acceptBid({ email: 'client@example.com', orderId: 4, bidId: 12 }))
+      .rejects.toThrow('The writer does not have an open bid on the order')
+    expect(WriterOrder.create).not.toHaveBeenCalled()
+  })
+})
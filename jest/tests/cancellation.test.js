@@ -0,0 +1,137 @@
+'use strict'
+
+/* Tests of the cancellation of orders by clients, and of its terms i.e. whether an order can be cancelled and how
+* much of it is refunded. The models are mocked, as is the amount paid on the order */
+
+const { Order, OrderBid, OrderOffer, User } = require('../../models')
+const CANCELLATION_HELPER = require('../../helpers/orders/cancellation')
+const CHARGES_HELPER = require('../../helpers/payments/charge')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns an order whose writer was assigned and whose deadline are the given hours from now */
+function order ({ assignedIn = null, deadlineIn = 10, overdueAt = null } = {}) {
+  const NOW = new Date().getTime()
+  return {
+    id: 1,
+    deadline: new Date(NOW + deadlineIn * HOUR),
+    overdueAt: overdueAt,
+    WriterOrder: assignedIn === null ? [] : [{ writerId: 1, createdAt: new Date(NOW + assignedIn * HOUR) }]
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(PAYMENTS_HELPER, 'getNetAmountPaid').mockResolvedValue(1000)
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('cancellationTerms', () => {
+  test.each(['Submitted', 'Undergoing revision', 'Completed', 'Disputed', 'Cancelled'])(
+    'does not let an order be cancelled while \'%s\'', async status => {
+      const TERMS = await CANCELLATION_HELPER.cancellationTerms(order(), status)
+      expect(TERMS).toEqual({ cancellable: false, message: `Order cannot be cancelled while '${status}'` })
+    })
+
+  test('does not refund an order that has not been paid for', async () => {
+    PAYMENTS_HELPER.getNetAmountPaid.mockResolvedValue(0)
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order(), 'Pending payment')
+    expect(TERMS).toEqual({ cancellable: true, policy: 'None', refundAmount: 0 })
+  })
+
+  test('refunds a paid order without a writer in full', async () => {
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order(), 'Available')
+    expect(TERMS).toEqual({ cancellable: true, policy: 'Full', refundAmount: 1000 })
+  })
+
+  test('refunds an order whose writer has not acknowledged it in full', async () => {
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order({ assignedIn: -2 }),
+      'Pending writer acknowledgement')
+    expect(TERMS).toEqual({ cancellable: true, policy: 'Full', refundAmount: 1000 })
+  })
+
+  test('refunds an overdue order in full', async () => {
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order({
+      assignedIn: -12,
+      deadlineIn: -2,
+      overdueAt: new Date()
+    }), 'Ongoing')
+    expect(TERMS).toEqual({ cancellable: true, policy: 'Full', refundAmount: 1000 })
+  })
+
+  test('refunds an ongoing order in proportion to the time left to the deadline', async () => {
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order({ assignedIn: -30, deadlineIn: 10 }), 'Ongoing')
+    expect(TERMS.policy).toBe('Pro-rated')
+    expect(TERMS.refundAmount).toBeCloseTo(250, 0)
+  })
+
+  test('refunds what is left of the amount paid, net of earlier refunds', async () => {
+    PAYMENTS_HELPER.getNetAmountPaid.mockResolvedValue(600)
+    const TERMS = await CANCELLATION_HELPER.cancellationTerms(order(), 'Bidding ongoing')
+    expect(TERMS.refundAmount).toBe(600)
+    expect(PAYMENTS_HELPER.getNetAmountPaid).toHaveBeenCalledWith(1, undefined)
+  })
+})
+
+describe('cancelOrder', () => {
+  let transaction
+
+  /* Function that makes the order of the client be in a given status */
+  function mockOrder (status, details) {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ ...order(details), OrderStatus: { status: status } })
+  }
+
+  beforeEach(() => {
+    transaction = mockTransaction()
+    jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+    jest.spyOn(ORDERS_HELPER, 'getClientId').mockResolvedValue(5)
+    jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+    jest.spyOn(PAYMENTS_HELPER, 'refundClientPayment').mockResolvedValue({})
+    jest.spyOn(OrderBid, 'update').mockResolvedValue([0])
+    jest.spyOn(OrderOffer, 'update').mockResolvedValue([0])
+    jest.spyOn(CHARGES_HELPER, 'withdrawCharges').mockResolvedValue([])
+  })
+
+  test('does not let a client cancel a disputed order', async () => {
+    mockOrder('Disputed', { assignedIn: -30 })
+    const CANCELLED = await CANCELLATION_HELPER.cancelOrder({ email: 'client@example.com', orderId: 1 })
+    expect(CANCELLED).toEqual({ cancelled: false, message: 'Order cannot be cancelled while \'Disputed\'' })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+    expect(PAYMENTS_HELPER.refundClientPayment).not.toHaveBeenCalled()
+  })
+
+  test('checks the status of the order once it has locked it', async () => {
+    mockOrder('Ongoing', { assignedIn: -30 })
+    await CANCELLATION_HELPER.cancelOrder({ email: 'client@example.com', orderId: 1 })
+    expect(Order.findOne.mock.calls[0][0]).toMatchObject({
+      where: { id: 1, clientId: 5 },
+      transaction: transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+  })
+
+  test('does not cancel an order twice', async () => {
+    mockOrder('Cancelled')
+    const CANCELLED = await CANCELLATION_HELPER.cancelOrder({ email: 'client@example.com', orderId: 1 })
+    expect(CANCELLED).toEqual({ cancelled: false, message: 'Order is already cancelled' })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('cancels an ongoing order and refunds it as per the terms', async () => {
+    mockOrder('Ongoing', { assignedIn: -30, deadlineIn: 10 })
+    const CANCELLED = await CANCELLATION_HELPER.cancelOrder({ email: 'client@example.com', orderId: 1 })
+    expect(CANCELLED).toMatchObject({ cancelled: true, policy: 'Pro-rated' })
+    expect(CANCELLED.refundAmount).toBeCloseTo(250, 0)
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(1, 'Cancelled',
+      expect.objectContaining({ actor: 3, transaction: transaction }))
+    expect(PAYMENTS_HELPER.refundClientPayment).toHaveBeenCalledWith(1, CANCELLED.refundAmount,
+      expect.objectContaining({ policy: 'Pro-rated', transaction: transaction }))
+    expect(CHARGES_HELPER.withdrawCharges).toHaveBeenCalledWith(1, {}, transaction)
+  })
+})
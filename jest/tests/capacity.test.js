@@ -0,0 +1,128 @@
+'use strict'
+
+/* Tests of the workload capacity of writers i.e. the orders they are yet to deliver, the limits of their skill
+* levels, and whether they can take on another order. The models are mocked */
+
+const { WriterCapacity, WriterOrder, WriterSkillLevel } = require('../../models')
+const CAPACITY_HELPER = require('../../helpers/orders/capacity')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that returns the capacity of a writer at the 'Standard' level, with the given workload */
+function capacity (openOrders, pagesDueIn24Hours, limits = {}) {
+  return {
+    skillLevel: 'Standard',
+    maxConcurrentOrders: 3,
+    maxPagesDueIn24Hours: 10,
+    openOrders: openOrders,
+    pagesDueIn24Hours: pagesDueIn24Hours,
+    ...limits
+  }
+}
+
+/* Function that returns an order assigned to a writer */
+function writerOrder (writerId, status, pageCount, deadlineIn, revisionDeadlinesIn = []) {
+  return {
+    writerId: writerId,
+    Order: {
+      pageCount: pageCount,
+      deadline: hoursFromNow(deadlineIn),
+      OrderStatus: { status: status },
+      OrderRevision: revisionDeadlinesIn.map(deadlineIn => ({ deadline: hoursFromNow(deadlineIn) }))
+    }
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('assessCapacity', () => {
+  test('lets a writer below the limits take on an order', () => {
+    expect(CAPACITY_HELPER.assessCapacity(capacity(2, 4), { pageCount: 6, deadline: hoursFromNow(12) }))
+      .toEqual({ available: true })
+  })
+
+  test('does not let a writer at the most orders in progress take on another', () => {
+    expect(CAPACITY_HELPER.assessCapacity(capacity(3, 0), { pageCount: 1, deadline: hoursFromNow(72) })).toEqual({
+      available: false,
+      message: 'The writer already has 3 orders in progress, the most allowed at the Standard level'
+    })
+  })
+
+  test('does not let a writer take on an order that takes the pages due within 24 hours past the limit', () => {
+    expect(CAPACITY_HELPER.assessCapacity(capacity(1, 4), { pageCount: 7, deadline: hoursFromNow(12) })).toEqual({
+      available: false,
+      message: 'The writer cannot have more than 10 pages due within 24 hours at the Standard level, and already has ' +
+        '4 pages due'
+    })
+  })
+
+  test('does not count the pages of an order due after 24 hours', () => {
+    expect(CAPACITY_HELPER.assessCapacity(capacity(1, 10), { pageCount: 7, deadline: hoursFromNow(30) }))
+      .toEqual({ available: true })
+  })
+
+  test('only checks the orders in progress when no order is given', () => {
+    expect(CAPACITY_HELPER.assessCapacity(capacity(2, 10)).available).toBe(true)
+    expect(CAPACITY_HELPER.assessCapacity(capacity(3, 0)).available).toBe(false)
+  })
+
+  test('does not limit a writer whose skill level has no capacity set', () => {
+    const UNLIMITED = capacity(40, 100, { maxConcurrentOrders: null, maxPagesDueIn24Hours: null })
+    expect(CAPACITY_HELPER.assessCapacity(UNLIMITED, { pageCount: 50, deadline: hoursFromNow(1) }))
+      .toEqual({ available: true })
+  })
+})
+
+describe('getWorkloads', () => {
+  test('counts the orders in progress, and the pages due within 24 hours by the deadline worked towards', async () => {
+    jest.spyOn(WriterOrder, 'findAll').mockResolvedValue([
+      writerOrder(1, 'Ongoing', 3, 12),
+      writerOrder(1, 'Ongoing', 5, 48),
+      /* A revision due tomorrow on an order whose deadline has passed */
+      writerOrder(1, 'Undergoing revision', 4, -100, [12]),
+      /* A revision due in two days */
+      writerOrder(2, 'Undergoing revision', 2, -100, [48])
+    ])
+    const WORKLOADS = await CAPACITY_HELPER.getWorkloads([1, 2])
+    expect(WORKLOADS).toEqual({
+      1: { openOrders: 3, pagesDueIn24Hours: 7 },
+      2: { openOrders: 1, pagesDueIn24Hours: 0 }
+    })
+  })
+})
+
+describe('getCapacities', () => {
+  test('gives each writer the limits of their latest skill level, or of the default one', async () => {
+    jest.spyOn(WriterCapacity, 'findAll').mockResolvedValue([
+      { maxConcurrentOrders: 2, maxPagesDueIn24Hours: 5, SkillLevel: { level: 'Probation' } },
+      { maxConcurrentOrders: 5, maxPagesDueIn24Hours: 20, SkillLevel: { level: 'Expert' } }
+    ])
+    jest.spyOn(WriterSkillLevel, 'findAll').mockResolvedValue([
+      { writerId: 1, SkillLevel: { level: 'Probation' } },
+      { writerId: 1, SkillLevel: { level: 'Expert' } }
+    ])
+    jest.spyOn(WriterOrder, 'findAll').mockResolvedValue([writerOrder(1, 'Ongoing', 3, 12)])
+    const CAPACITIES = await CAPACITY_HELPER.getCapacities([1, 2])
+    expect(CAPACITIES[1]).toEqual({
+      skillLevel: 'Expert',
+      maxConcurrentOrders: 5,
+      maxPagesDueIn24Hours: 20,
+      openOrders: 1,
+      pagesDueIn24Hours: 3
+    })
+    expect(CAPACITIES[2]).toEqual({
+      skillLevel: 'Probation',
+      maxConcurrentOrders: 2,
+      maxPagesDueIn24Hours: 5,
+      openOrders: 0,
+      pagesDueIn24Hours: 0
+    })
+  })
+})
@@ -0,0 +1,171 @@
+'use strict'
+
+/* Tests of the charges on orders i.e. that they are only applied once paid for and while the order can still take
+* them, and that the unpaid ones are withdrawn together with what they were for. The models are mocked */
+
+const {
+  DeadlineExtension,
+  Order,
+  OrderCharge,
+  OrderPaymentDetail,
+  OrderRevision
+} = require('../../models')
+const CHARGES_HELPER = require('../../helpers/payments/charge')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const EVENTS_SERVICE = require('../../services/events')
+
+const HOUR = 60 * 60 * 1000
+const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that returns an unpaid charge of the given type */
+function charge (type, details = {}) {
+  return {
+    id: 30,
+    orderId: 4,
+    type: type,
+    amount: 500,
+    status: 'Unpaid',
+    orderRevisionId: type === 'Paid revision' ? 9 : null,
+    deadlineExtensionId: type === 'Shorter deadline' ? 12 : null,
+    update: jest.fn().mockResolvedValue(),
+    ...details
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(OrderCharge, 'findAll').mockResolvedValue([])
+  jest.spyOn(OrderCharge, 'update').mockResolvedValue([1])
+  jest.spyOn(OrderRevision, 'update').mockResolvedValue([1])
+  jest.spyOn(DeadlineExtension, 'update').mockResolvedValue([1])
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+  jest.spyOn(EVENTS_SERVICE, 'publishToOrder').mockResolvedValue()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('createCharge', () => {
+  test('charges a whole amount in the currency of the order', async () => {
+    jest.spyOn(OrderPaymentDetail, 'findOne').mockResolvedValue({ currencyId: 2 })
+    jest.spyOn(OrderCharge, 'create').mockImplementation(async created => ({ id: 30, ...created }))
+    const CHARGE = await CHARGES_HELPER.createCharge({
+      orderId: 4,
+      type: 'Paid revision',
+      amount: 499.6,
+      orderRevisionId: 9
+    }, TRANSACTION)
+    expect(CHARGE).toEqual({
+      id: 30,
+      orderId: 4,
+      currencyId: 2,
+      type: 'Paid revision',
+      amount: 500,
+      orderRevisionId: 9,
+      deadlineExtensionId: null,
+      status: 'Unpaid',
+      isDeleted: false
+    })
+    expect(OrderCharge.create.mock.calls[0][1]).toEqual({ transaction: TRANSACTION })
+  })
+})
+
+describe('applyCharge', () => {
+  test('does not apply a charge that is no longer due', async () => {
+    const APPLIED = await CHARGES_HELPER.applyCharge(charge('Paid revision', { status: 'Paid' }), TRANSACTION)
+    expect(APPLIED).toEqual({ applied: false, message: 'Charge is no longer due' })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('starts a paid revision once it is paid for', async () => {
+    const CHARGE = charge('Paid revision')
+    jest.spyOn(OrderRevision, 'findOne').mockResolvedValue({ id: 9, deadline: hoursFromNow(24) })
+    const APPLIED = await CHARGES_HELPER.applyCharge(CHARGE, TRANSACTION)
+    expect(APPLIED).toEqual({ applied: true })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Undergoing revision', {
+      reason: 'Paid revision paid for',
+      transaction: TRANSACTION
+    })
+    expect(CHARGE.update).toHaveBeenCalledWith({ status: 'Paid', paidAt: expect.any(Date) },
+      { transaction: TRANSACTION })
+    expect(EVENTS_SERVICE.publishToOrder).toHaveBeenCalledWith(4, 'revision.requested', expect.anything(),
+      expect.objectContaining({ parties: ['writer'] }))
+  })
+
+  test('withdraws a paid revision whose deadline has passed', async () => {
+    const CHARGE = charge('Paid revision')
+    jest.spyOn(OrderRevision, 'findOne').mockResolvedValue({ id: 9, deadline: hoursFromNow(-1) })
+    OrderCharge.findAll.mockResolvedValue([{ id: 30, orderRevisionId: 9, deadlineExtensionId: null }])
+    const APPLIED = await CHARGES_HELPER.applyCharge(CHARGE, TRANSACTION)
+    expect(APPLIED).toEqual({ applied: false, message: 'Revision deadline has passed' })
+    expect(OrderCharge.findAll.mock.calls[0][0].where).toMatchObject({ orderId: 4, id: 30, status: 'Unpaid' })
+    expect(OrderCharge.update).toHaveBeenCalledWith({ status: 'Withdrawn' }, {
+      where: { id: [30] },
+      transaction: TRANSACTION
+    })
+    expect(CHARGE.update).not.toHaveBeenCalled()
+  })
+
+  test('does not start a paid revision on an order that is no longer waiting for it', async () => {
+    jest.spyOn(OrderRevision, 'findOne').mockResolvedValue({ id: 9, deadline: hoursFromNow(24) })
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: true, unchanged: true })
+    const APPLIED = await CHARGES_HELPER.applyCharge(charge('Paid revision'), TRANSACTION)
+    expect(APPLIED).toEqual({ applied: false, message: 'Order is not waiting for the revision' })
+    expect(EVENTS_SERVICE.publishToOrder).not.toHaveBeenCalled()
+  })
+
+  test('shortens the deadline of an order once the difference in price is paid for', async () => {
+    const EXTENSION = { id: 12, deadline: hoursFromNow(20), update: jest.fn().mockResolvedValue() }
+    jest.spyOn(DeadlineExtension, 'findOne').mockResolvedValue(EXTENSION)
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, OrderStatus: { status: 'Ongoing' } })
+    jest.spyOn(Order, 'update').mockResolvedValue([1])
+    const APPLIED = await CHARGES_HELPER.applyCharge(charge('Shorter deadline'), TRANSACTION)
+    expect(APPLIED).toEqual({ applied: true })
+    expect(DeadlineExtension.findOne.mock.calls[0][0]).toMatchObject({
+      where: { id: 12, status: 'Unpaid' },
+      lock: TRANSACTION.LOCK.UPDATE
+    })
+    expect(Order.update).toHaveBeenCalledWith({ deadline: EXTENSION.deadline, overdueAt: null },
+      { where: { id: 4 }, transaction: TRANSACTION })
+    expect(EXTENSION.update).toHaveBeenCalledWith({ status: 'Accepted' }, { transaction: TRANSACTION })
+  })
+
+  test('does not shorten the deadline of an order that has been submitted since', async () => {
+    jest.spyOn(DeadlineExtension, 'findOne').mockResolvedValue({ id: 12, deadline: hoursFromNow(20) })
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, OrderStatus: { status: 'Submitted' } })
+    jest.spyOn(Order, 'update').mockResolvedValue([1])
+    const APPLIED = await CHARGES_HELPER.applyCharge(charge('Shorter deadline'), TRANSACTION)
+    expect(APPLIED).toEqual({ applied: false, message: 'Order deadline cannot be changed at this point' })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+})
+
+describe('withdrawCharges', () => {
+  test('removes the revisions and withdraws the deadline changes of the unpaid charges', async () => {
+    OrderCharge.findAll.mockResolvedValue([
+      { id: 30, orderRevisionId: 9, deadlineExtensionId: null },
+      { id: 31, orderRevisionId: null, deadlineExtensionId: 12 }
+    ])
+    const WITHDRAWN = await CHARGES_HELPER.withdrawCharges(4, {}, TRANSACTION)
+    expect(WITHDRAWN).toEqual([30, 31])
+    expect(OrderRevision.update).toHaveBeenCalledWith({ isDeleted: true }, {
+      where: { id: [9] },
+      transaction: TRANSACTION
+    })
+    expect(DeadlineExtension.update).toHaveBeenCalledWith({ status: 'Withdrawn' }, {
+      where: { id: [12], status: 'Unpaid' },
+      transaction: TRANSACTION
+    })
+  })
+
+  test('does nothing when the order has no unpaid charges', async () => {
+    const WITHDRAWN = await CHARGES_HELPER.withdrawCharges(4, {}, TRANSACTION)
+    expect(WITHDRAWN).toEqual([])
+    expect(OrderCharge.update).not.toHaveBeenCalled()
+  })
+})
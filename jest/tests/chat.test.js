@@ -0,0 +1,221 @@
+'use strict'
+
+/* Tests of the messaging on orders i.e. sending and deleting messages, the pages of the history of a chat, and the
+* read pointers the unread counts and the read receipts are worked out from. The models are mocked */
+
+const { Admin, Chat, ChatContent, ChatRead, OrderFile, OrderFileType, User } = require('../../models')
+const { Op } = require('sequelize')
+const CHATS_HELPER = require('../../helpers/orders/chat')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const EVENTS_SERVICE = require('../../services/events')
+const mockTransaction = require('../functions/transaction')
+
+/* The order, whose client is user 10 and whose writer is user 20. User 30 is an admin */
+const ORDER = {
+  id: 4,
+  Client: { userId: 10 },
+  WriterOrder: [{ Writer: { userId: 20 } }]
+}
+
+/* Function that makes the user with the given ID be the given party of the order */
+function mockParticipant (userId, party) {
+  User.findOne.mockResolvedValue({ id: userId })
+  ORDERS_HELPER.getOrderParties.mockResolvedValue({ order: ORDER, party: party === 'support' ? null : party })
+  Admin.findOne.mockResolvedValue(party === 'support' ? { id: 1 } : null)
+}
+
+/* Function that returns a message of the chat */
+function content (id, senderId, details = {}) {
+  return {
+    id: id,
+    senderId: senderId,
+    message: `Message ${id}`,
+    isDeleted: false,
+    deletedBy: null,
+    deletedAt: null,
+    createdAt: new Date(),
+    ...details
+  }
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  jest.spyOn(User, 'findOne')
+  jest.spyOn(ORDERS_HELPER, 'getOrderParties')
+  jest.spyOn(Admin, 'findOne')
+  jest.spyOn(Admin, 'findAll').mockResolvedValue([{ userId: 30 }])
+  jest.spyOn(EVENTS_SERVICE, 'publishToOrder').mockResolvedValue()
+  mockParticipant(10, 'client')
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('sendMessage', () => {
+  beforeEach(() => {
+    jest.spyOn(Chat, 'findOrCreate').mockResolvedValue([{ id: 8 }, false])
+    jest.spyOn(ChatContent, 'create').mockResolvedValue({ id: 50, createdAt: new Date() })
+    jest.spyOn(ChatRead, 'findOne').mockResolvedValue(null)
+    jest.spyOn(ChatRead, 'create').mockResolvedValue({})
+  })
+
+  test('sends a message with its attachments, and lets the other participants know', async () => {
+    jest.spyOn(OrderFileType, 'findOne').mockResolvedValue({ id: 6 })
+    jest.spyOn(ORDERS_HELPER, 'saveOrderFile').mockResolvedValue({
+      orderFile: { id: 70, originalName: 'brief.pdf' }
+    })
+    const SENT = await CHATS_HELPER.sendMessage({
+      email: 'client@example.com',
+      orderId: 4,
+      message: ' Hello ',
+      attachments: [{ originalname: 'brief.pdf' }]
+    })
+    expect(SENT).toEqual({
+      success: true,
+      messageId: 50,
+      sentAt: expect.any(Date),
+      attachments: [{ orderFileId: 70, originalName: 'brief.pdf' }]
+    })
+    expect(ChatContent.create).toHaveBeenCalledWith({
+      chatId: 8,
+      senderId: 10,
+      message: 'Hello',
+      isDeleted: false
+    }, { transaction: transaction })
+    expect(ORDERS_HELPER.saveOrderFile).toHaveBeenCalledWith(4, 6, { originalname: 'brief.pdf' }, {
+      uploadedBy: 10,
+      chatContentId: 50,
+      transaction: transaction
+    })
+    /* The sender has read the message */
+    expect(ChatRead.create).toHaveBeenCalledWith(expect.objectContaining({
+      chatId: 8,
+      userId: 10,
+      lastReadContentId: 50
+    }), { transaction: transaction })
+    expect(EVENTS_SERVICE.publishToOrder).toHaveBeenCalledWith(4, 'message.new', { messageId: 50 }, {
+      exclude: 10,
+      transaction: transaction
+    })
+  })
+
+  test('lets support take part in the chat of any order', async () => {
+    mockParticipant(30, 'support')
+    const SENT = await CHATS_HELPER.sendMessage({ email: 'admin@example.com', orderId: 4, message: 'Hello' })
+    expect(SENT.success).toBe(true)
+    expect(ChatContent.create.mock.calls[0][0].senderId).toBe(30)
+  })
+
+  test.each([
+    ['an empty message', { message: '   ' }, 'Message is empty'],
+    ['a too long message', { message: 'a'.repeat(5001) }, 'Message should not be longer than 5000 characters'],
+    ['too many attachments', { attachments: [{}, {}, {}, {}, {}, {}] }, 'A message can have at most 5 attachments']
+  ])('does not send %s', async (description, message, error) => {
+    const SENT = await CHATS_HELPER.sendMessage({ email: 'client@example.com', orderId: 4, ...message })
+    expect(SENT).toEqual({ success: false, message: error })
+    expect(ChatContent.create).not.toHaveBeenCalled()
+  })
+
+  test('does not let a user who is not a participant send a message', async () => {
+    mockParticipant(40, null)
+    const SENT = await CHATS_HELPER.sendMessage({ email: 'someone@example.com', orderId: 4, message: 'Hello' })
+    expect(SENT).toEqual({ success: false, message: 'Order does not exist' })
+    expect(ChatContent.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('markRead', () => {
+  test('moves the read pointer forward, but never back', async () => {
+    const READ = { lastReadContentId: 50, update: jest.fn().mockResolvedValue() }
+    jest.spyOn(ChatRead, 'findOne').mockResolvedValue(READ)
+    await CHATS_HELPER.markRead(8, 10, 40, transaction)
+    expect(READ.update).not.toHaveBeenCalled()
+    await CHATS_HELPER.markRead(8, 10, 60, transaction)
+    expect(READ.update).toHaveBeenCalledWith({ lastReadContentId: 60, readAt: expect.any(Date) },
+      { transaction: transaction })
+    expect(ChatRead.findOne.mock.calls[0][0].lock).toBe(transaction.LOCK.UPDATE)
+  })
+})
+
+describe('getMessages', () => {
+  beforeEach(() => {
+    jest.spyOn(Chat, 'findOne').mockResolvedValue({ id: 8 })
+    jest.spyOn(ChatRead, 'findOne').mockResolvedValue({ lastReadContentId: 1 })
+    jest.spyOn(ChatRead, 'findAll').mockResolvedValue([
+      { userId: 10, lastReadContentId: 3, readAt: new Date() },
+      { userId: 20, lastReadContentId: 2, readAt: new Date() }
+    ])
+    jest.spyOn(ChatContent, 'findAll').mockResolvedValue([
+      content(3, 20, { isDeleted: true, deletedBy: 30, deletedAt: new Date() }),
+      content(2, 10),
+      content(1, 30)
+    ])
+    jest.spyOn(ChatContent, 'count').mockResolvedValue(1)
+    jest.spyOn(OrderFile, 'findAll').mockResolvedValue([{ id: 70, chatContentId: 2, originalName: 'brief.pdf' }])
+  })
+
+  test('gets the latest page of messages in the order they were sent, with the cursor of the older ones', async () => {
+    const MESSAGES = await CHATS_HELPER.getMessages({ email: 'client@example.com', orderId: 4, limit: 2 })
+    expect(ChatContent.findAll.mock.calls[0][0]).toMatchObject({ where: { chatId: 8 }, limit: 3 })
+    expect(MESSAGES.nextCursor).toBe(2)
+    expect(MESSAGES.unreadCount).toBe(1)
+    expect(MESSAGES.messages.map(message => message.id)).toEqual([2, 3])
+    expect(MESSAGES.messages[0]).toMatchObject({
+      sender: 'client',
+      mine: true,
+      attachments: [{ orderFileId: 70, originalName: 'brief.pdf' }],
+      readBy: [{ party: 'writer', readAt: expect.any(Date) }]
+    })
+  })
+
+  test('gets the messages older than the cursor', async () => {
+    await CHATS_HELPER.getMessages({ email: 'client@example.com', orderId: 4, cursor: '2' })
+    expect(ChatContent.findAll.mock.calls[0][0].where).toEqual({ chatId: 8, id: { [Op.lt]: 2 } })
+  })
+
+  test('hides a deleted message from the client and the writer, but not from support', async () => {
+    const HIDDEN = await CHATS_HELPER.getMessages({ email: 'client@example.com', orderId: 4 })
+    expect(HIDDEN.messages[2]).toMatchObject({ id: 3, sender: 'writer', message: null, deleted: true })
+    expect(HIDDEN.messages[2].deletedBy).toBeUndefined()
+    mockParticipant(30, 'support')
+    const SHOWN = await CHATS_HELPER.getMessages({ email: 'admin@example.com', orderId: 4 })
+    expect(SHOWN.messages[2]).toMatchObject({ id: 3, message: 'Message 3', deleted: true, deletedBy: 30 })
+    expect(SHOWN.messages[0].sender).toBe('support')
+  })
+})
+
+describe('deleteMessage', () => {
+  /* Function that makes the message be one sent by the given user on the order */
+  function mockContent (senderId) {
+    const CONTENT = { id: 50, senderId: senderId, Chat: { orderId: 4 }, update: jest.fn().mockResolvedValue() }
+    jest.spyOn(ChatContent, 'findOne').mockResolvedValue(CONTENT)
+    return CONTENT
+  }
+
+  test('lets the sender delete a message, and keeps it for moderation', async () => {
+    const CONTENT = mockContent(10)
+    const DELETED = await CHATS_HELPER.deleteMessage({ email: 'client@example.com', messageId: 50 })
+    expect(DELETED).toEqual({ success: true })
+    expect(CONTENT.update).toHaveBeenCalledWith({ isDeleted: true, deletedBy: 10, deletedAt: expect.any(Date) },
+      { transaction: transaction })
+  })
+
+  test('lets support delete the message of another participant', async () => {
+    mockParticipant(30, 'support')
+    const CONTENT = mockContent(10)
+    const DELETED = await CHATS_HELPER.deleteMessage({ email: 'admin@example.com', messageId: 50 })
+    expect(DELETED).toEqual({ success: true })
+    expect(CONTENT.update).toHaveBeenCalled()
+  })
+
+  test('does not let a participant delete the message of another', async () => {
+    mockParticipant(20, 'writer')
+    const CONTENT = mockContent(10)
+    const DELETED = await CHATS_HELPER.deleteMessage({ email: 'writer@example.com', messageId: 50 })
+    expect(DELETED).toEqual({ success: false, message: 'Only the sender of a message or support can delete it' })
+    expect(CONTENT.update).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,63 @@
+'use strict'
+
+/* Tests of the parsing of the deadlines sent by the frontends, with and without a UTC offset */
+
+const DEADLINE_SERVICE = require('../../services/deadline')
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+describe('parseDeadline', () => {
+  test('keeps the UTC offset of a deadline that carries one', () => {
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00:00Z').toISOString()).toBe('2021-12-14T15:00:00.000Z')
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00:00+03:00', 'America/New_York').toISOString())
+      .toBe('2021-12-14T12:00:00.000Z')
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00-0530').toISOString()).toBe('2021-12-14T20:30:00.000Z')
+  })
+
+  test('takes a deadline without a UTC offset to be in the timezone of the client', () => {
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00', 'Asia/Kolkata').toISOString())
+      .toBe('2021-12-14T09:30:00.000Z')
+  })
+
+  test('follows the daylight saving time of the timezone', () => {
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00', 'America/New_York').toISOString())
+      .toBe('2021-12-14T20:00:00.000Z')
+    expect(DEADLINE_SERVICE.parseDeadline('2021-07-14T15:00', 'America/New_York').toISOString())
+      .toBe('2021-07-14T19:00:00.000Z')
+  })
+
+  test('takes a deadline without a timezone to be in the default timezone', () => {
+    expect(DEADLINE_SERVICE.DEFAULT_TIMEZONE).toBe('Africa/Nairobi')
+    expect(DEADLINE_SERVICE.parseDeadline('2021-12-14T15:00:30').toISOString()).toBe('2021-12-14T12:00:30.000Z')
+  })
+
+  test.each([undefined, null, '', '14/12/2021 15:00', '2021-12-14', '2021-12-14 15:00', '2021-12-14T15:00+3'])(
+    'rejects a deadline that is not in ISO-8601: %p', deadline => {
+      expect(DEADLINE_SERVICE.parseDeadline(deadline, 'Africa/Nairobi')).toBeNull()
+    })
+})
+
+describe('isValidTimezone', () => {
+  test('only accepts IANA timezones', () => {
+    expect(DEADLINE_SERVICE.isValidTimezone('America/New_York')).toBe(true)
+    expect(DEADLINE_SERVICE.isValidTimezone('Mars/Olympus_Mons')).toBe(false)
+    expect(DEADLINE_SERVICE.isValidTimezone('')).toBe(false)
+    expect(DEADLINE_SERVICE.isValidTimezone(3)).toBe(false)
+  })
+})
+
+describe('describe', () => {
+  test('returns the deadline in ISO-8601 with the seconds left to it', () => {
+    jest.useFakeTimers({ now: new Date('2021-12-14T12:00:00Z') })
+    expect(DEADLINE_SERVICE.describe('2021-12-14T13:00:00Z'))
+      .toEqual({ deadline: '2021-12-14T13:00:00.000Z', secondsRemaining: 3600 })
+  })
+
+  test('never returns negative seconds left', () => {
+    jest.useFakeTimers({ now: new Date('2021-12-14T12:00:00Z') })
+    expect(DEADLINE_SERVICE.describe('2021-12-14T11:00:00Z').secondsRemaining).toBe(0)
+    expect(DEADLINE_SERVICE.describe(null)).toEqual({ deadline: null, secondsRemaining: null })
+  })
+})
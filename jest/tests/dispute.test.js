@@ -0,0 +1,140 @@
+'use strict'
+
+/* Tests of the resolution of disputes by admins i.e. the status each outcome moves the order to, and the refunds,
+* earnings and revisions that come with it. The models are mocked, as are the balances */
+
+const { Admin, OrderDispute, OrderRevision, User } = require('../../models')
+const DISPUTES_HELPER = require('../../helpers/orders/dispute')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns the date and time the given hours from now, as written in a timezone 3 hours ahead of UTC
+* but without its offset */
+function localTime (hours) {
+  return new Date(new Date().getTime() + (hours + 3) * HOUR).toISOString().slice(0, 16)
+}
+
+/* Function that resolves the dispute with the given outcome */
+async function resolve (outcome, details = {}) {
+  return await DISPUTES_HELPER.resolveDispute({
+    email: 'Admin@Example.com',
+    disputeId: 2,
+    outcome: outcome,
+    resolutionNote: 'Resolved',
+    ...details
+  })
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+  jest.spyOn(Admin, 'findOne').mockResolvedValue({ id: 1 })
+  jest.spyOn(OrderDispute, 'findOne').mockResolvedValue({ id: 2, orderId: 4, Order: { clientId: 5 } })
+  jest.spyOn(OrderDispute, 'update').mockResolvedValue([1])
+  jest.spyOn(OrderRevision, 'create').mockResolvedValue({ id: 9 })
+  jest.spyOn(PAYMENTS_HELPER, 'getNetAmountPaid').mockResolvedValue(1000)
+  jest.spyOn(PAYMENTS_HELPER, 'getClientTimezone').mockResolvedValue('Africa/Nairobi')
+  jest.spyOn(PAYMENTS_HELPER, 'refundClientPayment').mockResolvedValue({})
+  jest.spyOn(PAYMENTS_HELPER, 'creditWriterEarning').mockResolvedValue({})
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('resolveDispute', () => {
+  test('releases the order to the writer', async () => {
+    const RESOLVED = await resolve('Release to writer')
+    expect(RESOLVED).toEqual({ success: true, orderStatus: 'Completed' })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Completed',
+      expect.objectContaining({ actor: 3, transaction: transaction }))
+    expect(PAYMENTS_HELPER.creditWriterEarning).toHaveBeenCalledWith(4, expect.objectContaining({ actor: 3 }))
+    expect(PAYMENTS_HELPER.refundClientPayment).not.toHaveBeenCalled()
+    expect(OrderDispute.update).toHaveBeenCalledWith(expect.objectContaining({
+      resolved: true,
+      outcome: 'Release to writer',
+      refundAmount: null,
+      resolvedBy: 3
+    }), { where: { id: 2 }, transaction: transaction })
+  })
+
+  test('refunds part of the amount paid and credits the writer', async () => {
+    const RESOLVED = await resolve('Partial refund', { refundAmount: '250.555' })
+    expect(RESOLVED).toEqual({ success: true, orderStatus: 'Completed' })
+    expect(PAYMENTS_HELPER.refundClientPayment).toHaveBeenCalledWith(4, 250.56,
+      expect.objectContaining({ policy: 'Partial', transaction: transaction }))
+    expect(PAYMENTS_HELPER.creditWriterEarning).toHaveBeenCalled()
+  })
+
+  test.each([0, 1000])('does not refund %s out of an amount paid of 1000 in part', async refundAmount => {
+    const RESOLVED = await resolve('Partial refund', { refundAmount: refundAmount })
+    expect(RESOLVED).toEqual({
+      success: false,
+      message: 'Refund amount should be more than 0 and less than the amount paid'
+    })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('cancels the order and refunds all of the amount paid', async () => {
+    const RESOLVED = await resolve('Full refund')
+    expect(RESOLVED).toEqual({ success: true, orderStatus: 'Cancelled' })
+    expect(PAYMENTS_HELPER.refundClientPayment).toHaveBeenCalledWith(4, 1000,
+      expect.objectContaining({ policy: 'Full', transaction: transaction }))
+    expect(OrderDispute.update.mock.calls[0][0].refundAmount).toBe(1000)
+  })
+
+  test('forces a revision whose deadline is in the timezone of the client', async () => {
+    const DEADLINE = localTime(48)
+    const RESOLVED = await resolve('Forced revision', { revisionDeadline: DEADLINE })
+    expect(RESOLVED).toEqual({ success: true, orderStatus: 'Undergoing revision' })
+    expect(PAYMENTS_HELPER.getClientTimezone).toHaveBeenCalledWith({ clientId: 5 })
+    expect(OrderRevision.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 4,
+      deadline: new Date(DEADLINE.concat('+03:00')),
+      creator: 3
+    }), { transaction: transaction })
+    expect(PAYMENTS_HELPER.refundClientPayment).not.toHaveBeenCalled()
+    expect(PAYMENTS_HELPER.creditWriterEarning).not.toHaveBeenCalled()
+  })
+
+  test.each([['in the past', localTime(-1)], ['invalid', 'tomorrow']])(
+    'does not force a revision whose deadline is %s', async (description, revisionDeadline) => {
+      const RESOLVED = await resolve('Forced revision', { revisionDeadline: revisionDeadline })
+      expect(RESOLVED).toEqual({ success: false, message: 'Revision deadline should be in the future' })
+      expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+      expect(OrderRevision.create).not.toHaveBeenCalled()
+    })
+
+  test('does not resolve a dispute with an unknown outcome', async () => {
+    const RESOLVED = await resolve('Split')
+    expect(RESOLVED).toEqual({ success: false, message: 'Invalid outcome' })
+  })
+
+  test('does not let a user who is not an admin resolve a dispute', async () => {
+    Admin.findOne.mockResolvedValue(null)
+    const RESOLVED = await resolve('Full refund')
+    expect(RESOLVED).toEqual({ success: false, message: 'Only admins can resolve disputes' })
+    expect(OrderDispute.findOne).not.toHaveBeenCalled()
+  })
+
+  test('does not resolve a dispute twice', async () => {
+    OrderDispute.findOne.mockResolvedValue(null)
+    const RESOLVED = await resolve('Full refund')
+    expect(RESOLVED).toEqual({ success: false, message: 'Dispute does not exist' })
+    expect(OrderDispute.findOne.mock.calls[0][0].where).toMatchObject({ id: 2, resolved: false })
+  })
+
+  test('does not resolve a dispute whose order cannot move to the status of the outcome', async () => {
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: false, message: 'Order is not disputed' })
+    const RESOLVED = await resolve('Full refund')
+    expect(RESOLVED).toEqual({ success: false, message: 'Order is not disputed' })
+    expect(PAYMENTS_HELPER.refundClientPayment).not.toHaveBeenCalled()
+    expect(OrderDispute.update).not.toHaveBeenCalled()
+  })
+})
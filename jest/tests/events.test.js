@@ -0,0 +1,152 @@
+'use strict'
+
+/* Tests of the events pushed to the users i.e. the stream tokens, the publishing of events as Postgres
+* notifications, and the pushing of the notifications to the open streams. The database is mocked */
+
+const { EventEmitter } = require('events')
+const MODEL = require('../../models/index')
+const EVENTS_SERVICE = require('../../services/events')
+
+const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+
+/* Function that returns a token signed with the secret, carrying the given claims */
+function signedToken (claims) {
+  const PAYLOAD = Buffer.from(JSON.stringify(claims)).toString('base64url')
+  return PAYLOAD.concat('.', EVENTS_SERVICE.sign(PAYLOAD))
+}
+
+/* Function that returns a stand-in response of an event stream, which keeps what is written to it */
+function mockResponse () {
+  return {
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    status: jest.fn().mockReturnThis(),
+    send: jest.fn()
+  }
+}
+
+beforeEach(() => {
+  process.env.EVENT_TOKEN_SECRET = 'secret'
+  jest.spyOn(MODEL.sequelize, 'query').mockResolvedValue([])
+})
+
+afterEach(() => {
+  delete process.env.EVENT_TOKEN_SECRET
+  EVENTS_SERVICE.streams.clear()
+  jest.restoreAllMocks()
+})
+
+describe('stream tokens', () => {
+  test('verifies the tokens it issues', () => {
+    const { token: TOKEN, expiresAt: EXPIRES_AT } = EVENTS_SERVICE.issueToken(3)
+    expect(EVENTS_SERVICE.verifyToken(TOKEN)).toEqual({ userId: 3, expiresAt: EXPIRES_AT.getTime() })
+  })
+
+  test('does not verify a token whose claims have been changed', () => {
+    const [, SIGNATURE] = EVENTS_SERVICE.issueToken(3).token.split('.')
+    const PAYLOAD = Buffer.from(JSON.stringify({ userId: 4, expiresAt: new Date().getTime() + 60000 }))
+      .toString('base64url')
+    expect(EVENTS_SERVICE.verifyToken(PAYLOAD.concat('.', SIGNATURE))).toBeNull()
+    expect(EVENTS_SERVICE.verifyToken('token')).toBeNull()
+  })
+
+  test('does not verify a token that has expired', () => {
+    expect(EVENTS_SERVICE.verifyToken(signedToken({ userId: 3, expiresAt: new Date().getTime() - 1 }))).toBeNull()
+  })
+
+  test('does not issue tokens without a secret', () => {
+    delete process.env.EVENT_TOKEN_SECRET
+    expect(() => EVENTS_SERVICE.issueToken(3)).toThrow('EVENT_TOKEN_SECRET is not set')
+  })
+})
+
+describe('publish', () => {
+  test('publishes an event to each user once, in the transaction of the change', async () => {
+    await EVENTS_SERVICE.publish([3, null, 4, 3], 'order.status', { orderId: 4 }, TRANSACTION)
+    expect(MODEL.sequelize.query).toHaveBeenCalledWith('SELECT pg_notify(:channel, :payload)', {
+      replacements: { channel: 'dbms_events', payload: expect.any(String) },
+      transaction: TRANSACTION
+    })
+    expect(JSON.parse(MODEL.sequelize.query.mock.calls[0][1].replacements.payload)).toMatchObject({
+      userIds: [3, 4],
+      type: 'order.status',
+      data: { orderId: 4 }
+    })
+  })
+
+  test('does not publish an event that is for no one', async () => {
+    await EVENTS_SERVICE.publish([null], 'order.status', { orderId: 4 }, TRANSACTION)
+    expect(MODEL.sequelize.query).not.toHaveBeenCalled()
+  })
+})
+
+describe('publishToOrder', () => {
+  beforeEach(() => {
+    jest.spyOn(MODEL.Order, 'findOne').mockResolvedValue({
+      id: 4,
+      Client: { userId: 10 },
+      WriterOrder: [{ Writer: { userId: 20 } }]
+    })
+    jest.spyOn(EVENTS_SERVICE, 'publish').mockResolvedValue()
+  })
+
+  test('publishes an event to the client and the writer of the order', async () => {
+    await EVENTS_SERVICE.publishToOrder(4, 'order.status', { status: 'Ongoing' }, { transaction: TRANSACTION })
+    expect(EVENTS_SERVICE.publish).toHaveBeenCalledWith([10, 20], 'order.status', { orderId: 4, status: 'Ongoing' },
+      TRANSACTION)
+    expect(MODEL.Order.findOne.mock.calls[0][0].transaction).toBe(TRANSACTION)
+  })
+
+  test('publishes an event to the given parties only, leaving out the user who made the change', async () => {
+    await EVENTS_SERVICE.publishToOrder(4, 'revision.requested', {}, { parties: ['writer'] })
+    expect(EVENTS_SERVICE.publish.mock.calls[0][0]).toEqual([20])
+    await EVENTS_SERVICE.publishToOrder(4, 'message.new', {}, { exclude: 10 })
+    expect(EVENTS_SERVICE.publish.mock.calls[1][0]).toEqual([20])
+  })
+
+  test('does not publish an event about an order that does not exist', async () => {
+    MODEL.Order.findOne.mockResolvedValue(null)
+    await EVENTS_SERVICE.publishToOrder(4, 'order.status', {})
+    expect(EVENTS_SERVICE.publish).not.toHaveBeenCalled()
+  })
+})
+
+describe('streams', () => {
+  test('opens a stream, pushes the events of its user to it, and closes it once the user disconnects', () => {
+    const REQUEST = new EventEmitter()
+    const OTHER_REQUEST = new EventEmitter()
+    const RESPONSE = mockResponse()
+    const OTHER_RESPONSE = mockResponse()
+    EVENTS_SERVICE.subscribe(3, REQUEST, RESPONSE)
+    EVENTS_SERVICE.subscribe(4, OTHER_REQUEST, OTHER_RESPONSE)
+    expect(RESPONSE.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }))
+    expect(RESPONSE.write).toHaveBeenCalledWith('event: connected\ndata: {"userId":3}\n\n')
+    RESPONSE.write.mockClear()
+    OTHER_RESPONSE.write.mockClear()
+    EVENTS_SERVICE.dispatch(JSON.stringify({ userIds: [3], type: 'message.new', data: { orderId: 4 }, sentAt: 'now' }))
+    expect(RESPONSE.write).toHaveBeenCalledWith('event: message.new\ndata: {"orderId":4,"sentAt":"now"}\n\n')
+    expect(OTHER_RESPONSE.write).not.toHaveBeenCalled()
+    REQUEST.emit('close')
+    expect(EVENTS_SERVICE.streams.has(3)).toBe(false)
+    expect(EVENTS_SERVICE.streams.get(4).size).toBe(1)
+    OTHER_REQUEST.emit('close')
+  })
+
+  test('does not open more than 5 streams for a user', () => {
+    const REQUEST = new EventEmitter()
+    for (let i = 0; i < 5; i++) {
+      EVENTS_SERVICE.subscribe(3, REQUEST, mockResponse())
+    }
+    const RESPONSE = mockResponse()
+    EVENTS_SERVICE.subscribe(3, REQUEST, RESPONSE)
+    expect(RESPONSE.status).toHaveBeenCalledWith(429)
+    expect(RESPONSE.writeHead).not.toHaveBeenCalled()
+    REQUEST.emit('close')
+  })
+
+  test('ignores a notification that is not an event', () => {
+    expect(() => EVENTS_SERVICE.dispatch('not json')).not.toThrow()
+  })
+})
@@ -0,0 +1,255 @@
+'use strict'
+
+/* Tests of the deadline changes between the writers and the clients of orders, and of the pricing of the shorter
+* deadlines. The models are mocked, including the price tables the quotes are computed from */
+
+const {
+  AssignmentType,
+  BasePrice,
+  DeadlineExtension,
+  EducationLevel,
+  Order,
+  OrderPaymentDetail,
+  OrderServiceType,
+  PaperDiscount,
+  PriceIncrement,
+  User
+} = require('../../models')
+const CHARGES_HELPER = require('../../helpers/payments/charge')
+const EXTENSIONS_HELPER = require('../../helpers/orders/extension')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that returns an order of three pages whose deadline is the given hours from now */
+function order (deadlineIn) {
+  return {
+    id: 4,
+    clientId: 5,
+    assignmentType: 1,
+    serviceTypeId: 1,
+    studyLevelId: 2,
+    pageCount: 3,
+    deadline: hoursFromNow(deadlineIn),
+    OrderStatus: { status: 'Ongoing' }
+  }
+}
+
+let transaction
+let extension
+
+/* Function that makes the writer propose to shorten the deadline of an order from and to the given hours from now,
+* and the client accept it */
+async function acceptShorterDeadline (currentDeadlineIn, deadlineIn) {
+  jest.spyOn(Order, 'findOne').mockResolvedValue(order(currentDeadlineIn))
+  extension = {
+    id: 12,
+    orderId: 4,
+    party: 'writer',
+    deadline: hoursFromNow(deadlineIn),
+    update: jest.fn().mockResolvedValue()
+  }
+  jest.spyOn(DeadlineExtension, 'findOne').mockResolvedValue(extension)
+  return await EXTENSIONS_HELPER.respondToExtension({ email: 'client@example.com', extensionId: 12, accept: true })
+}
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  /* A base price of 10, raised by 30% for the level of study and by 10% for each of the urgency increments, with a
+  * discount of 5% on the pages */
+  jest.spyOn(AssignmentType, 'findOne').mockResolvedValue({ tier: 1 })
+  jest.spyOn(EducationLevel, 'findOne').mockResolvedValue({ level: 'Bachelor\'s' })
+  jest.spyOn(PaperDiscount, 'findOne').mockResolvedValue({ discount: 5 })
+  jest.spyOn(OrderServiceType, 'findAll').mockResolvedValue([])
+  jest.spyOn(BasePrice, 'findOne').mockResolvedValue({ price: 10, Currency: { currencyCode: 'KES' } })
+  jest.spyOn(PriceIncrement, 'findOne').mockResolvedValue({
+    college: 10,
+    bachelors: 20,
+    day5: 10,
+    day3: 10,
+    day2: 10,
+    day1: 10,
+    hr12: 10
+  })
+  /* The order was priced when it was posted weeks before its deadline, with no urgency increments */
+  jest.spyOn(OrderPaymentDetail, 'findOne').mockResolvedValue({ id: 8, cpp: 13.2, totalPrice: 38 })
+  jest.spyOn(OrderPaymentDetail, 'update').mockResolvedValue([1])
+  jest.spyOn(Order, 'update').mockResolvedValue([1])
+  jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+  jest.spyOn(ORDERS_HELPER, 'getOrderParties').mockResolvedValue({ party: 'client' })
+  jest.spyOn(LIFECYCLE_HELPER, 'orderIsPaidFor').mockResolvedValue(false)
+  jest.spyOn(CHARGES_HELPER, 'createCharge').mockImplementation(async charge => ({ id: 30, ...charge }))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('priceNewDeadline', () => {
+  test('charges nothing for a shorter deadline that adds no urgency, however long ago the order was posted',
+    async () => {
+      const PRICE = await EXTENSIONS_HELPER.priceNewDeadline(order(30), hoursFromNow(29))
+      expect(PRICE).toEqual({ priced: true, paymentDetailId: 8, cpp: 13.2, totalPrice: 38, priceDifference: 0 })
+    })
+
+  test('charges what the shorter deadline adds to the urgency of the order', async () => {
+    /* From 17.57 to 19.33 per page once the deadline is less than a day away, for three pages less 5% */
+    const PRICE = await EXTENSIONS_HELPER.priceNewDeadline(order(26), hoursFromNow(20))
+    expect(PRICE).toEqual({ priced: true, paymentDetailId: 8, cpp: 14.96, totalPrice: 43, priceDifference: 5 })
+  })
+
+  test('does not price an order that has not been priced', async () => {
+    OrderPaymentDetail.findOne.mockResolvedValue(null)
+    const PRICE = await EXTENSIONS_HELPER.priceNewDeadline(order(26), hoursFromNow(20))
+    expect(PRICE).toEqual({ priced: false, message: 'Order has not been priced' })
+  })
+})
+
+describe('requestExtension', () => {
+  /* Function that makes a party of the order propose a deadline, given as written in the timezone of the client */
+  async function requestExtension (party, deadline, currentDeadlineIn = 26) {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order(currentDeadlineIn))
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ party: party })
+    return await EXTENSIONS_HELPER.requestExtension({
+      email: 'writer@example.com',
+      orderId: 4,
+      deadline: deadline,
+      reason: 'More sources needed'
+    })
+  }
+
+  /* Function that returns the date and time the given hours from now, as written in a timezone 3 hours ahead of UTC
+  * but without its offset */
+  function localTime (hours) {
+    return new Date(new Date().getTime() + (hours + 3) * HOUR).toISOString().slice(0, 16)
+  }
+
+  beforeEach(() => {
+    jest.spyOn(DeadlineExtension, 'findOne').mockResolvedValue(null)
+    jest.spyOn(DeadlineExtension, 'create').mockResolvedValue({ id: 12 })
+    jest.spyOn(PAYMENTS_HELPER, 'getClientTimezone').mockResolvedValue('Africa/Nairobi')
+    jest.spyOn(CHARGES_HELPER, 'withdrawCharges').mockResolvedValue([])
+  })
+
+  test('proposes a longer deadline, read in the timezone of the client, at no cost', async () => {
+    const DEADLINE = localTime(48)
+    const RESPONSE = await requestExtension('writer', DEADLINE)
+    expect(RESPONSE).toMatchObject({ success: true, extensionId: 12, priceDifference: 0 })
+    expect(PAYMENTS_HELPER.getClientTimezone).toHaveBeenCalledWith({ clientId: 5 })
+    expect(DeadlineExtension.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 4,
+      requestedBy: 3,
+      party: 'writer',
+      deadline: new Date(DEADLINE.concat('+03:00')),
+      status: 'Pending',
+      priceDifference: 0
+    }), { transaction: transaction })
+  })
+
+  test('tells the other party how much more a shorter deadline costs', async () => {
+    const RESPONSE = await requestExtension('client', hoursFromNow(20).toISOString())
+    expect(RESPONSE).toMatchObject({ success: true, priceDifference: 5 })
+    expect(CHARGES_HELPER.withdrawCharges).toHaveBeenCalledWith(4, { type: 'Shorter deadline' }, transaction)
+  })
+
+  test('does not propose a second deadline while one is pending', async () => {
+    DeadlineExtension.findOne.mockResolvedValue({ id: 11 })
+    const RESPONSE = await requestExtension('writer', localTime(48))
+    expect(RESPONSE).toEqual({ success: false, message: 'Order already has a pending deadline change' })
+    expect(DeadlineExtension.create).not.toHaveBeenCalled()
+  })
+
+  test('does not propose a deadline in the past', async () => {
+    const RESPONSE = await requestExtension('writer', localTime(-1))
+    expect(RESPONSE).toEqual({ success: false, message: 'Deadline should be in the future' })
+  })
+
+  test('does not propose the current deadline again', async () => {
+    /* The deadlines are proposed to the second */
+    const CURRENT_DEADLINE = new Date(Math.floor(order(26).deadline.getTime() / 1000) * 1000)
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ ...order(26), deadline: CURRENT_DEADLINE })
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ party: 'writer' })
+    const RESPONSE = await EXTENSIONS_HELPER.requestExtension({
+      email: 'writer@example.com',
+      orderId: 4,
+      deadline: CURRENT_DEADLINE.toISOString()
+    })
+    expect(RESPONSE).toEqual({ success: false, message: 'Deadline is the same as the current one' })
+  })
+
+  test('does not change the deadline of an order that has been submitted', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ ...order(26), OrderStatus: { status: 'Submitted' } })
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ party: 'writer' })
+    const RESPONSE = await EXTENSIONS_HELPER.requestExtension({ email: 'writer@example.com', orderId: 4 })
+    expect(RESPONSE).toEqual({ success: false, message: 'Order deadline cannot be changed at this point' })
+  })
+
+  test('does not let a user who is not a party of the order propose a deadline', async () => {
+    const RESPONSE = await requestExtension(null, localTime(48))
+    expect(RESPONSE).toEqual({ success: false, message: 'Order does not exist' })
+  })
+})
+
+describe('respondToExtension', () => {
+  test('prices an order that is not paid for again with the shorter deadline', async () => {
+    const RESPONSE = await acceptShorterDeadline(26, 20)
+    expect(RESPONSE).toMatchObject({ success: true, status: 'Accepted', amountDue: 5 })
+    expect(OrderPaymentDetail.update).toHaveBeenCalledWith({ cpp: 14.96, totalPrice: 43 },
+      { where: { id: 8 }, transaction: transaction })
+    expect(Order.update).toHaveBeenCalledWith({ deadline: extension.deadline, overdueAt: null },
+      { where: { id: 4 }, transaction: transaction })
+    expect(extension.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'Accepted', priceDifference: 5 }),
+      { transaction: transaction })
+    expect(CHARGES_HELPER.createCharge).not.toHaveBeenCalled()
+  })
+
+  test('charges the shorter deadline of a paid order on its own, and waits for the charge to be paid', async () => {
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(true)
+    const RESPONSE = await acceptShorterDeadline(26, 20)
+    expect(RESPONSE).toMatchObject({ success: true, status: 'Unpaid', amountDue: 5, chargeId: 30 })
+    expect(CHARGES_HELPER.createCharge).toHaveBeenCalledWith({
+      orderId: 4,
+      type: 'Shorter deadline',
+      amount: 5,
+      deadlineExtensionId: 12
+    }, transaction)
+    expect(extension.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'Unpaid', priceDifference: 5 }),
+      { transaction: transaction })
+    expect(OrderPaymentDetail.update).not.toHaveBeenCalled()
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('changes the deadline of a paid order straight away when it adds no urgency', async () => {
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(true)
+    const RESPONSE = await acceptShorterDeadline(30, 29)
+    expect(RESPONSE).toMatchObject({ success: true, status: 'Accepted', amountDue: 0 })
+    expect(CHARGES_HELPER.createCharge).not.toHaveBeenCalled()
+    expect(Order.update).toHaveBeenCalled()
+  })
+
+  test('leaves the deadline of an order as it is when the other party declines', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order(26))
+    extension = { id: 12, orderId: 4, party: 'writer', deadline: hoursFromNow(20), update: jest.fn() }
+    jest.spyOn(DeadlineExtension, 'findOne').mockResolvedValue(extension)
+    const RESPONSE = await EXTENSIONS_HELPER.respondToExtension({ email: 'client@example.com', extensionId: 12 })
+    expect(RESPONSE).toEqual({ success: true, status: 'Declined' })
+    expect(extension.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'Declined', respondedBy: 3 }),
+      { transaction: transaction })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('does not let the party that proposed the deadline accept it', async () => {
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ party: 'writer' })
+    const RESPONSE = await acceptShorterDeadline(26, 20)
+    expect(RESPONSE).toEqual({ success: false, message: 'Only the other party of the order can respond' })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,96 @@
+'use strict'
+
+/* Tests of the extras of orders i.e. that they are saved as per the price quote, with their prices, and that they
+* can only be changed before an order is paid for. The models are mocked */
+
+const { ExtraOrderService, Order, OrderPaymentDetail } = require('../../models')
+const { Op } = require('sequelize')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const mockTransaction = require('../functions/transaction')
+
+const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+
+beforeEach(() => {
+  jest.spyOn(ExtraOrderService, 'update').mockResolvedValue([0])
+  jest.spyOn(ExtraOrderService, 'findAll').mockResolvedValue([])
+  jest.spyOn(ExtraOrderService, 'create').mockResolvedValue({ id: 1 })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('saveOrderExtras', () => {
+  test('removes the extras that are no longer quoted, and saves the rest with their quoted prices', async () => {
+    const SAVED_EXTRA = { id: 3, serviceTypeId: 2, update: jest.fn().mockResolvedValue() }
+    ExtraOrderService.findAll.mockResolvedValue([SAVED_EXTRA])
+    await ORDERS_HELPER.saveOrderExtras(4, [{ id: 2, price: 250 }, { id: 5, price: 100 }], TRANSACTION)
+    expect(ExtraOrderService.update).toHaveBeenCalledWith({ isDeleted: true }, {
+      where: { orderId: 4, serviceTypeId: { [Op.notIn]: [2, 5] }, isDeleted: false },
+      transaction: TRANSACTION
+    })
+    expect(SAVED_EXTRA.update).toHaveBeenCalledWith({ price: 250 }, { transaction: TRANSACTION })
+    expect(ExtraOrderService.create).toHaveBeenCalledTimes(1)
+    expect(ExtraOrderService.create).toHaveBeenCalledWith({
+      orderId: 4,
+      serviceTypeId: 5,
+      price: 100,
+      isDeleted: false
+    }, { transaction: TRANSACTION })
+  })
+
+  test('removes all the extras when the quote has none', async () => {
+    await ORDERS_HELPER.saveOrderExtras(4, [], TRANSACTION)
+    expect(ExtraOrderService.update.mock.calls[0][1].where).toEqual({ orderId: 4, isDeleted: false })
+    expect(ExtraOrderService.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('updateOrderExtras', () => {
+  const QUOTE = { quoted: true, cpp: 10, extrasTotalPrice: 250, totalPrice: 280, extras: [{ id: 2, price: 250 }] }
+  let transaction
+
+  beforeEach(() => {
+    transaction = mockTransaction()
+    jest.spyOn(ORDERS_HELPER, 'getClientId').mockResolvedValue(5)
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, OrderStatus: { status: 'Pending payment' } })
+    jest.spyOn(LIFECYCLE_HELPER, 'orderIsPaidFor').mockResolvedValue(false)
+    jest.spyOn(PAYMENTS_HELPER, 'getSavedOrderQuote').mockResolvedValue(QUOTE)
+    jest.spyOn(OrderPaymentDetail, 'update').mockResolvedValue([1])
+  })
+
+  test('prices the order again with the new extras', async () => {
+    const UPDATED = await ORDERS_HELPER.updateOrderExtras({ email: 'client@example.com', orderId: 4, extras: [2] })
+    expect(UPDATED).toEqual({ success: true, quote: QUOTE })
+    expect(Order.findOne.mock.calls[0][0]).toMatchObject({
+      where: { id: 4, clientId: 5 },
+      transaction: transaction,
+      lock: { level: 'UPDATE', of: Order }
+    })
+    expect(PAYMENTS_HELPER.getSavedOrderQuote).toHaveBeenCalledWith(4, [2], transaction)
+    expect(ExtraOrderService.create).toHaveBeenCalledWith(expect.objectContaining({ serviceTypeId: 2, price: 250 }),
+      { transaction: transaction })
+    expect(OrderPaymentDetail.update).toHaveBeenCalledWith({ extrasTotalPrice: 250, totalPrice: 280, cpp: 10 },
+      { where: { orderId: 4 }, transaction: transaction })
+  })
+
+  test.each([
+    ['whose status is past payment', 'Ongoing', false],
+    ['that has a successful payment', 'Pending payment', true]
+  ])('does not change the extras of an order %s', async (description, status, paid) => {
+    Order.findOne.mockResolvedValue({ id: 4, OrderStatus: { status: status } })
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(paid)
+    const UPDATED = await ORDERS_HELPER.updateOrderExtras({ email: 'client@example.com', orderId: 4, extras: [2] })
+    expect(UPDATED).toEqual({ success: false, message: 'Extras cannot be changed once an order is paid for' })
+    expect(OrderPaymentDetail.update).not.toHaveBeenCalled()
+  })
+
+  test('does not save extras that cannot be quoted', async () => {
+    PAYMENTS_HELPER.getSavedOrderQuote.mockResolvedValue({ quoted: false, message: 'Invalid extra' })
+    const UPDATED = await ORDERS_HELPER.updateOrderExtras({ email: 'client@example.com', orderId: 4, extras: [9] })
+    expect(UPDATED).toEqual({ success: false, message: 'Invalid extra' })
+    expect(ExtraOrderService.update).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+/* Tests of the download tokens of order files i.e. that a token can neither be altered nor used once expired */
+
+process.env.FILE_TOKEN_SECRET = 'test-secret'
+
+const FILE_ACCESS_SERVICE = require('../../services/file_access')
+
+/* Function that returns a token whose payload has been replaced, while keeping the original signature */
+function tamper (token, claims) {
+  const [PAYLOAD, SIGNATURE] = token.split('.')
+  const CLAIMS = JSON.parse(Buffer.from(PAYLOAD, 'base64url').toString())
+  return Buffer.from(JSON.stringify({ ...CLAIMS, ...claims })).toString('base64url').concat('.', SIGNATURE)
+}
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+describe('verifyToken', () => {
+  test('returns the claims of a token it issued', () => {
+    const { token } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    expect(FILE_ACCESS_SERVICE.verifyToken(token)).toMatchObject({ versionId: 5, userId: 9, partyType: 'client' })
+  })
+
+  test('rejects a token whose claims have been altered', () => {
+    const { token } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    expect(FILE_ACCESS_SERVICE.verifyToken(tamper(token, { userId: 10 }))).toBeNull()
+    expect(FILE_ACCESS_SERVICE.verifyToken(tamper(token, { expiresAt: new Date().getTime() * 2 }))).toBeNull()
+  })
+
+  test('rejects a token whose signature has been altered', () => {
+    const { token } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    const [PAYLOAD, SIGNATURE] = token.split('.')
+    const ALTERED = (SIGNATURE[0] === 'A' ? 'B' : 'A').concat(SIGNATURE.slice(1))
+    expect(FILE_ACCESS_SERVICE.verifyToken(PAYLOAD.concat('.', ALTERED))).toBeNull()
+    expect(FILE_ACCESS_SERVICE.verifyToken(PAYLOAD.concat('.', SIGNATURE.slice(1)))).toBeNull()
+  })
+
+  test('rejects a token signed with another secret', () => {
+    process.env.FILE_TOKEN_SECRET = 'another-secret'
+    const { token } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    process.env.FILE_TOKEN_SECRET = 'test-secret'
+    expect(FILE_ACCESS_SERVICE.verifyToken(token)).toBeNull()
+  })
+
+  test('rejects a token that is not made up of a payload and a signature', () => {
+    expect(FILE_ACCESS_SERVICE.verifyToken(undefined)).toBeNull()
+    expect(FILE_ACCESS_SERVICE.verifyToken('')).toBeNull()
+    expect(FILE_ACCESS_SERVICE.verifyToken('payload')).toBeNull()
+  })
+
+  test('rejects a token once it has expired', () => {
+    jest.useFakeTimers({ now: new Date('2021-12-20T10:00:00Z') })
+    const { token, expiresAt } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    jest.setSystemTime(new Date(expiresAt.getTime() - 1000))
+    expect(FILE_ACCESS_SERVICE.verifyToken(token)).not.toBeNull()
+    jest.setSystemTime(new Date(expiresAt.getTime() + 1000))
+    expect(FILE_ACCESS_SERVICE.verifyToken(token)).toBeNull()
+  })
+
+  test('refuses to sign or verify tokens without a secret', () => {
+    const { token } = FILE_ACCESS_SERVICE.issueToken(5, 9, 'client')
+    delete process.env.FILE_TOKEN_SECRET
+    expect(() => FILE_ACCESS_SERVICE.verifyToken(token)).toThrow('FILE_TOKEN_SECRET is not set')
+    process.env.FILE_TOKEN_SECRET = 'test-secret'
+  })
+})
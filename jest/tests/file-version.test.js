@@ -0,0 +1,119 @@
+'use strict'
+
+/* Tests of the version history of order files i.e. that a file uploaded again becomes the next version of its order
+* file, that a file already on the order is not saved twice, and who can list the versions of the papers. The models
+* are mocked */
+
+const { Admin, OrderFile, OrderFileVersion, User } = require('../../models')
+const { Op } = require('sequelize')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+
+const TRANSACTION = { id: 'transaction' }
+const CHECKSUM = 'A'.repeat(64)
+
+/* Function that returns an uploaded file */
+function file (details = {}) {
+  return {
+    fileUrl: 'https://files.example.com/essay-2.docx',
+    originalName: 'essay.docx',
+    size: 2048,
+    mimeType: 'application/msword',
+    checksum: CHECKSUM,
+    ...details
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(OrderFileVersion, 'findOne').mockResolvedValue(null)
+  jest.spyOn(OrderFileVersion, 'max').mockResolvedValue(null)
+  jest.spyOn(OrderFileVersion, 'create').mockImplementation(async version => ({ id: 20, ...version }))
+  jest.spyOn(OrderFile, 'findOne').mockResolvedValue(null)
+  jest.spyOn(OrderFile, 'create').mockImplementation(async orderFile => ({ id: 10, ...orderFile }))
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('saveOrderFile', () => {
+  test('saves a new file as its first version, with its metadata', async () => {
+    const SAVED = await ORDERS_HELPER.saveOrderFile(4, 6, file(), { uploadedBy: 3, transaction: TRANSACTION })
+    expect(SAVED.duplicate).toBe(false)
+    expect(OrderFile.create).toHaveBeenCalledWith(expect.objectContaining({ orderId: 4, type: 6 }),
+      { transaction: TRANSACTION })
+    expect(OrderFileVersion.create).toHaveBeenCalledWith({
+      orderFileId: 10,
+      version: 1,
+      fileUrl: 'https://files.example.com/essay-2.docx',
+      originalName: 'essay.docx',
+      size: 2048,
+      mimeType: 'application/msword',
+      checksum: CHECKSUM.toLowerCase(),
+      uploadedBy: 3,
+      isDeleted: false
+    }, { transaction: TRANSACTION })
+  })
+
+  test('saves a file uploaded again as the next version of its order file', async () => {
+    const ORDER_FILE = { id: 10, update: jest.fn().mockResolvedValue() }
+    OrderFile.findOne.mockResolvedValue(ORDER_FILE)
+    OrderFileVersion.max.mockResolvedValue(2)
+    const SAVED = await ORDERS_HELPER.saveOrderFile(4, 6, file(), { submittedPaper: true, transaction: TRANSACTION })
+    expect(SAVED.version.version).toBe(3)
+    expect(OrderFile.findOne.mock.calls[0][0].where).toEqual({
+      orderId: 4,
+      type: 6,
+      isDeleted: false,
+      originalName: 'essay.docx'
+    })
+    expect(ORDER_FILE.update).toHaveBeenCalledWith(expect.objectContaining({ submittedPaper: true }),
+      { transaction: TRANSACTION })
+    expect(OrderFile.create).not.toHaveBeenCalled()
+  })
+
+  test('does not save a file whose content or location is already on the order', async () => {
+    const DUPLICATE = { id: 21, version: 1, OrderFile: { id: 10, type: 6 } }
+    OrderFileVersion.findOne.mockResolvedValue(DUPLICATE)
+    const SAVED = await ORDERS_HELPER.saveOrderFile(4, 6, file(), { transaction: TRANSACTION })
+    expect(SAVED).toEqual({ orderFile: DUPLICATE.OrderFile, version: DUPLICATE, duplicate: true })
+    expect(OrderFileVersion.findOne.mock.calls[0][0].where[Op.or]).toEqual([
+      { fileUrl: 'https://files.example.com/essay-2.docx' },
+      { checksum: CHECKSUM.toLowerCase() }
+    ])
+    expect(OrderFileVersion.create).not.toHaveBeenCalled()
+  })
+
+  test('rejects a checksum that is not SHA-256', async () => {
+    await expect(ORDERS_HELPER.saveOrderFile(4, 6, file({ checksum: 'abc' }))).rejects.toThrow('Invalid file checksum')
+    expect(OrderFile.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('getPaperVersions', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+    jest.spyOn(Admin, 'findOne').mockResolvedValue(null)
+    jest.spyOn(ORDERS_HELPER, 'getOrderParties').mockResolvedValue({ order: { id: 4 }, party: 'client' })
+    jest.spyOn(OrderFile, 'findAll').mockResolvedValue([{ id: 10 }])
+  })
+
+  test('lists every version of the papers to the parties of the order', async () => {
+    const VERSIONS = await ORDERS_HELPER.getPaperVersions({ email: 'client@example.com', orderId: 4 })
+    expect(VERSIONS).toEqual({ success: true, papers: [{ id: 10 }] })
+    expect(OrderFile.findAll.mock.calls[0][0].where).toEqual({ orderId: 4, submittedPaper: true, isDeleted: false })
+  })
+
+  test('lists the versions of the papers to admins', async () => {
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ order: { id: 4 }, party: null })
+    Admin.findOne.mockResolvedValue({ id: 1 })
+    const VERSIONS = await ORDERS_HELPER.getPaperVersions({ email: 'admin@example.com', orderId: 4 })
+    expect(VERSIONS.success).toBe(true)
+  })
+
+  test('does not list the versions of the papers to the other users', async () => {
+    ORDERS_HELPER.getOrderParties.mockResolvedValue({ order: { id: 4 }, party: null })
+    const VERSIONS = await ORDERS_HELPER.getPaperVersions({ email: 'writer@example.com', orderId: 4 })
+    expect(VERSIONS).toEqual({ success: false, message: 'Order does not exist' })
+    expect(OrderFile.findAll).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,85 @@
+'use strict'
+
+/* Tests of the journal entries of the ledger i.e. that they balance and are never entered twice. The entries are
+* saved in the database, hence the models are mocked */
+
+const { JournalEntry, LedgerPosting } = require('../../models')
+const LEDGER_HELPER = require('../../helpers/payments/ledger')
+
+const CLEARING = { id: 1 }
+const CLIENT = { id: 2 }
+const REVENUE = { id: 3 }
+
+const ENTRY = { type: 'Payment', reference: 'payment:7', description: 'Payment of order 4', orderId: 4 }
+
+beforeEach(() => {
+  jest.spyOn(JournalEntry, 'findOne').mockResolvedValue(null)
+  jest.spyOn(JournalEntry, 'create').mockImplementation(async entry => ({ id: 11, ...entry }))
+  jest.spyOn(LedgerPosting, 'bulkCreate').mockResolvedValue([])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('postJournal', () => {
+  test('enters an entry whose postings balance', async () => {
+    const POSTED = await LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 1500.1 },
+      { account: CLIENT, amount: -1500.1 }
+    ], 'transaction')
+    expect(POSTED).toEqual({ posted: true, journalEntry: { id: 11, ...ENTRY } })
+    expect(JournalEntry.create).toHaveBeenCalledWith(ENTRY, { transaction: 'transaction' })
+    expect(LedgerPosting.bulkCreate).toHaveBeenCalledWith([
+      { journalEntryId: 11, accountId: 1, amount: 1500.1 },
+      { journalEntryId: 11, accountId: 2, amount: -1500.1 }
+    ], { transaction: 'transaction' })
+  })
+
+  test('sums the postings in cents, such that floating point errors do not unbalance them', async () => {
+    const POSTED = await LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 0.1 },
+      { account: CLEARING, amount: 0.2 },
+      { account: REVENUE, amount: -0.3 }
+    ])
+    expect(POSTED.posted).toBe(true)
+  })
+
+  test('leaves out the postings of no amount', async () => {
+    await LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 200 },
+      { account: CLIENT, amount: 0 },
+      { account: REVENUE, amount: '-200' }
+    ])
+    expect(LedgerPosting.bulkCreate.mock.calls[0][0].map(posting => posting.accountId)).toEqual([1, 3])
+  })
+
+  test('does not enter an entry whose postings do not balance', async () => {
+    await expect(LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 1500 },
+      { account: CLIENT, amount: -1499.99 }
+    ])).rejects.toThrow('Journal entry payment:7 does not balance')
+    expect(JournalEntry.create).not.toHaveBeenCalled()
+  })
+
+  test('does not enter an entry with less than two postings', async () => {
+    await expect(LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 0 },
+      { account: CLIENT, amount: 0 }
+    ])).rejects.toThrow('Journal entry payment:7 needs at least two postings')
+    expect(JournalEntry.create).not.toHaveBeenCalled()
+  })
+
+  test('does not enter an entry whose reference has already been entered', async () => {
+    const EXISTING = { id: 9, ...ENTRY }
+    JournalEntry.findOne.mockResolvedValue(EXISTING)
+    const POSTED = await LEDGER_HELPER.postJournal(ENTRY, [
+      { account: CLEARING, amount: 1500 },
+      { account: CLIENT, amount: -1500 }
+    ])
+    expect(POSTED).toEqual({ posted: false, duplicate: true, journalEntry: EXISTING })
+    expect(JournalEntry.findOne.mock.calls[0][0].where).toEqual({ reference: 'payment:7' })
+    expect(JournalEntry.create).not.toHaveBeenCalled()
+    expect(LedgerPosting.bulkCreate).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,144 @@
+'use strict'
+
+/* Tests of the order state machine i.e. the status changes allowed from each status, and the changes of the status
+* of orders. The models are mocked */
+
+const { Order, OrderStatus, OrderStatusHistory } = require('../../models')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const EVENTS_SERVICE = require('../../services/events')
+
+describe('canTransition', () => {
+  test.each([
+    ['Pending payment', 'Available'],
+    ['Pending payment', 'Cancelled'],
+    ['Available', 'Bidding ongoing'],
+    ['Bidding ongoing', 'Pending writer acknowledgement'],
+    ['Pending writer acknowledgement', 'Ongoing'],
+    ['Ongoing', 'Submitted'],
+    ['Submitted', 'Completed'],
+    ['Submitted', 'Pending revision'],
+    ['Pending revision', 'Undergoing revision'],
+    ['Undergoing revision', 'Submitted'],
+    ['Completed', 'Undergoing revision'],
+    ['Disputed', 'Cancelled']
+  ])('allows an order to move from \'%s\' to \'%s\'', (fromStatus, toStatus) => {
+    expect(LIFECYCLE_HELPER.canTransition(fromStatus, toStatus)).toBe(true)
+  })
+
+  test.each([
+    ['Pending payment', 'Submitted'],
+    ['Ongoing', 'Completed'],
+    ['Submitted', 'Cancelled'],
+    ['Completed', 'Cancelled'],
+    ['Undergoing revision', 'Completed'],
+    ['Cancelled', 'Pending payment'],
+    ['Cancelled', 'Ongoing']
+  ])('does not allow an order to move from \'%s\' to \'%s\'', (fromStatus, toStatus) => {
+    expect(LIFECYCLE_HELPER.canTransition(fromStatus, toStatus)).toBe(false)
+  })
+
+  test('does not allow an order to move from or to an unknown status', () => {
+    expect(LIFECYCLE_HELPER.canTransition('Unknown', 'Ongoing')).toBe(false)
+    expect(LIFECYCLE_HELPER.canTransition('Ongoing', 'Unknown')).toBe(false)
+  })
+})
+
+describe('isUnpaidStatus', () => {
+  test('only includes the statuses before the order is paid for', () => {
+    expect(LIFECYCLE_HELPER.isUnpaidStatus('Pending payment')).toBe(true)
+    expect(LIFECYCLE_HELPER.isUnpaidStatus('Bidding ongoing')).toBe(true)
+    expect(LIFECYCLE_HELPER.isUnpaidStatus('Ongoing')).toBe(false)
+    expect(LIFECYCLE_HELPER.isUnpaidStatus('Completed')).toBe(false)
+  })
+})
+
+describe('transitionOrder', () => {
+  const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+
+  /* Function that makes the order be in a given status */
+  function mockOrder (status) {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, statusId: 1, OrderStatus: { status: status } })
+  }
+
+  beforeEach(() => {
+    jest.spyOn(OrderStatus, 'findOne').mockResolvedValue({ id: 7 })
+    jest.spyOn(Order, 'update').mockResolvedValue([1])
+    jest.spyOn(OrderStatusHistory, 'create').mockResolvedValue({ id: 1 })
+    jest.spyOn(EVENTS_SERVICE, 'publishToOrder').mockResolvedValue()
+    jest.spyOn(LIFECYCLE_HELPER, 'orderIsPaidFor').mockResolvedValue(true)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('moves an order to a new status and records the change in its history', async () => {
+    mockOrder('Ongoing')
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Submitted', {
+      actor: 3,
+      reason: 'Paper submitted',
+      transaction: TRANSACTION
+    })
+    expect(TRANSITIONED).toEqual({ transitioned: true, fromStatus: 'Ongoing', toStatus: 'Submitted' })
+    expect(Order.findOne.mock.calls[0][0]).toMatchObject({
+      where: { id: 4 },
+      transaction: TRANSACTION,
+      lock: { level: 'UPDATE', of: Order }
+    })
+    expect(Order.update).toHaveBeenCalledWith({ statusId: 7 }, { where: { id: 4 }, transaction: TRANSACTION })
+    expect(OrderStatusHistory.create).toHaveBeenCalledWith({
+      orderId: 4,
+      fromStatusId: 1,
+      toStatusId: 7,
+      actor: 3,
+      reason: 'Paper submitted'
+    }, { transaction: TRANSACTION })
+  })
+
+  test('does not change an order that already has the status', async () => {
+    mockOrder('Ongoing')
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Ongoing', { transaction: TRANSACTION })
+    expect(TRANSITIONED).toEqual({ transitioned: true, unchanged: true })
+    expect(Order.update).not.toHaveBeenCalled()
+    expect(OrderStatusHistory.create).not.toHaveBeenCalled()
+  })
+
+  test('does not move an order to a status that is not allowed from its own', async () => {
+    mockOrder('Cancelled')
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Ongoing')
+    expect(TRANSITIONED).toEqual({
+      transitioned: false,
+      message: 'Order cannot move from \'Cancelled\' to \'Ongoing\''
+    })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('does not let an order that has not been paid for leave the unpaid statuses', async () => {
+    mockOrder('Pending writer acknowledgement')
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(false)
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Ongoing', { transaction: TRANSACTION })
+    expect(TRANSITIONED).toEqual({ transitioned: false, message: 'Order has not been paid for' })
+    expect(LIFECYCLE_HELPER.orderIsPaidFor).toHaveBeenCalledWith(4, TRANSACTION)
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('lets an order that has been paid for leave the unpaid statuses', async () => {
+    mockOrder('Pending writer acknowledgement')
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Ongoing', { transaction: TRANSACTION })
+    expect(TRANSITIONED.transitioned).toBe(true)
+  })
+
+  test('cancels an order that has not been paid for', async () => {
+    mockOrder('Pending payment')
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(false)
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Cancelled')
+    expect(TRANSITIONED.transitioned).toBe(true)
+    expect(LIFECYCLE_HELPER.orderIsPaidFor).not.toHaveBeenCalled()
+  })
+
+  test('does not move an order that does not exist', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null)
+    const TRANSITIONED = await LIFECYCLE_HELPER.transitionOrder(4, 'Ongoing')
+    expect(TRANSITIONED).toEqual({ transitioned: false, message: 'Order does not exist' })
+  })
+})
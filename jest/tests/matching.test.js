@@ -0,0 +1,136 @@
+'use strict'
+
+/* Tests of the matching of writers to orders i.e. the weights of the criteria each writer is scored on, and the
+* ranking of the writers. The models are mocked */
+
+const { EducationLevel, Order, Writer } = require('../../models')
+const MATCHING_HELPER = require('../../helpers/orders/matching')
+const CAPACITY_HELPER = require('../../helpers/orders/capacity')
+
+const LEVELS = { 1: 'College', 2: 'Bachelor\'s', 3: 'Master\'s', 4: 'Doctorate' }
+const ORDER = {
+  id: 4,
+  subjectId: 7,
+  citationStyleId: 2,
+  studyLevelId: 3,
+  pageCount: 3,
+  deadline: null,
+  WriterOrder: []
+}
+
+/* Function that returns a writer with the given disciplines, citation styles, levels of education and rating */
+function writer (id, details = {}) {
+  const { primaryDiscipline = null, disciplineIds = [], citationStyleIds = [], levelIds = [], rating } = details
+  return {
+    id: id,
+    surname: 'Writer',
+    otherNames: String(id),
+    User: { email: `writer${id}@example.com` },
+    WriterDiscipline: [{ primaryDiscipline: primaryDiscipline, disciplineIds: disciplineIds }],
+    WriterCitationStyle: [{ citationStyleIds: citationStyleIds }],
+    WriterEducation: levelIds.map(levelId => ({ highestLevelId: levelId })),
+    WriterAverageRating: rating === undefined ? [] : [{ rating: rating }]
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('scoreWriter', () => {
+  test('gives a writer who fits the order on every criterion the full score', () => {
+    const SCORE = MATCHING_HELPER.scoreWriter(writer(1, {
+      primaryDiscipline: 7,
+      citationStyleIds: [2],
+      levelIds: [3],
+      rating: 5
+    }), ORDER, LEVELS, 0)
+    expect(SCORE).toEqual({
+      score: 100,
+      breakdown: { discipline: 30, citationStyle: 10, education: 20, rating: 25, workload: 15 }
+    })
+  })
+
+  test('gives a secondary discipline half of the discipline score', () => {
+    const SCORE = MATCHING_HELPER.scoreWriter(writer(1, { primaryDiscipline: 8, disciplineIds: [7] }), ORDER, LEVELS, 0)
+    expect(SCORE.breakdown.discipline).toBe(15)
+  })
+
+  test('takes half of the education score off for every level below that of the order', () => {
+    const SCORE = level => MATCHING_HELPER.scoreWriter(writer(1, { levelIds: [level] }), ORDER, LEVELS, 0)
+    expect(SCORE(4).breakdown.education).toBe(20)
+    expect(SCORE(2).breakdown.education).toBe(10)
+    expect(SCORE(1).breakdown.education).toBe(0)
+    /* The highest level of the writer counts */
+    expect(MATCHING_HELPER.scoreWriter(writer(1, { levelIds: [1, 3] }), ORDER, LEVELS, 0).breakdown.education)
+      .toBe(20)
+  })
+
+  test('gives a writer without a known level of education no education score', () => {
+    expect(MATCHING_HELPER.scoreWriter(writer(1), ORDER, LEVELS, 0).breakdown.education).toBe(0)
+  })
+
+  test('scores the rating out of 5, and a writer who has not been rated as a 3', () => {
+    expect(MATCHING_HELPER.scoreWriter(writer(1, { rating: 4 }), ORDER, LEVELS, 0).breakdown.rating).toBe(20)
+    expect(MATCHING_HELPER.scoreWriter(writer(1), ORDER, LEVELS, 0).breakdown.rating).toBe(15)
+  })
+
+  test('takes the workload score off as the undelivered orders grow to 5', () => {
+    const WORKLOAD = openOrders => MATCHING_HELPER.scoreWriter(writer(1), ORDER, LEVELS, openOrders).breakdown.workload
+    expect(WORKLOAD(2)).toBe(9)
+    expect(WORKLOAD(5)).toBe(0)
+    expect(WORKLOAD(8)).toBe(0)
+  })
+})
+
+describe('rankWriters', () => {
+  /* Function that returns the capacity of a writer with the given orders in progress */
+  function capacity (openOrders, maxConcurrentOrders = 5) {
+    return {
+      skillLevel: 'Standard',
+      maxConcurrentOrders: maxConcurrentOrders,
+      maxPagesDueIn24Hours: null,
+      openOrders: openOrders,
+      pagesDueIn24Hours: 0
+    }
+  }
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(ORDER)
+    jest.spyOn(EducationLevel, 'findAll').mockResolvedValue(Object.entries(LEVELS)
+      .map(([id, level]) => ({ id: Number(id), level: level })))
+  })
+
+  test('ranks the writers from the best fit, then by who joined first', async () => {
+    jest.spyOn(Writer, 'findAll').mockResolvedValue([
+      writer(1, { rating: 3 }),
+      writer(2, { primaryDiscipline: 7, rating: 3 }),
+      writer(3, { rating: 3 }),
+      writer(4, { rating: 3 })
+    ])
+    jest.spyOn(CAPACITY_HELPER, 'getCapacities').mockResolvedValue({
+      1: capacity(1),
+      2: capacity(1),
+      3: capacity(0),
+      4: capacity(1)
+    })
+    const RANKED = await MATCHING_HELPER.rankWriters(4)
+    expect(RANKED.map(ranked => ranked.writerId)).toEqual([2, 3, 1, 4])
+    expect(RANKED[0]).toMatchObject({ email: 'writer2@example.com', name: '2 Writer', openOrders: 1 })
+  })
+
+  test('leaves out the writer assigned the order and the writers at capacity', async () => {
+    Order.findOne.mockResolvedValue({ ...ORDER, WriterOrder: [{ writerId: 1 }] })
+    jest.spyOn(Writer, 'findAll').mockResolvedValue([writer(1), writer(2), writer(3)])
+    jest.spyOn(CAPACITY_HELPER, 'getCapacities').mockResolvedValue({ 2: capacity(5), 3: capacity(0) })
+    const RANKED = await MATCHING_HELPER.rankWriters(4)
+    expect(CAPACITY_HELPER.getCapacities).toHaveBeenCalledWith([2, 3])
+    expect(RANKED.map(ranked => ranked.writerId)).toEqual([3])
+  })
+
+  test('returns no ranking for an order that does not exist', async () => {
+    Order.findOne.mockResolvedValue(null)
+    jest.spyOn(Writer, 'findAll').mockResolvedValue([])
+    expect(await MATCHING_HELPER.rankWriters(4)).toBeNull()
+  })
+})
@@ -0,0 +1,248 @@
+'use strict'
+
+/* Tests of the STK callbacks from Daraja i.e. the checks made on them, and their processing. The models are mocked
+* when processing them */
+
+const {
+  ClientPayment,
+  ClientRefund,
+  MPESA,
+  MPESACallback,
+  MPESAResultCode,
+  OrderOffer,
+  OrderPaymentDetail,
+  PaymentStatus,
+  WriterOrder
+} = require('../../models')
+const EVENTS_SERVICE = require('../../services/events')
+const LEDGER_HELPER = require('../../helpers/payments/ledger')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+
+/* Function that returns the callback of a successful transaction, with the given changes */
+function stkCallback (changes = {}, items) {
+  return {
+    MerchantRequestID: '29115-34620561-1',
+    CheckoutRequestID: 'ws_CO_191220191020363925',
+    ResultCode: 0,
+    ResultDesc: 'The service request is processed successfully.',
+    CallbackMetadata: {
+      Item: items || [
+        { Name: 'Amount', Value: 1500 },
+        { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+        { Name: 'Balance' },
+        { Name: 'TransactionDate', Value: 20191219102115 },
+        { Name: 'PhoneNumber', Value: 254708374149 }
+      ]
+    },
+    ...changes
+  }
+}
+
+describe('parseMpesaCallback', () => {
+  test('returns the parts of a successful callback', () => {
+    expect(PAYMENTS_HELPER.parseMpesaCallback(stkCallback())).toEqual({
+      valid: true,
+      checkoutRequestId: 'ws_CO_191220191020363925',
+      merchantRequestId: '29115-34620561-1',
+      resultCode: 0,
+      resultDesc: 'The service request is processed successfully.',
+      amount: 1500,
+      receiptNumber: 'NLJ7RT61SV',
+      transactionDate: '20191219102115',
+      mobile: '254708374149'
+    })
+  })
+
+  test('does not require metadata of a failed transaction', () => {
+    const PARSED = PAYMENTS_HELPER.parseMpesaCallback(stkCallback({
+      ResultCode: '1032',
+      ResultDesc: 'Request cancelled by user',
+      CallbackMetadata: undefined
+    }))
+    expect(PARSED).toMatchObject({ valid: true, resultCode: 1032, receiptNumber: null })
+  })
+
+  test('only requires the metadata of a successful transaction of callbacks', () => {
+    const PARSED = PAYMENTS_HELPER.parseMpesaCallback(stkCallback({ CallbackMetadata: undefined }),
+      { metadataRequired: false })
+    expect(PARSED).toMatchObject({ valid: true, resultCode: 0, receiptNumber: null })
+    expect(PAYMENTS_HELPER.parseMpesaCallback(stkCallback({ CallbackMetadata: undefined })))
+      .toEqual({ valid: false, message: 'Invalid CallbackMetadata' })
+  })
+
+  test('accepts a phone number whose digits have been masked', () => {
+    const PARSED = PAYMENTS_HELPER.parseMpesaCallback(stkCallback({}, [
+      { Name: 'Amount', Value: '1500' },
+      { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+      { Name: 'TransactionDate', Value: '20191219102115' },
+      { Name: 'PhoneNumber', Value: '2547******49' }
+    ]))
+    expect(PARSED).toMatchObject({ valid: true, amount: 1500, mobile: '2547******49' })
+  })
+
+  test.each([
+    [null, 'Callback is missing'],
+    ['callback', 'Callback is missing'],
+    [stkCallback({ CheckoutRequestID: undefined }), 'Invalid CheckoutRequestID'],
+    [stkCallback({ CheckoutRequestID: 'ws_CO_1\'; DROP TABLE' }), 'Invalid CheckoutRequestID'],
+    [stkCallback({ MerchantRequestID: 12345 }), 'Invalid MerchantRequestID'],
+    [stkCallback({ ResultCode: '' }), 'Invalid ResultCode'],
+    [stkCallback({ ResultCode: 'failed' }), 'Invalid ResultCode'],
+    [stkCallback({ ResultDesc: null }), 'Invalid ResultDesc'],
+    [stkCallback({ CallbackMetadata: { Item: 'Amount' } }), 'Invalid CallbackMetadata']
+  ])('rejects a callback with missing or malformed parts: %#', (invalidCallback, message) => {
+    expect(PAYMENTS_HELPER.parseMpesaCallback(invalidCallback)).toEqual({ valid: false, message: message })
+  })
+
+  test.each([
+    [[{ Name: 'Amount', Value: 1500 }, { Name: 'Amount', Value: 1 }], 'Invalid CallbackMetadata item'],
+    [[{ Name: 'Amount', Value: { value: 1500 } }], 'Invalid CallbackMetadata item'],
+    [[{ Value: 1500 }], 'Invalid CallbackMetadata item'],
+    [[{ Name: 'Amount', Value: 0 }], 'Invalid Amount'],
+    [[{ Name: 'Amount', Value: -1500 }], 'Invalid Amount'],
+    [[{ Name: 'Amount', Value: 1500 }, { Name: 'MpesaReceiptNumber', Value: 'nlj7rt61sv' }],
+      'Invalid MpesaReceiptNumber'],
+    [[{ Name: 'Amount', Value: 1500 }, { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+      { Name: 'TransactionDate', Value: '2019-12-19' }], 'Invalid TransactionDate'],
+    [[{ Name: 'Amount', Value: 1500 }, { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+      { Name: 'TransactionDate', Value: 20191219102115 }, { Name: 'PhoneNumber', Value: '+254708374149' }],
+    'Invalid PhoneNumber']
+  ])('rejects a successful callback with malformed metadata: %#', (items, message) => {
+    expect(PAYMENTS_HELPER.parseMpesaCallback(stkCallback({}, items))).toEqual({ valid: false, message: message })
+  })
+})
+
+describe('callbackTokenMatches', () => {
+  test('only matches the token whose hash was saved', () => {
+    const HASH = PAYMENTS_HELPER.hashCallbackToken('callback-token')
+    expect(PAYMENTS_HELPER.callbackTokenMatches('callback-token', HASH)).toBe(true)
+    expect(PAYMENTS_HELPER.callbackTokenMatches('another-token', HASH)).toBe(false)
+    expect(PAYMENTS_HELPER.callbackTokenMatches(undefined, HASH)).toBe(false)
+    expect(PAYMENTS_HELPER.callbackTokenMatches('callback-token', null)).toBe(false)
+  })
+})
+
+describe('processMpesaCallback', () => {
+  const TRANSACTION = { LOCK: { UPDATE: 'UPDATE' } }
+  const STATUSES = ['Processing payment', 'Success', 'Failed', 'Success with balance', 'Amount mismatch']
+  let payment
+
+  /* Function that processes the callback of a successful transaction of the given amount */
+  async function processCallback (amount) {
+    const CALLBACK = PAYMENTS_HELPER.parseMpesaCallback(stkCallback({}, [
+      { Name: 'Amount', Value: amount },
+      { Name: 'MpesaReceiptNumber', Value: 'NLJ7RT61SV' },
+      { Name: 'TransactionDate', Value: 20191219102115 },
+      { Name: 'PhoneNumber', Value: 254708374149 }
+    ]))
+    return await PAYMENTS_HELPER.processMpesaCallback(CALLBACK, { verifyToken: false }, TRANSACTION)
+  }
+
+  beforeEach(() => {
+    const DETAILS = {
+      id: 21,
+      orderId: 4,
+      orderChargeId: null,
+      clientId: 5,
+      currencyId: 1,
+      statusId: 1,
+      transactionId: 'TR-21',
+      amount: 1500
+    }
+    payment = {
+      ...DETAILS,
+      update: jest.fn().mockResolvedValue(),
+      get: () => ({ ...DETAILS })
+    }
+    jest.spyOn(ClientPayment, 'findOne').mockResolvedValueOnce(payment).mockResolvedValue(null)
+    jest.spyOn(MPESACallback, 'findOne').mockResolvedValue(null)
+    jest.spyOn(MPESA, 'findOne').mockResolvedValue(null)
+    jest.spyOn(MPESA, 'create').mockResolvedValue({})
+    jest.spyOn(MPESAResultCode, 'findOne').mockResolvedValue({ id: 30 })
+    jest.spyOn(PaymentStatus, 'findAll').mockResolvedValue(STATUSES.map((status, i) => ({ id: i + 1, status })))
+    jest.spyOn(PAYMENTS_HELPER, 'getResultPolicy')
+      .mockResolvedValue({ resultCodeId: 30, status: 'Success', retryable: false, message: 'Received' })
+    jest.spyOn(OrderPaymentDetail, 'findOne').mockResolvedValue({ totalPrice: 1500 })
+    jest.spyOn(LEDGER_HELPER, 'recordPayment').mockResolvedValue({ posted: true })
+    jest.spyOn(LEDGER_HELPER, 'recordRefund').mockResolvedValue({ posted: true })
+    jest.spyOn(ClientRefund, 'create').mockImplementation(async refund => ({ id: 40, ...refund }))
+    jest.spyOn(EVENTS_SERVICE, 'publishToOrder').mockResolvedValue()
+    jest.spyOn(WriterOrder, 'findOne').mockResolvedValue(null)
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(null)
+    jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('refunds the amount received when it is not the amount pushed', async () => {
+    const RESULT = await processCallback(1000)
+    expect(RESULT).toMatchObject({ outcome: 'Processed', paymentUpdated: true, refunded: true, trId: 'TR-21' })
+    /* The payment no longer shows as processing, and is never applied to the order */
+    expect(payment.update).toHaveBeenCalledWith({ statusId: 5, resultCodeId: 30 }, { transaction: TRANSACTION })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+    expect(MPESA.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 1000 }), { transaction: TRANSACTION })
+    expect(LEDGER_HELPER.recordPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 21, amount: 1000 }),
+      TRANSACTION)
+    expect(ClientRefund.create).toHaveBeenCalledWith(expect.objectContaining({
+      clientPaymentId: 21,
+      orderId: 4,
+      amount: 1000,
+      policy: 'Full',
+      reason: 'Payment could not be applied: Amount paid is different from the actual amount'
+    }), { transaction: TRANSACTION })
+    expect(EVENTS_SERVICE.publishToOrder).toHaveBeenCalledWith(4, 'payment.refunded',
+      expect.objectContaining({ amount: 1000 }), expect.anything())
+  })
+
+  test('refunds the amount pushed when it is no longer the price of the order', async () => {
+    OrderPaymentDetail.findOne.mockResolvedValue({ totalPrice: 1800 })
+    const RESULT = await processCallback(1500)
+    expect(RESULT).toMatchObject({ paymentUpdated: true, refunded: true })
+    expect(payment.update).toHaveBeenCalledWith({ statusId: 5, resultCodeId: 30 }, { transaction: TRANSACTION })
+    expect(LEDGER_HELPER.recordPayment).toHaveBeenCalledWith(expect.objectContaining({ amount: 1500 }), TRANSACTION)
+    expect(ClientRefund.create).toHaveBeenCalledWith(expect.objectContaining({ amount: 1500 }), expect.anything())
+  })
+
+  test('applies a payment that adds up to its order', async () => {
+    const RESULT = await processCallback(1500)
+    expect(RESULT).toEqual({ outcome: 'Processed', paymentUpdated: true, trId: 'TR-21' })
+    expect(payment.update).toHaveBeenCalledWith({ statusId: 2, resultCodeId: 30 }, { transaction: TRANSACTION })
+    expect(LEDGER_HELPER.recordPayment).toHaveBeenCalledWith(payment, TRANSACTION)
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Available', expect.anything())
+    expect(ClientRefund.create).not.toHaveBeenCalled()
+  })
+
+  test('does not process a transaction twice', async () => {
+    MPESA.findOne.mockResolvedValue({ id: 9 })
+    const RESULT = await processCallback(1500)
+    expect(RESULT).toMatchObject({ outcome: 'Duplicate', paymentUpdated: false, duplicate: true })
+    expect(payment.update).not.toHaveBeenCalled()
+    expect(LEDGER_HELPER.recordPayment).not.toHaveBeenCalled()
+  })
+})
+
+describe('getNetAmountPaid', () => {
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('only takes off the refunds of the payments that were applied', async () => {
+    jest.spyOn(PaymentStatus, 'findAll').mockResolvedValue([{ id: 2 }, { id: 4 }])
+    jest.spyOn(ClientPayment, 'findAll').mockResolvedValue([{ id: 21, amount: 1500 }, { id: 22, amount: 300 }])
+    jest.spyOn(ClientRefund, 'sum').mockResolvedValue(500)
+    expect(await PAYMENTS_HELPER.getNetAmountPaid(4)).toBe(1300)
+    expect(ClientPayment.findAll.mock.calls[0][0].where).toEqual({ orderId: 4, statusId: [2, 4], isDeleted: false })
+    expect(ClientRefund.sum.mock.calls[0][1].where).toEqual({ clientPaymentId: [21, 22], isDeleted: false })
+  })
+
+  test('is nothing when no payment was applied, even with refunds of mismatched payments', async () => {
+    jest.spyOn(PaymentStatus, 'findAll').mockResolvedValue([{ id: 2 }, { id: 4 }])
+    jest.spyOn(ClientPayment, 'findAll').mockResolvedValue([])
+    jest.spyOn(ClientRefund, 'sum').mockResolvedValue(1000)
+    expect(await PAYMENTS_HELPER.getNetAmountPaid(4)).toBe(0)
+    expect(ClientRefund.sum).not.toHaveBeenCalled()
+  })
+})
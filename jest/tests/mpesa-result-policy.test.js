@@ -0,0 +1,70 @@
+'use strict'
+
+/* Tests of the mapping of the M-Pesa result codes to the outcomes of payments. The policies are read from the
+* database, hence the result codes are mocked */
+
+const { MPESAResultCode } = require('../../models')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+
+/* Function that returns a result code row, with or without a policy */
+function resultCode (id, policy = null) {
+  return {
+    id: id,
+    MPESAResultPolicy: policy && {
+      retryable: policy.retryable,
+      userMessage: policy.userMessage,
+      PaymentStatus: { status: policy.status }
+    }
+  }
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('getResultPolicy', () => {
+  test('returns the policy of a result code', async () => {
+    jest.spyOn(MPESAResultCode, 'findOne').mockResolvedValue(resultCode(12, {
+      status: 'User cancelled',
+      retryable: true,
+      userMessage: 'You cancelled the payment. Try again when ready'
+    }))
+    expect(await PAYMENTS_HELPER.getResultPolicy(1032)).toEqual({
+      resultCodeId: 12,
+      status: 'User cancelled',
+      retryable: true,
+      message: 'You cancelled the payment. Try again when ready'
+    })
+    expect(MPESAResultCode.findOne.mock.calls[0][0].where).toEqual({ resultCode: 1032, isDeleted: false })
+  })
+
+  test('takes a failure without a policy as one that can be retried', async () => {
+    jest.spyOn(MPESAResultCode, 'findOne').mockResolvedValue(resultCode(40))
+    expect(await PAYMENTS_HELPER.getResultPolicy(2028)).toEqual({
+      resultCodeId: 40,
+      status: 'Failed',
+      retryable: true,
+      message: 'Your payment could not be completed. Please try again'
+    })
+  })
+
+  test('takes an unknown result code as a failure that can be retried', async () => {
+    jest.spyOn(MPESAResultCode, 'findOne').mockResolvedValue(null)
+    expect(await PAYMENTS_HELPER.getResultPolicy(4242)).toEqual({
+      resultCodeId: null,
+      status: 'Failed',
+      retryable: true,
+      message: 'Your payment could not be completed. Please try again'
+    })
+  })
+
+  test('takes a success without a policy as final', async () => {
+    jest.spyOn(MPESAResultCode, 'findOne').mockResolvedValue(null)
+    expect(await PAYMENTS_HELPER.getResultPolicy(0)).toEqual({
+      resultCodeId: null,
+      status: 'Success',
+      retryable: false,
+      message: 'Your payment has been received'
+    })
+  })
+})
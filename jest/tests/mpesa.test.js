@@ -0,0 +1,204 @@
+'use strict'
+
+/* Tests of the STK pushes sent through the M-Pesa Daraja API i.e. the requests made to Daraja, the caching of its
+* access tokens, and the sending of a push for the payment of an order. Daraja and the models are mocked */
+
+const { Client, Order, User } = require('../../models')
+const MPESA_HELPER = require('../../helpers/payments/mpesa')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+
+const CONFIG = {
+  MPESA_CONSUMER_KEY: 'key',
+  MPESA_CONSUMER_SECRET: 'secret',
+  MPESA_SHORTCODE: '174379',
+  MPESA_PASSKEY: 'passkey',
+  MPESA_CALLBACK_URL: 'https://dbms.example.com/payment/mpesa/stk_callback'
+}
+
+/* Function that returns a response of Daraja with the given status and body */
+function darajaResponse (body, status = 200) {
+  return { ok: status < 400, status: status, json: async () => body }
+}
+
+/* Function that makes Daraja respond to the token request and then to the push */
+function mockDaraja (pushResponse) {
+  jest.spyOn(global, 'fetch')
+    .mockResolvedValueOnce(darajaResponse({ access_token: 'token', expires_in: '3599' }))
+    .mockResolvedValueOnce(darajaResponse(pushResponse))
+}
+
+beforeEach(() => {
+  Object.assign(process.env, CONFIG)
+  MPESA_HELPER.accessToken = null
+  MPESA_HELPER.accessTokenExpiresAt = 0
+})
+
+afterEach(() => {
+  Object.keys(CONFIG).forEach(key => delete process.env[key])
+  jest.restoreAllMocks()
+})
+
+describe('formatMobile', () => {
+  test.each([
+    ['0712345678', '254712345678'],
+    ['+254 712 345 678', '254712345678'],
+    ['712345678', '254712345678'],
+    ['0110345678', '254110345678']
+  ])('formats %s for Daraja', (mobile, formatted) => {
+    expect(MPESA_HELPER.formatMobile(mobile)).toBe(formatted)
+  })
+
+  test.each(['0212345678', '07123456', '', null])('does not format %p, which is not a Kenyan mobile number', mobile => {
+    expect(MPESA_HELPER.formatMobile(mobile)).toBeNull()
+  })
+})
+
+describe('timestamp', () => {
+  test('gives the time of a request in the East African Time', () => {
+    expect(MPESA_HELPER.timestamp(new Date('2024-12-31T22:15:30.000Z'))).toBe('20250101011530')
+  })
+})
+
+describe('config', () => {
+  test('names the parts of the configuration that are missing', () => {
+    delete process.env.MPESA_PASSKEY
+    delete process.env.MPESA_CALLBACK_URL
+    expect(() => MPESA_HELPER.config()).toThrow('The M-Pesa configuration is missing: passKey, callbackUrl')
+  })
+})
+
+describe('initiateStkPush', () => {
+  test('sends a push, authorised by an access token, that calls back with the token of the payment', async () => {
+    mockDaraja({ ResponseCode: '0', CheckoutRequestID: 'ws_CO_1' })
+    const PUSHED = await MPESA_HELPER.initiateStkPush({
+      mobile: '254712345678',
+      amount: 1500,
+      accountReference: 'Order 123456789',
+      transactionDesc: 'Order 123456789 payment',
+      callbackToken: 'abc'
+    })
+    expect(PUSHED).toEqual({ ResponseCode: '0', CheckoutRequestID: 'ws_CO_1' })
+    expect(fetch.mock.calls[0][0])
+      .toBe('https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials')
+    expect(fetch.mock.calls[0][1].headers.Authorization)
+      .toBe('Basic '.concat(Buffer.from('key:secret').toString('base64')))
+    expect(fetch.mock.calls[1][0]).toBe('https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest')
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe('Bearer token')
+    const BODY = JSON.parse(fetch.mock.calls[1][1].body)
+    expect(BODY).toMatchObject({
+      BusinessShortCode: '174379',
+      Password: MPESA_HELPER.password('174379', 'passkey', BODY.Timestamp),
+      TransactionType: 'CustomerPayBillOnline',
+      Amount: 1500,
+      PartyA: '254712345678',
+      PhoneNumber: '254712345678',
+      CallBackURL: 'https://dbms.example.com/payment/mpesa/stk_callback?token=abc',
+      AccountReference: 'Order 123456',
+      TransactionDesc: 'Order 1234567'
+    })
+  })
+
+  test('uses the access token until it is about to expire', async () => {
+    mockDaraja({ ResponseCode: '0' })
+    fetch.mockResolvedValueOnce(darajaResponse({ ResponseCode: '0' }))
+    await MPESA_HELPER.initiateStkPush({ mobile: '254712345678', amount: 1 })
+    await MPESA_HELPER.initiateStkPush({ mobile: '254712345678', amount: 1 })
+    expect(fetch).toHaveBeenCalledTimes(3)
+    const EXPIRES_IN = MPESA_HELPER.accessTokenExpiresAt - new Date().getTime()
+    expect(EXPIRES_IN).toBeGreaterThan(3500 * 1000)
+    expect(EXPIRES_IN).toBeLessThanOrEqual(3539 * 1000)
+  })
+
+  test('fails with the error of Daraja, and drops an access token it rejects', async () => {
+    MPESA_HELPER.accessToken = 'token'
+    MPESA_HELPER.accessTokenExpiresAt = new Date().getTime() + 60000
+    jest.spyOn(global, 'fetch').mockResolvedValue(darajaResponse({ errorMessage: 'Invalid Access Token' }, 401))
+    await expect(MPESA_HELPER.initiateStkPush({ mobile: '254712345678', amount: 1 }))
+      .rejects.toMatchObject({ message: 'Invalid Access Token', status: 401 })
+    expect(MPESA_HELPER.accessToken).toBeNull()
+  })
+})
+
+describe('initiateClientOrderPayment', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+    jest.spyOn(Client, 'findOne').mockResolvedValue({ id: 5 })
+    jest.spyOn(Order, 'findOne').mockResolvedValue({
+      id: 4,
+      OrderPaymentDetail: [{ totalPrice: 1499.6, Currency: { currencyCode: 'KES' } }]
+    })
+    jest.spyOn(PAYMENTS_HELPER, 'checkIfOrderIsAlreadyPaid').mockResolvedValue({ orderAlreadyPaidFor: false })
+    jest.spyOn(PAYMENTS_HELPER, 'checkOngoingTransaction').mockResolvedValue({ ongoing: false })
+    jest.spyOn(PAYMENTS_HELPER, 'saveClientOrderPayment').mockResolvedValue({ paymentAdded: true, trId: 'TR1' })
+    jest.spyOn(MPESA_HELPER, 'initiateStkPush').mockResolvedValue({
+      ResponseCode: '0',
+      CheckoutRequestID: 'ws_CO_1',
+      CustomerMessage: 'Success. Request accepted for processing'
+    })
+  })
+
+  test('pushes the stored price of the order, and saves the payment against the push', async () => {
+    const INITIATED = await PAYMENTS_HELPER.initiateClientOrderPayment({
+      email: 'client@example.com',
+      orderId: 4,
+      mobile: '0712345678',
+      totalAmount: 1
+    })
+    expect(INITIATED).toEqual({
+      paymentInitiated: true,
+      trId: 'TR1',
+      customerMessage: 'Success. Request accepted for processing'
+    })
+    expect(Order.findOne.mock.calls[0][0].where).toEqual({ id: 4, clientId: 5, isDeleted: false })
+    expect(MPESA_HELPER.initiateStkPush).toHaveBeenCalledWith(expect.objectContaining({
+      mobile: '254712345678',
+      amount: 1500,
+      accountReference: 'Order 4'
+    }))
+    const { callbackToken: CALLBACK_TOKEN } = MPESA_HELPER.initiateStkPush.mock.calls[0][0]
+    expect(PAYMENTS_HELPER.saveClientOrderPayment).toHaveBeenCalledWith({
+      reqObject: expect.objectContaining({
+        orderId: 4,
+        mobile: '254712345678',
+        totalAmount: 1500,
+        currencyCode: 'KES'
+      }),
+      checkoutRequestId: 'ws_CO_1',
+      callbackToken: CALLBACK_TOKEN
+    })
+  })
+
+  test('does not push to an invalid mobile number', async () => {
+    const INITIATED = await PAYMENTS_HELPER.initiateClientOrderPayment({
+      email: 'client@example.com',
+      orderId: 4,
+      mobile: '12345'
+    })
+    expect(INITIATED).toEqual({ paymentInitiated: false, message: 'Invalid mobile number' })
+    expect(MPESA_HELPER.initiateStkPush).not.toHaveBeenCalled()
+  })
+
+  test('does not push for an order that has been paid for, or has a payment underway', async () => {
+    PAYMENTS_HELPER.checkIfOrderIsAlreadyPaid.mockResolvedValue({ orderAlreadyPaidFor: true })
+    const REQUEST = { email: 'client@example.com', orderId: 4, mobile: '0712345678' }
+    const PAID = await PAYMENTS_HELPER.initiateClientOrderPayment(REQUEST)
+    expect(PAID).toEqual({ paymentInitiated: false, message: 'Order has already been paid for' })
+    PAYMENTS_HELPER.checkIfOrderIsAlreadyPaid.mockResolvedValue({ orderAlreadyPaidFor: false })
+    PAYMENTS_HELPER.checkOngoingTransaction.mockResolvedValue({ ongoing: true })
+    const ONGOING = await PAYMENTS_HELPER.initiateClientOrderPayment(REQUEST)
+    expect(ONGOING).toEqual({ paymentInitiated: false, message: 'Similar transaction is already underway' })
+    expect(MPESA_HELPER.initiateStkPush).not.toHaveBeenCalled()
+  })
+
+  test('does not save a payment whose push failed', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    MPESA_HELPER.initiateStkPush.mockRejectedValue(new Error('Daraja is down'))
+    const INITIATED = await PAYMENTS_HELPER.initiateClientOrderPayment({
+      email: 'client@example.com',
+      orderId: 4,
+      mobile: '0712345678'
+    })
+    expect(INITIATED).toEqual({ paymentInitiated: false, message: 'Failed to send the payment request' })
+    expect(PAYMENTS_HELPER.saveClientOrderPayment).not.toHaveBeenCalled()
+  })
+})
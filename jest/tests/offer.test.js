@@ -0,0 +1,249 @@
+'use strict'
+
+/* Tests of the offers of private orders to personal writers i.e. sending an offer, and the writer accepting,
+* declining or failing to respond to it in time. The models are mocked, and the transaction is a stand-in which the
+* queries are expected to run in */
+
+const {
+  ClientWriter,
+  EntityType,
+  Order,
+  OrderOffer,
+  Writer,
+  WriterOrder
+} = require('../../models')
+const OFFERS_HELPER = require('../../helpers/orders/offer')
+const CAPACITY_HELPER = require('../../helpers/orders/capacity')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const EVENTS_SERVICE = require('../../services/events')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that returns a pending offer of the order to the writer, expiring in the given number of hours */
+function offer (expiresIn = 12) {
+  return {
+    id: 3,
+    orderId: 4,
+    writerId: 7,
+    expiresAt: hoursFromNow(expiresIn),
+    update: jest.fn().mockResolvedValue()
+  }
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+  jest.spyOn(EVENTS_SERVICE, 'publish').mockResolvedValue()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('sendOffer', () => {
+  beforeEach(() => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, clientId: 5 })
+    jest.spyOn(ClientWriter, 'findOne').mockResolvedValue({ id: 2 })
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(null)
+    jest.spyOn(OrderOffer, 'create').mockImplementation(async created => ({ id: 3, ...created }))
+    jest.spyOn(Writer, 'findOne').mockResolvedValue({ userId: 30 })
+  })
+
+  test('offers the order to the writer and lets the writer know', async () => {
+    const SENT = await OFFERS_HELPER.sendOffer(4, 7, 1, transaction)
+    expect(SENT).toEqual({
+      statusUpdated: true,
+      writerAlreadyChosen: false,
+      offerId: 3,
+      offerExpiresAt: expect.any(String)
+    })
+    expect(ClientWriter.findOne.mock.calls[0][0].where).toEqual({ clientId: 5, writerId: 7, connectionConfirmed: true })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Pending writer acknowledgement', {
+      actor: 1,
+      reason: 'Offered to personal writer',
+      transaction: transaction
+    })
+    expect(OrderOffer.create).toHaveBeenCalledWith(expect.objectContaining({
+      orderId: 4,
+      writerId: 7,
+      offeredBy: 1,
+      status: 'Pending'
+    }), { transaction: transaction })
+    /* The writer has 24 hours to respond */
+    const EXPIRES_IN = new Date(SENT.offerExpiresAt).getTime() - new Date().getTime()
+    expect(EXPIRES_IN).toBeGreaterThan(23.9 * HOUR)
+    expect(EXPIRES_IN).toBeLessThanOrEqual(24 * HOUR)
+    expect(EVENTS_SERVICE.publish).toHaveBeenCalledWith([30], 'order.offered', expect.objectContaining({
+      orderId: 4,
+      offerId: 3
+    }), transaction)
+  })
+
+  test('does not offer the order to a writer who is not a personal writer of the client', async () => {
+    ClientWriter.findOne.mockResolvedValue(null)
+    const SENT = await OFFERS_HELPER.sendOffer(4, 7, 1, transaction)
+    expect(SENT).toEqual({
+      statusUpdated: false,
+      message: 'Writer is not one of your personal writers',
+      writerAlreadyChosen: false
+    })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+
+  test('does not offer an order that already has a pending offer', async () => {
+    OrderOffer.findOne.mockResolvedValue({ id: 2 })
+    const SENT = await OFFERS_HELPER.sendOffer(4, 7, 1, transaction)
+    expect(SENT).toEqual({
+      statusUpdated: false,
+      message: 'Order already has a pending offer',
+      writerAlreadyChosen: false
+    })
+    expect(OrderOffer.create).not.toHaveBeenCalled()
+  })
+
+  test('does not offer an order that cannot move on', async () => {
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: false, message: 'Order is already ongoing' })
+    const SENT = await OFFERS_HELPER.sendOffer(4, 7, 1, transaction)
+    expect(SENT).toEqual({ statusUpdated: false, message: 'Order is already ongoing', writerAlreadyChosen: false })
+    expect(OrderOffer.create).not.toHaveBeenCalled()
+  })
+})
+
+describe('respondToOffer', () => {
+  beforeEach(() => {
+    jest.spyOn(Writer, 'findOne').mockResolvedValue({ id: 7, userId: 30 })
+    jest.spyOn(Order, 'findOne').mockResolvedValue({ id: 4, pageCount: 3, deadline: hoursFromNow(48) })
+    jest.spyOn(WriterOrder, 'create').mockResolvedValue({ id: 2 })
+    jest.spyOn(CAPACITY_HELPER, 'checkCapacity').mockResolvedValue({ available: true })
+    jest.spyOn(LIFECYCLE_HELPER, 'orderIsPaidFor').mockResolvedValue(true)
+  })
+
+  test('assigns the order to the writer who accepts the offer', async () => {
+    const OFFER = offer()
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(OFFER)
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({ email: 'Writer@example.com', offerId: 3, accept: true })
+    expect(RESPONDED).toEqual({ success: true, status: 'Accepted', orderStatus: 'Ongoing' })
+    expect(OrderOffer.findOne.mock.calls[0][0]).toMatchObject({
+      where: { id: 3, writerId: 7, status: 'Pending' },
+      transaction: transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Ongoing', {
+      actor: 30,
+      reason: 'Offer accepted by writer',
+      transaction: transaction
+    })
+    expect(WriterOrder.create).toHaveBeenCalledWith({ orderId: 4, writerId: 7 }, { transaction: transaction })
+    expect(OFFER.update).toHaveBeenCalledWith({ status: 'Accepted', respondedAt: expect.any(Date) },
+      { transaction: transaction })
+  })
+
+  test('leaves an order that has not been paid for pending payment', async () => {
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(offer())
+    LIFECYCLE_HELPER.orderIsPaidFor.mockResolvedValue(false)
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({ email: 'writer@example.com', offerId: 3, accept: true })
+    expect(RESPONDED.orderStatus).toBe('Pending payment')
+  })
+
+  test('does not assign the order to a writer at capacity', async () => {
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(offer())
+    CAPACITY_HELPER.checkCapacity.mockResolvedValue({ available: false, message: 'Writer is at capacity' })
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({ email: 'writer@example.com', offerId: 3, accept: true })
+    expect(RESPONDED).toEqual({ success: false, writerAtCapacity: true, message: 'Writer is at capacity' })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+    expect(WriterOrder.create).not.toHaveBeenCalled()
+  })
+
+  test('makes the order available again when the writer declines the offer', async () => {
+    const OFFER = offer()
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(OFFER)
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({
+      email: 'writer@example.com',
+      offerId: 3,
+      accept: false,
+      reason: 'Too busy'
+    })
+    expect(RESPONDED).toEqual({ success: true, status: 'Declined' })
+    expect(OFFER.update).toHaveBeenCalledWith({
+      status: 'Declined',
+      declineReason: 'Too busy',
+      respondedAt: expect.any(Date)
+    }, { transaction: transaction })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Available', {
+      actor: 30,
+      reason: 'Offer declined by writer',
+      transaction: transaction
+    })
+    expect(WriterOrder.create).not.toHaveBeenCalled()
+  })
+
+  test('expires an offer the writer responds to too late, and makes the order available again', async () => {
+    const OFFER = offer(-1)
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(OFFER)
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({ email: 'writer@example.com', offerId: 3, accept: true })
+    expect(RESPONDED).toEqual({ success: false, message: 'Offer has expired' })
+    expect(OFFER.update).toHaveBeenCalledWith({ status: 'Expired', declineReason: null, respondedAt: null },
+      { transaction: transaction })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Available', {
+      actor: null,
+      reason: 'Offer expired',
+      transaction: transaction
+    })
+    expect(WriterOrder.create).not.toHaveBeenCalled()
+  })
+
+  test('does not respond to an offer that is not pending, or made to another writer', async () => {
+    jest.spyOn(OrderOffer, 'findOne').mockResolvedValue(null)
+    const RESPONDED = await OFFERS_HELPER.respondToOffer({ email: 'writer@example.com', offerId: 3, accept: true })
+    expect(RESPONDED).toEqual({ success: false, message: 'Offer does not exist' })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+})
+
+describe('releaseToPublicMarket', () => {
+  /* Function that makes the order of the client be a private order in a given status */
+  function mockOrder (status, type = 'Private') {
+    jest.spyOn(Order, 'findOne').mockResolvedValue({
+      id: 4,
+      OrderStatus: { status: status },
+      EntityType: { type: type }
+    })
+  }
+
+  beforeEach(() => {
+    jest.spyOn(OFFERS_HELPER, 'getClient').mockResolvedValue({ id: 5 })
+    jest.spyOn(EntityType, 'findOne').mockResolvedValue({ id: 1 })
+    jest.spyOn(Order, 'update').mockResolvedValue([1])
+  })
+
+  test('makes an available private order public', async () => {
+    mockOrder('Available')
+    const RELEASED = await OFFERS_HELPER.releaseToPublicMarket({ email: 'client@example.com', orderId: 4 })
+    expect(RELEASED).toEqual({ released: true })
+    expect(Order.update).toHaveBeenCalledWith({ type: 1 }, { where: { id: 4 }, transaction: transaction })
+  })
+
+  test('does not release an order while it is offered to a personal writer', async () => {
+    mockOrder('Pending writer acknowledgement')
+    const RELEASED = await OFFERS_HELPER.releaseToPublicMarket({ email: 'client@example.com', orderId: 4 })
+    expect(RELEASED).toEqual({
+      released: false,
+      message: 'Order can only be released while it is not assigned or offered'
+    })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('does not release an order that is already public', async () => {
+    mockOrder('Available', 'Public')
+    const RELEASED = await OFFERS_HELPER.releaseToPublicMarket({ email: 'client@example.com', orderId: 4 })
+    expect(RELEASED).toEqual({ released: false, message: 'Order is already on the public market' })
+  })
+})
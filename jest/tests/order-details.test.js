@@ -0,0 +1,103 @@
+'use strict'
+
+/* Tests of the saving of the details of an order by a client. The models are mocked, and the transaction is a
+* stand-in which the queries are expected to run in */
+
+const {
+  Client,
+  ClientOrderPostingStep,
+  Currency,
+  EntityType,
+  ExtraOrderService,
+  Order,
+  OrderFileType,
+  OrderFormat,
+  OrderPaymentDetail,
+  OrderServiceType,
+  OrderStatus,
+  User
+} = require('../../models')
+const MODEL = require('../../models/index')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const mockTransaction = require('../functions/transaction')
+
+const QUOTE = { quoted: true, currencyCode: 'KES', cpp: 10, extrasTotalPrice: 0, totalPrice: 30, extras: [] }
+
+/* Function that returns the details of an edited order */
+function editedOrder (details = {}) {
+  return {
+    orderId: 4,
+    email: 'Client@Example.com',
+    type: 'public',
+    serviceType: 'Writing',
+    assignmentType: 1,
+    studyLevel: 2,
+    pageCount: 3,
+    deadline: '2021-12-30T10:00',
+    supportingFiles: [],
+    paymentSummary: { currencyCode: 'KES', cpp: 10, extrasTotalPrice: 0, totalPrice: 30, extrasList: [] },
+    ...details
+  }
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  jest.spyOn(PAYMENTS_HELPER, 'getOrderQuote').mockResolvedValue(QUOTE)
+  jest.spyOn(PAYMENTS_HELPER, 'getSavedOrderQuote').mockResolvedValue(QUOTE)
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true, unchanged: true })
+  jest.spyOn(User, 'findOne').mockResolvedValue({ id: 3 })
+  jest.spyOn(Client, 'findOne').mockResolvedValue({ id: 5 })
+  jest.spyOn(OrderServiceType, 'findOne').mockResolvedValue({ id: 1 })
+  jest.spyOn(OrderStatus, 'findOne').mockResolvedValue({ id: 2 })
+  jest.spyOn(OrderFormat, 'findOne').mockResolvedValue({ id: 1 })
+  jest.spyOn(EntityType, 'findOne').mockResolvedValue({ id: 1 })
+  jest.spyOn(Currency, 'findOne').mockResolvedValue({ id: 1 })
+  jest.spyOn(OrderFileType, 'findOne').mockResolvedValue({ id: 6 })
+  jest.spyOn(Order, 'update').mockResolvedValue([1])
+  jest.spyOn(ClientOrderPostingStep, 'update').mockResolvedValue([1])
+  jest.spyOn(OrderPaymentDetail, 'findOne').mockResolvedValue({ id: 8 })
+  jest.spyOn(OrderPaymentDetail, 'update').mockResolvedValue([1])
+  jest.spyOn(ExtraOrderService, 'update').mockResolvedValue([0])
+  jest.spyOn(ExtraOrderService, 'findAll').mockResolvedValue([])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('saveOrderDetails', () => {
+  test('edits an order in the transaction that has locked it', async () => {
+    const SAVED = await ORDERS_HELPER.saveOrderDetails(editedOrder())
+    expect(SAVED).toEqual({ response: 'success', newOrder: false })
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Available',
+      expect.objectContaining({ transaction: transaction }))
+    /* A query outside the transaction would wait for the lock on the order for ever */
+    expect(Order.update.mock.calls[0]).toHaveLength(2)
+    expect(Order.update.mock.calls[0][1]).toEqual({ where: { id: 4 }, transaction: transaction })
+    expect(ClientOrderPostingStep.update.mock.calls[0][1]).toEqual({ where: { orderId: 4 }, transaction: transaction })
+    expect(OrderFileType.findOne.mock.calls[0][0].transaction).toBe(transaction)
+    expect(PAYMENTS_HELPER.getSavedOrderQuote).toHaveBeenCalledWith(4, [], transaction)
+    expect(OrderPaymentDetail.update.mock.calls[0][1]).toEqual({ where: { orderId: 4 }, transaction: transaction })
+    /* The payment details are saved in the transaction of the edit, rather than in one of their own */
+    expect(MODEL.sequelize.transaction).toHaveBeenCalledTimes(1)
+  })
+
+  test('does not edit an order that can no longer be made available', async () => {
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: false, message: 'Order is already paid for' })
+    const SAVED = await ORDERS_HELPER.saveOrderDetails(editedOrder())
+    expect(SAVED).toEqual({ response: 'failed', message: 'Order is already paid for' })
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+
+  test('does not save an order whose totals do not match the quote', async () => {
+    const SAVED = await ORDERS_HELPER.saveOrderDetails(editedOrder({
+      paymentSummary: { currencyCode: 'KES', cpp: 10, extrasTotalPrice: 0, totalPrice: 20, extrasList: [] }
+    }))
+    expect(SAVED).toEqual({ response: 'failed', message: 'Order totals do not match the price quote', quote: QUOTE })
+    expect(LIFECYCLE_HELPER.transitionOrder).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,103 @@
+'use strict'
+
+/* Tests of the search of the orders of a client i.e. the filters, the sorting and the cursor pagination. The models
+* are mocked */
+
+const { ExtraOrderService, Order } = require('../../models')
+const { Op } = require('sequelize')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+
+/* Function that returns the orders with the given IDs, created a day apart */
+function orders (ids) {
+  return ids.map(id => {
+    const ORDER = { id: id, createdAt: new Date(Date.UTC(2021, 11, id)).toISOString(), deadline: null }
+    return { ...ORDER, toJSON: () => ({ ...ORDER }) }
+  })
+}
+
+/* Function that returns the cursor of a page whose last order has the given sort values */
+function cursor (values) {
+  return Buffer.from(JSON.stringify(values)).toString('base64')
+}
+
+beforeEach(() => {
+  jest.spyOn(Order, 'count').mockResolvedValue(3)
+  jest.spyOn(Order, 'findAll').mockResolvedValue([])
+  jest.spyOn(ExtraOrderService, 'findAll').mockResolvedValue([])
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('searchOrders', () => {
+  test('returns a page of orders and the cursor of the next page', async () => {
+    Order.findAll.mockResolvedValue(orders([9, 8, 7]))
+    const PAGE = await ORDERS_HELPER.searchOrders(5, { limit: 2 })
+    expect(PAGE.orders.map(order => order.id)).toEqual([9, 8])
+    expect(PAGE.totalCount).toBe(3)
+    expect(PAGE.nextCursor).toBe(cursor([new Date(Date.UTC(2021, 11, 8)).toISOString(), 8]))
+    expect(Order.findAll.mock.calls[0][0]).toMatchObject({
+      where: { clientId: 5, isDeleted: false },
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: 3
+    })
+  })
+
+  test('does not return a cursor on the last page', async () => {
+    Order.findAll.mockResolvedValue(orders([7]))
+    const PAGE = await ORDERS_HELPER.searchOrders(5, { limit: 2 })
+    expect(PAGE.nextCursor).toBeNull()
+  })
+
+  test('picks up after the last order of the previous page', async () => {
+    await ORDERS_HELPER.searchOrders(5, { sortBy: 'deadline', sortOrder: 'ASC', cursor: cursor(['2021-12-30', 8]) })
+    expect(Order.findAll.mock.calls[0][0].where[Op.and]).toEqual([{
+      [Op.or]: [
+        { deadline: { [Op.gt]: '2021-12-30' } },
+        { deadline: '2021-12-30', id: { [Op.gt]: 8 } }
+      ]
+    }])
+    expect(Order.findAll.mock.calls[0][0].order).toEqual([['deadline', 'ASC'], ['id', 'ASC']])
+    /* The total count is of all the pages */
+    expect(Order.count.mock.calls[0][0].where[Op.and]).toBeUndefined()
+  })
+
+  test.each([
+    ['that is not base64 JSON', 'not a cursor'],
+    ['of another sort', cursor(['2021-12-30'])],
+    ['with values that are not dates or IDs', cursor([{ id: 1 }, 8])]
+  ])('rejects a cursor %s', async (description, invalidCursor) => {
+    const PAGE = await ORDERS_HELPER.searchOrders(5, { cursor: invalidCursor })
+    expect(PAGE).toEqual({ success: false, message: 'Invalid cursor' })
+    expect(Order.findAll).not.toHaveBeenCalled()
+  })
+
+  test('caps the size of a page', async () => {
+    await ORDERS_HELPER.searchOrders(5, { limit: 1000 })
+    expect(Order.findAll.mock.calls[0][0].limit).toBe(101)
+  })
+
+  test('filters the orders, and matches the wildcards in the search text literally', async () => {
+    await ORDERS_HELPER.searchOrders(5, {
+      orderStatusID: 2,
+      studyLevelId: 3,
+      deadlineFrom: '2021-12-01',
+      search: '100%_done'
+    })
+    const WHERE = Order.findAll.mock.calls[0][0].where
+    expect(WHERE).toMatchObject({ clientId: 5, statusId: 2, studyLevelId: 3 })
+    expect(WHERE.deadline).toEqual({ [Op.gte]: '2021-12-01' })
+    expect(WHERE[Op.or]).toEqual([
+      { topic: { [Op.iLike]: '%100\\%\\_done%' } },
+      { instructions: { [Op.iLike]: '%100\\%\\_done%' } }
+    ])
+  })
+
+  test('only returns the orders with a price when sorting by price, and counts them the same way', async () => {
+    await ORDERS_HELPER.searchOrders(5, { sortBy: 'price' })
+    const PRICE = include => include.find(model => model.as === 'OrderPaymentDetail')
+    expect(PRICE(Order.findAll.mock.calls[0][0].include).required).toBe(true)
+    expect(PRICE(Order.count.mock.calls[0][0].include).required).toBe(true)
+  })
+})
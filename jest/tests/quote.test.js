@@ -0,0 +1,130 @@
+'use strict'
+
+/* Tests of the computation of the price quotes of orders. The price tables are read from the database, hence the
+* models are mocked with the rows of a priced service */
+
+const {
+  AssignmentType,
+  BasePrice,
+  EducationLevel,
+  OrderServiceType,
+  PaperDiscount,
+  PriceIncrement
+} = require('../../models')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that returns an order of a given number of pages and hours to the deadline */
+function order (details = {}) {
+  return {
+    assignmentType: 1,
+    serviceTypeId: 1,
+    studyLevelId: 2,
+    pageCount: 3,
+    deadline: hoursFromNow(10 * 24),
+    extras: [],
+    ...details
+  }
+}
+
+beforeEach(() => {
+  jest.spyOn(AssignmentType, 'findOne').mockResolvedValue({ tier: 1 })
+  jest.spyOn(EducationLevel, 'findOne').mockResolvedValue({ level: 'Bachelor\'s' })
+  jest.spyOn(PaperDiscount, 'findOne').mockResolvedValue({ discount: 5 })
+  jest.spyOn(OrderServiceType, 'findAll').mockResolvedValue([])
+  jest.spyOn(BasePrice, 'findOne').mockResolvedValue({ price: 10, Currency: { currencyCode: 'KES' } })
+  jest.spyOn(PriceIncrement, 'findOne').mockResolvedValue({
+    college: 10,
+    bachelors: 20,
+    masters: 30,
+    doctorate: 40,
+    day5: 10,
+    day3: 10,
+    day2: 10,
+    day1: 10,
+    hr12: 10
+  })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('calculateQuote', () => {
+  test('prices the pages with the level increments and the discount', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order())
+    /* 10 + 10% (college) + 20% (bachelor's) */
+    expect(QUOTE.cpp).toBe(13.2)
+    expect(QUOTE.discount).toBe(5)
+    expect(QUOTE.discountAmount).toBe(1.98)
+    expect(QUOTE.totalPrice).toBe(38)
+    expect(QUOTE.currencyCode).toBe('KES')
+  })
+
+  test('adds the prices of the extra services', async () => {
+    OrderServiceType.findAll.mockResolvedValue([{ id: 7, type: 'Plagiarism report', price: '5.00' }])
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ extras: [7] }))
+    expect(QUOTE.extras).toEqual([{ id: 7, type: 'Plagiarism report', price: 5 }])
+    expect(QUOTE.extrasTotalPrice).toBe(5)
+    expect(QUOTE.totalPrice).toBe(43)
+  })
+
+  test('does not discount a single page', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ pageCount: '1' }))
+    expect(QUOTE.discount).toBe(0)
+    expect(QUOTE.totalPrice).toBe(13)
+  })
+
+  test('adds every urgency increment that applies to the deadline', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ deadline: hoursFromNow(10) }))
+    expect(QUOTE.cpp).toBe(PAYMENTS_HELPER.roundPrice(13.2 * Math.pow(1.1, 5)))
+  })
+
+  test('rejects a deadline in the past', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ deadline: hoursFromNow(-1) }))
+    expect(QUOTE).toEqual({ quoted: false, message: 'Invalid deadline' })
+  })
+
+  test('rejects a page count that is not a whole number', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ pageCount: 2.5 }))
+    expect(QUOTE).toEqual({ quoted: false, message: 'Invalid page count' })
+  })
+
+  test('rejects an extra service that does not exist', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order({ extras: [99] }))
+    expect(QUOTE).toEqual({ quoted: false, message: 'Extra service does not exist' })
+  })
+
+  test('rejects a service without a price', async () => {
+    BasePrice.findOne.mockResolvedValue(null)
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order())
+    expect(QUOTE).toEqual({ quoted: false, message: 'No price has been set for the service and assignment types' })
+  })
+})
+
+describe('deadlineIncrementColumns', () => {
+  test('returns the increments of the hours left to the deadline', () => {
+    expect(PAYMENTS_HELPER.deadlineIncrementColumns(hoursFromNow(10 * 24))).toEqual([])
+    expect(PAYMENTS_HELPER.deadlineIncrementColumns(hoursFromNow(4 * 24))).toEqual(['day5'])
+    expect(PAYMENTS_HELPER.deadlineIncrementColumns(hoursFromNow(20)))
+      .toEqual(['day5', 'day3', 'day2', 'day1'])
+    expect(PAYMENTS_HELPER.deadlineIncrementColumns(hoursFromNow(6)))
+      .toEqual(['day5', 'day3', 'day2', 'day1', 'hr12'])
+  })
+})
+
+describe('quoteMatchesSummary', () => {
+  test('allows for rounding differences only', async () => {
+    const QUOTE = await PAYMENTS_HELPER.calculateQuote(order())
+    const SUMMARY = { currencyCode: 'KES', cpp: 13.2, extrasTotalPrice: 0, totalPrice: 38 }
+    expect(PAYMENTS_HELPER.quoteMatchesSummary(QUOTE, { ...SUMMARY, totalPrice: 38.5 })).toBe(true)
+    expect(PAYMENTS_HELPER.quoteMatchesSummary(QUOTE, { ...SUMMARY, totalPrice: 30 })).toBe(false)
+    expect(PAYMENTS_HELPER.quoteMatchesSummary(QUOTE, { ...SUMMARY, currencyCode: 'USD' })).toBe(false)
+  })
+})
@@ -0,0 +1,159 @@
+'use strict'
+
+/* Tests of the reconciliation of the payments with M-Pesa i.e. asking M-Pesa for the outcome of the payments stuck
+* in processing, and the report of the mismatches. M-Pesa and the models are mocked */
+
+const { ClientPayment, PaymentStatus } = require('../../models')
+const { Op } = require('sequelize')
+const MODEL = require('../../models/index')
+const MPESA_HELPER = require('../../helpers/payments/mpesa')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const RECONCILIATION_HELPER = require('../../helpers/payments/reconciliation')
+
+const TRANSACTION = { id: 'transaction', LOCK: { UPDATE: 'UPDATE' } }
+const MINUTE = 60 * 1000
+
+/* Function that returns an error of Daraja with the given error code */
+function darajaError (errorCode, message) {
+  const ERROR = new Error(message)
+  ERROR.response = { errorCode: errorCode }
+  return ERROR
+}
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('reconcileStalePayments', () => {
+  beforeEach(() => {
+    jest.spyOn(PaymentStatus, 'findOne').mockResolvedValue({ id: 2 })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  test('asks for the outcome of every stale payment, and counts the outcomes', async () => {
+    jest.spyOn(ClientPayment, 'findAll').mockResolvedValue([
+      { id: 1, checkoutRequestId: 'ws_CO_1' },
+      { id: 2, checkoutRequestId: 'ws_CO_2' },
+      { id: 3, checkoutRequestId: 'ws_CO_3' },
+      { id: 4, checkoutRequestId: 'ws_CO_4' }
+    ])
+    jest.spyOn(PAYMENTS_HELPER, 'reconcilePayment')
+      .mockResolvedValueOnce({ outcome: 'Processed', updated: true })
+      .mockResolvedValueOnce({ outcome: 'Pending', message: 'The transaction is being processed' })
+      .mockResolvedValueOnce({ outcome: 'Unavailable', message: 'Daraja is down' })
+      .mockResolvedValueOnce({ outcome: 'Processed', updated: true })
+    const OUTCOMES = await RECONCILIATION_HELPER.reconcileStalePayments(TRANSACTION)
+    expect(OUTCOMES).toEqual({ Processed: 2, Pending: 1, Unavailable: 1 })
+    expect(PAYMENTS_HELPER.reconcilePayment).toHaveBeenCalledTimes(4)
+    expect(console.log).toHaveBeenCalledTimes(1)
+    expect(console.log).toHaveBeenCalledWith('Failed to reconcile the payment ws_CO_3: ', 'Daraja is down')
+  })
+
+  test('only asks about the payments that have been processing for a while, but not for too long', async () => {
+    jest.spyOn(ClientPayment, 'findAll').mockResolvedValue([])
+    const OUTCOMES = await RECONCILIATION_HELPER.reconcileStalePayments(TRANSACTION)
+    expect(OUTCOMES).toEqual({ Processed: 0, Pending: 0, Unavailable: 0 })
+    const QUERY = ClientPayment.findAll.mock.calls[0][0]
+    expect(QUERY).toMatchObject({ where: { statusId: 2, isDeleted: false }, limit: 50, transaction: TRANSACTION })
+    const [FROM, TO] = QUERY.where.updatedAt[Op.between]
+    const NOW = new Date().getTime()
+    expect(NOW - FROM.getTime()).toBeGreaterThanOrEqual(24 * 60 * MINUTE)
+    expect(NOW - FROM.getTime()).toBeLessThan(24 * 60 * MINUTE + MINUTE)
+    expect(NOW - TO.getTime()).toBeGreaterThanOrEqual(PAYMENTS_HELPER.STALE_PAYMENT_MINUTES * MINUTE)
+    expect(PaymentStatus.findOne.mock.calls[0][0].transaction).toBe(TRANSACTION)
+  })
+})
+
+describe('reconcilePayment', () => {
+  beforeEach(() => {
+    jest.spyOn(PAYMENTS_HELPER, 'updateClientOrderPayment').mockResolvedValue({ updated: true })
+  })
+
+  test('applies the outcome M-Pesa gives, as a status query', async () => {
+    jest.spyOn(MPESA_HELPER, 'queryStkPush').mockResolvedValue({
+      MerchantRequestID: '29115-34620561-1',
+      ResultCode: '1032',
+      ResultDesc: 'Request cancelled by user'
+    })
+    const RECONCILED = await PAYMENTS_HELPER.reconcilePayment({ checkoutRequestId: 'ws_CO_1' })
+    expect(RECONCILED).toEqual({ outcome: 'Processed', updated: true })
+    expect(PAYMENTS_HELPER.updateClientOrderPayment).toHaveBeenCalledWith({
+      CheckoutRequestID: 'ws_CO_1',
+      MerchantRequestID: '29115-34620561-1',
+      ResultCode: '1032',
+      ResultDesc: 'Request cancelled by user'
+    }, expect.objectContaining({ statusQuery: true }))
+  })
+
+  test('leaves a payment the client is yet to respond to pending', async () => {
+    const ERROR = darajaError(MPESA_HELPER.TRANSACTION_PROCESSING_ERROR_CODE, 'The transaction is being processed')
+    jest.spyOn(MPESA_HELPER, 'queryStkPush').mockRejectedValue(ERROR)
+    const RECONCILED = await PAYMENTS_HELPER.reconcilePayment({ checkoutRequestId: 'ws_CO_1' })
+    expect(RECONCILED).toEqual({ outcome: 'Pending', message: 'The transaction is being processed' })
+    expect(PAYMENTS_HELPER.updateClientOrderPayment).not.toHaveBeenCalled()
+  })
+
+  test('leaves a payment as it is when M-Pesa cannot be asked', async () => {
+    jest.spyOn(MPESA_HELPER, 'queryStkPush').mockRejectedValue(new Error('fetch failed'))
+    const RECONCILED = await PAYMENTS_HELPER.reconcilePayment({ checkoutRequestId: 'ws_CO_1' })
+    expect(RECONCILED).toEqual({ outcome: 'Unavailable', message: 'fetch failed' })
+    expect(PAYMENTS_HELPER.updateClientOrderPayment).not.toHaveBeenCalled()
+  })
+})
+
+describe('getReconciliationReport', () => {
+  beforeEach(() => {
+    jest.spyOn(PAYMENTS_HELPER, 'getAdmin').mockResolvedValue({ id: 1 })
+    jest.spyOn(MODEL.sequelize, 'query').mockResolvedValue([
+      { issue: 'Paid more than once', orderId: 4 },
+      { issue: 'Paid more than once', orderId: 4 },
+      { issue: 'Receipt without payment', orderId: null }
+    ])
+  })
+
+  test('reports the mismatches of the period, with the number of each kind', async () => {
+    const REPORT = await RECONCILIATION_HELPER.getReconciliationReport({
+      email: 'admin@example.com',
+      from: '2024-01-01T00:00:00Z',
+      to: '2024-01-31T00:00:00Z'
+    })
+    expect(REPORT).toMatchObject({
+      reported: true,
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-01-31T00:00:00Z')
+    })
+    expect(REPORT.mismatches).toHaveLength(3)
+    expect(REPORT.summary).toMatchObject({
+      'Paid more than once': 2,
+      'Receipt without payment': 1,
+      'Stuck in processing': 0
+    })
+    expect(MODEL.sequelize.query.mock.calls[0][1].replacements).toMatchObject({
+      from: new Date('2024-01-01T00:00:00Z'),
+      to: new Date('2024-01-31T00:00:00Z'),
+      successStatuses: ['Success', 'Success with balance']
+    })
+  })
+
+  test('reports on the last 30 days when no period is given', async () => {
+    const REPORT = await RECONCILIATION_HELPER.getReconciliationReport({ email: 'admin@example.com' })
+    expect(REPORT.to.getTime() - REPORT.from.getTime()).toBe(30 * 24 * 60 * MINUTE)
+  })
+
+  test('does not report on an invalid period', async () => {
+    const REPORT = await RECONCILIATION_HELPER.getReconciliationReport({
+      email: 'admin@example.com',
+      from: '2024-02-01',
+      to: '2024-01-01'
+    })
+    expect(REPORT).toEqual({ reported: false, message: 'Invalid report period' })
+    expect(MODEL.sequelize.query).not.toHaveBeenCalled()
+  })
+
+  test('only lets admins get the report', async () => {
+    PAYMENTS_HELPER.getAdmin.mockResolvedValue(null)
+    const REPORT = await RECONCILIATION_HELPER.getReconciliationReport({ email: 'client@example.com' })
+    expect(REPORT).toEqual({ reported: false, message: 'Only admins can get the reconciliation report' })
+    expect(MODEL.sequelize.query).not.toHaveBeenCalled()
+  })
+})
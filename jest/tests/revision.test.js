@@ -0,0 +1,110 @@
+'use strict'
+
+/* Tests of the revision policy i.e. the free revisions left on an order, the window in which they can be requested,
+* the minimum deadline of a revision and the price of a paid revision. The models are mocked */
+
+const { OrderPaymentDetail, OrderRevision, RevisionPolicy } = require('../../models')
+const REVISIONS_HELPER = require('../../helpers/orders/revision')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+
+const HOUR = 60 * 60 * 1000
+const ORDER = { id: 4, pageCount: 3 }
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+beforeEach(() => {
+  /* Two free revisions within a week of the delivery, a minimum deadline of 6 hours plus 2 hours per page, and paid
+  * revisions at 30% of the price of the pages */
+  jest.spyOn(RevisionPolicy, 'findOne').mockResolvedValue({
+    freeRevisionWindowHours: 168,
+    maxFreeRevisions: 2,
+    minDeadlineBaseHours: 6,
+    minDeadlineHoursPerPage: 2,
+    paidRevisionPercentage: 30
+  })
+  jest.spyOn(OrderRevision, 'count').mockResolvedValue(0)
+  jest.spyOn(LIFECYCLE_HELPER, 'statusEnteredAt').mockResolvedValue(hoursFromNow(-24))
+  jest.spyOn(OrderPaymentDetail, 'findOne').mockResolvedValue({ extrasTotalPrice: 300, totalPrice: 1800 })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('getAllowance', () => {
+  test('computes the allowance of an order from the policy in use', async () => {
+    const DELIVERED_AT = hoursFromNow(-24)
+    LIFECYCLE_HELPER.statusEnteredAt.mockResolvedValue(DELIVERED_AT)
+    const ALLOWANCE = await REVISIONS_HELPER.getAllowance(ORDER)
+    expect(ALLOWANCE).toMatchObject({
+      freeRevisionsRemaining: 2,
+      nextRevisionFree: true,
+      minimumDeadlineHours: 12,
+      /* 30% of the pages, leaving out the extras */
+      paidRevisionPrice: 450
+    })
+    expect(ALLOWANCE.freeRevisionWindowEndsAt).toEqual(new Date(DELIVERED_AT.getTime() + 168 * HOUR))
+    expect(LIFECYCLE_HELPER.statusEnteredAt).toHaveBeenCalledWith(4, 'Submitted', undefined)
+    expect(OrderRevision.count.mock.calls[0][0].where).toEqual({ orderId: 4, paid: false, isDeleted: false })
+  })
+
+  test('does not give free revisions once they are used up', async () => {
+    OrderRevision.count.mockResolvedValue(2)
+    const ALLOWANCE = await REVISIONS_HELPER.getAllowance(ORDER)
+    expect(ALLOWANCE).toMatchObject({ freeRevisionsRemaining: 0, nextRevisionFree: false })
+  })
+
+  test('does not give free revisions once the window after the latest delivery has elapsed', async () => {
+    LIFECYCLE_HELPER.statusEnteredAt.mockResolvedValue(hoursFromNow(-169))
+    const ALLOWANCE = await REVISIONS_HELPER.getAllowance(ORDER)
+    expect(ALLOWANCE).toMatchObject({ freeRevisionsRemaining: 2, nextRevisionFree: false })
+  })
+
+  test('does not give free revisions on an order that has not been delivered', async () => {
+    LIFECYCLE_HELPER.statusEnteredAt.mockResolvedValue(null)
+    const ALLOWANCE = await REVISIONS_HELPER.getAllowance(ORDER)
+    expect(ALLOWANCE).toMatchObject({ freeRevisionWindowEndsAt: null, nextRevisionFree: false })
+  })
+
+  test('returns no allowance when no policy is in use', async () => {
+    RevisionPolicy.findOne.mockResolvedValue(null)
+    expect(await REVISIONS_HELPER.getAllowance(ORDER)).toBeNull()
+  })
+})
+
+describe('checkRevisionRequest', () => {
+  test('allows a free revision', async () => {
+    const CHECK = await REVISIONS_HELPER.checkRevisionRequest(ORDER, hoursFromNow(13), false)
+    expect(CHECK).toEqual({ allowed: true, paid: false, price: 0 })
+  })
+
+  test('does not allow a revision due sooner than the minimum deadline', async () => {
+    const CHECK = await REVISIONS_HELPER.checkRevisionRequest(ORDER, hoursFromNow(11), false)
+    expect(CHECK).toMatchObject({ allowed: false, message: 'Revision deadline should be at least 12 hours away' })
+  })
+
+  test('asks the client to accept a paid revision once the free revisions are used up', async () => {
+    OrderRevision.count.mockResolvedValue(2)
+    const CHECK = await REVISIONS_HELPER.checkRevisionRequest(ORDER, hoursFromNow(13), false)
+    expect(CHECK).toMatchObject({
+      allowed: false,
+      message: 'The free revisions on this order are used up. Further revisions are paid for',
+      allowance: expect.objectContaining({ paidRevisionPrice: 450 })
+    })
+  })
+
+  test('allows a paid revision the client has accepted, at the price of the policy', async () => {
+    OrderRevision.count.mockResolvedValue(2)
+    const CHECK = await REVISIONS_HELPER.checkRevisionRequest(ORDER, hoursFromNow(13), true)
+    expect(CHECK).toEqual({ allowed: true, paid: true, price: 450 })
+  })
+
+  test('does not allow revisions when no policy is in use', async () => {
+    RevisionPolicy.findOne.mockResolvedValue(null)
+    const CHECK = await REVISIONS_HELPER.checkRevisionRequest(ORDER, hoursFromNow(13), true)
+    expect(CHECK).toEqual({ allowed: false, message: 'Revisions are not available at the moment' })
+  })
+})
@@ -0,0 +1,170 @@
+'use strict'
+
+/* Tests of the time-based rules on orders, and of the scheduler that runs them. The models are mocked, and the
+* transaction is a stand-in which the queries are expected to run in */
+
+const MODELS = require('../../models')
+const { Order, OrderOffer, OrderRevision, PaymentStatus } = MODELS
+const MODEL = require('../../models/index')
+const SLA_HELPER = require('../../helpers/orders/sla')
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const OFFERS_HELPER = require('../../helpers/orders/offer')
+const PAYMENTS_HELPER = require('../../helpers/payments/payment')
+const CHARGES_HELPER = require('../../helpers/payments/charge')
+const SCHEDULER_SERVICE = require('../../services/scheduler')
+const mockTransaction = require('../functions/transaction')
+
+const HOUR = 60 * 60 * 1000
+
+/* Function that returns a date the given number of hours from now */
+function hoursFromNow (hours) {
+  return new Date(new Date().getTime() + hours * HOUR)
+}
+
+/* Function that makes the orders in each of the given statuses be the given ones */
+function mockOrders (ordersByStatus) {
+  Order.findAll.mockImplementation(async query => ordersByStatus[query.include[0].where.status] || [])
+}
+
+let transaction
+
+beforeEach(() => {
+  transaction = mockTransaction()
+  Object.values(MODELS).filter(model => model && typeof model.findAll === 'function').forEach(model => {
+    jest.spyOn(model, 'findAll').mockResolvedValue([])
+  })
+  jest.spyOn(Order, 'update').mockResolvedValue([1])
+  jest.spyOn(OrderRevision, 'update').mockResolvedValue([1])
+  jest.spyOn(LIFECYCLE_HELPER, 'transitionOrder').mockResolvedValue({ transitioned: true })
+  jest.spyOn(LIFECYCLE_HELPER, 'statusEnteredAt').mockResolvedValue(null)
+  jest.spyOn(CHARGES_HELPER, 'withdrawCharges').mockResolvedValue([])
+  jest.spyOn(PAYMENTS_HELPER, 'creditWriterEarning').mockResolvedValue({})
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('flagOverdueOrders', () => {
+  test('flags the ongoing orders past their deadline', async () => {
+    mockOrders({ Ongoing: [{ id: 4 }, { id: 5 }] })
+    const FLAGGED = await SLA_HELPER.flagOverdueOrders(transaction)
+    expect(FLAGGED).toEqual([4, 5])
+    expect(Order.findAll.mock.calls[0][0]).toMatchObject({ where: { overdueAt: null }, transaction: transaction })
+    expect(Order.update).toHaveBeenCalledWith({ overdueAt: expect.any(Date) }, {
+      where: { id: [4, 5], overdueAt: null },
+      transaction: transaction
+    })
+  })
+
+  test('flags each overdue revision, and its order once', async () => {
+    mockOrders({ 'Undergoing revision': [{ id: 6 }] })
+    OrderRevision.findAll.mockResolvedValue([{ id: 1, orderId: 6 }, { id: 2, orderId: 6 }])
+    const FLAGGED = await SLA_HELPER.flagOverdueOrders(transaction)
+    expect(FLAGGED).toEqual([6])
+    expect(OrderRevision.findAll.mock.calls[0][0].where).toMatchObject({
+      orderId: [6],
+      submitted: false,
+      overdueAt: null
+    })
+    expect(OrderRevision.update).toHaveBeenCalledWith({ overdueAt: expect.any(Date) }, {
+      where: { id: [1, 2] },
+      transaction: transaction
+    })
+    expect(Order.update.mock.calls[0][1].where).toEqual({ id: [6], overdueAt: null })
+  })
+
+  test('does not flag anything when no deadline has passed', async () => {
+    const FLAGGED = await SLA_HELPER.flagOverdueOrders(transaction)
+    expect(FLAGGED).toEqual([])
+    expect(Order.update).not.toHaveBeenCalled()
+  })
+})
+
+describe('autoCompleteSubmittedOrders', () => {
+  test('completes the orders the client has not reviewed within the review window', async () => {
+    mockOrders({ Submitted: [{ id: 4, updatedAt: hoursFromNow(-100) }, { id: 5, updatedAt: hoursFromNow(-1) }] })
+    const COMPLETED = await SLA_HELPER.autoCompleteSubmittedOrders(transaction)
+    expect(COMPLETED).toEqual([4])
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledTimes(1)
+    expect(LIFECYCLE_HELPER.transitionOrder).toHaveBeenCalledWith(4, 'Completed', {
+      reason: 'Review window elapsed',
+      transaction: transaction
+    })
+    expect(PAYMENTS_HELPER.creditWriterEarning).toHaveBeenCalledWith(4, expect.objectContaining({
+      transaction: transaction
+    }))
+  })
+
+  test('counts the review window from the time the order was submitted', async () => {
+    mockOrders({ Submitted: [{ id: 4, updatedAt: hoursFromNow(-1) }] })
+    LIFECYCLE_HELPER.statusEnteredAt.mockResolvedValue(hoursFromNow(-73))
+    const COMPLETED = await SLA_HELPER.autoCompleteSubmittedOrders(transaction)
+    expect(COMPLETED).toEqual([4])
+    expect(LIFECYCLE_HELPER.statusEnteredAt).toHaveBeenCalledWith(4, 'Submitted', transaction)
+  })
+
+  test('completes the orders whose paid revision has not been paid for, and drops the revision', async () => {
+    mockOrders({ 'Pending revision': [{ id: 7, updatedAt: hoursFromNow(-100) }] })
+    const COMPLETED = await SLA_HELPER.autoCompleteSubmittedOrders(transaction)
+    expect(COMPLETED).toEqual([7])
+    expect(CHARGES_HELPER.withdrawCharges).toHaveBeenCalledWith(7, {}, transaction)
+  })
+
+  test('does not credit the writer of an order that could not be completed', async () => {
+    mockOrders({ Submitted: [{ id: 4, updatedAt: hoursFromNow(-100) }] })
+    LIFECYCLE_HELPER.transitionOrder.mockResolvedValue({ transitioned: false })
+    const COMPLETED = await SLA_HELPER.autoCompleteSubmittedOrders(transaction)
+    expect(COMPLETED).toEqual([])
+    expect(PAYMENTS_HELPER.creditWriterEarning).not.toHaveBeenCalled()
+  })
+})
+
+describe('expireWriterAcknowledgements', () => {
+  test('expires the offers that have not been responded to in time', async () => {
+    const OFFER = { id: 3, orderId: 4 }
+    OrderOffer.findAll.mockResolvedValue([OFFER])
+    jest.spyOn(OFFERS_HELPER, 'closeOffer').mockResolvedValue({ transitioned: true })
+    const EXPIRED = await SLA_HELPER.expireWriterAcknowledgements(transaction)
+    expect(EXPIRED).toEqual([4])
+    expect(OrderOffer.findAll.mock.calls[0][0]).toMatchObject({
+      where: { status: 'Pending' },
+      transaction: transaction,
+      lock: transaction.LOCK.UPDATE
+    })
+    expect(OFFERS_HELPER.closeOffer).toHaveBeenCalledWith(OFFER, 'Expired', { transaction: transaction })
+  })
+})
+
+describe('SchedulerService.run', () => {
+  beforeEach(() => {
+    jest.spyOn(PaymentStatus, 'findOne').mockResolvedValue({ id: 1 })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  test('runs every job in a transaction of its own', async () => {
+    jest.spyOn(MODEL.sequelize, 'query').mockResolvedValue([[{ locked: true }]])
+    const RESULTS = await SCHEDULER_SERVICE.run()
+    expect(RESULTS).toMatchObject({ flagOverdueOrders: [], autoCompleteSubmittedOrders: [] })
+    expect(MODEL.sequelize.transaction).toHaveBeenCalledTimes(Object.keys(RESULTS).length)
+    expect(MODEL.sequelize.query).toHaveBeenCalledWith(expect.stringContaining('pg_try_advisory_xact_lock'),
+      expect.objectContaining({ transaction: transaction }))
+  })
+
+  test('skips the jobs when another instance holds the lock', async () => {
+    jest.spyOn(MODEL.sequelize, 'query').mockResolvedValue([[{ locked: false }]])
+    const RESULTS = await SCHEDULER_SERVICE.run()
+    expect(Object.values(RESULTS).every(result => result === null)).toBe(true)
+    expect(Order.findAll).not.toHaveBeenCalled()
+  })
+
+  test('runs the other jobs when a job fails', async () => {
+    jest.spyOn(MODEL.sequelize, 'query').mockResolvedValue([[{ locked: true }]])
+    Order.update.mockRejectedValue(new Error('Deadlock'))
+    mockOrders({ Ongoing: [{ id: 4 }] })
+    const RESULTS = await SCHEDULER_SERVICE.run()
+    expect(RESULTS.flagOverdueOrders).toBeUndefined()
+    expect(RESULTS.autoCompleteSubmittedOrders).toEqual([])
+    expect(console.log).toHaveBeenCalledWith('flagOverdueOrders', expect.any(Error))
+  })
+})
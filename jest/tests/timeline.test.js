@@ -0,0 +1,110 @@
+'use strict'
+
+/* Tests of the activity timeline of an order i.e. who can view it, and how its entries are attributed and ordered.
+* The models are mocked, and return no rows unless a test says otherwise */
+
+const MODELS = require('../../models')
+const { Admin, ClientPayment, Order, OrderBid, OrderRevision, User } = MODELS
+const LIFECYCLE_HELPER = require('../../helpers/orders/lifecycle')
+const ORDERS_HELPER = require('../../helpers/orders/order')
+
+const CLIENT_USER_ID = 10
+const WRITER_USER_ID = 20
+
+/* Function that returns the date of the given day of December 2021 */
+function day (date) {
+  return new Date(Date.UTC(2021, 11, date))
+}
+
+beforeEach(() => {
+  Object.values(MODELS).filter(model => model && typeof model.findAll === 'function').forEach(model => {
+    jest.spyOn(model, 'findAll').mockResolvedValue([])
+  })
+  jest.spyOn(LIFECYCLE_HELPER, 'getOrderStatusHistory').mockResolvedValue([])
+  jest.spyOn(User, 'findOne').mockResolvedValue({ id: CLIENT_USER_ID })
+  jest.spyOn(Admin, 'findOne').mockResolvedValue(null)
+  jest.spyOn(Order, 'findOne').mockResolvedValue({
+    id: 4,
+    Client: { userId: CLIENT_USER_ID },
+    WriterOrder: [{ id: 1, Writer: { userId: WRITER_USER_ID } }]
+  })
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+describe('getOrderTimeline', () => {
+  test('merges the activities on an order in chronological order', async () => {
+    LIFECYCLE_HELPER.getOrderStatusHistory.mockResolvedValue([
+      { actor: null, reason: 'Order created', createdAt: day(1), FromStatus: null, ToStatus: { status: 'Available' } },
+      {
+        actor: WRITER_USER_ID,
+        reason: null,
+        createdAt: day(4),
+        FromStatus: { status: 'Available' },
+        ToStatus: { status: 'Ongoing' }
+      }
+    ])
+    ClientPayment.findAll.mockResolvedValue([{
+      transactionId: 'TR1',
+      amount: 1500,
+      createdAt: day(2),
+      updatedAt: day(2),
+      PaymentStatus: { status: 'Success' },
+      Currency: { currencyCode: 'KES' }
+    }])
+    OrderBid.findAll.mockResolvedValue([{
+      successful: true,
+      withdrawn: false,
+      createdAt: day(3),
+      Writer: { userId: WRITER_USER_ID, surname: 'Otieno', otherNames: 'Jane' }
+    }])
+    const TIMELINE = await ORDERS_HELPER.getOrderTimeline({ email: 'Client@Example.com', orderId: 4 })
+    expect(TIMELINE.success).toBe(true)
+    expect(TIMELINE.timeline.map(entry => entry.type)).toEqual(['status_change', 'payment', 'bid', 'status_change'])
+    expect(TIMELINE.timeline[0]).toEqual({
+      type: 'status_change',
+      timestamp: day(1),
+      actor: { role: 'system', userId: null },
+      details: { from: null, to: 'Available', reason: 'Order created' }
+    })
+    expect(TIMELINE.timeline[1]).toMatchObject({
+      actor: { role: 'client', userId: CLIENT_USER_ID },
+      details: { trId: 'TR1', amount: 1500, currencyCode: 'KES', status: 'Success' }
+    })
+    expect(TIMELINE.timeline[2].details).toEqual({ writer: 'Otieno Jane', successful: true, withdrawn: false })
+    expect(TIMELINE.timeline[3].actor).toEqual({ role: 'writer', userId: WRITER_USER_ID })
+  })
+
+  test('attributes the activities of the other users to the support staff', async () => {
+    OrderRevision.findAll.mockResolvedValue([{ creator: 30, deadline: day(9), submitted: false, createdAt: day(5) }])
+    const TIMELINE = await ORDERS_HELPER.getOrderTimeline({ email: 'client@example.com', orderId: 4 })
+    expect(TIMELINE.timeline).toEqual([{
+      type: 'revision_request',
+      timestamp: day(5),
+      actor: { role: 'admin', userId: 30 },
+      details: { deadline: day(9), submitted: false }
+    }])
+  })
+
+  test('lets an admin view the timeline of an order', async () => {
+    User.findOne.mockResolvedValue({ id: 30 })
+    Admin.findOne.mockResolvedValue({ id: 1 })
+    const TIMELINE = await ORDERS_HELPER.getOrderTimeline({ email: 'admin@example.com', orderId: 4 })
+    expect(TIMELINE).toEqual({ success: true, timeline: [] })
+  })
+
+  test('does not let the other users view the timeline of an order', async () => {
+    User.findOne.mockResolvedValue({ id: WRITER_USER_ID })
+    const TIMELINE = await ORDERS_HELPER.getOrderTimeline({ email: 'writer@example.com', orderId: 4 })
+    expect(TIMELINE).toEqual({ success: false, message: 'Order does not exist' })
+    expect(LIFECYCLE_HELPER.getOrderStatusHistory).not.toHaveBeenCalled()
+  })
+
+  test('does not return the timeline of an order that does not exist', async () => {
+    Order.findOne.mockResolvedValue(null)
+    const TIMELINE = await ORDERS_HELPER.getOrderTimeline({ email: 'client@example.com', orderId: 4 })
+    expect(TIMELINE).toEqual({ success: false, message: 'Order does not exist' })
+  })
+})
@@ -0,0 +1,79 @@
+'use strict'
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('order_status_history', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      fromStatusId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'order_status',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      toStatusId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order_status',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      actor: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'user',
+            schema: 'public'
+          },
+          key: 'id'
+        }
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      isDeleted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: 'orders'
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'order_status_history', schema: 'orders' })
+  }
+}
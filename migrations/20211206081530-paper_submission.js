@@ -0,0 +1,78 @@
+'use strict'
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('paper_submission', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      writerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'writer',
+            schema: 'writer'
+          },
+          key: 'id'
+        }
+      },
+      orderFileId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order_file',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      revision: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      deadline: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      late: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      isDeleted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: 'orders'
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'paper_submission', schema: 'orders' })
+  }
+}
@@ -0,0 +1,94 @@
+'use strict'
+/* Adds the bidding details to the order bids, then moves the writer bids (which duplicated the order bids) into
+* the order bids before dropping them */
+const table = { schema: 'orders', tableName: 'order_bid' }
+const writerBidTable = { schema: 'writer', tableName: 'writer_bid' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.addColumn(table, 'coverMessage', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(table, 'proposedCompletion', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(table, 'withdrawn', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction })
+      await queryInterface.addColumn(table, 'closed', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction })
+      await queryInterface.sequelize.query(`
+        INSERT INTO orders.order_bid ("orderId", "writerId", successful, "isDeleted", "createdAt", "updatedAt")
+        SELECT wb."orderId", wb."writerId", wb.successful, wb."isDeleted", wb."createdAt", wb."updatedAt"
+        FROM writer.writer_bid wb
+        WHERE NOT EXISTS (
+          SELECT 1 FROM orders.order_bid ob WHERE ob."orderId" = wb."orderId" AND ob."writerId" = wb."writerId"
+        )
+      `, { transaction })
+      await queryInterface.dropTable(writerBidTable, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.createTable('writer_bid', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        writerId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'writer',
+              schema: 'writer'
+            },
+            key: 'id'
+          }
+        },
+        orderId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        successful: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, { schema: 'writer', transaction })
+      await queryInterface.removeColumn(table, 'closed', { transaction })
+      await queryInterface.removeColumn(table, 'withdrawn', { transaction })
+      await queryInterface.removeColumn(table, 'proposedCompletion', { transaction })
+      await queryInterface.removeColumn(table, 'coverMessage', { transaction })
+    })
+  }
+}
@@ -0,0 +1,18 @@
+'use strict'
+const table = { schema: 'orders', tableName: 'order' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.addColumn(table, 'overdueAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(table, 'overdueAt', { transaction })
+    })
+  }
+}
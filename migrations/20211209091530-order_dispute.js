@@ -0,0 +1,168 @@
+'use strict'
+const orderFileTable = { schema: 'orders', tableName: 'order_file' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.createTable('order_dispute', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        orderId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        openedBy: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        reasonCategory: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        resolved: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        outcome: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        refundAmount: {
+          type: Sequelize.FLOAT,
+          allowNull: true
+        },
+        resolutionNote: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        resolvedBy: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        resolvedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'orders',
+        transaction
+      })
+      await queryInterface.createTable('dispute_statement', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        disputeId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order_dispute',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        party: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        statement: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'orders',
+        transaction
+      })
+      /* The evidence of a dispute is saved as order files, which point to the dispute */
+      await queryInterface.addColumn(orderFileTable, 'disputeId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'order_dispute',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      }, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(orderFileTable, 'disputeId', { transaction })
+      await queryInterface.dropTable({ tableName: 'dispute_statement', schema: 'orders' }, { transaction })
+      await queryInterface.dropTable({ tableName: 'order_dispute', schema: 'orders' }, { transaction })
+    })
+  }
+}
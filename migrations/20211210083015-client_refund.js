@@ -0,0 +1,76 @@
+'use strict'
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('client_refund', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      clientPaymentId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'client_payment',
+            schema: 'payments'
+          },
+          key: 'id'
+        }
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      amount: {
+        type: Sequelize.FLOAT,
+        allowNull: false
+      },
+      policy: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      actor: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'user',
+            schema: 'public'
+          },
+          key: 'id'
+        }
+      },
+      isDeleted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: 'payments'
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'client_refund', schema: 'payments' })
+  }
+}
@@ -0,0 +1,116 @@
+'use strict'
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('deadline_extension', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      orderId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'order',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      },
+      requestedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'user',
+            schema: 'public'
+          },
+          key: 'id'
+        }
+      },
+      party: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      previousDeadlineDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      previousDeadlineTime: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'time_am_pm',
+            schema: 'general'
+          },
+          key: 'id'
+        }
+      },
+      deadlineDate: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      deadlineTime: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: {
+            tableName: 'time_am_pm',
+            schema: 'general'
+          },
+          key: 'id'
+        }
+      },
+      reason: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.STRING(10),
+        allowNull: false,
+        defaultValue: 'Pending'
+      },
+      priceDifference: {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      respondedBy: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'user',
+            schema: 'public'
+          },
+          key: 'id'
+        }
+      },
+      respondedAt: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      isDeleted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: 'orders'
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'deadline_extension', schema: 'orders' })
+  }
+}
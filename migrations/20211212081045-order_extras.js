@@ -0,0 +1,46 @@
+'use strict'
+const extraOrderServiceTable = { schema: 'orders', tableName: 'extra_order_service' }
+const orderPaymentDetailTable = { schema: 'payments', tableName: 'order_payment_detail' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* The price of an extra at the time it was bought */
+      await queryInterface.addColumn(extraOrderServiceTable, 'price', {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0.00
+      }, { transaction })
+      /* Move the comma-joined extras of the orders into extra order services, at the current prices */
+      await queryInterface.sequelize.query(`
+        INSERT INTO orders.extra_order_service ("orderId", "serviceTypeId", "price", "isDeleted", "createdAt",
+          "updatedAt")
+        SELECT detail."orderId", service.id, COALESCE(NULLIF(service.price, '')::double precision, 0), false,
+          now(), now()
+        FROM payments.order_payment_detail detail
+        CROSS JOIN LATERAL unnest(string_to_array(detail.extras, ',')) AS extra(id)
+        JOIN orders.order_service_type service ON service.id = NULLIF(extra.id, '')::integer
+        WHERE detail.extras IS NOT NULL
+      `, { transaction })
+      await queryInterface.removeColumn(orderPaymentDetailTable, 'extras', { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.addColumn(orderPaymentDetailTable, 'extras', {
+        type: Sequelize.STRING(6),
+        allowNull: true
+      }, { transaction })
+      await queryInterface.sequelize.query(`
+        UPDATE payments.order_payment_detail detail
+        SET extras = (
+          SELECT string_agg(extra."serviceTypeId"::text, ',' ORDER BY extra."serviceTypeId")
+          FROM orders.extra_order_service extra
+          WHERE extra."orderId" = detail."orderId" AND extra."isDeleted" = false
+        )
+      `, { transaction })
+      await queryInterface.bulkDelete(extraOrderServiceTable, null, { transaction })
+      await queryInterface.removeColumn(extraOrderServiceTable, 'price', { transaction })
+    })
+  }
+}
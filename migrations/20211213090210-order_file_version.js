@@ -0,0 +1,112 @@
+'use strict'
+const paperSubmissionTable = { schema: 'orders', tableName: 'paper_submission' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.createTable('order_file_version', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        orderFileId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order_file',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        version: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        fileUrl: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        originalName: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        size: {
+          type: Sequelize.BIGINT,
+          allowNull: true
+        },
+        mimeType: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        checksum: {
+          type: Sequelize.STRING(64),
+          allowNull: true
+        },
+        uploadedBy: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'orders',
+        transaction
+      })
+      await queryInterface.addIndex({ schema: 'orders', tableName: 'order_file_version' }, ['checksum'], {
+        transaction
+      })
+      await queryInterface.addColumn(paperSubmissionTable, 'orderFileVersionId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'order_file_version',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      }, { transaction })
+      /* The existing files become the first versions of themselves, without metadata */
+      await queryInterface.sequelize.query(`
+        INSERT INTO orders.order_file_version ("orderFileId", "version", "fileUrl", "originalName", "isDeleted",
+          "createdAt", "updatedAt")
+        SELECT id, 1, "fileUrl", "originalName", "isDeleted", "createdAt", "updatedAt"
+        FROM orders.order_file
+      `, { transaction })
+      await queryInterface.sequelize.query(`
+        UPDATE orders.paper_submission submission
+        SET "orderFileVersionId" = version.id
+        FROM orders.order_file_version version
+        WHERE version."orderFileId" = submission."orderFileId"
+      `, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(paperSubmissionTable, 'orderFileVersionId', { transaction })
+      await queryInterface.dropTable({ tableName: 'order_file_version', schema: 'orders' }, { transaction })
+    })
+  }
+}
@@ -0,0 +1,132 @@
+'use strict'
+const clientTable = { schema: 'client', tableName: 'client' }
+const orderTable = { schema: 'orders', tableName: 'order' }
+const deadlineExtensionTable = { schema: 'orders', tableName: 'deadline_extension' }
+/* The timezone the deadlines used to be saved in, and that of the existing clients */
+const legacyTimezone = 'Africa/Nairobi'
+/* The SQL that builds a UTC timestamp from a deadline date and a time in Am-Pm e.g. '3PM' */
+const deadlineFromTime = (dateColumn, timeColumn) => `
+  ((${dateColumn} AT TIME ZONE '${legacyTimezone}')::date
+    + make_interval(hours => substring(${timeColumn} from '^[0-9]+')::integer % 12
+      + CASE WHEN ${timeColumn} LIKE '%PM' THEN 12 ELSE 0 END)) AT TIME ZONE '${legacyTimezone}'
+`
+/* The SQL that gets the ID of the time in Am-Pm of a UTC timestamp */
+const timeFromDeadline = deadlineColumn => `
+  (SELECT am_pm.id FROM general.time_am_pm am_pm
+    WHERE am_pm.time = to_char(${deadlineColumn} AT TIME ZONE '${legacyTimezone}', 'FMHH12AM'))
+`
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* The timezone of a client, in which his or her deadlines are shown and entered */
+      await queryInterface.addColumn(clientTable, 'timezone', {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        defaultValue: legacyTimezone
+      }, { transaction })
+      /* Replace the deadline date and time of the orders with a single timestamp */
+      await queryInterface.addColumn(orderTable, 'deadline', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.sequelize.query(`
+        UPDATE orders."order" o
+        SET deadline = ${deadlineFromTime('o."deadlineDate"', 'am_pm.time')}
+        FROM general.time_am_pm am_pm
+        WHERE am_pm.id = o."deadlineTime"
+      `, { transaction })
+      await queryInterface.changeColumn(orderTable, 'deadline', {
+        type: Sequelize.DATE,
+        allowNull: false
+      }, { transaction })
+      await queryInterface.addIndex(orderTable, ['deadline'], { transaction })
+      await queryInterface.removeColumn(orderTable, 'deadlineDate', { transaction })
+      await queryInterface.removeColumn(orderTable, 'deadlineTime', { transaction })
+      /* Do the same for the previous and proposed deadlines of the deadline extensions */
+      await queryInterface.addColumn(deadlineExtensionTable, 'previousDeadline', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(deadlineExtensionTable, 'deadline', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.sequelize.query(`
+        UPDATE orders.deadline_extension extension
+        SET "previousDeadline" = ${deadlineFromTime('extension."previousDeadlineDate"', 'previous_am_pm.time')},
+          deadline = ${deadlineFromTime('extension."deadlineDate"', 'am_pm.time')}
+        FROM general.time_am_pm previous_am_pm, general.time_am_pm am_pm
+        WHERE previous_am_pm.id = extension."previousDeadlineTime" AND am_pm.id = extension."deadlineTime"
+      `, { transaction })
+      for (const column of ['previousDeadline', 'deadline']) {
+        await queryInterface.changeColumn(deadlineExtensionTable, column, {
+          type: Sequelize.DATE,
+          allowNull: false
+        }, { transaction })
+      }
+      for (const column of ['previousDeadlineDate', 'previousDeadlineTime', 'deadlineDate', 'deadlineTime']) {
+        await queryInterface.removeColumn(deadlineExtensionTable, column, { transaction })
+      }
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      const timeColumn = {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'time_am_pm',
+            schema: 'general'
+          },
+          key: 'id'
+        }
+      }
+      await queryInterface.addColumn(deadlineExtensionTable, 'previousDeadlineDate', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(deadlineExtensionTable, 'previousDeadlineTime', timeColumn, { transaction })
+      await queryInterface.addColumn(deadlineExtensionTable, 'deadlineDate', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(deadlineExtensionTable, 'deadlineTime', timeColumn, { transaction })
+      /* The minutes of a deadline are lost, since the times in Am-Pm are whole hours */
+      await queryInterface.sequelize.query(`
+        UPDATE orders.deadline_extension
+        SET "previousDeadlineDate" = "previousDeadline",
+          "previousDeadlineTime" = ${timeFromDeadline('"previousDeadline"')},
+          "deadlineDate" = deadline,
+          "deadlineTime" = ${timeFromDeadline('deadline')}
+      `, { transaction })
+      /* The foreign keys of the deadline times are already in place, hence only the null constraints are changed */
+      for (const column of ['previousDeadlineDate', 'previousDeadlineTime', 'deadlineDate', 'deadlineTime']) {
+        await queryInterface.changeColumn(deadlineExtensionTable, column, {
+          type: column.endsWith('Time') ? Sequelize.INTEGER : Sequelize.DATE,
+          allowNull: false
+        }, { transaction })
+      }
+      await queryInterface.removeColumn(deadlineExtensionTable, 'previousDeadline', { transaction })
+      await queryInterface.removeColumn(deadlineExtensionTable, 'deadline', { transaction })
+      await queryInterface.addColumn(orderTable, 'deadlineDate', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addColumn(orderTable, 'deadlineTime', timeColumn, { transaction })
+      await queryInterface.sequelize.query(`
+        UPDATE orders."order"
+        SET "deadlineDate" = deadline, "deadlineTime" = ${timeFromDeadline('deadline')}
+      `, { transaction })
+      for (const column of ['deadlineDate', 'deadlineTime']) {
+        await queryInterface.changeColumn(orderTable, column, {
+          type: column.endsWith('Time') ? Sequelize.INTEGER : Sequelize.DATE,
+          allowNull: false
+        }, { transaction })
+      }
+      await queryInterface.removeColumn(orderTable, 'deadline', { transaction })
+      await queryInterface.removeColumn(clientTable, 'timezone', { transaction })
+    })
+  }
+}
@@ -0,0 +1,79 @@
+'use strict'
+const orderRevisionTable = { schema: 'orders', tableName: 'order_revision' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.createTable('revision_policy', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        /* The number of hours after the delivery of an order in which a client can request free revisions */
+        freeRevisionWindowHours: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        /* The number of free revisions a client can request on an order */
+        maxFreeRevisions: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        /* The minimum time given to a writer to revise an order is the base hours plus the hours per page */
+        minDeadlineBaseHours: {
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        minDeadlineHoursPerPage: {
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        /* The price of a paid revision, as a percentage of the price of the pages of the order */
+        paidRevisionPercentage: {
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        currentlyInUse: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'orders',
+        transaction
+      })
+      /* Whether a revision request is paid for, and its price */
+      await queryInterface.addColumn(orderRevisionTable, 'paid', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      }, { transaction })
+      await queryInterface.addColumn(orderRevisionTable, 'price', {
+        type: Sequelize.FLOAT,
+        allowNull: false,
+        defaultValue: 0.00
+      }, { transaction })
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(orderRevisionTable, 'price', { transaction })
+      await queryInterface.removeColumn(orderRevisionTable, 'paid', { transaction })
+      await queryInterface.dropTable({ tableName: 'revision_policy', schema: 'orders' }, { transaction })
+    })
+  }
+}
@@ -0,0 +1,54 @@
+'use strict'
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.createTable('writer_capacity', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      /* The skill level whose writers the capacity applies to */
+      skillLevelId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: {
+            tableName: 'skill_level',
+            schema: 'writer'
+          },
+          key: 'id'
+        }
+      },
+      /* The maximum number of orders a writer can have in progress at a time */
+      maxConcurrentOrders: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      /* The maximum number of pages a writer can have due within the next 24 hours */
+      maxPagesDueIn24Hours: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      isDeleted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    }, {
+      schema: 'writer'
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'writer_capacity', schema: 'writer' })
+  }
+}
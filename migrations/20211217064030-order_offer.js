@@ -0,0 +1,90 @@
+'use strict'
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.createTable('order_offer', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        orderId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        /* The personal writer the order is offered to */
+        writerId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'writer',
+              schema: 'writer'
+            },
+            key: 'id'
+          }
+        },
+        offeredBy: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        /* One of 'Pending', 'Accepted', 'Declined', 'Expired' or 'Withdrawn' i.e. the order was cancelled */
+        status: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'Pending'
+        },
+        /* The time by which the writer has to accept or decline the offer */
+        expiresAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        declineReason: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        respondedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'orders',
+        transaction
+      })
+      /* The expiry job looks up the pending offers by their expiry */
+      await queryInterface.addIndex({ schema: 'orders', tableName: 'order_offer' }, ['status', 'expiresAt'],
+        { transaction })
+    })
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.dropTable({ tableName: 'order_offer', schema: 'orders' })
+  }
+}
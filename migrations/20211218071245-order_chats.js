@@ -0,0 +1,133 @@
+'use strict'
+const chatTable = { schema: 'chats', tableName: 'chat' }
+const chatContentTable = { schema: 'chats', tableName: 'chat_content' }
+const orderFileTable = { schema: 'orders', tableName: 'order_file' }
+const userReference = {
+  model: {
+    tableName: 'user',
+    schema: 'public'
+  },
+  key: 'id'
+}
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* A chat is the thread of an order, rather than one between two users */
+      await queryInterface.addColumn(chatTable, 'orderId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        unique: true,
+        references: {
+          model: {
+            tableName: 'order',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      }, { transaction })
+      for (const column of ['user1Id', 'user2Id']) {
+        await queryInterface.changeColumn(chatTable, column, {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        }, { transaction })
+      }
+      /* The sender of a message, and who deleted it and when. Deleted messages are kept for moderation */
+      await queryInterface.addColumn(chatContentTable, 'senderId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: userReference
+      }, { transaction })
+      await queryInterface.addColumn(chatContentTable, 'deletedBy', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: userReference
+      }, { transaction })
+      await queryInterface.addColumn(chatContentTable, 'deletedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+      await queryInterface.addIndex(chatContentTable, ['chatId', 'id'], { transaction })
+      /* The latest message of a chat that each participant has read */
+      await queryInterface.createTable('chat_read', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        chatId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: chatTable,
+            key: 'id'
+          }
+        },
+        userId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: userReference
+        },
+        lastReadContentId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: chatContentTable,
+            key: 'id'
+          }
+        },
+        readAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'chats',
+        transaction
+      })
+      await queryInterface.addIndex({ schema: 'chats', tableName: 'chat_read' }, ['chatId', 'userId'], {
+        unique: true,
+        transaction
+      })
+      /* The message an order file is attached to */
+      await queryInterface.addColumn(orderFileTable, 'chatContentId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: chatContentTable,
+          key: 'id'
+        }
+      }, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(orderFileTable, 'chatContentId', { transaction })
+      await queryInterface.dropTable({ schema: 'chats', tableName: 'chat_read' }, { transaction })
+      await queryInterface.removeIndex(chatContentTable, ['chatId', 'id'], { transaction })
+      for (const column of ['senderId', 'deletedBy', 'deletedAt']) {
+        await queryInterface.removeColumn(chatContentTable, column, { transaction })
+      }
+      /* The order chats have no users, hence they are removed before the users are required again */
+      await queryInterface.sequelize.query(`
+        DELETE FROM chats.chat_content WHERE "chatId" IN (SELECT id FROM chats.chat WHERE "orderId" IS NOT NULL)
+      `, { transaction })
+      await queryInterface.sequelize.query('DELETE FROM chats.chat WHERE "orderId" IS NOT NULL', { transaction })
+      for (const column of ['user1Id', 'user2Id']) {
+        await queryInterface.changeColumn(chatTable, column, {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        }, { transaction })
+      }
+      await queryInterface.removeColumn(chatTable, 'orderId', { transaction })
+    })
+  }
+}
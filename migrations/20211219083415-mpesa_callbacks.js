@@ -0,0 +1,94 @@
+'use strict'
+const mpesaTable = { schema: 'payments', tableName: 'mpesa' }
+const clientPaymentTable = { schema: 'payments', tableName: 'client_payment' }
+const callbackTable = { schema: 'payments', tableName: 'mpesa_callback' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* Every callback received, as it was received, together with what was made of it */
+      await queryInterface.createTable('mpesa_callback', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        checkoutRequestId: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        receiptNumber: {
+          type: Sequelize.STRING(15),
+          allowNull: true
+        },
+        resultCode: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        payload: {
+          type: Sequelize.JSONB,
+          allowNull: false
+        },
+        /* One of 'Received', 'Processed', 'Duplicate', 'Invalid', 'Unknown', 'Unverified' or 'Rejected' */
+        outcome: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'Received'
+        },
+        message: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      await queryInterface.addIndex(callbackTable, ['checkoutRequestId', 'outcome'], { transaction })
+      /* The hash of the token carried in the callback URL of a push sent by the dbms */
+      await queryInterface.addColumn(clientPaymentTable, 'callbackTokenHash', {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      }, { transaction })
+      /* Replayed callbacks have left duplicate records behind. The first record of a transaction is kept */
+      await queryInterface.sequelize.query(`
+        UPDATE payments.mpesa SET "isDeleted" = true
+        WHERE "isDeleted" = false AND id NOT IN (
+          SELECT MIN(id) FROM payments.mpesa WHERE "isDeleted" = false GROUP BY "checkoutRequestId"
+        ) OR "isDeleted" = false AND id NOT IN (
+          SELECT MIN(id) FROM payments.mpesa WHERE "isDeleted" = false GROUP BY "receiptNumber"
+        )
+      `, { transaction })
+      for (const column of ['checkoutRequestId', 'receiptNumber']) {
+        await queryInterface.addIndex(mpesaTable, [column], {
+          unique: true,
+          where: {
+            isDeleted: false
+          },
+          transaction
+        })
+      }
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      for (const column of ['checkoutRequestId', 'receiptNumber']) {
+        await queryInterface.removeIndex(mpesaTable, [column], { transaction })
+      }
+      await queryInterface.removeColumn(clientPaymentTable, 'callbackTokenHash', { transaction })
+      await queryInterface.dropTable(callbackTable, { transaction })
+    })
+  }
+}
@@ -0,0 +1,80 @@
+'use strict'
+const clientPaymentTable = { schema: 'payments', tableName: 'client_payment' }
+const resultCodeReference = {
+  model: {
+    tableName: 'mpesa_result_codes',
+    schema: 'payments'
+  },
+  key: 'id'
+}
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* What each M-Pesa result code means for a payment */
+      await queryInterface.createTable('mpesa_result_policy', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        resultCodeId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          unique: true,
+          references: resultCodeReference
+        },
+        /* The status a payment with the result code ends up in */
+        paymentStatusId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'payment_status',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        /* Whether the client can try paying again, as opposed to failures that paying again will not fix */
+        retryable: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false
+        },
+        /* The message shown to the client */
+        userMessage: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      /* The result code a payment ended with, from which the frontends tell why it failed */
+      await queryInterface.addColumn(clientPaymentTable, 'resultCodeId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: resultCodeReference
+      }, { transaction })
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(clientPaymentTable, 'resultCodeId', { transaction })
+      await queryInterface.dropTable({ schema: 'payments', tableName: 'mpesa_result_policy' }, { transaction })
+    })
+  }
+}
@@ -0,0 +1,284 @@
+'use strict'
+const accountTable = { schema: 'payments', tableName: 'ledger_account' }
+const journalTable = { schema: 'payments', tableName: 'journal_entry' }
+const postingTable = { schema: 'payments', tableName: 'ledger_posting' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* The accounts of the ledger. A 'Client' account belongs to a client and a 'Writer' account to a writer, while
+      * the 'Platform revenue' and 'M-Pesa clearing' accounts belong to the platform. There is one account of each
+      * kind per currency */
+      await queryInterface.createTable('ledger_account', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        clientId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'client',
+              schema: 'client'
+            },
+            key: 'id'
+          }
+        },
+        writerId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'writer',
+              schema: 'writer'
+            },
+            key: 'id'
+          }
+        },
+        currencyId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'currency',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      /* The owners are nullable, hence they are coalesced for the uniqueness of the accounts */
+      await queryInterface.sequelize.query(`
+        CREATE UNIQUE INDEX ledger_account_owner ON payments.ledger_account
+        (type, COALESCE("clientId", 0), COALESCE("writerId", 0), "currencyId")
+      `, { transaction })
+      /* The journal entries, each of which is one movement of money e.g. a payment. The reference identifies what
+      * the entry was made for, such that the same movement is never entered twice */
+      await queryInterface.createTable('journal_entry', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        /* One of 'Opening balance', 'Payment', 'Refund', 'Writer earning' or 'Payout' */
+        type: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        reference: {
+          type: Sequelize.STRING(100),
+          allowNull: false,
+          unique: true
+        },
+        description: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        orderId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'order',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        clientPaymentId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'client_payment',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        clientRefundId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'client_refund',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        writerPaymentId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'writer_payment',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        actor: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'user',
+              schema: 'public'
+            },
+            key: 'id'
+          }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      await queryInterface.addIndex(journalTable, ['orderId', 'type'], { transaction })
+      /* The postings of the journal entries. A positive amount is a debit and a negative one a credit, such that the
+      * postings of every entry add up to zero */
+      await queryInterface.createTable('ledger_posting', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        journalEntryId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'journal_entry',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        accountId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'ledger_account',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      await queryInterface.addIndex(postingTable, ['journalEntryId'], { transaction })
+      await queryInterface.addIndex(postingTable, ['accountId'], { transaction })
+      /* The balances kept so far are carried over as opening balances, owed to the clients and writers by the
+      * platform. The old balance tables are no longer written to */
+      await queryInterface.sequelize.query(`
+        WITH balance AS (
+          SELECT 'Client' AS type, 'client_balance' AS source, id, "clientId", NULL::integer AS "writerId",
+            "currencyId", ROUND(amount::numeric, 2) AS amount
+          FROM payments.client_balance WHERE "isDeleted" = false AND ROUND(amount::numeric, 2) <> 0
+          UNION ALL
+          SELECT 'Writer', 'writer_balance', id, NULL, "writerId", "currencyId", ROUND(amount::numeric, 2)
+          FROM payments.writer_balance WHERE "isDeleted" = false AND ROUND(amount::numeric, 2) <> 0
+        ), account AS (
+          INSERT INTO payments.ledger_account (type, "clientId", "writerId", "currencyId", "createdAt", "updatedAt")
+          SELECT DISTINCT type, "clientId", "writerId", "currencyId", NOW(), NOW() FROM balance
+          UNION
+          SELECT DISTINCT 'Platform revenue', NULL::integer, NULL::integer, "currencyId", NOW(), NOW() FROM balance
+          RETURNING id, type, "clientId", "writerId", "currencyId"
+        ), journal AS (
+          INSERT INTO payments.journal_entry (type, reference, description, "createdAt")
+          SELECT 'Opening balance', 'opening:' || source || ':' || id, 'Balance carried over from ' || source, NOW()
+          FROM balance
+          RETURNING id, reference
+        )
+        INSERT INTO payments.ledger_posting ("journalEntryId", "accountId", amount, "createdAt")
+        SELECT journal.id, owner.id, -balance.amount, NOW()
+        FROM balance
+        JOIN journal ON journal.reference = 'opening:' || balance.source || ':' || balance.id
+        JOIN account owner ON owner.type = balance.type AND owner."currencyId" = balance."currencyId" AND
+          COALESCE(owner."clientId", 0) = COALESCE(balance."clientId", 0) AND
+          COALESCE(owner."writerId", 0) = COALESCE(balance."writerId", 0)
+        UNION ALL
+        SELECT journal.id, revenue.id, balance.amount, NOW()
+        FROM balance
+        JOIN journal ON journal.reference = 'opening:' || balance.source || ':' || balance.id
+        JOIN account revenue ON revenue.type = 'Platform revenue' AND revenue."currencyId" = balance."currencyId"
+      `, { transaction })
+      /* The ledger is append-only. A mistake is corrected by a new journal entry, never by changing an old one */
+      await queryInterface.sequelize.query(`
+        CREATE FUNCTION payments.reject_ledger_change() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'The ledger is append-only, % on % is not allowed', TG_OP, TG_TABLE_NAME;
+        END
+        $$ LANGUAGE plpgsql
+      `, { transaction })
+      for (const table of ['journal_entry', 'ledger_posting']) {
+        await queryInterface.sequelize.query(`
+          CREATE TRIGGER ${table}_append_only BEFORE UPDATE OR DELETE ON payments.${table}
+          FOR EACH ROW EXECUTE PROCEDURE payments.reject_ledger_change()
+        `, { transaction })
+      }
+      /* Every journal entry has to balance by the end of the transaction that makes it */
+      await queryInterface.sequelize.query(`
+        CREATE FUNCTION payments.check_journal_balance() RETURNS trigger AS $$
+        BEGIN
+          IF (SELECT SUM(amount) FROM payments.ledger_posting WHERE "journalEntryId" = NEW."journalEntryId") <> 0 THEN
+            RAISE EXCEPTION 'Journal entry % does not balance', NEW."journalEntryId";
+          END IF;
+          RETURN NULL;
+        END
+        $$ LANGUAGE plpgsql
+      `, { transaction })
+      await queryInterface.sequelize.query(`
+        CREATE CONSTRAINT TRIGGER ledger_posting_balance AFTER INSERT ON payments.ledger_posting
+        DEFERRABLE INITIALLY DEFERRED FOR EACH ROW EXECUTE PROCEDURE payments.check_journal_balance()
+      `, { transaction })
+    })
+  },
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.dropTable(postingTable, { transaction })
+      await queryInterface.dropTable(journalTable, { transaction })
+      await queryInterface.dropTable(accountTable, { transaction })
+      await queryInterface.sequelize.query('DROP FUNCTION payments.check_journal_balance()', { transaction })
+      await queryInterface.sequelize.query('DROP FUNCTION payments.reject_ledger_change()', { transaction })
+    })
+  }
+}
@@ -0,0 +1,19 @@
+'use strict'
+const table = { schema: 'orders', tableName: 'order_revision' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* A revision is flagged as overdue on its own, apart from the deadline of its order */
+      await queryInterface.addColumn(table, 'overdueAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      }, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(table, 'overdueAt', { transaction })
+    })
+  }
+}
@@ -0,0 +1,118 @@
+'use strict'
+const chargeTable = { schema: 'payments', tableName: 'order_charge' }
+const clientPaymentTable = { schema: 'payments', tableName: 'client_payment' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* The amounts due on an order after it has been paid for e.g. a paid revision. Each is paid for on its own, and
+      * the price of the order stays what was paid for the order itself */
+      await queryInterface.createTable('order_charge', {
+        id: {
+          allowNull: false,
+          autoIncrement: true,
+          primaryKey: true,
+          type: Sequelize.INTEGER
+        },
+        orderId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'order',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        currencyId: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          references: {
+            model: {
+              tableName: 'currency',
+              schema: 'payments'
+            },
+            key: 'id'
+          }
+        },
+        /* One of 'Paid revision' or 'Shorter deadline' */
+        type: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.FLOAT,
+          allowNull: false
+        },
+        orderRevisionId: {
+          type: Sequelize.INTEGER,
+          allowNull: true,
+          references: {
+            model: {
+              tableName: 'order_revision',
+              schema: 'orders'
+            },
+            key: 'id'
+          }
+        },
+        /* One of 'Unpaid', 'Paid' or 'Withdrawn' */
+        status: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'Unpaid'
+        },
+        paidAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        isDeleted: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      }, {
+        schema: 'payments',
+        transaction
+      })
+      await queryInterface.addIndex(chargeTable, ['orderId', 'status'], { transaction })
+      /* The charge a client payment was made for. The payments of the orders themselves have none */
+      await queryInterface.addColumn(clientPaymentTable, 'orderChargeId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'order_charge',
+            schema: 'payments'
+          },
+          key: 'id'
+        }
+      }, { transaction })
+      /* The prices of the paid revisions requested so far were added to the prices of orders that had already been
+      * paid for, and could never be collected. They are taken back off, so that the prices are what was paid */
+      await queryInterface.sequelize.query(`
+        UPDATE payments.order_payment_detail opd SET "totalPrice" = opd."totalPrice" - r.price, "updatedAt" = NOW()
+        FROM (
+          SELECT "orderId", SUM(price) AS price FROM orders.order_revision
+          WHERE paid = true AND price > 0 AND "isDeleted" = false
+          GROUP BY "orderId"
+        ) r
+        WHERE opd."orderId" = r."orderId" AND opd."isDeleted" = false
+      `, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(clientPaymentTable, 'orderChargeId', { transaction })
+      await queryInterface.dropTable(chargeTable, { transaction })
+    })
+  }
+}
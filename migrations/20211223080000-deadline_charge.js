@@ -0,0 +1,43 @@
+'use strict'
+const chargeTable = { schema: 'payments', tableName: 'order_charge' }
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      /* The deadline change a 'Shorter deadline' charge is for */
+      await queryInterface.addColumn(chargeTable, 'deadlineExtensionId', {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: {
+            tableName: 'deadline_extension',
+            schema: 'orders'
+          },
+          key: 'id'
+        }
+      }, { transaction })
+      /* The shorter deadlines accepted so far on orders that had already been paid for added their difference in
+      * price to the price of the order, which could never be collected. It is taken back off, so that the prices are
+      * what was paid. The cost per page is left at the one of the shorter deadline */
+      await queryInterface.sequelize.query(`
+        UPDATE payments.order_payment_detail opd SET "totalPrice" = opd."totalPrice" - e.price, "updatedAt" = NOW()
+        FROM (
+          SELECT de."orderId", SUM(de."priceDifference") AS price FROM orders.deadline_extension de
+          WHERE de.status = 'Accepted' AND de."priceDifference" > 0 AND de."isDeleted" = false AND EXISTS (
+            SELECT 1 FROM payments.client_payment cp
+            JOIN payments.payment_status ps ON ps.id = cp."statusId"
+            WHERE cp."orderId" = de."orderId" AND cp."isDeleted" = false AND
+              ps.status IN ('Success', 'Success with balance') AND cp."createdAt" < de."respondedAt"
+          )
+          GROUP BY de."orderId"
+        ) e
+        WHERE opd."orderId" = e."orderId" AND opd."isDeleted" = false
+      `, { transaction })
+    })
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.transaction(async transaction => {
+      await queryInterface.removeColumn(chargeTable, 'deadlineExtensionId', { transaction })
+    })
+  }
+}
@@ -8,11 +8,8 @@ module.exports = {
     host: process.env.DEV_DB_HOST,
     port: process.env.DEV_DB_PORT,
     dialect: process.env.DEV_DB_DIALECT,
-    dialectOptions: {
-      useUTC: false, // for reading from database
-      timezone: '+03:00'
-    },
-    timezone: '+03:00'
+    /* Timestamps are written and read in UTC. The timezones of the clients are applied by the dbms */
+    timezone: '+00:00'
   },
   test: {
     username: process.env.DB_USER,
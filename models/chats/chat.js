@@ -1,13 +1,24 @@
 'use strict'
 module.exports = (sequelize, DataTypes) => {
   const ChatsModel = sequelize.define('Chat', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
     user1Id: {
       type: DataTypes.INTEGER,
-      allowNull: false
+      allowNull: true
     },
     user2Id: {
       type: DataTypes.INTEGER,
-      allowNull: false
+      allowNull: true
     },
     isDeleted: {
       type: DataTypes.BOOLEAN,
@@ -20,7 +31,9 @@ module.exports = (sequelize, DataTypes) => {
     schema: 'chats'
   })
   ChatsModel.associate = function (models) {
-    ChatsModel.hasMany(models.ChatContent, { as: 'ChatContent', foreignKey: 'id' })
+    ChatsModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    ChatsModel.hasMany(models.ChatContent, { as: 'ChatContent', foreignKey: 'chatId', sourceKey: 'id' })
+    ChatsModel.hasMany(models.ChatRead, { as: 'ChatRead', foreignKey: 'chatId', sourceKey: 'id' })
   }
   return ChatsModel
 }
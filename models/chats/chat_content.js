@@ -12,6 +12,17 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    senderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
     message: {
       type: DataTypes.TEXT,
       allowNull: false
@@ -20,6 +31,21 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
+    },
+    deletedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     freezeTableName: true,
@@ -28,6 +54,9 @@ module.exports = (sequelize, DataTypes) => {
   })
   ChatContentsModel.associate = function (models) {
     ChatContentsModel.belongsTo(models.Chat, { as: 'Chat', foreignKey: 'chatId' })
+    ChatContentsModel.belongsTo(models.User, { as: 'Sender', foreignKey: 'senderId' })
+    ChatContentsModel.belongsTo(models.User, { as: 'DeletedBy', foreignKey: 'deletedBy' })
+    ChatContentsModel.hasMany(models.OrderFile, { as: 'OrderFile', foreignKey: 'chatContentId', sourceKey: 'id' })
   }
   return ChatContentsModel
 }
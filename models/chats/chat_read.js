@@ -0,0 +1,51 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const ChatReadModel = sequelize.define('ChatRead', {
+    chatId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'chat',
+          schema: 'chats'
+        },
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    lastReadContentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'chat_content',
+          schema: 'chats'
+        },
+        key: 'id'
+      }
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'chat_read',
+    schema: 'chats'
+  })
+  ChatReadModel.associate = function (models) {
+    ChatReadModel.belongsTo(models.Chat, { as: 'Chat', foreignKey: 'chatId' })
+    ChatReadModel.belongsTo(models.User, { as: 'User', foreignKey: 'userId' })
+  }
+  return ChatReadModel
+}
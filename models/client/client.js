@@ -28,6 +28,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(30),
       allowNull: true
     },
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      defaultValue: 'Africa/Nairobi'
+    },
     isDeleted: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
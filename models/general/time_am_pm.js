@@ -15,8 +15,5 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'time_am_pm',
     schema: 'general'
   })
-  TimeAmPm.associate = function (models) {
-    TimeAmPm.hasMany(models.Order, { as: 'Order', foreignKey: 'id' })
-  }
   return TimeAmPm
 }
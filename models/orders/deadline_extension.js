@@ -0,0 +1,83 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const DeadlineExtensionModel = sequelize.define('DeadlineExtension', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    requestedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    party: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    previousDeadline: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    deadline: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'Pending'
+    },
+    priceDifference: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    respondedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'deadline_extension',
+    schema: 'orders'
+  })
+  DeadlineExtensionModel.associate = function (models) {
+    DeadlineExtensionModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    DeadlineExtensionModel.belongsTo(models.User, { as: 'RequestedBy', foreignKey: 'requestedBy' })
+    DeadlineExtensionModel.belongsTo(models.User, { as: 'RespondedBy', foreignKey: 'respondedBy' })
+  }
+  return DeadlineExtensionModel
+}
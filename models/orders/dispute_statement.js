@@ -0,0 +1,49 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const DisputeStatementModel = sequelize.define('DisputeStatement', {
+    disputeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order_dispute',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    party: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    statement: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'dispute_statement',
+    schema: 'orders'
+  })
+  DisputeStatementModel.associate = function (models) {
+    DisputeStatementModel.belongsTo(models.OrderDispute, { as: 'OrderDispute', foreignKey: 'disputeId' })
+    DisputeStatementModel.belongsTo(models.User, { as: 'User', foreignKey: 'userId' })
+  }
+  return DisputeStatementModel
+}
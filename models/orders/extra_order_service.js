@@ -23,6 +23,11 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    price: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.00
+    },
     isDeleted: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -100,20 +100,10 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
-    deadlineDate: {
+    deadline: {
       type: DataTypes.DATE,
       allowNull: false
     },
-    deadlineTime: {
-      type: DataTypes.INTEGER,
-      allowNull: false,
-      references: {
-        model: {
-          tableName: 'time_am_pm',
-          schema: 'general'
-        }
-      }
-    },
     pageCount: {
       type: DataTypes.INTEGER,
       allowNull: false
@@ -131,6 +121,10 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    overdueAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     isDeleted: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -149,7 +143,6 @@ module.exports = (sequelize, DataTypes) => {
     OrderModel.belongsTo(models.OrderServiceType, { as: 'OrderServiceType', foreignKey: 'serviceTypeId' })
     OrderModel.belongsTo(models.CitationStyle, { as: 'CitationStyle', foreignKey: 'citationStyleId' })
     OrderModel.belongsTo(models.OrderFormat, { as: 'OrderFormat', foreignKey: 'orderFormatId' })
-    OrderModel.belongsTo(models.TimeAmPm, { as: 'TimeAmPm', foreignKey: 'deadlineTime' })
     OrderModel.belongsTo(models.EducationLevel, { as: 'EducationLevel', foreignKey: 'studyLevelId' })
     OrderModel.belongsTo(models.EntityType, { as: 'EntityType', foreignKey: 'type' })
     OrderModel.hasMany(models.ExtraOrderService, { as: 'ExtraOrderService', foreignKey: 'orderId', sourceKey: 'id' })
@@ -160,10 +153,16 @@ module.exports = (sequelize, DataTypes) => {
     OrderModel.hasMany(models.WriterOrder, { as: 'WriterOrder', foreignKey: 'orderId', sourceKey: 'id' })
     OrderModel.hasMany(models.WriterPayment, { as: 'WriterPayment', foreignKey: 'orderId', sourceKey: 'id' })
     OrderModel.hasMany(models.WriterRating, { as: 'WriterRating', foreignKey: 'orderId', sourceKey: 'id' })
-    OrderModel.hasMany(models.WriterBid, { as: 'WriterBid', foreignKey: 'orderId', sourceKey: 'id' })
     OrderModel.hasMany(models.OrderBid, { as: 'OrderBid', foreignKey: 'orderId', sourceKey: 'id' })
     OrderModel.hasMany(models.OrderPaymentDetail, { as: 'OrderPaymentDetail', foreignKey: 'orderId', sourceKey: 'id' })
     OrderModel.hasMany(models.OrderRevision, { as: 'OrderRevision', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.OrderStatusHistory, { as: 'OrderStatusHistory', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.PaperSubmission, { as: 'PaperSubmission', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.ClientRefund, { as: 'ClientRefund', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.DeadlineExtension, { as: 'DeadlineExtension', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.OrderOffer, { as: 'OrderOffer', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.OrderDispute, { as: 'OrderDispute', foreignKey: 'orderId', sourceKey: 'id' })
+    OrderModel.hasMany(models.OrderCharge, { as: 'OrderCharge', foreignKey: 'orderId', sourceKey: 'id' })
   }
   return OrderModel
 }
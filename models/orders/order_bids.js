@@ -23,14 +23,33 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    coverMessage: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    proposedCompletion: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     successful: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
     },
+    withdrawn: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    closed: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     isDeleted: {
       type: DataTypes.BOOLEAN,
-      allowNull: false
+      allowNull: false,
+      defaultValue: false
     }
   }, {
     freezeTableName: true,
@@ -0,0 +1,84 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const OrderDisputeModel = sequelize.define('OrderDispute', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    openedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    reasonCategory: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    resolved: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    outcome: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    refundAmount: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    resolutionNote: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    resolvedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'order_dispute',
+    schema: 'orders'
+  })
+  OrderDisputeModel.associate = function (models) {
+    OrderDisputeModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    OrderDisputeModel.belongsTo(models.User, { as: 'OpenedBy', foreignKey: 'openedBy' })
+    OrderDisputeModel.belongsTo(models.User, { as: 'ResolvedBy', foreignKey: 'resolvedBy' })
+    OrderDisputeModel.hasMany(models.DisputeStatement, { as: 'DisputeStatement', foreignKey: 'disputeId', sourceKey: 'id' })
+    OrderDisputeModel.hasMany(models.OrderFile, { as: 'OrderFile', foreignKey: 'disputeId', sourceKey: 'id' })
+  }
+  return OrderDisputeModel
+}
@@ -32,6 +32,28 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING(50),
       allowNull: false
     },
+    disputeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order_dispute',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    chatContentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'chat_content',
+          schema: 'chats'
+        },
+        key: 'id'
+      }
+    },
     submittedPaper: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -50,6 +72,10 @@ module.exports = (sequelize, DataTypes) => {
   OrderFilesModel.associate = function (models) {
     OrderFilesModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
     OrderFilesModel.belongsTo(models.OrderFileType, { as: 'OrderFileType', foreignKey: 'type' })
+    OrderFilesModel.belongsTo(models.OrderDispute, { as: 'OrderDispute', foreignKey: 'disputeId' })
+    OrderFilesModel.belongsTo(models.ChatContent, { as: 'ChatContent', foreignKey: 'chatContentId' })
+    OrderFilesModel.hasMany(models.PaperSubmission, { as: 'PaperSubmission', foreignKey: 'orderFileId', sourceKey: 'id' })
+    OrderFilesModel.hasMany(models.OrderFileVersion, { as: 'OrderFileVersion', foreignKey: 'orderFileId', sourceKey: 'id' })
   }
   return OrderFilesModel
 }
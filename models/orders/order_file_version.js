@@ -0,0 +1,66 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const OrderFileVersionModel = sequelize.define('OrderFileVersion', {
+    orderFileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order_file',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    fileUrl: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    originalName: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    size: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    mimeType: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    uploadedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'order_file_version',
+    schema: 'orders'
+  })
+  OrderFileVersionModel.associate = function (models) {
+    OrderFileVersionModel.belongsTo(models.OrderFile, { as: 'OrderFile', foreignKey: 'orderFileId' })
+    OrderFileVersionModel.belongsTo(models.User, { as: 'User', foreignKey: 'uploadedBy' })
+    OrderFileVersionModel.hasOne(models.PaperSubmission, { as: 'PaperSubmission', foreignKey: 'orderFileVersionId', sourceKey: 'id' })
+  }
+  return OrderFileVersionModel
+}
@@ -0,0 +1,70 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const OrderOfferModel = sequelize.define('OrderOffer', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    writerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'writer',
+          schema: 'writer'
+        },
+        key: 'id'
+      }
+    },
+    offeredBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'Pending'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    declineReason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    respondedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'order_offer',
+    schema: 'orders'
+  })
+  OrderOfferModel.associate = function (models) {
+    OrderOfferModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    OrderOfferModel.belongsTo(models.Writer, { as: 'Writer', foreignKey: 'writerId' })
+    OrderOfferModel.belongsTo(models.User, { as: 'OfferedBy', foreignKey: 'offeredBy' })
+  }
+  return OrderOfferModel
+}
@@ -19,11 +19,25 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    paid: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    price: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0.00
+    },
     submitted: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
     },
+    overdueAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     creator: {
       type: DataTypes.INTEGER,
       allowNull: false
@@ -0,0 +1,69 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const OrderStatusHistoryModel = sequelize.define('OrderStatusHistory', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    fromStatusId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order_status',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    toStatusId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order_status',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    actor: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'order_status_history',
+    schema: 'orders'
+  })
+  OrderStatusHistoryModel.associate = (models) => {
+    OrderStatusHistoryModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    OrderStatusHistoryModel.belongsTo(models.OrderStatus, { as: 'FromStatus', foreignKey: 'fromStatusId' })
+    OrderStatusHistoryModel.belongsTo(models.OrderStatus, { as: 'ToStatus', foreignKey: 'toStatusId' })
+    OrderStatusHistoryModel.belongsTo(models.User, { as: 'User', foreignKey: 'actor' })
+  }
+  return OrderStatusHistoryModel
+}
@@ -0,0 +1,79 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const PaperSubmissionModel = sequelize.define('PaperSubmission', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    writerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'writer',
+          schema: 'writer'
+        },
+        key: 'id'
+      }
+    },
+    orderFileId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order_file',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    orderFileVersionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order_file_version',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    revision: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    deadline: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    late: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'paper_submission',
+    schema: 'orders'
+  })
+  PaperSubmissionModel.associate = (models) => {
+    PaperSubmissionModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    PaperSubmissionModel.belongsTo(models.Writer, { as: 'Writer', foreignKey: 'writerId' })
+    PaperSubmissionModel.belongsTo(models.OrderFile, { as: 'OrderFile', foreignKey: 'orderFileId' })
+    PaperSubmissionModel.belongsTo(models.OrderFileVersion, { as: 'OrderFileVersion', foreignKey: 'orderFileVersionId' })
+  }
+  return PaperSubmissionModel
+}
@@ -0,0 +1,39 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  return sequelize.define('RevisionPolicy', {
+    freeRevisionWindowHours: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    maxFreeRevisions: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    minDeadlineBaseHours: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    minDeadlineHoursPerPage: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    paidRevisionPercentage: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    currentlyInUse: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'revision_policy',
+    schema: 'orders'
+  })
+}
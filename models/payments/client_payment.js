@@ -62,6 +62,32 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       defaultValue: 0.00
     },
+    orderChargeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order_charge',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    callbackTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    resultCodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'mpesa_result_codes',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
     isDeleted: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -76,7 +102,10 @@ module.exports = (sequelize, DataTypes) => {
     ClientPaymentsModel.belongsTo(models.Client, { as: 'Client', foreignKey: 'clientId' })
     ClientPaymentsModel.belongsTo(models.Currency, { as: 'Currency', foreignKey: 'currencyId' })
     ClientPaymentsModel.belongsTo(models.PaymentStatus, { as: 'PaymentStatus', foreignKey: 'statusId' })
+    ClientPaymentsModel.belongsTo(models.MPESAResultCode, { as: 'MPESAResultCode', foreignKey: 'resultCodeId' })
     ClientPaymentsModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    ClientPaymentsModel.belongsTo(models.OrderCharge, { as: 'OrderCharge', foreignKey: 'orderChargeId' })
+    ClientPaymentsModel.hasMany(models.ClientRefund, { as: 'ClientRefund', foreignKey: 'clientPaymentId', sourceKey: 'id' })
   }
   return ClientPaymentsModel
 }
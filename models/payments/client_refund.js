@@ -0,0 +1,65 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const ClientRefundModel = sequelize.define('ClientRefund', {
+    clientPaymentId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'client_payment',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    policy: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    actor: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'client_refund',
+    schema: 'payments'
+  })
+  ClientRefundModel.associate = function (models) {
+    ClientRefundModel.belongsTo(models.ClientPayment, { as: 'ClientPayment', foreignKey: 'clientPaymentId' })
+    ClientRefundModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    ClientRefundModel.belongsTo(models.User, { as: 'User', foreignKey: 'actor' })
+  }
+  return ClientRefundModel
+}
@@ -0,0 +1,88 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const JournalEntryModel = sequelize.define('JournalEntry', {
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    reference: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    clientPaymentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'client_payment',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    clientRefundId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'client_refund',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    writerPaymentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'writer_payment',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    actor: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'user',
+          schema: 'public'
+        },
+        key: 'id'
+      }
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'journal_entry',
+    schema: 'payments',
+    /* Journal entries are never updated */
+    updatedAt: false
+  })
+  JournalEntryModel.associate = function (models) {
+    JournalEntryModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    JournalEntryModel.belongsTo(models.ClientPayment, { as: 'ClientPayment', foreignKey: 'clientPaymentId' })
+    JournalEntryModel.belongsTo(models.ClientRefund, { as: 'ClientRefund', foreignKey: 'clientRefundId' })
+    JournalEntryModel.belongsTo(models.WriterPayment, { as: 'WriterPayment', foreignKey: 'writerPaymentId' })
+    JournalEntryModel.belongsTo(models.User, { as: 'User', foreignKey: 'actor' })
+    JournalEntryModel.hasMany(models.LedgerPosting, { as: 'LedgerPosting', foreignKey: 'journalEntryId', sourceKey: 'id' })
+  }
+  return JournalEntryModel
+}
@@ -0,0 +1,58 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const LedgerAccountModel = sequelize.define('LedgerAccount', {
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    clientId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'client',
+          schema: 'client'
+        },
+        key: 'id'
+      }
+    },
+    writerId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'writer',
+          schema: 'writer'
+        },
+        key: 'id'
+      }
+    },
+    currencyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'currency',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'ledger_account',
+    schema: 'payments'
+  })
+  LedgerAccountModel.associate = function (models) {
+    LedgerAccountModel.belongsTo(models.Client, { as: 'Client', foreignKey: 'clientId' })
+    LedgerAccountModel.belongsTo(models.Writer, { as: 'Writer', foreignKey: 'writerId' })
+    LedgerAccountModel.belongsTo(models.Currency, { as: 'Currency', foreignKey: 'currencyId' })
+    LedgerAccountModel.hasMany(models.LedgerPosting, { as: 'LedgerPosting', foreignKey: 'accountId', sourceKey: 'id' })
+  }
+  return LedgerAccountModel
+}
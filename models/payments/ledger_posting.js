@@ -0,0 +1,42 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const LedgerPostingModel = sequelize.define('LedgerPosting', {
+    journalEntryId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'journal_entry',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    accountId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'ledger_account',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'ledger_posting',
+    schema: 'payments',
+    /* Postings are never updated */
+    updatedAt: false
+  })
+  LedgerPostingModel.associate = function (models) {
+    LedgerPostingModel.belongsTo(models.JournalEntry, { as: 'JournalEntry', foreignKey: 'journalEntryId' })
+    LedgerPostingModel.belongsTo(models.LedgerAccount, { as: 'LedgerAccount', foreignKey: 'accountId' })
+  }
+  return LedgerPostingModel
+}
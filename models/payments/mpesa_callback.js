@@ -0,0 +1,40 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const MPESACallbackModel = sequelize.define('MPESACallback', {
+    checkoutRequestId: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    receiptNumber: {
+      type: DataTypes.STRING(15),
+      allowNull: true
+    },
+    resultCode: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+    outcome: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'Received'
+    },
+    message: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'mpesa_callback',
+    schema: 'payments'
+  })
+  return MPESACallbackModel
+}
@@ -20,6 +20,8 @@ module.exports = (sequelize, DataTypes) => {
   })
   MPESAResultCodeModel.associate = function (models) {
     MPESAResultCodeModel.hasMany(models.MPESA, { as: 'MPESA', foreignKey: 'resultCodeId', sourceKey: 'id' })
+    MPESAResultCodeModel.hasOne(models.MPESAResultPolicy, { as: 'MPESAResultPolicy', foreignKey: 'resultCodeId' })
+    MPESAResultCodeModel.hasMany(models.ClientPayment, { as: 'ClientPayment', foreignKey: 'resultCodeId' })
   }
   return MPESAResultCodeModel
 }
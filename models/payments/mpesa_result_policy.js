@@ -0,0 +1,49 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const MPESAResultPolicyModel = sequelize.define('MPESAResultPolicy', {
+    resultCodeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'mpesa_result_codes',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    paymentStatusId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'payment_status',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    retryable: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    userMessage: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'mpesa_result_policy',
+    schema: 'payments'
+  })
+  MPESAResultPolicyModel.associate = function (models) {
+    MPESAResultPolicyModel.belongsTo(models.MPESAResultCode, { as: 'MPESAResultCode', foreignKey: 'resultCodeId' })
+    MPESAResultPolicyModel.belongsTo(models.PaymentStatus, { as: 'PaymentStatus', foreignKey: 'paymentStatusId' })
+  }
+  return MPESAResultPolicyModel
+}
@@ -0,0 +1,83 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const OrderChargeModel = sequelize.define('OrderCharge', {
+    orderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'order',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    currencyId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'currency',
+          schema: 'payments'
+        },
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    amount: {
+      type: DataTypes.FLOAT,
+      allowNull: false
+    },
+    orderRevisionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'order_revision',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    deadlineExtensionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: {
+          tableName: 'deadline_extension',
+          schema: 'orders'
+        },
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'Unpaid'
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'order_charge',
+    schema: 'payments'
+  })
+  OrderChargeModel.associate = function (models) {
+    OrderChargeModel.belongsTo(models.Order, { as: 'Order', foreignKey: 'orderId' })
+    OrderChargeModel.belongsTo(models.Currency, { as: 'Currency', foreignKey: 'currencyId' })
+    OrderChargeModel.belongsTo(models.OrderRevision, { as: 'OrderRevision', foreignKey: 'orderRevisionId' })
+    OrderChargeModel.belongsTo(models.DeadlineExtension, { as: 'DeadlineExtension', foreignKey: 'deadlineExtensionId' })
+    OrderChargeModel.hasMany(models.ClientPayment, { as: 'ClientPayment', foreignKey: 'orderChargeId', sourceKey: 'id' })
+  }
+  return OrderChargeModel
+}
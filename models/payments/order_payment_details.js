@@ -22,10 +22,6 @@ module.exports = (sequelize, DataTypes) => {
         }
       }
     },
-    extras: {
-      type: DataTypes.STRING(6),
-      allowNull: true
-    },
     extrasTotalPrice: {
       type: DataTypes.FLOAT,
       allowNull: false,
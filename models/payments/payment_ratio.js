@@ -13,5 +13,9 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.BOOLEAN,
       allowNull: false
     }
+  }, {
+    freezeTableName: true,
+    tableName: 'payment_ratio',
+    schema: 'payments'
   })
 }
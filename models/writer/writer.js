@@ -113,7 +113,6 @@ module.exports = (sequelize, DataTypes) => {
     WriterModel.hasMany(models.WriterSkillLevel, { as: 'WriterSkillLevel', foreignKey: 'writerId', sourceKey: 'id' })
     WriterModel.hasMany(models.WriterRating, { as: 'WriterRating', foreignKey: 'writerId', sourceKey: 'id' })
     WriterModel.hasMany(models.WriterAverageRating, { as: 'WriterAverageRating', foreignKey: 'writerId', sourceKey: 'id' })
-    WriterModel.hasMany(models.WriterBid, { as: 'WriterBid', foreignKey: 'writerId', sourceKey: 'id' })
     WriterModel.hasMany(models.OrderBid, { as: 'OrderBid', foreignKey: 'writerId', sourceKey: 'id' })
     WriterModel.hasMany(models.WriterDiscipline, { as: 'WriterDiscipline', foreignKey: 'writerId', sourceKey: 'id' })
     WriterModel.hasMany(models.WriterGrammarTest, { as: 'WriterGrammarTest', foreignKey: 'writerId', sourceKey: 'id' })
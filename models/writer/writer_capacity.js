@@ -0,0 +1,37 @@
+'use strict'
+module.exports = (sequelize, DataTypes) => {
+  const WriterCapacityModel = sequelize.define('WriterCapacity', {
+    skillLevelId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: {
+          tableName: 'skill_level',
+          schema: 'writer'
+        },
+        key: 'id'
+      }
+    },
+    maxConcurrentOrders: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    maxPagesDueIn24Hours: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    isDeleted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    freezeTableName: true,
+    tableName: 'writer_capacity',
+    schema: 'writer'
+  })
+  WriterCapacityModel.associate = function (models) {
+    WriterCapacityModel.belongsTo(models.SkillLevel, { as: 'SkillLevel', foreignKey: 'skillLevelId' })
+  }
+  return WriterCapacityModel
+}
@@ -18,6 +18,30 @@ const { logger } = require('../services/logger')
 */
 const ORDERS_HELPER = require('../helpers/orders/order')
 
+/* The helper that handles the bidding on public orders */
+const BIDS_HELPER = require('../helpers/orders/bid')
+
+/* The helper that handles the disputes on orders */
+const DISPUTES_HELPER = require('../helpers/orders/dispute')
+
+/* The helper that handles the cancellation of orders */
+const CANCELLATION_HELPER = require('../helpers/orders/cancellation')
+
+/* The helper that handles the deadline extension requests on orders */
+const EXTENSIONS_HELPER = require('../helpers/orders/extension')
+
+/* The helper that handles the access to order files */
+const FILE_ACCESS_HELPER = require('../helpers/orders/file_access')
+
+/* The helper that matches writers to orders */
+const MATCHING_HELPER = require('../helpers/orders/matching')
+
+/* The helper that offers private orders to personal writers */
+const OFFERS_HELPER = require('../helpers/orders/offer')
+
+/* The helper that handles the messaging on orders */
+const CHATS_HELPER = require('../helpers/orders/chat')
+
 /* GET home page. */
 ROUTER.get('/', function (req, res) {
   res.json({ title: 'Orders' })
@@ -156,9 +180,21 @@ ROUTER.post('/save_order_details', auth, async function (req, res) {
     })
 })
 
-/* Endpoint to get email addresses of writers */
+/* Endpoint to get email addresses of writers. Given an order ID, only the best-fit writers for the order are
+* returned */
 ROUTER.get('/get_active_writers_emails', auth, async function (req, res) {
-  await ORDERS_HELPER.getActiveWritersEmails()
+  await ORDERS_HELPER.getActiveWritersEmails(req.query.orderId)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that gets the ranked shortlist of writers for an order */
+ROUTER.post('/writer_shortlist', auth, async function (req, res) {
+  await MATCHING_HELPER.getWriterShortlist(req.body)
     .then(response => {
       res.status(200).json(response)
     })
@@ -191,7 +227,7 @@ ROUTER.post('/remove_file', auth, async function (req, res) {
 
 /* Endpoint to get order bids */
 ROUTER.post('/order_bids', auth, async function (req, res) {
-  await ORDERS_HELPER.getOrderBids(req.body)
+  await BIDS_HELPER.getOrderBids(req.body)
     .then(response => {
       res.status(200).json(response)
     })
@@ -201,6 +237,212 @@ ROUTER.post('/order_bids', auth, async function (req, res) {
     })
 })
 
+/* Endpoint for a writer to place a bid on an order */
+ROUTER.post('/place_bid', auth, async function (req, res) {
+  await BIDS_HELPER.placeBid(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for a writer to edit his or her bid on an order */
+ROUTER.post('/edit_bid', auth, async function (req, res) {
+  await BIDS_HELPER.editBid(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for a writer to withdraw his or her bid on an order */
+ROUTER.post('/withdraw_bid', auth, async function (req, res) {
+  await BIDS_HELPER.withdrawBid(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for a client to accept a bid on his or her order */
+ROUTER.post('/accept_bid', auth, async function (req, res) {
+  await BIDS_HELPER.acceptBid(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the categories of the reasons for which a dispute can be opened */
+ROUTER.get('/dispute_reason_categories', auth, function (req, res) {
+  res.status(200).json(DISPUTES_HELPER.getReasonCategories())
+})
+
+/* Endpoint that lets the client or the writer of an order open a dispute on it */
+ROUTER.post('/open_dispute', auth, async function (req, res) {
+  await DISPUTES_HELPER.openDispute(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets the client or the writer of a disputed order give a statement */
+ROUTER.post('/dispute_statement', auth, async function (req, res) {
+  await DISPUTES_HELPER.addDisputeStatement(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the disputes on an order */
+ROUTER.post('/order_disputes', auth, async function (req, res) {
+  await DISPUTES_HELPER.getOrderDisputes(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets an admin resolve a dispute */
+ROUTER.post('/resolve_dispute', auth, async function (req, res) {
+  await DISPUTES_HELPER.resolveDispute(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the terms (refund) of cancelling an order */
+ROUTER.post('/cancellation_terms', auth, async function (req, res) {
+  await CANCELLATION_HELPER.getCancellationTerms(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets a client cancel an order */
+ROUTER.post('/cancel_order', auth, async function (req, res) {
+  await CANCELLATION_HELPER.cancelOrder(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets the writer or the client of an order propose a new deadline */
+ROUTER.post('/request_deadline_extension', auth, async function (req, res) {
+  await EXTENSIONS_HELPER.requestExtension(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets the other party of an order accept or decline a proposed deadline */
+ROUTER.post('/respond_to_deadline_extension', auth, async function (req, res) {
+  await EXTENSIONS_HELPER.respondToExtension(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the deadline changes proposed on an order */
+ROUTER.post('/deadline_extensions', auth, async function (req, res) {
+  await EXTENSIONS_HELPER.getOrderExtensions(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that lets a client add or remove extras on an unpaid order */
+ROUTER.post('/update_order_extras', auth, async function (req, res) {
+  await ORDERS_HELPER.updateOrderExtras(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get every version of the papers submitted on an order */
+ROUTER.post('/paper_versions', auth, async function (req, res) {
+  await ORDERS_HELPER.getPaperVersions(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that issues a short-lived token for downloading an order file */
+ROUTER.post('/file_download_token', auth, async function (req, res) {
+  await FILE_ACCESS_HELPER.issueDownloadToken(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that exchanges a download token for an order file, which is streamed to the requester. The details of
+* the request saved in the access log are those of the HTTP request, rather than ones sent in its body */
+ROUTER.post('/download_file', auth, async function (req, res) {
+  await FILE_ACCESS_HELPER.downloadFile({
+    token: req.body.token,
+    ip: req.ip,
+    origin: req.get('origin'),
+    originalUrl: req.originalUrl,
+    referer: req.get('referer')
+  })
+    .then(response => {
+      if (!response.success) {
+        return res.status(200).json(response)
+      }
+      res.attachment(response.originalName)
+      res.type(response.mimeType || 'application/octet-stream')
+      /* A file that fails half-way cannot be answered with an error anymore, hence the response is cut short */
+      response.file.on('error', () => res.destroy())
+      response.file.pipe(res)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
 /* Endpoint to get personal writers */
 ROUTER.post('/get_personal_writers', auth, async function (req, res) {
   await ORDERS_HELPER.getPersonalWriters(req.body)
@@ -236,6 +478,105 @@ ROUTER.post('/update_order_status', auth, async function (req, res) {
     })
 })
 
+/* Endpoint that lets a writer accept or decline an order offered to him or her */
+ROUTER.post('/respond_to_order_offer', auth, async function (req, res) {
+  await OFFERS_HELPER.respondToOffer(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that gets the pending order offers of a writer */
+ROUTER.post('/writer_order_offers', auth, async function (req, res) {
+  await OFFERS_HELPER.getWriterOffers(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that gets the offers made on an order, to its client */
+ROUTER.post('/order_offers', auth, async function (req, res) {
+  await OFFERS_HELPER.getOrderOffers(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that releases a private order to the public market */
+ROUTER.post('/release_order_to_public', auth, async function (req, res) {
+  await OFFERS_HELPER.releaseToPublicMarket(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that sends a message on the chat of an order */
+ROUTER.post('/send_order_message', auth, async function (req, res) {
+  await CHATS_HELPER.sendMessage(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that gets the history of the chat of an order, a page at a time */
+ROUTER.post('/order_messages', auth, async function (req, res) {
+  await CHATS_HELPER.getMessages(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that marks the messages of the chat of an order as read */
+ROUTER.post('/mark_order_messages_read', auth, async function (req, res) {
+  await CHATS_HELPER.markMessagesRead(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that gets the number of unread messages on each of the orders of a user */
+ROUTER.post('/unread_message_counts', auth, async function (req, res) {
+  await CHATS_HELPER.getUnreadCounts(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that deletes a message on the chat of an order */
+ROUTER.post('/delete_order_message', auth, async function (req, res) {
+  await CHATS_HELPER.deleteMessage(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
 /* Endpoint to get a client's orders */
 ROUTER.post('/get_orders', logger, auth, async function (req, res) {
   await ORDERS_HELPER.getOrders(req.body)
@@ -315,4 +656,38 @@ ROUTER.post('/confirm_order_completion', auth, async function (req, res) {
     })
 })
 
+/* Endpoint for a writer to submit the paper of an order */
+ROUTER.post('/submit_paper', auth, async function (req, res) {
+  await ORDERS_HELPER.submitPaper(req.body, false)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for a writer to submit the revised paper of an order */
+ROUTER.post('/submit_revised_paper', auth, async function (req, res) {
+  await ORDERS_HELPER.submitPaper(req.body, true)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the activity timeline of an order */
+ROUTER.post('/order_timeline', logger, auth, async function (req, res) {
+  await ORDERS_HELPER.getOrderTimeline(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      console.log(error)
+      res.status(500).send(error)
+    })
+})
+
 module.exports = ROUTER
@@ -11,11 +11,36 @@ const { auth } = require('../services/auth')
 /* The helpers that handles authentication */
 const PAYMENTS_HELPER = require('../helpers/payments/payment')
 
+/* The helper that reconciles the payments with M-Pesa */
+const RECONCILIATION_HELPER = require('../helpers/payments/reconciliation')
+
 /* GET home page. */
 ROUTER.get('/', auth, function (req, res) {
   res.json({ title: 'Payments' })
 })
 
+/* Endpoint to send an STK push for the payment of an order to the phone of a client */
+ROUTER.post('/mpesa/initiate_client_payment', auth, async function (req, res) {
+  await PAYMENTS_HELPER.initiateClientOrderPayment(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that receives the outcome of an STK push from Daraja. It is not behind the auth service, since Daraja
+* cannot send our headers, and is instead verified by the token in its URL. Daraja only needs to know that the
+* callback was received, hence the same acknowledgement is sent regardless of the outcome of processing it */
+ROUTER.post('/mpesa/stk_callback', async function (req, res) {
+  await PAYMENTS_HELPER.receiveMpesaCallback(req.body, req.query.token)
+    .catch(error => {
+      console.log('Failed to process the STK callback: ', error)
+    })
+  res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' })
+})
+
 /* Endpoint to save client payment information */
 ROUTER.post('/mpesa/save_client_payment', auth, async function (req, res) {
   /* Call the function that does the saving of client order payment details on the payments helper */
@@ -32,11 +57,9 @@ ROUTER.post('/mpesa/save_client_payment', auth, async function (req, res) {
 ROUTER.post('/mpesa/update_client_order_payment', auth, async function (req, res) {
   await PAYMENTS_HELPER.updateClientOrderPayment(req.body)
     .then(response => {
-      console.log('\n\n\n res: ', response, '\n\n\n')
       res.status(200).json(response)
     })
     .catch(error => {
-      console.log('\n\n\n error: ', error, '\n\n\n')
       res.status(500).send(error)
     })
 })
@@ -85,5 +108,60 @@ ROUTER.post('/price_ratio', auth, async function (req, res) {
     })
 })
 
+/* Endpoint to get the price quote of an order, as computed by the dbms */
+ROUTER.post('/quote', auth, async function (req, res) {
+  await PAYMENTS_HELPER.getOrderQuote(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the mismatches between the client payments, the M-Pesa receipts and the prices of the orders */
+ROUTER.post('/reconciliation_report', auth, async function (req, res) {
+  await RECONCILIATION_HELPER.getReconciliationReport(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint to get the balances of a client or a writer, as summed up from the ledger */
+ROUTER.post('/balances', auth, async function (req, res) {
+  await PAYMENTS_HELPER.getBalances(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for an admin to record a payout made to the writer of an order */
+ROUTER.post('/writer_payout', auth, async function (req, res) {
+  await PAYMENTS_HELPER.recordWriterPayout(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint for an admin to check that every journal entry in the ledger balances to zero */
+ROUTER.post('/ledger_consistency', auth, async function (req, res) {
+  await PAYMENTS_HELPER.checkLedgerConsistency(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
 /* Exporting the ROUTER */
 module.exports = ROUTER
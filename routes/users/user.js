@@ -15,6 +15,9 @@ const USER_HELPER = require('../../helpers/users/user')
 /* Importing the service that handles authentication */
 const { auth } = require('../../services/auth')
 
+/* Importing the service that pushes events to the users */
+const EVENTS_SERVICE = require('../../services/events')
+
 /* GET home page. */
 ROUTER.get('/', auth, function (req, res) {
   res.json({ title: 'Users' })
@@ -270,4 +273,36 @@ ROUTER.post('/get_client_email_by_order_id', auth, async function (req, res) {
     })
 })
 
+/* Endpoint that sets the timezone of a client, in which his or her deadlines are entered and shown */
+ROUTER.post('/set_client_timezone', auth, async function (req, res) {
+  await USER_HELPER.setClientTimezone(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that issues a user the short-lived token with which he or she opens the event stream */
+ROUTER.post('/event_stream_token', auth, async function (req, res) {
+  await USER_HELPER.issueEventStreamToken(req.body)
+    .then(response => {
+      res.status(200).json(response)
+    })
+    .catch(error => {
+      res.status(500).send(error)
+    })
+})
+
+/* Endpoint that opens the event stream of a user, as Server-Sent Events. Browsers cannot set headers on an event
+* stream, hence it is authenticated by the token in the query instead of the api key */
+ROUTER.get('/events', function (req, res) {
+  const CLAIMS = EVENTS_SERVICE.verifyToken(req.query.token)
+  if (!CLAIMS) {
+    return res.status(401).send('Invalid or expired token')
+  }
+  EVENTS_SERVICE.subscribe(CLAIMS.userId, req, res)
+})
+
 module.exports = ROUTER
@@ -0,0 +1,17 @@
+'use strict'
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'order_status', schema: 'orders' }, [
+      {
+        status: 'Cancelled',
+        isDeleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ])
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'order_status', schema: 'orders' }, { status: 'Cancelled' }, {})
+  }
+}
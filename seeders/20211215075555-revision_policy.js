@@ -0,0 +1,22 @@
+'use strict'
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'revision_policy', schema: 'orders' }, [
+      {
+        freeRevisionWindowHours: 14 * 24,
+        maxFreeRevisions: 3,
+        minDeadlineBaseHours: 6,
+        minDeadlineHoursPerPage: 1,
+        paidRevisionPercentage: 50,
+        currentlyInUse: true,
+        isDeleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ])
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'revision_policy', schema: 'orders' }, null, {})
+  }
+}
@@ -0,0 +1,30 @@
+'use strict'
+
+/* The capacities of the writers at each skill level */
+const CAPACITIES = {
+  Probation: { maxConcurrentOrders: 1, maxPagesDueIn24Hours: 5 },
+  Beginner: { maxConcurrentOrders: 2, maxPagesDueIn24Hours: 10 },
+  Intermediate: { maxConcurrentOrders: 4, maxPagesDueIn24Hours: 15 },
+  Advanced: { maxConcurrentOrders: 6, maxPagesDueIn24Hours: 20 },
+  Expert: { maxConcurrentOrders: 8, maxPagesDueIn24Hours: 30 }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const [SKILL_LEVELS] = await queryInterface.sequelize.query(
+      'SELECT id, level FROM writer.skill_level WHERE "isDeleted" = false'
+    )
+    return queryInterface.bulkInsert({ tableName: 'writer_capacity', schema: 'writer' }, SKILL_LEVELS
+      .filter(skillLevel => CAPACITIES[skillLevel.level])
+      .map(skillLevel => ({
+        skillLevelId: skillLevel.id,
+        ...CAPACITIES[skillLevel.level],
+        isDeleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      })))
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'writer_capacity', schema: 'writer' }, null, {})
+  }
+}
@@ -0,0 +1,17 @@
+'use strict'
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'order_file_type', schema: 'orders' }, [
+      {
+        type: 'Chat Attachment',
+        isDeleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      }
+    ])
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'order_file_type', schema: 'orders' }, { type: 'Chat Attachment' }, {})
+  }
+}
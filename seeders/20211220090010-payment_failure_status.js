@@ -0,0 +1,18 @@
+'use strict'
+
+/* The statuses of the payments that failed for reasons the client can do something about */
+const STATUSES = ['Insufficient funds', 'Timed out']
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'payment_status', schema: 'payments' }, STATUSES.map(status => ({
+      status: status,
+      isDeleted: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    })))
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'payment_status', schema: 'payments' }, { status: STATUSES }, {})
+  }
+}
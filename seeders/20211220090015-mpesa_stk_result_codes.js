@@ -0,0 +1,27 @@
+'use strict'
+
+/* The result codes of STK pushes that are missing from the codes seeded earlier */
+const RESULT_CODES = [
+  { resultCode: 1001, resultDesc: 'Unable to lock subscriber, a transaction is already in process' },
+  { resultCode: 1019, resultDesc: 'Transaction has expired' },
+  { resultCode: 1025, resultDesc: 'An error occurred while sending a push request' },
+  { resultCode: 2001, resultDesc: 'The initiator information is invalid' },
+  { resultCode: 9999, resultDesc: 'An error occurred while sending a push request' }
+]
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'mpesa_result_codes', schema: 'payments' }, RESULT_CODES
+      .map(resultCode => ({
+        ...resultCode,
+        isDeleted: false,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      })))
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'mpesa_result_codes', schema: 'payments' }, {
+      resultCode: RESULT_CODES.map(resultCode => resultCode.resultCode)
+    }, {})
+  }
+}
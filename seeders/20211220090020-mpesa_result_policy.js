@@ -0,0 +1,88 @@
+'use strict'
+
+/* The payment status, whether the client can try again, and the message shown to the client for each result code */
+const SUPPORT_MESSAGE = 'We could not receive your payment. Please contact support'
+const POLICIES = {
+  0: { status: 'Success', retryable: false, userMessage: 'Your payment has been received' },
+  1: {
+    status: 'Insufficient funds',
+    retryable: true,
+    userMessage: 'Your M-Pesa balance is not enough for this payment. Please top up and try again'
+  },
+  2: { status: 'Failed', retryable: false, userMessage: 'The amount is below the least M-Pesa allows in a transaction' },
+  3: { status: 'Failed', retryable: false, userMessage: 'The amount is above the most M-Pesa allows in a transaction' },
+  4: { status: 'Failed', retryable: false, userMessage: 'This payment would exceed your daily M-Pesa transfer limit' },
+  5: {
+    status: 'Insufficient funds',
+    retryable: true,
+    userMessage: 'This payment would take your M-Pesa balance below its minimum. Please top up and try again'
+  },
+  6: { status: 'Failed', retryable: false, userMessage: 'Your M-Pesa account could not be found' },
+  7: { status: 'Failed', retryable: false, userMessage: SUPPORT_MESSAGE },
+  8: { status: 'Failed', retryable: false, userMessage: SUPPORT_MESSAGE },
+  11: { status: 'Failed', retryable: false, userMessage: 'Your M-Pesa account cannot make this payment' },
+  12: { status: 'Failed', retryable: false, userMessage: SUPPORT_MESSAGE },
+  13: { status: 'Failed', retryable: false, userMessage: 'Your M-Pesa account cannot make this payment' },
+  14: { status: 'Failed', retryable: false, userMessage: SUPPORT_MESSAGE },
+  15: {
+    status: 'Failed',
+    retryable: false,
+    userMessage: 'A similar payment was just made. Please check your M-Pesa messages before paying again'
+  },
+  17: { status: 'Failed', retryable: true, userMessage: 'M-Pesa could not process the payment. Please try again' },
+  20: { status: 'Failed', retryable: false, userMessage: SUPPORT_MESSAGE },
+  26: { status: 'Failed', retryable: true, userMessage: 'M-Pesa is busy at the moment. Please try again in a few minutes' },
+  1001: {
+    status: 'Failed',
+    retryable: true,
+    userMessage: 'Another M-Pesa transaction is in progress on your phone. Please wait a moment and try again'
+  },
+  1019: {
+    status: 'Timed out',
+    retryable: true,
+    userMessage: 'The payment request expired before it was completed. Please try again'
+  },
+  1025: {
+    status: 'Failed',
+    retryable: true,
+    userMessage: 'The payment request could not be sent to your phone. Please try again'
+  },
+  1032: { status: 'User cancelled', retryable: true, userMessage: 'You cancelled the payment. Try again when ready' },
+  1037: {
+    status: 'Timed out',
+    retryable: true,
+    userMessage: 'Your phone could not be reached, or the PIN was not entered in time. Please try again'
+  },
+  2001: { status: 'Failed', retryable: true, userMessage: 'The M-Pesa PIN entered was incorrect. Please try again' },
+  9999: {
+    status: 'Failed',
+    retryable: true,
+    userMessage: 'The payment request could not be sent to your phone. Please try again'
+  }
+}
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const [[RESULT_CODES], [STATUSES]] = await Promise.all([
+      queryInterface.sequelize.query('SELECT id, "resultCode" FROM payments.mpesa_result_codes WHERE "isDeleted" = false'),
+      queryInterface.sequelize.query('SELECT id, status FROM payments.payment_status WHERE "isDeleted" = false')
+    ])
+    const STATUS_IDS = Object.fromEntries(STATUSES.map(status => [status.status, status.id]))
+    return queryInterface.bulkInsert({ tableName: 'mpesa_result_policy', schema: 'payments' }, RESULT_CODES
+      .filter(resultCode => POLICIES[resultCode.resultCode])
+      .map(resultCode => {
+        const { status, ...POLICY } = POLICIES[resultCode.resultCode]
+        return {
+          resultCodeId: resultCode.id,
+          paymentStatusId: STATUS_IDS[status],
+          ...POLICY,
+          isDeleted: false,
+          createdAt: new Date(),
+          updatedAt: new Date()
+        }
+      }))
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'mpesa_result_policy', schema: 'payments' }, null, {})
+  }
+}
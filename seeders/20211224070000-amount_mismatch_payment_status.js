@@ -0,0 +1,19 @@
+'use strict'
+
+/* The status of the payments whose amount does not add up, which are refunded to the client balance rather than
+* applied to their orders */
+const STATUSES = ['Amount mismatch']
+
+module.exports = {
+  up: (queryInterface, Sequelize) => {
+    return queryInterface.bulkInsert({ tableName: 'payment_status', schema: 'payments' }, STATUSES.map(status => ({
+      status: status,
+      isDeleted: false,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    })))
+  },
+  down: (queryInterface, Sequelize) => {
+    return queryInterface.bulkDelete({ tableName: 'payment_status', schema: 'payments' }, { status: STATUSES }, {})
+  }
+}
@@ -0,0 +1,85 @@
+/* Service that handles the timezones of deadlines.
+* Deadlines are stored as UTC timestamps, and are returned to the frontends in ISO-8601 together with the time left
+* to them. A deadline sent by a frontend either carries its UTC offset, or is a local time in the client's timezone,
+* as captured on the client's profile */
+
+/* The timezone of the clients whose timezone is not known, which is the timezone the dbms used to run in */
+const DEFAULT_TIMEZONE = 'Africa/Nairobi'
+
+/* A date and time in ISO-8601, with an optional UTC offset e.g. '2021-12-14T15:00' or '2021-12-14T15:00:00+03:00' */
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+
+class DeadlineService {
+  static DEFAULT_TIMEZONE = DEFAULT_TIMEZONE
+
+  /* Function that checks whether a timezone is an IANA timezone e.g. 'America/New_York' */
+  static isValidTimezone (timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone: timezone })
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+
+  /* Function that returns the offset, in milliseconds, of a timezone from UTC at a given time */
+  static timezoneOffset (date, timezone) {
+    const PARTS = {}
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).forEach(part => { PARTS[part.type] = Number(part.value) })
+    const LOCAL_TIME = Date.UTC(PARTS.year, PARTS.month - 1, PARTS.day, PARTS.hour, PARTS.minute, PARTS.second)
+    return LOCAL_TIME - Math.floor(date.getTime() / 1000) * 1000
+  }
+
+  /* Function that converts a local time in a timezone to a date. The offset is computed a second time at the
+  * resulting date, since the first guess can fall on the other side of a daylight saving change */
+  static fromLocalTime (localTime, timezone) {
+    const FIRST_GUESS = localTime - DeadlineService.timezoneOffset(new Date(localTime), timezone)
+    return new Date(localTime - DeadlineService.timezoneOffset(new Date(FIRST_GUESS), timezone))
+  }
+
+  /* Function that parses a deadline sent by a frontend. A deadline without a UTC offset is taken to be in the given
+  * timezone. It returns null in case the deadline is not in ISO-8601 */
+  static parseDeadline (deadline, timezone) {
+    const MATCH = ISO_DATE_TIME.exec(String(deadline))
+    if (!MATCH) return null
+    const [, YEAR, MONTH, DAY, HOUR, MINUTE, SECOND, OFFSET] = MATCH
+    const LOCAL_TIME = Date.UTC(YEAR, MONTH - 1, DAY, HOUR, MINUTE, SECOND || 0)
+    let date
+    if (OFFSET) {
+      date = new Date(OFFSET === 'Z' ? LOCAL_TIME : LOCAL_TIME - DeadlineService.offsetMilliseconds(OFFSET))
+    } else {
+      date = DeadlineService.fromLocalTime(LOCAL_TIME, timezone || DEFAULT_TIMEZONE)
+    }
+    return isNaN(date.getTime()) ? null : date
+  }
+
+  /* Function that converts a UTC offset e.g. '+03:00' to milliseconds */
+  static offsetMilliseconds (offset) {
+    const DIGITS = offset.replace(':', '')
+    const MILLISECONDS = (Number(DIGITS.slice(1, 3)) * 60 + Number(DIGITS.slice(3, 5))) * 60 * 1000
+    return DIGITS.startsWith('-') ? -MILLISECONDS : MILLISECONDS
+  }
+
+  /* Function that returns a deadline in ISO-8601, together with the number of seconds left to it. The seconds
+  * are never negative, since an order past its deadline has no time left */
+  static describe (deadline) {
+    if (!deadline) return { deadline: null, secondsRemaining: null }
+    const DEADLINE = new Date(deadline)
+    return {
+      deadline: DEADLINE.toISOString(),
+      secondsRemaining: Math.max(Math.floor((DEADLINE.getTime() - new Date().getTime()) / 1000), 0)
+    }
+  }
+}
+
+module.exports = DeadlineService
@@ -0,0 +1,227 @@
+/* Service that pushes events to the users of the dbms as Server-Sent Events e.g. a payment that has gone through, a
+* change in the status of an order or a new message on an order.
+* Events are published as Postgres notifications, in the transaction of the change they are about. Hence an event is
+* only delivered once the change is committed, and it reaches every instance of the dbms, each of which pushes it to
+* the users connected to it. A user connects to the event stream with a short-lived token issued to him or her
+* through an authenticated endpoint, since browsers cannot set headers on an event stream */
+
+/* Importing the crypto module, which will be used to sign the tokens */
+const CRYPTO = require('crypto')
+
+/* Importing the postgres client, which holds the connection that listens for the notifications */
+const { Client: PgClient } = require('pg')
+
+/* Importing the index model that will be used to access the sequelize instance and the models */
+const MODEL = require('../models/index')
+
+/* The Postgres channel the events are published on. The payload of a notification is limited to 8000 bytes, hence
+* the events only carry IDs and statuses, which the frontends use to fetch whatever else they need */
+const CHANNEL = 'dbms_events'
+
+/* The number of seconds a stream token is valid for. It only needs to last until the stream is opened */
+const TOKEN_TTL_SECONDS = Number(process.env.EVENT_TOKEN_TTL_SECONDS || 60)
+
+/* The number of seconds between two heartbeats on a stream, which keep the proxies from closing idle streams */
+const HEARTBEAT_SECONDS = 25
+
+/* The number of seconds to wait before listening again after losing the connection to the database */
+const RECONNECT_SECONDS = 5
+
+/* The maximum number of streams a user can have open at a time e.g. one per browser tab */
+const MAX_STREAMS_PER_USER = 5
+
+class EventService {
+  /* The open streams on this instance, by user ID */
+  static streams = new Map()
+
+  /* The connection listening for the notifications, and whether it is being re-established */
+  static connection = null
+  static reconnecting = false
+
+  /* Function that returns the secret used to sign the tokens. There is no default, since a known secret would
+  * let anyone sign tokens */
+  static secret () {
+    const SECRET = process.env.EVENT_TOKEN_SECRET
+    if (!SECRET) {
+      throw new Error('EVENT_TOKEN_SECRET is not set')
+    }
+    return SECRET
+  }
+
+  /* Function that signs a payload */
+  static sign (payload) {
+    return CRYPTO.createHmac('sha256', EventService.secret()).update(payload).digest('base64url')
+  }
+
+  /* Function that issues a stream token to a user */
+  static issueToken (userId) {
+    const EXPIRES_AT = new Date(new Date().getTime() + TOKEN_TTL_SECONDS * 1000)
+    const PAYLOAD = Buffer.from(JSON.stringify({
+      userId: userId,
+      expiresAt: EXPIRES_AT.getTime()
+    })).toString('base64url')
+    return { token: PAYLOAD.concat('.', EventService.sign(PAYLOAD)), expiresAt: EXPIRES_AT }
+  }
+
+  /* Function that verifies a stream token. It returns the payload of the token, or null in case the token is invalid
+  * or has expired */
+  static verifyToken (token) {
+    const [PAYLOAD, SIGNATURE] = String(token).split('.')
+    if (!PAYLOAD || !SIGNATURE) return null
+    const EXPECTED_SIGNATURE = Buffer.from(EventService.sign(PAYLOAD))
+    const GIVEN_SIGNATURE = Buffer.from(SIGNATURE)
+    /* Compare in constant time, so that the signature cannot be guessed from the time taken */
+    if (EXPECTED_SIGNATURE.length !== GIVEN_SIGNATURE.length ||
+      !CRYPTO.timingSafeEqual(EXPECTED_SIGNATURE, GIVEN_SIGNATURE)) {
+      return null
+    }
+    const CLAIMS = JSON.parse(Buffer.from(PAYLOAD, 'base64url').toString())
+    if (CLAIMS.expiresAt < new Date().getTime()) return null
+    return CLAIMS
+  }
+
+  /* Function that starts listening for the events published by every instance of the dbms. The connection is kept
+  * apart from the sequelize pool, since it stays open for as long as the instance runs */
+  static async listen () {
+    if (EventService.connection) return
+    const CONFIG = MODEL.sequelize.config
+    const CONNECTION = new PgClient({
+      user: CONFIG.username,
+      password: CONFIG.password,
+      database: CONFIG.database,
+      host: CONFIG.host,
+      port: CONFIG.port
+    })
+    EventService.connection = CONNECTION
+    CONNECTION.on('notification', notification => EventService.dispatch(notification.payload))
+    CONNECTION.on('error', error => {
+      console.log('Event stream connection failed: ', error)
+      EventService.reconnect()
+    })
+    CONNECTION.on('end', EventService.reconnect)
+    try {
+      await CONNECTION.connect()
+      await CONNECTION.query(`LISTEN ${CHANNEL}`)
+    } catch (e) {
+      console.log('Event stream failed to listen: ', e)
+      EventService.reconnect()
+    }
+  }
+
+  /* Function that listens again after a while, once the connection to the database is lost */
+  static reconnect () {
+    if (EventService.reconnecting) return
+    EventService.reconnecting = true
+    const CONNECTION = EventService.connection
+    EventService.connection = null
+    if (CONNECTION) {
+      CONNECTION.removeAllListeners()
+      /* The connection may already be closed, in which case there is nothing to end */
+      CONNECTION.end().catch(() => null)
+    }
+    setTimeout(() => {
+      EventService.reconnecting = false
+      EventService.listen()
+    }, RECONNECT_SECONDS * 1000)
+  }
+
+  /* Function that publishes an event to users, in the transaction of the change the event is about */
+  static async publish (userIds, type, data, transaction) {
+    const USER_IDS = [...new Set(userIds.filter(userId => userId))]
+    if (USER_IDS.length === 0) return
+    await MODEL.sequelize.query('SELECT pg_notify(:channel, :payload)', {
+      replacements: {
+        channel: CHANNEL,
+        payload: JSON.stringify({ userIds: USER_IDS, type: type, data: data, sentAt: new Date() })
+      },
+      transaction: transaction
+    })
+  }
+
+  /* Function that publishes an event to the parties of an order i.e. the client and the assigned writer. The options
+  * are the parties to publish to, the ID of a user to leave out e.g. the one who made the change, and the
+  * transaction */
+  static async publishToOrder (orderId, type, data, options = {}) {
+    const { parties = ['client', 'writer'], exclude = null, transaction } = options
+    const ORDER = await MODEL.Order.findOne({
+      where: {
+        id: orderId
+      },
+      attributes: ['id'],
+      include: [
+        {
+          model: MODEL.Client,
+          as: 'Client',
+          attributes: ['userId']
+        },
+        {
+          model: MODEL.WriterOrder,
+          as: 'WriterOrder',
+          attributes: ['id'],
+          required: false,
+          where: {
+            isDeleted: false
+          },
+          include: [
+            {
+              model: MODEL.Writer,
+              as: 'Writer',
+              attributes: ['userId']
+            }
+          ]
+        }
+      ],
+      transaction: transaction
+    })
+    if (!ORDER) return
+    const USER_IDS = []
+    if (parties.includes('client')) USER_IDS.push(ORDER.Client.userId)
+    if (parties.includes('writer')) USER_IDS.push(...ORDER.WriterOrder.map(writerOrder => writerOrder.Writer.userId))
+    await EventService.publish(USER_IDS.filter(userId => userId !== exclude), type, { orderId: orderId, ...data },
+      transaction)
+  }
+
+  /* Function that pushes an event received from the database to the streams of its users on this instance */
+  static dispatch (payload) {
+    let event
+    try {
+      event = JSON.parse(payload)
+    } catch (e) {
+      return
+    }
+    const MESSAGE = `event: ${event.type}\ndata: ${JSON.stringify({ ...event.data, sentAt: event.sentAt })}\n\n`
+    event.userIds.forEach(userId => {
+      (EventService.streams.get(userId) || new Set()).forEach(res => res.write(MESSAGE))
+    })
+  }
+
+  /* Function that opens the event stream of a user on a response. The stream is closed once the user disconnects */
+  static subscribe (userId, req, res) {
+    const STREAMS = EventService.streams.get(userId) || new Set()
+    if (STREAMS.size >= MAX_STREAMS_PER_USER) {
+      return res.status(429).send('Too many open streams')
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      /* Stops nginx from buffering the stream */
+      'X-Accel-Buffering': 'no'
+    })
+    /* Let the browser know how long to wait before reconnecting, then confirm that the stream is open */
+    res.write(`retry: ${RECONNECT_SECONDS * 1000}\n\n`)
+    res.write(`event: connected\ndata: ${JSON.stringify({ userId: userId })}\n\n`)
+    STREAMS.add(res)
+    EventService.streams.set(userId, STREAMS)
+    const HEARTBEAT = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000)
+    req.on('close', () => {
+      clearInterval(HEARTBEAT)
+      STREAMS.delete(res)
+      if (STREAMS.size === 0) {
+        EventService.streams.delete(userId)
+      }
+    })
+  }
+}
+
+module.exports = EventService
@@ -0,0 +1,57 @@
+/* Service that signs and verifies the short-lived tokens used to download order files.
+* A token carries the ID of the file version, the user it was issued to and its expiry time, and is signed with a
+* secret known only to the dbms, such that it cannot be forged or altered */
+
+/* Importing the crypto module, which will be used to sign the tokens */
+const CRYPTO = require('crypto')
+
+/* The number of seconds a download token is valid for */
+const TOKEN_TTL_SECONDS = Number(process.env.FILE_TOKEN_TTL_SECONDS || 300)
+
+class FileAccessService {
+  /* Function that returns the secret used to sign the tokens. There is no default, since a known secret would
+  * let anyone sign tokens */
+  static secret () {
+    const SECRET = process.env.FILE_TOKEN_SECRET
+    if (!SECRET) {
+      throw new Error('FILE_TOKEN_SECRET is not set')
+    }
+    return SECRET
+  }
+
+  /* Function that signs a payload */
+  static sign (payload) {
+    return CRYPTO.createHmac('sha256', FileAccessService.secret()).update(payload).digest('base64url')
+  }
+
+  /* Function that issues a token for a file version to a user */
+  static issueToken (versionId, userId, partyType) {
+    const EXPIRES_AT = new Date(new Date().getTime() + TOKEN_TTL_SECONDS * 1000)
+    const PAYLOAD = Buffer.from(JSON.stringify({
+      versionId: versionId,
+      userId: userId,
+      partyType: partyType,
+      expiresAt: EXPIRES_AT.getTime()
+    })).toString('base64url')
+    return { token: PAYLOAD.concat('.', FileAccessService.sign(PAYLOAD)), expiresAt: EXPIRES_AT }
+  }
+
+  /* Function that verifies a token. It returns the payload of the token, or null in case the token is invalid or
+  * has expired */
+  static verifyToken (token) {
+    const [PAYLOAD, SIGNATURE] = String(token).split('.')
+    if (!PAYLOAD || !SIGNATURE) return null
+    const EXPECTED_SIGNATURE = Buffer.from(FileAccessService.sign(PAYLOAD))
+    const GIVEN_SIGNATURE = Buffer.from(SIGNATURE)
+    /* Compare in constant time, so that the signature cannot be guessed from the time taken */
+    if (EXPECTED_SIGNATURE.length !== GIVEN_SIGNATURE.length ||
+      !CRYPTO.timingSafeEqual(EXPECTED_SIGNATURE, GIVEN_SIGNATURE)) {
+      return null
+    }
+    const CLAIMS = JSON.parse(Buffer.from(PAYLOAD, 'base64url').toString())
+    if (CLAIMS.expiresAt < new Date().getTime()) return null
+    return CLAIMS
+  }
+}
+
+module.exports = FileAccessService
@@ -0,0 +1,67 @@
+/* Service that runs the periodic jobs of the dbms e.g. flagging overdue orders.
+* Several instances of the dbms can be running at the same time, hence every run takes a database (advisory) lock
+* first. Only the instance that gets the lock runs the jobs, while the others skip the run */
+
+/* Importing the index model that will be used to access the sequelize instance */
+const MODEL = require('../models/index')
+
+/* Importing the helper that contains the order deadline jobs */
+const SLA_HELPER = require('../helpers/orders/sla')
+
+/* Importing the helper that reconciles the payments stuck in processing with M-Pesa */
+const RECONCILIATION_HELPER = require('../helpers/payments/reconciliation')
+
+/* The interval, in minutes, between two runs of the jobs */
+const INTERVAL_MINUTES = Number(process.env.SCHEDULER_INTERVAL_MINUTES || 5)
+
+/* The key of the advisory lock taken by the scheduler. Any number works, as long as it is not used by another
+* advisory lock */
+const LOCK_KEY = 7310
+
+/* The jobs run on every run of the scheduler, in order */
+const JOBS = {
+  flagOverdueOrders: SLA_HELPER.flagOverdueOrders,
+  autoCompleteSubmittedOrders: SLA_HELPER.autoCompleteSubmittedOrders,
+  expireWriterAcknowledgements: SLA_HELPER.expireWriterAcknowledgements,
+  reconcileStalePayments: RECONCILIATION_HELPER.reconcileStalePayments
+}
+
+class SchedulerService {
+  static timer = null
+
+  /* Function that starts running the jobs periodically */
+  static start () {
+    if (SchedulerService.timer) return
+    SchedulerService.timer = setInterval(SchedulerService.run, INTERVAL_MINUTES * 60 * 1000)
+  }
+
+  /* Function that stops running the jobs */
+  static stop () {
+    clearInterval(SchedulerService.timer)
+    SchedulerService.timer = null
+  }
+
+  /* Function that runs all the jobs once, provided that this instance gets the lock. Each job runs in its own
+  * transaction, so that a failing job does not undo the work of the others */
+  static async run () {
+    const RESULTS = {}
+    for (const NAME of Object.keys(JOBS)) {
+      try {
+        RESULTS[NAME] = await MODEL.sequelize.transaction(async t => {
+          /* The lock is released automatically at the end of the transaction */
+          const [[{ locked }]] = await MODEL.sequelize.query('SELECT pg_try_advisory_xact_lock(:key) AS locked', {
+            replacements: { key: LOCK_KEY },
+            transaction: t
+          })
+          if (!locked) return null
+          return await JOBS[NAME](t)
+        })
+      } catch (e) {
+        console.log(NAME, e)
+      }
+    }
+    return RESULTS
+  }
+}
+
+module.exports = SchedulerService